@@ -2,10 +2,11 @@ const express = require('express');
 const session = require('express-session');
 const flash = require('connect-flash');
 const multer = require('multer');
-const crypto = require('crypto');
 const path = require('path');
 
 const ProductModel = require('./models/product');
+const ProductVariantModel = require('./models/productVariant');
+const CartModel = require('./models/cart');
 const UserModel = require('./models/user');
 const OrderModel = require('./models/order');
 const RefundModel = require('./models/refund');
@@ -16,6 +17,29 @@ const UserController = require('./controllers/UserController');
 const CartController = require('./controllers/CartController');
 const NetsController = require('./controllers/NetsController');
 const RefundController = require('./controllers/RefundController');
+const InventoryController = require('./controllers/InventoryController');
+const PromotionController = require('./controllers/PromotionController');
+const TaxController = require('./controllers/TaxController');
+const DeliverySlotController = require('./controllers/DeliverySlotController');
+const DeliveryFeeController = require('./controllers/DeliveryFeeController');
+const AddressController = require('./controllers/AddressController');
+const PickingController = require('./controllers/PickingController');
+const WebhookController = require('./controllers/WebhookController');
+const PaymentAttemptController = require('./controllers/PaymentAttemptController');
+const AccountController = require('./controllers/AccountController');
+const ApiTokenController = require('./controllers/ApiTokenController');
+const AddressModel = require('./models/address');
+const PromotionModel = require('./models/promotion');
+const PricingService = require('./services/pricing');
+const PickingService = require('./services/picking');
+const CancellationService = require('./services/cancellation');
+const RefundService = require('./services/refunds');
+const PasswordService = require('./services/passwords');
+const LoginThrottleService = require('./services/loginThrottle');
+const AccountTokenService = require('./services/accountTokens');
+const ApiTokenService = require('./services/apiTokens');
+const ApiTokenModel = require('./models/apiToken');
+const RoleService = require('./services/roles');
 
 const app = express();
 
@@ -38,6 +62,18 @@ const upload = multer({
   }
 });
 
+// Catalog CSV imports are parsed straight from memory, never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname || '').toLowerCase() !== '.csv') {
+      return cb(new Error('Only .csv files can be imported'));
+    }
+    cb(null, true);
+  }
+});
+
 // Separate storage for refund evidence
 const reportStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -72,6 +108,13 @@ const reportUpload = multer({
 // --- view engine / static / parsing ---
 app.set('view engine', 'ejs');
 app.use(express.static('public'));
+
+// --- payment provider webhooks ---
+// Signatures are checked against the exact bytes sent, so these take the raw body and have to be
+// registered before the body parsers below.
+app.post('/webhooks/stripe', express.raw({ type: 'application/json' }), WebhookController.stripe);
+app.post('/webhooks/paypal', express.raw({ type: 'application/json' }), WebhookController.paypal);
+
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 
@@ -90,12 +133,23 @@ const enrichUser = (user) => {
   return { ...user, displayName: user.username || user.email };
 };
 
-// normalize price to two decimals; returns null if invalid/<=0
-const normalizePrice = (raw) => {
-  const num = Number.parseFloat(raw);
-  if (!Number.isFinite(num) || num <= 0) return null;
-  return Number(num.toFixed(2));
-};
+// normalize price to two decimals; returns null if invalid/<=0 (shared with the product API)
+const { normalizePrice } = ProductController;
+
+// The role on the session is a copy; it is reloaded on every request so a role change or a
+// deleted account takes effect straight away rather than at the next sign-in.
+app.use((req, res, next) => {
+  if (!req.session || !req.session.user) return next();
+  UserModel.getUserById(req.session.user.id, (err, current) => {
+    if (err) return next(err);
+    if (!current) {
+      delete req.session.user;
+    } else {
+      req.session.user.role = current.role;
+    }
+    next();
+  });
+});
 
 // expose flash messages to all views as `messages`
 app.use((req, res, next) => {
@@ -107,6 +161,13 @@ app.use((req, res, next) => {
     error: req.flash('error') || [],
     warning: req.flash('warning') || []
   };
+  // what the signed-in user may do, for menus and buttons
+  const sessionUser = req.session && req.session.user;
+  res.locals.can = (permission) => RoleService.can(sessionUser, permission);
+  res.locals.canVisit = (href) => RoleService.canVisit(sessionUser, href);
+  res.locals.isStaff = RoleService.isStaff(sessionUser);
+  res.locals.staffMenu = RoleService.menuFor(sessionUser);
+  res.locals.roleLabel = RoleService.roleLabel;
   next();
 });
 
@@ -116,26 +177,116 @@ const checkAuthenticated = (req, res, next) => {
   req.flash('error', 'Please log in to view this resource');
   res.redirect('/login');
 };
-const checkAdmin = (req, res, next) => {
-  if (req.session && req.session.user && req.session.user.role === 'admin') return next();
+// Staff routes name the permission they need; services/roles.js says which roles have it.
+const checkPermission = (permission) => (req, res, next) => {
+  if (req.session && req.session.user && RoleService.can(req.session.user, permission)) return next();
   req.flash('error', 'Access denied');
   res.redirect('/shopping');
 };
 
+// The /api routes answer in JSON instead of redirecting. Callers sign in with the browser
+// session or an "Authorization: Bearer <token>" header (tokens are made on /profile); either way
+// the account is put on req.apiUser.
+const apiAuthenticated = (req, res, next) => {
+  if (req.session && req.session.user) {
+    req.apiUser = req.session.user;
+    return next();
+  }
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  ApiTokenService.authenticate(match[1], (err, apiUser) => {
+    if (err) {
+      console.error('Error checking API token:', err);
+      return res.status(500).json({ error: 'Unable to check credentials' });
+    }
+    if (!apiUser) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid or revoked API token' });
+    }
+    req.apiUser = apiUser;
+    next();
+  });
+};
+const apiPermission = (permission) => (req, res, next) => {
+  if (req.apiUser && RoleService.can(req.apiUser, permission)) return next();
+  res.status(403).json({ error: 'You do not have permission to do this' });
+};
+
 // ----------------- View routes (render pages / redirect flows) -----------------
 
 app.get('/', (req, res) => res.render('index', { user: req.session.user }));
 
-// Inventory (admin) - use model to render view list
-app.get('/inventory', checkAuthenticated, checkAdmin, (req, res) => {
-  ProductModel.getAllProducts((err, products) => {
+// Inventory (staff) - use model to render view list
+app.get('/inventory', checkAuthenticated, checkPermission('inventory.view'), InventoryController.viewInventory);
+app.get('/inventory/purchase-order.csv', checkAuthenticated, checkPermission('inventory.view'), InventoryController.purchaseOrderCsv);
+app.get('/inventory/export.csv', checkAuthenticated, checkPermission('inventory.view'), InventoryController.exportCsv);
+app.get('/inventory/import', checkAuthenticated, checkPermission('inventory.manage'), InventoryController.viewImport);
+app.post('/inventory/import/preview', checkAuthenticated, checkPermission('inventory.manage'), (req, res, next) => {
+  csvUpload.single('csvFile')(req, res, (err) => {
     if (err) {
-      console.error('DB error:', err);
-      return res.status(500).send('Database error');
+      req.flash('error', err.code === 'LIMIT_FILE_SIZE' ? 'CSV files must be 1 MB or smaller.' : err.message);
+      return res.redirect('/inventory/import');
     }
-    res.render('inventory', { products, user: req.session.user });
+    next();
   });
-});
+}, InventoryController.previewImport);
+app.post('/inventory/import/commit', checkAuthenticated, checkPermission('inventory.manage'), InventoryController.commitImport);
+
+app.get('/inventory/:id/history', checkAuthenticated, checkPermission('inventory.view'), InventoryController.viewHistory);
+app.post('/inventory/:id/movements', checkAuthenticated, checkPermission('inventory.manage'), InventoryController.recordMovement);
+
+// Promotions and coupon codes
+app.get('/promotions', checkAuthenticated, checkPermission('promotions.manage'), PromotionController.list);
+app.post('/promotions', checkAuthenticated, checkPermission('promotions.manage'), PromotionController.create);
+app.get('/promotions/:id/edit', checkAuthenticated, checkPermission('promotions.manage'), PromotionController.edit);
+app.post('/promotions/:id/edit', checkAuthenticated, checkPermission('promotions.manage'), PromotionController.update);
+app.post('/promotions/:id/toggle', checkAuthenticated, checkPermission('promotions.manage'), PromotionController.toggle);
+app.post('/promotions/:id/delete', checkAuthenticated, checkPermission('promotions.manage'), PromotionController.remove);
+
+// GST rates by product category
+app.get('/tax-rates', checkAuthenticated, checkPermission('pricing.manage'), TaxController.list);
+app.post('/tax-rates', checkAuthenticated, checkPermission('pricing.manage'), TaxController.save);
+app.post('/tax-rates/delete', checkAuthenticated, checkPermission('pricing.manage'), TaxController.remove);
+
+// Delivery and pickup slots (staff)
+app.get('/delivery-slots', checkAuthenticated, checkPermission('delivery.manage'), DeliverySlotController.list);
+app.post('/delivery-slots', checkAuthenticated, checkPermission('delivery.manage'), DeliverySlotController.create);
+app.post('/delivery-slots/:id/capacity', checkAuthenticated, checkPermission('delivery.manage'), DeliverySlotController.updateCapacity);
+app.post('/delivery-slots/:id/toggle', checkAuthenticated, checkPermission('delivery.manage'), DeliverySlotController.toggle);
+app.post('/delivery-slots/:id/delete', checkAuthenticated, checkPermission('delivery.manage'), DeliverySlotController.remove);
+
+// Delivery fees by method and postal zone (staff)
+app.get('/delivery-fees', checkAuthenticated, checkPermission('pricing.manage'), DeliveryFeeController.list);
+app.post('/delivery-fees/settings', checkAuthenticated, checkPermission('pricing.manage'), DeliveryFeeController.saveSettings);
+app.post('/delivery-fees/zones', checkAuthenticated, checkPermission('pricing.manage'), DeliveryFeeController.saveZone);
+app.post('/delivery-fees/zones/:id/delete', checkAuthenticated, checkPermission('pricing.manage'), DeliveryFeeController.removeZone);
+
+// Picking and packing paid orders (staff)
+app.get('/picking', checkAuthenticated, checkPermission('picking'), PickingController.queue);
+app.get('/picking/print', checkAuthenticated, checkPermission('picking'), PickingController.printList);
+app.get('/picking/:id', checkAuthenticated, checkPermission('picking'), PickingController.viewOrder);
+app.get('/picking/:id/print', checkAuthenticated, checkPermission('picking'), PickingController.printList);
+app.post('/picking/:id/items/:itemId', checkAuthenticated, checkPermission('picking'), PickingController.markItem);
+app.post('/picking/:id/items/:itemId/substitute', checkAuthenticated, checkPermission('picking'), PickingController.proposeSubstitute);
+app.post('/picking/:id/pack', checkAuthenticated, checkPermission('picking'), PickingController.pack);
+
+// Payments that were started but never became orders (staff)
+app.get('/payments/attempts', checkAuthenticated, checkPermission('payments.view'), PaymentAttemptController.list);
+
+// Accounts locked by failed sign-ins (staff)
+app.get('/users/locked', checkAuthenticated, checkPermission('users.view'), UserController.lockedAccounts);
+app.post('/users/:id/unlock', checkAuthenticated, checkPermission('accounts.unlock'), UserController.unlockAccount);
+
+// Forgotten passwords and email verification
+app.get('/forgot-password', AccountController.forgotPasswordForm);
+app.post('/forgot-password', AccountController.requestPasswordReset);
+app.get('/reset-password/:token', AccountController.resetPasswordForm);
+app.post('/reset-password/:token', AccountController.resetPassword);
+app.get('/verify-email/:token', AccountController.verifyEmail);
+app.post('/verify-email/resend', AccountController.resendVerification);
 
 // Register / Login (view flows) - keep form handling here to allow hashing + redirect UX
 app.get('/register', (req, res) => {
@@ -147,7 +298,7 @@ app.get('/register', (req, res) => {
 });
 
 app.post('/register', (req, res) => {
-  const { username, email, password, address, contact, joinMembership } = req.body;
+  const { username, email, password, address, postalCode, contact, joinMembership } = req.body;
   const errors = [];
   if (!username) errors.push('Username is required.');
   if (!email) {
@@ -158,6 +309,7 @@ app.post('/register', (req, res) => {
   if (!password) errors.push('Password is required.');
   if (password && password.length < 6) errors.push('Password should be at least 6 characters.');
   if (!address) errors.push('Address is required.');
+  if (!postalCode || !AddressModel.POSTAL_CODE_PATTERN.test(postalCode.trim())) errors.push('Postal code must be 6 digits.');
   if (!contact) errors.push('Contact is required.');
   if (contact && !/^\d{8}$/.test(contact.trim())) errors.push('Contact number must be exactly 8 digits.');
 
@@ -165,33 +317,55 @@ app.post('/register', (req, res) => {
     return res.status(400).render('register', {
       messages: [],
       errors,
-      formData: { username: username || '', email: email || '', address: address || '', contact: contact || '' }
+      formData: { username: username || '', email: email || '', address: address || '', postalCode: postalCode || '', contact: contact || '' }
     });
   }
 
-  const hashed = crypto.createHash('sha1').update(password).digest('hex');
-  const user = { username, email, password: hashed, address, contact, role: 'user' };
+  const registrationFailed = (err) => {
+    console.error('Error adding user:', err);
+    return res.status(500).render('register', {
+      messages: [],
+      errors: ['Registration failed. Please try again.'],
+      formData: { username, email, address, postalCode, contact }
+    });
+  };
 
-  // Use model to add user and then redirect (controller API exists for JSON; keep view UX here)
-  UserModel.addUser(user, (err) => {
-    if (err) {
-      console.error('Error adding user:', err);
-      return res.status(500).render('register', {
-        messages: [],
-        errors: ['Registration failed. Please try again.'],
-        formData: { username, email, address, contact }
+  PasswordService.hash(password, (hashErr, hashed) => {
+    if (hashErr) return registrationFailed(hashErr);
+    const user = { username, email, password: hashed, address, contact, role: 'user' };
+
+    // Use model to add user and then redirect (controller API exists for JSON; keep view UX here)
+    UserModel.addUser(user, (err, result) => {
+      if (err && err.code === 'ER_DUP_ENTRY') {
+        return res.status(400).render('register', {
+          messages: [],
+          errors: ['An account with this email already exists.'],
+          formData: { username, email, address, postalCode, contact }
+        });
+      }
+      if (err) return registrationFailed(err);
+      // The registration address becomes the first entry in the address book
+      const homeAddress = { label: 'Home', recipientName: username, line1: address, postalCode: postalCode.trim(), contact, isDefault: true };
+      AddressModel.create(result.insertId, homeAddress, (addressErr) => {
+        if (addressErr) console.error('Error saving registration address:', addressErr);
       });
-    }
-    if (joinMembership === 'on') {
-      const MembershipModel = require('./models/membership');
-      MembershipModel.createForUser(user.id || null, () => {
-        req.flash('success', 'Registration successful! Membership will be activated after first login.');
-        res.redirect('/login');
+      AccountTokenService.sendVerification({ id: result.insertId, username, email }, (mailErr) => {
+        if (mailErr) console.error('Error sending verification email:', mailErr);
       });
-    } else {
-      req.flash('success', 'Registration successful! Please log in.');
-      res.redirect('/login');
-    }
+      const verifyNote = AccountTokenService.REQUIRE_EMAIL_VERIFICATION
+        ? 'Check your email and open the link we sent to verify your account before logging in.'
+        : 'We have emailed you a link to verify your email address.';
+      if (joinMembership === 'on') {
+        const MembershipModel = require('./models/membership');
+        MembershipModel.createForUser(user.id || null, () => {
+          req.flash('success', `Registration successful! Membership will be activated after first login. ${verifyNote}`);
+          res.redirect('/login');
+        });
+      } else {
+        req.flash('success', `Registration successful! ${verifyNote}`);
+        res.redirect('/login');
+      }
+    });
   });
 });
 
@@ -224,17 +398,29 @@ app.get('/profile', checkAuthenticated, (req, res) => {
       if (req.session && req.session.user) {
         req.session.user.membership = !!membership;
       }
-      res.render('profile', { user: req.session.user, profileUser, membership });
+      ApiTokenModel.getByUser(userId, (tokenErr, apiTokens) => {
+        if (tokenErr) console.error('Error loading API tokens for profile', tokenErr);
+        res.render('profile', {
+          user: req.session.user,
+          profileUser,
+          membership,
+          apiTokens: apiTokens || [],
+          newApiToken: req.flash('apiToken')[0] || null
+        });
+      });
     });
   });
 });
 
+app.post('/profile/api-tokens', checkAuthenticated, ApiTokenController.create);
+app.post('/profile/api-tokens/:id/revoke', checkAuthenticated, ApiTokenController.revoke);
+
 app.post('/profile', checkAuthenticated, (req, res) => {
   const id = req.session.user.id;
-  const { username, email, password, address, contact, currentPassword } = req.body;
+  const { username, email, password, contact, currentPassword } = req.body;
 
-  if (!username || !email || !address || !contact) {
-    req.flash('error', 'Username, email, address, and contact are required.');
+  if (!username || !email || !contact) {
+    req.flash('error', 'Username, email, and contact are required.');
     return res.redirect('/profile');
   }
   if (password && password.length < 6) {
@@ -256,7 +442,6 @@ app.post('/profile', checkAuthenticated, (req, res) => {
     const hasChanges = (
       username !== existing.username ||
       email !== existing.email ||
-      (address || '') !== (existing.address || '') ||
       (contact || '') !== (existing.contact || '') ||
       !!password
     );
@@ -271,69 +456,129 @@ app.post('/profile', checkAuthenticated, (req, res) => {
       return res.redirect('/profile');
     }
 
-    const currentHashed = crypto.createHash('sha1').update(currentPassword).digest('hex');
-    if (currentHashed !== existing.password) {
-      req.flash('error', 'Current password is incorrect.');
-      return res.redirect('/profile');
-    }
-
-    const updated = {
-      username,
-      email,
-      password: password ? crypto.createHash('sha1').update(password).digest('hex') : existing.password,
-      address: address || '',
-      contact: contact || '',
-      role: existing.role
-    };
-
-    UserModel.updateUser(id, updated, (err) => {
-      if (err) {
-        console.error('DB error:', err);
-        req.flash('error', 'Unable to update profile.');
+    PasswordService.verify(currentPassword, existing.password, (verifyErr, check) => {
+      if (verifyErr || !check.valid) {
+        if (verifyErr) console.error('Password check error:', verifyErr);
+        req.flash('error', 'Current password is incorrect.');
         return res.redirect('/profile');
       }
-      UserModel.getUserById(id, (refreshErr, freshUser) => {
-        if (refreshErr || !freshUser) {
-          if (refreshErr) console.error('DB error:', refreshErr);
-          req.flash('success', 'Profile updated.');
+
+      // A new password is hashed; otherwise a correct old-style one is rehashed while we have it.
+      const nextPassword = password || (check.needsRehash ? currentPassword : null);
+      const hashNext = nextPassword ? (done) => PasswordService.hash(nextPassword, done) : (done) => done(null, existing.password);
+      hashNext((hashErr, hashed) => {
+        if (hashErr) {
+          console.error('Password hash error:', hashErr);
+          req.flash('error', 'Unable to update profile.');
           return res.redirect('/profile');
         }
-        req.session.user = enrichUser(freshUser);
-        req.flash('success', 'Profile updated.');
-        res.redirect('/profile');
+        const updated = {
+          username,
+          email,
+          password: hashed,
+          // Addresses are managed in the address book, which keeps this column in step with the default
+          address: existing.address || '',
+          contact: contact || '',
+          role: existing.role
+        };
+
+        UserModel.updateUser(id, updated, (err) => {
+          if (err) {
+            console.error('DB error:', err);
+            req.flash('error', err.code === 'ER_DUP_ENTRY' ? 'That email is already used by another account.' : 'Unable to update profile.');
+            return res.redirect('/profile');
+          }
+          const emailChanged = email !== existing.email;
+          const afterEmailCheck = emailChanged
+            ? (done) => AccountTokenService.emailChanged({ id, username, email }, (mailErr) => {
+              if (mailErr) console.error('Error sending verification email:', mailErr);
+              done();
+            })
+            : (done) => done();
+          const updatedMessage = emailChanged ? 'Profile updated. We have sent a link to verify your new email.' : 'Profile updated.';
+          afterEmailCheck(() => {
+            UserModel.getUserById(id, (refreshErr, freshUser) => {
+              if (refreshErr || !freshUser) {
+                if (refreshErr) console.error('DB error:', refreshErr);
+                req.flash('success', updatedMessage);
+                return res.redirect('/profile');
+              }
+              req.session.user = enrichUser(freshUser);
+              req.flash('success', updatedMessage);
+              res.redirect('/profile');
+            });
+          });
+        });
       });
     });
   });
 });
 
 app.post('/login', (req, res) => {
-  const { email, password } = req.body;
+  const { password } = req.body;
+  // Trimmed before the lookup so the throttle counts " a@b.com" and "a@b.com" as one account.
+  const email = (req.body.email || '').trim();
   const errors = [];
   if (!email) {
     errors.push('Email is required.');
-  } else if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email.trim())) {
+  } else if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
     errors.push('A valid email is required (e.g., name@example.com).');
   }
   if (!password) errors.push('Password is required.');
   if (errors.length) {
     return res.status(400).render('login', { messages: [], errors, formData: { email: email || '' } });
   }
-  const hashed = crypto.createHash('sha1').update(password).digest('hex');
+  const loginFailed = (err) => {
+    console.error('DB error:', err);
+    return res.status(500).render('login', { messages: [], errors: ['Login failed. Please try again.'], formData: { email } });
+  };
+  const refused = (status, err) => {
+    if (err.retryAfterSeconds) res.set('Retry-After', String(err.retryAfterSeconds));
+    return res.status(status).render('login', { messages: [], errors: [err.message], formData: { email } });
+  };
+  const invalid = () => res.status(401).render('login', { messages: [], errors: ['Invalid email or password.'], formData: { email } });
 
-  // Use model to find the user
-  UserModel.getAllUsers((err, users) => {
-    if (err) {
-      console.error('DB error:', err);
-      return res.status(500).render('login', { messages: [], errors: ['Login failed. Please try again.'], formData: { email } });
-    }
-    const found = users.find(u => u.email === email && u.password === hashed);
-    if (!found) {
-      return res.status(401).render('login', { messages: [], errors: ['Invalid email or password.'], formData: { email } });
-    }
-    // Preserve the stored username for display.
-    req.session.user = found;
-    req.flash('success', 'Login successful!');
-    return found.role === 'user' ? res.redirect('/shopping') : res.redirect('/inventory');
+  LoginThrottleService.checkIp(req.ip, (ipErr) => {
+    if (ipErr) return LoginThrottleService.isThrottleError(ipErr) ? refused(429, ipErr) : loginFailed(ipErr);
+
+    UserModel.getUserByEmail(email, (err, found) => {
+      if (err) return loginFailed(err);
+      if (!found) return LoginThrottleService.recordFailure(req.ip, email, null, false, () => invalid());
+
+      const accountErr = LoginThrottleService.checkAccount(found);
+      if (accountErr) return LoginThrottleService.recordFailure(req.ip, email, found, false, () => refused(429, accountErr));
+
+      PasswordService.verify(password, found.password, (verifyErr, check) => {
+        if (verifyErr) return loginFailed(verifyErr);
+        if (!check.valid) {
+          return LoginThrottleService.recordFailure(req.ip, email, found, true, (lockedErr) => (lockedErr ? refused(429, lockedErr) : invalid()));
+        }
+
+        LoginThrottleService.recordSuccess(req.ip, email, found);
+        // Old SHA-1 passwords are replaced with a proper hash now that we know the password.
+        if (check.needsRehash) {
+          PasswordService.hash(password, (hashErr, hashed) => {
+            if (hashErr) return console.error('Password rehash error:', hashErr);
+            UserModel.updatePassword(found.id, hashed, (updateErr) => {
+              if (updateErr) console.error('Password rehash error:', updateErr);
+            });
+          });
+        }
+        if (AccountTokenService.needsVerification(found)) {
+          return res.status(403).render('login', {
+            messages: [],
+            errors: ['Please verify your email before logging in. Open the link we emailed you.'],
+            formData: { email },
+            unverifiedEmail: found.email
+          });
+        }
+        const { login, ...sessionUser } = found;
+        // Preserve the stored username for display.
+        req.session.user = sessionUser;
+        req.flash('success', 'Login successful!');
+        return res.redirect(RoleService.homeFor(sessionUser));
+      });
+    });
   });
 });
 
@@ -344,25 +589,41 @@ app.get('/logout', (req, res) => {
 // Shopping / cart / product pages (use models for rendering)
 app.get('/shopping', checkAuthenticated, (req, res) => {
   const userId = req.session.user.id;
-  ProductModel.getAllProducts((err, products) => {
+  const filters = ProductController.parseListQuery(req.query);
+  ProductModel.searchProducts(filters, (err, result) => {
     if (err) return res.status(500).send('Database error');
-    MembershipModel.getByUser(userId, (mErr, membership) => {
-      if (mErr) {
-        console.error('Error loading membership for shopping view', mErr);
-        membership = null;
-      }
-      if (req.session && req.session.user) {
-        req.session.user.membership = !!membership;
-      }
-      RefundCreditModel.getLatestAvailableByUser(userId, (cErr, credit) => {
-        if (cErr) console.error('Error loading refund credit for shopping', cErr);
-        const availableCredit = credit && Number(credit.amount) ? Number(credit.amount) : 0;
-        res.render('shopping', {
-          user: req.session.user,
-          products,
-          membership,
-          loyaltyRedemption: req.session.loyaltyRedemption || null,
-          refundCreditAmount: availableCredit
+    ProductModel.getCategories((catErr, categories) => {
+      if (catErr) console.error('Error loading categories for shopping view', catErr);
+      ProductVariantModel.getByProductIds(result.products.map((p) => p.id), (vErr, variantsByProduct) => {
+        if (vErr) console.error('Error loading variants for shopping view', vErr);
+        MembershipModel.getByUser(userId, (mErr, membership) => {
+          if (mErr) {
+            console.error('Error loading membership for shopping view', mErr);
+            membership = null;
+          }
+          if (req.session && req.session.user) {
+            req.session.user.membership = !!membership;
+          }
+          RefundCreditModel.getLatestAvailableByUser(userId, (cErr, credit) => {
+            if (cErr) console.error('Error loading refund credit for shopping', cErr);
+            const availableCredit = credit && Number(credit.amount) ? Number(credit.amount) : 0;
+            res.render('shopping', {
+              user: req.session.user,
+              products: result.products,
+              pagination: {
+                total: result.total,
+                page: result.page,
+                limit: result.limit,
+                totalPages: result.totalPages
+              },
+              filters,
+              categories: categories || [],
+              variantsByProduct: variantsByProduct || {},
+              membership,
+              loyaltyRedemption: req.session.loyaltyRedemption || null,
+              refundCreditAmount: availableCredit
+            });
+          });
         });
       });
     });
@@ -373,9 +634,12 @@ app.post('/add-to-cart/:id', checkAuthenticated, CartController.addItem);
 app.post('/cart/add/:productId', checkAuthenticated, CartController.addItem); // alias
 app.post('/cart/update/:id', checkAuthenticated, CartController.updateQuantity);
 app.post('/cart/remove/:id', checkAuthenticated, CartController.removeItem);
+app.post('/cart/substitution/:id', checkAuthenticated, CartController.updateSubstitution);
 app.get('/cart', checkAuthenticated, CartController.viewCart);
 app.get('/checkout', checkAuthenticated, CartController.viewCheckout);
 app.post('/checkout', checkAuthenticated, CartController.processCheckout);
+app.post('/checkout/coupon', checkAuthenticated, CartController.applyCoupon);
+app.post('/api/checkout/quote', checkAuthenticated, CartController.quoteCheckout);
 app.post('/api/paypal/create-order', checkAuthenticated, CartController.createPaypalOrder);
 app.post('/api/paypal/capture-order', checkAuthenticated, CartController.capturePaypalOrder);
 app.post('/nets/qr', checkAuthenticated, NetsController.generateQrCode);
@@ -383,11 +647,12 @@ app.get('/nets/qr/fail', checkAuthenticated, NetsController.fail.bind(NetsContro
 app.post('/nets/confirm', checkAuthenticated, NetsController.confirmPayment.bind(NetsController));
 app.post('/api/stripe/create-intent', checkAuthenticated, CartController.createStripePaymentIntent);
 app.post('/api/stripe/confirm-payment', checkAuthenticated, CartController.confirmStripePayment);
+app.post('/api/checkout/release', checkAuthenticated, CartController.releasePendingPayment);
 app.get('/orders/:id/report', checkAuthenticated, RefundController.reportForm.bind(RefundController));
 app.post('/orders/:id/report', checkAuthenticated, reportUpload.single('evidence'), RefundController.ensureRequiredFields.bind(RefundController), RefundController.submitReport.bind(RefundController));
-app.get('/refunds', checkAuthenticated, checkAdmin, RefundController.listReports.bind(RefundController));
-app.get('/refunds/:id', checkAuthenticated, checkAdmin, RefundController.viewReport.bind(RefundController));
-app.post('/refunds/:id/resolve', checkAuthenticated, checkAdmin, RefundController.resolveReport.bind(RefundController));
+app.get('/refunds', checkAuthenticated, checkPermission('refunds.view'), RefundController.listReports.bind(RefundController));
+app.get('/refunds/:id', checkAuthenticated, checkPermission('refunds.view'), RefundController.viewReport.bind(RefundController));
+app.post('/refunds/:id/resolve', checkAuthenticated, checkPermission('refunds.resolve'), RefundController.resolveReport.bind(RefundController));
 app.get('/my-refunds/:orderId', checkAuthenticated, RefundController.viewUserReport.bind(RefundController));
 app.get('/membership', checkAuthenticated, (req, res) => {
   res.redirect('/profile');
@@ -406,6 +671,13 @@ app.post('/membership/join', checkAuthenticated, (req, res) => {
 
 app.post('/membership/redeem', checkAuthenticated, CartController.redeemLoyalty);
 
+// Address book
+app.get('/addresses', checkAuthenticated, AddressController.list);
+app.post('/addresses', checkAuthenticated, AddressController.create);
+app.post('/addresses/:id/edit', checkAuthenticated, AddressController.update);
+app.post('/addresses/:id/default', checkAuthenticated, AddressController.setDefault);
+app.post('/addresses/:id/delete', checkAuthenticated, AddressController.remove);
+
 // User order history
 app.get('/my-orders', checkAuthenticated, (req, res) => {
   OrderModel.getOrdersByUser(req.session.user.id, (err, orders) => {
@@ -417,11 +689,20 @@ app.get('/my-orders', checkAuthenticated, (req, res) => {
     const orderIds = (orders || []).map((o) => o.id);
     RefundModel.getReportsByOrderIds(orderIds, (rErr, reportsMap) => {
       if (rErr) console.error('Refund map error:', rErr);
-      const hydrated = (orders || []).map((o) => ({
-        ...o,
-        refund: reportsMap ? reportsMap[o.id] : null
-      }));
-      res.render('orderHistory', { orders: hydrated, user: req.session.user });
+      OrderModel.getStatusHistoryByOrderIds(orderIds, (hErr, historyMap) => {
+        if (hErr) console.error('Order history error:', hErr);
+        PickingService.loadSubstitutes(orders || [], (sErr, withSubstitutes) => {
+          if (sErr) console.error('Order substitutes error:', sErr);
+          const hydrated = (sErr ? orders || [] : withSubstitutes).map((o) => ({
+            ...o,
+            refund: reportsMap ? reportsMap[o.id] : null,
+            history: historyMap ? historyMap[o.id] || [] : [],
+            cancellable: CancellationService.isCancellable(o),
+            refundsToOriginal: RefundService.canRefundToOriginal(o)
+          }));
+          res.render('orderHistory', { orders: hydrated, user: req.session.user });
+        });
+      });
     });
   });
 });
@@ -442,13 +723,18 @@ app.post('/orders/:id/complete', checkAuthenticated, (req, res) => {
       req.flash('error', 'Order not found.');
       return res.redirect('/my-orders');
     }
-    // only owner or admin may complete
-    if (req.session.user.role !== 'admin' && order.userId !== req.session.user.id) {
+    // only the owner or staff who manage orders may complete
+    if (!RoleService.can(req.session.user, 'orders.manage') && order.userId !== req.session.user.id) {
       req.flash('error', 'Access denied.');
       return res.redirect('/my-orders');
     }
-    OrderModel.updateStatus(id, 'completed', (updateErr) => {
+    const context = { changedBy: req.session.user.id, note: 'Receipt confirmed by customer' };
+    OrderModel.updateStatus(id, 'completed', context, (updateErr) => {
       if (updateErr) {
+        if (updateErr.code === 'INVALID_STATUS_TRANSITION') {
+          req.flash('error', 'Only delivered or collected orders can be confirmed.');
+          return res.redirect('/my-orders');
+        }
         console.error('DB error:', updateErr);
         req.flash('error', 'Unable to mark as completed.');
         return res.redirect('/my-orders');
@@ -459,62 +745,184 @@ app.post('/orders/:id/complete', checkAuthenticated, (req, res) => {
   });
 });
 
+// Customers may cancel their own order until staff start picking it
+app.post('/orders/:id/cancel', checkAuthenticated, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) {
+    req.flash('error', 'Invalid order id.');
+    return res.redirect('/my-orders');
+  }
+  CancellationService.cancelOrder(id, req.session.user.id, req.body.refundTo || 'credit', (err, result) => {
+    if (err) {
+      if (!CancellationService.isCancelError(err)) console.error('DB error:', err);
+      req.flash('error', CancellationService.isCancelError(err) ? err.message : 'Unable to cancel the order.');
+      return res.redirect('/my-orders');
+    }
+    if (!result) {
+      req.flash('error', 'Order not found.');
+      return res.redirect('/my-orders');
+    }
+    const { refund } = result;
+    const amount = `$${refund.amount.toFixed(2)}`;
+    let message = `Order #${id} cancelled.`;
+    if (refund.unconfirmed) {
+      message += ` We couldn't confirm the ${amount} refund to your original payment yet; our team will check it with the payment provider.`;
+    } else if (refund.refundedTo === 'original') {
+      message += ` ${amount} is being refunded to your original payment.`;
+    } else if (refund.refundedTo === 'credit') {
+      message += refund.fallback
+        ? ` We couldn't refund your original payment, so ${amount} has been added as store credit.`
+        : ` ${amount} has been added as store credit.`;
+    }
+    req.flash('success', message);
+    res.redirect('/my-orders');
+  });
+});
+
+// Customer's answer to a substitute offered while their order was being picked
+app.post('/orders/:id/substitutes/:itemId', checkAuthenticated, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const itemId = parseInt(req.params.itemId, 10);
+  if (Number.isNaN(id) || Number.isNaN(itemId)) {
+    req.flash('error', 'Invalid order line.');
+    return res.redirect('/my-orders');
+  }
+  const accept = req.body.decision === 'accept';
+  if (!accept && req.body.decision !== 'reject') {
+    req.flash('error', 'Accept or reject the substitute.');
+    return res.redirect('/my-orders');
+  }
+  PickingService.respondToSubstitute(id, itemId, accept, req.session.user.id, (err, result) => {
+    if (err) {
+      if (!PickingService.isPickError(err)) console.error('DB error:', err);
+      req.flash('error', PickingService.isPickError(err) ? err.message : 'Unable to record your answer.');
+      return res.redirect('/my-orders');
+    }
+    if (!result) {
+      req.flash('error', 'Order not found.');
+      return res.redirect('/my-orders');
+    }
+    req.flash('success', accept
+      ? `${result.item.substitute.productName} accepted for order #${id}.`
+      : `Substitute declined. ${result.item.productName} will be refunded as store credit when order #${id} is packed.`);
+    res.redirect('/my-orders');
+  });
+});
+
 app.get('/product/:id', checkAuthenticated, (req, res) => {
   const productId = parseInt(req.params.id, 10);
   ProductModel.getProductById(productId, (err, product) => {
     if (err) return res.status(500).send('Database error');
     if (!product) return res.status(404).send('Product not found');
-    res.render('product', { product, user: req.session.user });
+    ProductVariantModel.getByProduct(productId, (vErr, variants) => {
+      if (vErr) console.error('Error loading product variants:', vErr);
+      res.render('product', { product, variants: variants || [], user: req.session.user });
+    });
   });
 });
 
 // Add / update / delete product (view flows) use model + multer
-app.get('/addProduct', checkAuthenticated, checkAdmin, (req, res) => res.render('addProduct', { user: req.session.user }));
-
-app.post('/addProduct', checkAuthenticated, checkAdmin, upload.single('image'), (req, res) => {
-  const { name, quantity, price, category, customCategory } = req.body;
-  const priceNum = normalizePrice(price);
-  if (priceNum == null) {
-    req.flash('error', 'Price must be a positive number.');
+app.get('/addProduct', checkAuthenticated, checkPermission('inventory.manage'), (req, res) => res.render('addProduct', { user: req.session.user }));
+
+// Product forms post the main image as `image` and per-variant images as `variant_<key>_image`
+app.post('/addProduct', checkAuthenticated, checkPermission('inventory.manage'), upload.any(), (req, res) => {
+  const { name, quantity, price, category, customCategory, reorderThreshold, reorderQuantity } = req.body;
+  const files = req.files || [];
+  const { variants, errors } = ProductController.parseVariantForm(req.body, files, name);
+  // With variants, product price/stock are derived from them, so the base price may be left blank.
+  const priceNum = normalizePrice(price) || (variants.length ? Math.min(...variants.map((v) => v.price || 0)) : null);
+  if (priceNum == null || priceNum <= 0) errors.unshift('Price must be a positive number.');
+  if (errors.length) {
+    req.flash('error', errors);
     return res.redirect('/addProduct');
   }
   const chosenCategory = (category === 'Other' ? (customCategory || '') : category) || 'Uncategorized';
-  const image = req.file ? req.file.filename : '';
-  const product = { productName: name, quantity: Number(quantity), price: priceNum, image, category: chosenCategory || null };
-  ProductModel.addProduct(product, (err) => {
+  const mainImage = files.find((f) => f.fieldname === 'image');
+  const image = mainImage ? mainImage.filename : '';
+  const product = {
+    productName: name,
+    // Variant stock is recorded per variant, so the product itself opens at zero
+    quantity: variants.length ? 0 : Number(quantity) || 0,
+    price: priceNum,
+    image,
+    category: chosenCategory || null,
+    reorderThreshold,
+    reorderQuantity,
+    createdBy: req.session.user.id
+  };
+  ProductModel.addProduct(product, (err, result) => {
     if (err) return res.status(500).send('Error adding product');
-    res.redirect('/inventory');
+    if (!variants.length) return res.redirect('/inventory');
+    ProductVariantModel.syncForProduct(result.insertId, variants, req.session.user.id, (vErr) => {
+      if (vErr) {
+        console.error('Error saving product variants:', vErr);
+        req.flash('error', vErr.code === 'ER_DUP_ENTRY'
+          ? 'Product saved, but a variant SKU is already in use. Please edit the variants.'
+          : 'Product saved, but its variants could not be saved.');
+        return res.redirect(`/updateProduct/${result.insertId}`);
+      }
+      res.redirect('/inventory');
+    });
   });
 });
 
-app.get('/updateProduct/:id', checkAuthenticated, checkAdmin, (req, res) => {
+app.get('/updateProduct/:id', checkAuthenticated, checkPermission('inventory.manage'), (req, res) => {
   const id = parseInt(req.params.id, 10);
   ProductModel.getProductById(id, (err, product) => {
     if (err) return res.status(500).send('Database error');
     if (!product) return res.status(404).send('Product not found');
-    res.render('updateProduct', { product, user: req.session.user });
+    ProductVariantModel.getByProduct(id, (vErr, variants) => {
+      if (vErr) console.error('Error loading product variants:', vErr);
+      res.render('updateProduct', { product, variants: variants || [], user: req.session.user });
+    });
   });
 });
 
-app.post('/updateProduct/:id', checkAuthenticated, checkAdmin, upload.single('image'), (req, res) => {
+app.post('/updateProduct/:id', checkAuthenticated, checkPermission('inventory.manage'), upload.any(), (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const { name, quantity, price, currentImage, category, customCategory } = req.body;
-  const priceNum = normalizePrice(price);
-  if (priceNum == null) {
-    req.flash('error', 'Price must be a positive number.');
+  const { name, quantity, price, currentImage, category, customCategory, reorderThreshold, reorderQuantity } = req.body;
+  const files = req.files || [];
+  const { variants, errors } = ProductController.parseVariantForm(req.body, files, name);
+  const priceNum = normalizePrice(price) || (variants.length ? Math.min(...variants.map((v) => v.price || 0)) : null);
+  if (priceNum == null || priceNum <= 0) errors.unshift('Price must be a positive number.');
+  if (errors.length) {
+    req.flash('error', errors);
     return res.redirect(`/updateProduct/${id}`);
   }
   const chosenCategory = (category === 'Other' ? (customCategory || '') : category) || 'Uncategorized';
-  const image = req.file ? req.file.filename : (currentImage || '');
-  const product = { productName: name, quantity: Number(quantity), price: priceNum, image, category: chosenCategory || null };
+  const mainImage = files.find((f) => f.fieldname === 'image');
+  const image = mainImage ? mainImage.filename : (currentImage || '');
+  const product = {
+    productName: name,
+    // With variants the stock total is maintained from the variant rows instead
+    quantity: variants.length ? undefined : Number(quantity) || 0,
+    price: priceNum,
+    image,
+    category: chosenCategory || null,
+    reorderThreshold,
+    reorderQuantity,
+    updatedBy: req.session.user.id
+  };
   ProductModel.updateProduct(id, product, (err) => {
     if (err) return res.status(500).send('Error updating product');
-    res.redirect('/inventory');
+    ProductVariantModel.syncForProduct(id, variants, req.session.user.id, (vErr) => {
+      if (vErr) {
+        console.error('Error saving product variants:', vErr);
+        req.flash('error', vErr.code === 'ER_DUP_ENTRY'
+          ? 'A variant SKU is already in use by another product.'
+          : 'Product saved, but its variants could not be saved.');
+        return res.redirect(`/updateProduct/${id}`);
+      }
+      CartModel.removeOrphanedVariantItems(id, (cErr) => {
+        if (cErr) console.error('Error cleaning cart items for removed variants:', cErr);
+        res.redirect('/inventory');
+      });
+    });
   });
 });
 
 // Admin dashboards
-app.get('/orders', checkAuthenticated, checkAdmin, (req, res) => {
+app.get('/orders', checkAuthenticated, checkPermission('orders.view'), (req, res) => {
   OrderModel.getAllOrders((err, orders) => {
     if (err) {
       console.error('DB error:', err);
@@ -524,27 +932,35 @@ app.get('/orders', checkAuthenticated, checkAdmin, (req, res) => {
     const orderIds = (orders || []).map((o) => o.id);
     RefundModel.getReportsByOrderIds(orderIds, (rErr, reportsMap) => {
       if (rErr) console.error('Refund map error:', rErr);
-      const hydrated = (orders || []).map((o) => ({
-        ...o,
-        refund: reportsMap ? reportsMap[o.id] : null
-      }));
-      res.render('orderDashboard', { orders: hydrated || [], user: req.session.user });
+      OrderModel.getStatusHistoryByOrderIds(orderIds, (hErr, historyMap) => {
+        if (hErr) console.error('Order history error:', hErr);
+        const hydrated = (orders || []).map((o) => ({
+          ...o,
+          refund: reportsMap ? reportsMap[o.id] : null,
+          history: historyMap ? historyMap[o.id] || [] : []
+        }));
+        res.render('orderDashboard', { orders: hydrated || [], user: req.session.user });
+      });
     });
   });
 });
 
-app.get('/users', checkAuthenticated, checkAdmin, (req, res) => {
+app.get('/users', checkAuthenticated, checkPermission('users.view'), (req, res) => {
   UserModel.getAllUsers((err, users) => {
     if (err) {
       console.error('DB error:', err);
       req.flash('error', 'Unable to load users.');
-      return res.render('userDashboard', { users: [], user: req.session.user });
+      return res.render('userDashboard', { users: [], roles: RoleService.ROLES, permissions: RoleService.PERMISSIONS, user: req.session.user });
     }
-    res.render('userDashboard', { users: users || [], user: req.session.user });
+    res.render('userDashboard', { users: users || [], roles: RoleService.ROLES, permissions: RoleService.PERMISSIONS, user: req.session.user });
   });
 });
 
-app.get('/orders/:id/edit', checkAuthenticated, checkAdmin, (req, res) => {
+// Cancelling or refunding an order also has to return its stock, loyalty points, store credit and
+// payment, so those go through the customer's cancel option and refund requests, not the edit form.
+const EDIT_FORM_EXCLUDED_STATUSES = ['cancelled', 'refunded'];
+
+app.get('/orders/:id/edit', checkAuthenticated, checkPermission('orders.manage'), (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) {
     req.flash('error', 'Invalid order id.');
@@ -560,34 +976,63 @@ app.get('/orders/:id/edit', checkAuthenticated, checkAdmin, (req, res) => {
       req.flash('error', 'Order not found.');
       return res.redirect('/orders');
     }
-    res.render('editOrder', { order, user: req.session.user });
+    OrderModel.getStatusHistory(id, (hErr, history) => {
+      if (hErr) console.error('Order history error:', hErr);
+      res.render('editOrder', {
+        order: { ...order, nextStatuses: order.nextStatuses.filter((next) => !EDIT_FORM_EXCLUDED_STATUSES.includes(next)) },
+        history: history || [],
+        statusLabels: OrderModel.STATUS_LABELS,
+        user: req.session.user
+      });
+    });
   });
 });
 
-app.post('/orders/:id/edit', checkAuthenticated, checkAdmin, (req, res) => {
+app.post('/orders/:id/edit', checkAuthenticated, checkPermission('orders.manage'), (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) {
     req.flash('error', 'Invalid order id.');
     return res.redirect('/orders');
   }
-  const { userId, totalAmount, status } = req.body;
+  const { userId, totalAmount, status, statusNote } = req.body;
   const orderData = {
     userId: userId != null ? Number(userId) : undefined,
     totalAmount: totalAmount != null ? Number(totalAmount) : undefined,
-    status
+    status: status || undefined,
+    statusNote,
+    changedBy: req.session.user.id
   };
-  OrderModel.updateOrder(id, orderData, undefined, (err, result) => {
-    if (err) {
-      console.error('DB error:', err);
+  OrderModel.getOrderById(id, (findErr, existing) => {
+    if (findErr) {
+      console.error('DB error:', findErr);
       req.flash('error', 'Unable to update order.');
       return res.redirect(`/orders/${id}/edit`);
     }
-    if (!result) {
+    if (!existing) {
       req.flash('error', 'Order not found.');
       return res.redirect('/orders');
     }
-    req.flash('success', 'Order updated.');
-    res.redirect('/orders');
+    if (orderData.status && orderData.status !== existing.status && EDIT_FORM_EXCLUDED_STATUSES.includes(orderData.status)) {
+      req.flash('error', 'Cancel or refund an order through a cancellation or refund request so its stock, points, credit and payment are returned too.');
+      return res.redirect(`/orders/${id}/edit`);
+    }
+    OrderModel.updateOrder(id, orderData, undefined, (err, result) => {
+      if (err) {
+        if (err.code === 'INVALID_STATUS_TRANSITION' || err.code === 'ORDER_STATUS_CONFLICT') {
+          req.flash('error', err.message);
+          return res.redirect(`/orders/${id}/edit`);
+        }
+        console.error('DB error:', err);
+        req.flash('error', 'Unable to update order.');
+        return res.redirect(`/orders/${id}/edit`);
+      }
+      if (!result) {
+        req.flash('error', 'Order not found.');
+        return res.redirect('/orders');
+      }
+      req.flash('success', 'Order updated.');
+      res.redirect('/orders');
+    });
   });
 });
 
@@ -602,53 +1047,52 @@ app.get('/invoice/:id', checkAuthenticated, (req, res) => {
     }
     if (!order) return res.status(404).send('Order not found');
 
-    // Only allow owner or admin to view
-    if (req.session.user.role !== 'admin' && order.userId !== req.session.user.id) {
+    // Only allow the owner or staff who can see all orders to view
+    if (!RoleService.can(req.session.user, 'orders.view') && order.userId !== req.session.user.id) {
       req.flash('error', 'Access denied.');
       return res.redirect('/shopping');
     }
 
-    const checkout = {
-      fullName: req.session.user.username || '',
-      email: req.session.user.email || '',
-      address: req.session.user.address || '',
-      contact: req.session.user.contact || ''
+    const pricing = PricingService.orderPricing(order);
+    const renderInvoice = (checkout) => res.render('invoice', {
+      order,
+      orderId: order.id,
+      checkout,
+      pricing,
+      user: req.session.user
+    });
+    // Orders placed before contact details were stored fall back to the customer's current profile
+    const withCheckoutDetails = (next) => {
+      if (order.contactDetails) return next(order.contactDetails);
+      UserModel.getUserById(order.userId, (userErr, customer) => {
+        if (userErr) console.error('Error loading customer for invoice', userErr);
+        next({
+          fullName: (customer && customer.username) || '',
+          email: (customer && customer.email) || '',
+          address: (customer && customer.address) || '',
+          contact: (customer && customer.contact) || ''
+        });
+      });
     };
 
-    // Compute discount amount based on items vs total
-    let discountAmount = 0;
-    if (order && order.items && order.items.length) {
-      const subtotal = order.items.reduce((sum, item) => {
-        const price = Number(item.price || 0);
-        const qty = Number(item.quantity || 0);
-        return sum + price * qty;
-      }, 0);
-      const total = Number(order.totalAmount || 0);
-      const diff = subtotal - total;
-      if (diff > 0.009) discountAmount = Number(diff.toFixed(2));
-    }
-
-    const effectiveDiscount = (() => {
-      if (order && order.discountPercent != null) {
-        const percent = Number(order.discountPercent);
-        if (order.items && order.items.length) {
-          const subtotal = order.items.reduce((sum, item) => {
-            const price = Number(item.price || 0);
-            const qty = Number(item.quantity || 0);
-            return sum + price * qty;
-          }, 0);
-          const diff = subtotal * (percent / 100);
-          return Number(diff.toFixed(2));
-        }
-      }
-      return discountAmount || 0;
-    })();
+    withCheckoutDetails((checkout) => {
+      if (!pricing.legacy) return renderInvoice(checkout);
 
-    res.render('invoice', { order, orderId: order.id, checkout, discountAmount: effectiveDiscount, user: req.session.user });
+      // Older orders have no stored breakdown; use their recorded promotion lines when there are any
+      PromotionModel.getRedemptionsByOrder(order.id, (promoErr, promotionLines) => {
+        if (promoErr) console.error('Error loading order promotions', promoErr);
+        if (promotionLines && promotionLines.length) {
+          pricing.discounts = promotionLines;
+          pricing.discountTotal = Number(promotionLines.reduce((sum, line) => sum + line.amount, 0).toFixed(2));
+          pricing.discountedSubtotal = Number(Math.max(0, pricing.subtotal - pricing.discountTotal).toFixed(2));
+        }
+        renderInvoice(checkout);
+      });
+    });
   });
 });
 
-app.post('/orders/:id/delete', checkAuthenticated, checkAdmin, (req, res) => {
+app.post('/orders/:id/delete', checkAuthenticated, checkPermission('orders.manage'), (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) {
     req.flash('error', 'Invalid order id.');
@@ -669,7 +1113,7 @@ app.post('/orders/:id/delete', checkAuthenticated, checkAdmin, (req, res) => {
   });
 });
 
-app.get('/users/:id/edit', checkAuthenticated, checkAdmin, (req, res) => {
+app.get('/users/:id/edit', checkAuthenticated, checkPermission('users.manage'), (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) {
     req.flash('error', 'Invalid user id.');
@@ -681,11 +1125,11 @@ app.get('/users/:id/edit', checkAuthenticated, checkAdmin, (req, res) => {
       req.flash('error', 'Unable to load user.');
       return res.redirect('/users');
     }
-    res.render('editUser', { editUser, user: req.session.user });
+    res.render('editUser', { editUser, roles: RoleService.ROLES, user: req.session.user });
   });
 });
 
-app.post('/users/:id/edit', checkAuthenticated, checkAdmin, (req, res) => {
+app.post('/users/:id/edit', checkAuthenticated, checkPermission('users.manage'), (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) {
     req.flash('error', 'Invalid user id.');
@@ -698,27 +1142,39 @@ app.post('/users/:id/edit', checkAuthenticated, checkAdmin, (req, res) => {
       req.flash('error', 'User not found.');
       return res.redirect('/users');
     }
-    const updated = {
-      username: username || existing.username,
-      email: email || existing.email,
-      password: password ? crypto.createHash('sha1').update(password).digest('hex') : existing.password,
-      address: address || existing.address,
-      contact: contact || existing.contact,
-      role: role || existing.role
+    const roleError = RoleService.roleChangeError(req.session.user, existing, role || existing.role);
+    if (roleError) {
+      req.flash('error', roleError);
+      return res.redirect(`/users/${id}/edit`);
+    }
+    const hashNext = password ? (done) => PasswordService.hash(password, done) : (done) => done(null, existing.password);
+    const updateFailed = (err) => {
+      console.error('DB error:', err);
+      req.flash('error', 'Unable to update user.');
+      return res.redirect(`/users/${id}/edit`);
     };
-    UserModel.updateUser(id, updated, (err) => {
-      if (err) {
-        console.error('DB error:', err);
-        req.flash('error', 'Unable to update user.');
-        return res.redirect(`/users/${id}/edit`);
-      }
-      req.flash('success', 'User updated.');
-      res.redirect('/users');
+    hashNext((hashErr, hashed) => {
+      if (hashErr) return updateFailed(hashErr);
+      const updated = {
+        username: username || existing.username,
+        email: email || existing.email,
+        password: hashed,
+        address: address || existing.address,
+        contact: contact || existing.contact,
+        role: role || existing.role
+      };
+      UserModel.updateUser(id, updated, (err) => {
+        if (err) return updateFailed(err);
+        req.flash('success', 'User updated.');
+        res.redirect('/users');
+      });
     });
   });
 });
 
-app.get('/deleteProduct/:id', checkAuthenticated, checkAdmin, (req, res) => {
+app.post('/users/:id/role', checkAuthenticated, checkPermission('users.manage'), UserController.assignRole);
+
+app.get('/deleteProduct/:id', checkAuthenticated, checkPermission('inventory.manage'), (req, res) => {
   const id = parseInt(req.params.id, 10);
   ProductModel.deleteProduct(id, (err) => {
     if (err) return res.status(500).send('Error deleting product');
@@ -726,39 +1182,46 @@ app.get('/deleteProduct/:id', checkAuthenticated, checkAdmin, (req, res) => {
   });
 });
 
-app.post('/users/:id/delete', checkAuthenticated, checkAdmin, (req, res) => {
+app.post('/users/:id/delete', checkAuthenticated, checkPermission('users.manage'), (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (Number.isNaN(id)) {
     req.flash('error', 'Invalid user id.');
     return res.redirect('/users');
   }
-  UserModel.deleteUser(id, (err) => {
-    if (err) {
-      console.error('DB error:', err);
-      req.flash('error', 'Unable to delete user.');
+  RoleService.checkRemoval(req.session.user, id, (checkErr, target, removalError) => {
+    if (checkErr || !target || removalError) {
+      if (checkErr) console.error('DB error:', checkErr);
+      req.flash('error', removalError || (checkErr ? 'Unable to delete user.' : 'User not found.'));
       return res.redirect('/users');
     }
-    req.flash('success', 'User deleted.');
-    res.redirect('/users');
+    UserModel.deleteUser(id, (err) => {
+      if (err) {
+        console.error('DB error:', err);
+        req.flash('error', 'Unable to delete user.');
+        return res.redirect('/users');
+      }
+      req.flash('success', 'User deleted.');
+      res.redirect('/users');
+    });
   });
 });
 
 // ----------------- API routes (use controllers) -----------------
 
-// Users (RESTful API)
-app.get('/api/users', UserController.listUsers);
-app.get('/api/users/:id', UserController.getUser);
-app.post('/api/users', UserController.createUser);
-app.put('/api/users/:id', UserController.updateUser);
-app.delete('/api/users/:id', UserController.deleteUser);
+// Users (RESTful API) - staff with user permissions, except that anyone can read their own account
+app.get('/api/users', apiAuthenticated, apiPermission('users.view'), UserController.listUsers);
+app.get('/api/users/:id', apiAuthenticated, UserController.getUser);
+app.post('/api/users', apiAuthenticated, apiPermission('users.manage'), UserController.createUser);
+app.put('/api/users/:id', apiAuthenticated, apiPermission('users.manage'), UserController.updateUser);
+app.delete('/api/users/:id', apiAuthenticated, apiPermission('users.manage'), UserController.deleteUser);
 app.post('/membership/toggle', checkAuthenticated, UserController.toggleMembership);
 
-// Products (RESTful API)
-app.get('/api/products', ProductController.listProducts);
-app.get('/api/products/:id', ProductController.getProduct);
-app.post('/api/products', upload.single('image'), ProductController.createProduct);
-app.put('/api/products/:id', upload.single('image'), ProductController.updateProduct);
-app.delete('/api/products/:id', ProductController.deleteProduct);
+// Products (RESTful API) - any signed-in caller can read, only inventory staff can change
+app.get('/api/products', apiAuthenticated, ProductController.listProducts);
+app.get('/api/products/:id', apiAuthenticated, ProductController.getProduct);
+app.post('/api/products', apiAuthenticated, apiPermission('inventory.manage'), upload.single('image'), ProductController.createProduct);
+app.put('/api/products/:id', apiAuthenticated, apiPermission('inventory.manage'), upload.single('image'), ProductController.updateProduct);
+app.delete('/api/products/:id', apiAuthenticated, apiPermission('inventory.manage'), ProductController.deleteProduct);
 
 // --- start server ---
 const PORT = process.env.PORT || 3000;
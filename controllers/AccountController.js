@@ -0,0 +1,145 @@
+const UserModel = require('../models/user');
+const AccountTokenService = require('../services/accountTokens');
+
+// Forgotten passwords and email verification, reached from the login and register pages.
+
+const isValidEmail = (email) => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(email || '').trim());
+
+// The same answer whether or not the email has an account, so the form can't be used to find out.
+const SENT_IF_EXISTS = 'If an account exists for that email, we have sent it a link. Check your inbox.';
+
+const renderForgot = (res, status, { messages = [], errors = [], email = '' } = {}) => res.status(status).render('forgotPassword', {
+  messages,
+  errors,
+  formData: { email }
+});
+
+const AccountController = {
+  forgotPasswordForm(req, res) {
+    res.render('forgotPassword', {
+      messages: req.flash('success') || [],
+      errors: req.flash('error') || [],
+      formData: { email: req.query.email || '' }
+    });
+  },
+
+  requestPasswordReset(req, res) {
+    const email = String((req.body && req.body.email) || '').trim();
+    if (!isValidEmail(email)) {
+      return renderForgot(res, 400, { errors: ['A valid email is required (e.g., name@example.com).'], email });
+    }
+    AccountTokenService.throttleLinkRequest(req.ip, email, 'password_reset', (throttleErr) => {
+      if (throttleErr) {
+        if (AccountTokenService.isLinkThrottled(throttleErr)) {
+          res.set('Retry-After', String(throttleErr.retryAfterSeconds));
+          return renderForgot(res, 429, { errors: [throttleErr.message], email });
+        }
+        console.error('Error checking password reset requests:', throttleErr);
+        return renderForgot(res, 500, { errors: ['Unable to send a reset link right now. Please try again.'], email });
+      }
+      UserModel.getUserByEmail(email, (err, found) => {
+        if (err) {
+          console.error('Error looking up account for password reset:', err);
+          return renderForgot(res, 500, { errors: ['Unable to send a reset link right now. Please try again.'], email });
+        }
+        if (!found) return renderForgot(res, 200, { messages: [SENT_IF_EXISTS] });
+        AccountTokenService.sendPasswordReset(found, (sendErr) => {
+          if (sendErr) {
+            console.error(`Error sending password reset to user #${found.id}:`, sendErr);
+            return renderForgot(res, 500, { errors: ['Unable to send a reset link right now. Please try again.'], email });
+          }
+          renderForgot(res, 200, { messages: [SENT_IF_EXISTS] });
+        });
+      });
+    });
+  },
+
+  resetPasswordForm(req, res) {
+    AccountTokenService.checkResetToken(req.params.token, (err) => {
+      if (err) {
+        if (!AccountTokenService.isTokenError(err)) console.error('Error checking reset link:', err);
+        req.flash('error', AccountTokenService.isTokenError(err) ? err.message : 'Unable to open the reset link. Please try again.');
+        return res.redirect('/forgot-password');
+      }
+      res.render('resetPassword', { token: req.params.token, errors: [] });
+    });
+  },
+
+  resetPassword(req, res) {
+    const { password, confirmPassword } = req.body || {};
+    const errors = [];
+    if (!password || password.length < 6) errors.push('Password must be at least 6 characters.');
+    if (password !== confirmPassword) errors.push('Passwords do not match.');
+    if (errors.length) return res.status(400).render('resetPassword', { token: req.params.token, errors });
+
+    AccountTokenService.resetPassword(req.params.token, password, (err) => {
+      if (err) {
+        if (!AccountTokenService.isTokenError(err)) console.error('Error resetting password:', err);
+        req.flash('error', AccountTokenService.isTokenError(err) ? err.message : 'Unable to reset your password. Please try again.');
+        return res.redirect('/forgot-password');
+      }
+      req.flash('success', 'Your password has been reset. Please log in with your new password.');
+      res.redirect('/login');
+    });
+  },
+
+  verifyEmail(req, res) {
+    const next = req.session && req.session.user ? '/profile' : '/login';
+    AccountTokenService.verifyEmail(req.params.token, (err, userId) => {
+      if (err) {
+        if (!AccountTokenService.isTokenError(err)) console.error('Error verifying email:', err);
+        req.flash('error', AccountTokenService.isTokenError(err) ? err.message : 'Unable to verify your email. Please try again.');
+        return res.redirect(next);
+      }
+      if (req.session && req.session.user && req.session.user.id === userId) {
+        req.session.user.emailVerifiedAt = new Date();
+      }
+      req.flash('success', 'Thanks, your email is verified.');
+      res.redirect(next);
+    });
+  },
+
+  // From the profile page when signed in, otherwise from the login page with an email.
+  resendVerification(req, res) {
+    const signedIn = req.session && req.session.user;
+    const back = signedIn ? '/profile' : '/login';
+    const email = signedIn ? signedIn.email : String((req.body && req.body.email) || '').trim();
+    if (!isValidEmail(email)) {
+      req.flash('error', 'A valid email is required (e.g., name@example.com).');
+      return res.redirect(back);
+    }
+    AccountTokenService.throttleLinkRequest(req.ip, email, 'verify_email', (throttleErr) => {
+      if (throttleErr) {
+        if (AccountTokenService.isLinkThrottled(throttleErr)) {
+          req.flash('error', throttleErr.message);
+        } else {
+          console.error('Error checking verification requests:', throttleErr);
+          req.flash('error', 'Unable to send a verification link right now. Please try again.');
+        }
+        return res.redirect(back);
+      }
+      UserModel.getUserByEmail(email, (err, found) => {
+        if (err) {
+          console.error('Error looking up account for verification:', err);
+          req.flash('error', 'Unable to send a verification link right now. Please try again.');
+          return res.redirect(back);
+        }
+        const done = () => {
+          req.flash('success', signedIn ? `We have sent a verification link to ${email}.` : SENT_IF_EXISTS);
+          res.redirect(back);
+        };
+        if (!found || found.emailVerifiedAt) return done();
+        AccountTokenService.sendVerification(found, (sendErr) => {
+          if (sendErr) {
+            console.error(`Error sending verification to user #${found.id}:`, sendErr);
+            req.flash('error', 'Unable to send a verification link right now. Please try again.');
+            return res.redirect(back);
+          }
+          done();
+        });
+      });
+    });
+  }
+};
+
+module.exports = AccountController;
@@ -0,0 +1,141 @@
+const AddressModel = require('../models/address');
+
+const parseAddressId = (req) => {
+  const id = parseInt(req.params.id, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const parseAddressForm = (body = {}) => {
+  const errors = [];
+  const label = String(body.label || '').trim();
+  const recipientName = String(body.recipientName || '').trim();
+  const line1 = String(body.line1 || '').trim();
+  const line2 = String(body.line2 || '').trim();
+  const postalCode = String(body.postalCode || '').trim();
+  const contact = String(body.contact || '').trim();
+
+  if (!label) errors.push('Give the address a label, e.g. Home or Office.');
+  else if (label.length > 40) errors.push('Labels must be 40 characters or fewer.');
+  if (!recipientName) errors.push('Recipient name is required.');
+  else if (recipientName.length > 120) errors.push('Recipient name must be 120 characters or fewer.');
+  if (!line1) errors.push('Street address is required.');
+  else if (line1.length > 255 || line2.length > 255) errors.push('Address lines must be 255 characters or fewer.');
+  if (!AddressModel.POSTAL_CODE_PATTERN.test(postalCode)) errors.push('Postal code must be 6 digits.');
+  if (contact && !/^\d{8}$/.test(contact)) errors.push('Contact number must be exactly 8 digits.');
+
+  return {
+    errors,
+    address: {
+      label,
+      recipientName,
+      line1,
+      line2: line2 || null,
+      postalCode,
+      contact: contact || null,
+      isDefault: body.isDefault === 'on' || body.isDefault === '1'
+    }
+  };
+};
+
+const AddressController = {
+  list(req, res) {
+    AddressModel.getByUser(req.session.user.id, (err, addresses) => {
+      if (err) {
+        console.error('Error loading addresses', err);
+        req.flash('error', 'Unable to load your addresses.');
+        return res.redirect('/profile');
+      }
+      res.render('addresses', {
+        addresses,
+        formData: req.flash('formData')[0] || {},
+        user: req.session.user
+      });
+    });
+  },
+
+  create(req, res) {
+    const { errors, address } = parseAddressForm(req.body);
+    if (errors.length) {
+      req.flash('error', errors);
+      req.flash('formData', req.body);
+      return res.redirect('/addresses');
+    }
+    AddressModel.create(req.session.user.id, address, (err) => {
+      if (err) {
+        console.error('Error saving address', err);
+        req.flash('error', 'Unable to save the address.');
+        return res.redirect('/addresses');
+      }
+      req.flash('success', `${address.label} address saved.`);
+      return res.redirect('/addresses');
+    });
+  },
+
+  update(req, res) {
+    const id = parseAddressId(req);
+    const { errors, address } = parseAddressForm(req.body);
+    if (!id) errors.unshift('Invalid address.');
+    if (errors.length) {
+      req.flash('error', errors);
+      return res.redirect('/addresses');
+    }
+    AddressModel.update(id, req.session.user.id, address, (err, result) => {
+      if (err) {
+        console.error('Error updating address', err);
+        req.flash('error', 'Unable to update the address.');
+        return res.redirect('/addresses');
+      }
+      if (!result || !result.affectedRows) {
+        req.flash('error', 'Address not found.');
+        return res.redirect('/addresses');
+      }
+      req.flash('success', `${address.label} address updated.`);
+      return res.redirect('/addresses');
+    });
+  },
+
+  setDefault(req, res) {
+    const id = parseAddressId(req);
+    if (!id) {
+      req.flash('error', 'Invalid address.');
+      return res.redirect('/addresses');
+    }
+    AddressModel.setDefault(id, req.session.user.id, (err, result) => {
+      if (err) {
+        console.error('Error setting default address', err);
+        req.flash('error', 'Unable to change your default address.');
+        return res.redirect('/addresses');
+      }
+      if (!result.affectedRows) {
+        req.flash('error', 'Address not found.');
+        return res.redirect('/addresses');
+      }
+      req.flash('success', 'Default address updated.');
+      return res.redirect('/addresses');
+    });
+  },
+
+  // Past orders keep their own copy of the address, so deleting it here does not change them.
+  remove(req, res) {
+    const id = parseAddressId(req);
+    if (!id) {
+      req.flash('error', 'Invalid address.');
+      return res.redirect('/addresses');
+    }
+    AddressModel.remove(id, req.session.user.id, (err, result) => {
+      if (err) {
+        console.error('Error deleting address', err);
+        req.flash('error', 'Unable to delete the address.');
+        return res.redirect('/addresses');
+      }
+      if (!result || !result.affectedRows) {
+        req.flash('error', 'Address not found.');
+        return res.redirect('/addresses');
+      }
+      req.flash('success', 'Address deleted.');
+      return res.redirect('/addresses');
+    });
+  }
+};
+
+module.exports = AddressController;
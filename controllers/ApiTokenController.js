@@ -0,0 +1,41 @@
+const ApiTokenModel = require('../models/apiToken');
+const ApiTokenService = require('../services/apiTokens');
+
+// API tokens are managed from the profile page by the signed-in user for their own account.
+const ApiTokenController = {
+  create(req, res) {
+    const userId = req.session.user.id;
+    ApiTokenService.createToken(userId, req.body && req.body.name, (err, token) => {
+      if (err) {
+        if (!ApiTokenService.isApiTokenError(err)) console.error('Error creating API token:', err);
+        req.flash('error', ApiTokenService.isApiTokenError(err) ? err.message : 'Unable to create the API token.');
+        return res.redirect('/profile');
+      }
+      // Shown once on the profile page; only its hash is kept.
+      req.flash('apiToken', token);
+      req.flash('success', 'API token created. Copy it now - it won\'t be shown again.');
+      res.redirect('/profile');
+    });
+  },
+
+  revoke(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      req.flash('error', 'Invalid token.');
+      return res.redirect('/profile');
+    }
+    ApiTokenModel.revoke(id, req.session.user.id, (err, revoked) => {
+      if (err) {
+        console.error('Error revoking API token:', err);
+        req.flash('error', 'Unable to revoke the API token.');
+      } else if (!revoked) {
+        req.flash('error', 'API token not found.');
+      } else {
+        req.flash('success', 'API token revoked.');
+      }
+      res.redirect('/profile');
+    });
+  }
+};
+
+module.exports = ApiTokenController;
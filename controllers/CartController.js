@@ -1,10 +1,16 @@
 const CartModel = require('../models/cart');
 const ProductModel = require('../models/product');
-const OrderModel = require('../models/order');
+const ProductVariantModel = require('../models/productVariant');
 const PaypalService = require('../services/paypal');
 const StripeService = require('../services/stripe');
 const MembershipModel = require('../models/membership');
-const RefundCreditModel = require('../models/refundCredit');
+const StockReservationModel = require('../models/stockReservation');
+const PaymentAttemptModel = require('../models/paymentAttempt');
+const PricingService = require('../services/pricing');
+const FulfilmentService = require('../services/fulfilment');
+const CheckoutService = require('../services/checkout');
+const DeliverySlotModel = require('../models/deliverySlot');
+const OrderSubstitutionModel = require('../models/orderSubstitution');
 
 const buildLocalTransactionId = (prefix = 'CARD') => `${prefix}-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
 
@@ -13,52 +19,16 @@ const parsePositiveInt = (value) => {
   return Number.isInteger(n) && n > 0 ? n : null;
 };
 
-const mapCartItems = (items) => {
-  const cart = items.map((item) => {
-    const discount = Number(item.discount) || 0;
-    const quantity = Number(item.quantity) || 0;
-    const unitPrice = Number(item.price) || 0;
-    const discountedPrice = unitPrice * (1 - discount / 100);
-    const lineTotal = discountedPrice * quantity;
-    return {
-      ...item,
-      discount,
-      quantity,
-      unitPrice,
-      discountedPrice,
-      lineTotal
-    };
-  });
-
-  const cartTotal = cart.reduce((sum, item) => sum + item.lineTotal, 0);
-  return { cart, cartTotal };
-};
-
-const computeLoyaltyUsage = (loyaltyRedemption, subtotal) => {
-  if (!loyaltyRedemption || !Number.isFinite(subtotal) || subtotal <= 0) {
-    return { pointsUsed: 0, discountAmount: 0 };
-  }
-  const requestedPoints = Math.floor(Number(loyaltyRedemption.points) || 0);
-  if (!requestedPoints || requestedPoints <= 0) {
-    return { pointsUsed: 0, discountAmount: 0 };
-  }
-  const maxPointsForTotal = Math.max(0, Math.floor(subtotal * 10 + Number.EPSILON) - 1);
-  const applicablePoints = Math.min(requestedPoints, maxPointsForTotal);
-  if (!applicablePoints) {
-    return { pointsUsed: 0, discountAmount: 0 };
-  }
-  return {
-    pointsUsed: applicablePoints,
-    discountAmount: Number((applicablePoints / 10).toFixed(2))
-  };
-};
+// One line for the order's checkout details, e.g. "First order discount -$3.00; SAVE5 -$5.00".
+const describeDiscounts = (promotionLines) => (promotionLines || [])
+  .map((line) => `${line.code || line.name} -$${Number(line.amount).toFixed(2)}`)
+  .join('; ');
 
 const validateContactDetails = (payload = {}) => {
-  const { fullName, address, contact, email } = payload;
+  const { fullName, contact, email } = payload;
   const errors = [];
 
   if (!fullName) errors.push('Full name is required.');
-  if (!address) errors.push('Delivery address is required.');
   if (!contact || !/^\+?\d{7,15}$/.test(String(contact).trim())) errors.push('Contact number must be 7-15 digits (may start with +).');
   if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(email).trim())) errors.push('A valid email is required (e.g., mary@mary.com).');
 
@@ -85,216 +55,140 @@ const validateCardDetails = (payload = {}) => {
   return errors;
 };
 
-const computeCheckoutState = (user, formData, loyaltyRedemption, callback) => {
-  const userId = user.id;
-  CartModel.getCartByUser(userId, (err, items) => {
+// delivery: { method, postalCode, express } from FulfilmentService.feeContext/quoteContext, or null
+// for the home delivery estimate.
+const computeCheckoutState = (user, formData, loyaltyRedemption, couponCode, delivery, callback) => {
+  PricingService.priceCheckout(user.id, { couponCode, loyaltyRedemption, delivery }, (err, priced) => {
     if (err) return callback(err);
+    const { pricing } = priced;
 
-    const { cart, cartTotal } = mapCartItems(items);
-
-    OrderModel.getOrdersByUser(userId, (orderErr, orders) => {
-      if (orderErr) return callback(orderErr);
-
-      const discountEligible = !orders || orders.length === 0;
-      const discountPercent = discountEligible ? 25 : 0;
-      const discountedTotal = Number((cartTotal * (1 - discountPercent / 100)).toFixed(2));
-      const firstOrderDiscount = Math.max(0, Number((cartTotal - discountedTotal).toFixed(2)));
-      const loyaltyUsage = computeLoyaltyUsage(loyaltyRedemption, discountedTotal);
-      const maxAfterLoyalty = Math.max(0, discountedTotal - loyaltyUsage.discountAmount);
-
-      const orderItems = cart.map((item) => ({
-        productId: item.productId,
-        quantity: Number(item.quantity),
-        price: item.discountedPrice,
-        productName: item.productName,
-        image: item.image
-      }));
-
-      const checkoutDetails = {
-        fullName: (formData && formData.fullName) || user.username || '',
-        address: (formData && formData.address) || user.address || '',
-        contact: (formData && formData.contact) || user.contact || '',
-        email: (formData && formData.email) || user.email || ''
-      };
-
-      RefundCreditModel.getLatestAvailableByUser(userId, (creditErr, credit) => {
-        if (creditErr) console.error('Error loading refund credit', creditErr);
-        const availableCredit = credit && Number(credit.amount) ? Number(credit.amount) : 0;
-        const refundCreditAmount = Number(Math.min(maxAfterLoyalty, Math.max(0, availableCredit)).toFixed(2));
-        const payableTotal = Number((Math.max(0, maxAfterLoyalty - refundCreditAmount)).toFixed(2));
-
-        callback(null, {
-          cart,
-          cartTotal,
-          discountedTotal,
-          discountPercent,
-          discountAmount: firstOrderDiscount,
-          loyaltyDiscount: loyaltyUsage.discountAmount,
-          loyaltyPoints: loyaltyUsage.pointsUsed,
-          refundCreditAmount,
-          refundCreditId: credit ? credit.id : null,
-          payableTotal,
-          orderItems,
-          checkoutDetails
-        });
-      });
+    const checkoutDetails = {
+      fullName: (formData && formData.fullName) || user.username || '',
+      contact: (formData && formData.contact) || user.contact || '',
+      email: (formData && formData.email) || user.email || ''
+    };
+
+    callback(null, {
+      cart: priced.cart,
+      cartTotal: pricing.subtotal,
+      discountedTotal: pricing.discountedSubtotal,
+      discountAmount: pricing.discountTotal,
+      promotionLines: pricing.discounts,
+      coupon: priced.coupon,
+      loyaltyDiscount: pricing.loyalty.amount,
+      loyaltyPoints: pricing.loyalty.points,
+      refundCreditAmount: pricing.refundCredit.amount,
+      refundCreditId: pricing.refundCredit.id,
+      tax: pricing.tax,
+      delivery: pricing.delivery,
+      payableTotal: pricing.payable,
+      pricing,
+      orderItems: priced.orderItems,
+      checkoutDetails
     });
   });
 };
 
-const decrementStockForOrder = (orderItems) => {
-  if (!orderItems || !orderItems.length) return Promise.resolve();
-
-  const tasks = orderItems.map((item) => new Promise((resolve, reject) => {
-    ProductModel.decrementQuantity(item.productId, item.quantity, (decErr, result) => {
-      if (decErr) {
-        console.error('Error decrementing stock', decErr);
-        return reject(decErr);
-      }
-      if (result && result.affectedRows === 0) {
-        const errMsg = `No stock updated for product ${item.productId}`;
-        console.error(errMsg);
-        return reject(new Error(errMsg));
-      }
-      resolve();
-    });
-  }));
+// Holds the stock, and a place in the slot when one was chosen (fulfilment from resolveDelivery).
+const reserveStock = (reference, userId, orderItems, fulfilment) => new Promise((resolve, reject) => {
+  const slotId = fulfilment ? fulfilment.slotId : null;
+  StockReservationModel.reserve(reference, userId, orderItems, slotId, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+// Make sure a pending payment still holds its stock, re-reserving if the hold lapsed.
+const ensureStockHeld = (reference, userId, orderItems, fulfilment) => new Promise((resolve, reject) => {
+  StockReservationModel.isHeld(reference, (err, held) => {
+    if (err) return reject(err);
+    if (held) return resolve();
+    reserveStock(reference, userId, orderItems, fulfilment).then(resolve, reject);
+  });
+});
 
-  return Promise.all(tasks);
+const releaseReservation = (reference) => {
+  if (!reference) return;
+  StockReservationModel.release(reference, (err) => {
+    if (err) console.error('Error releasing stock reservation', err);
+  });
 };
 
-const persistOrder = (orderPayload, callback) => {
-  const {
-    userId,
-    totalAmount,
-    discountPercent,
-    orderItems,
-    checkoutDetails,
-    discountAmount,
-    loyaltyDiscount,
-    loyaltyPoints,
-    transactionId,
-    transactionRefId,
-    paymentMethod,
-    refundCreditAmount,
-    refundCreditId
-  } = orderPayload;
-  const payload = {
-    userId,
-    totalAmount,
-    discountPercent: discountPercent || 0,
-    status: 'processing'
-  };
-  if (transactionId) {
-    payload.transactionId = transactionId;
-  }
-  if (transactionRefId) {
-    payload.transactionRefId = transactionRefId;
-  }
-  if (paymentMethod) {
-    payload.paymentMethod = paymentMethod;
-  }
-
-  OrderModel.createOrder(payload, orderItems, (orderErr, result) => {
-    if (orderErr) return callback(orderErr);
-    const orderId = result.orderId;
-
-    const finalize = (orderData) => {
-      const pointsToGrant = Math.floor((Number(totalAmount) || 0) * 10);
-      const pointsToDeduct = Math.max(0, Math.floor(Number(loyaltyPoints) || 0));
-      const membershipTask = new Promise((resolve) => {
-        if (!pointsToGrant && !pointsToDeduct) return resolve();
-        MembershipModel.getByUser(userId, (mErr, membership) => {
-          if (mErr) {
-            console.error('Error checking membership', mErr);
-            return resolve();
-          }
-          if (!membership) return resolve();
-          const operations = [];
-          if (pointsToDeduct > 0) {
-            const deductionPoints = Math.min(membership.points, pointsToDeduct);
-            if (deductionPoints > 0) {
-              operations.push((cb) => {
-                MembershipModel.addPoints(userId, -deductionPoints, (deductErr) => {
-                  if (deductErr) console.error('Error deducting membership points', deductErr);
-                  cb();
-                });
-              });
-            }
-          }
-          if (pointsToGrant > 0) {
-            operations.push((cb) => {
-              MembershipModel.addPoints(userId, pointsToGrant, (addErr) => {
-                if (addErr) console.error('Error adding membership points', addErr);
-                cb();
-              });
-            });
-          }
-          const runOperations = () => {
-            if (!operations.length) return resolve();
-            const nextOp = operations.shift();
-            nextOp(runOperations);
-          };
-          runOperations();
-        });
-      });
-
-      const creditTask = new Promise((resolve) => {
-        if (!refundCreditId || !refundCreditAmount || Number(refundCreditAmount) <= 0) return resolve();
-        RefundCreditModel.markUsed(refundCreditId, orderId, (cErr) => {
-          if (cErr) console.error('Error marking refund credit used', cErr);
-          resolve();
-        });
-      });
-
-      Promise.all([decrementStockForOrder(orderItems), membershipTask, creditTask])
-        .catch((err) => console.error('Post-order error:', err))
-        .finally(() => {
-          CartModel.clearCartByUser(userId, (clearErr) => {
-            if (clearErr) console.error('Error clearing cart after checkout:', clearErr);
-          });
-          callback(null, {
-            order: orderData,
-            orderId,
-            checkoutDetails,
-            discountAmount: discountAmount || 0,
-            loyaltyDiscount: loyaltyDiscount || 0,
-            loyaltyPoints: loyaltyPoints || 0,
-          refundCreditAmount: refundCreditAmount || 0
-        });
-      });
-    };
-
-    OrderModel.getOrderById(orderId, (fetchErr, order) => {
-      if (fetchErr || !order) {
-        const fallbackOrder = {
-          id: orderId,
-          userId,
-          totalAmount,
-          status: 'processing',
-          transactionId: transactionId || null,
-          transactionRefId: transactionRefId || null,
-          items: orderItems
-        };
-        return finalize(fallbackOrder);
-      }
+const isStockError = (err) => err && err.code === 'INSUFFICIENT_STOCK';
+
+// The delivery/pickup slot and saved address chosen on the checkout form: { fulfilment, contactDetails }.
+const resolveDelivery = (user, body = {}) => new Promise((resolve, reject) => {
+  FulfilmentService.resolveDelivery(user, body, (err, delivery) => (err ? reject(err) : resolve(delivery)));
+});
+
+// Re-checks a slot booked earlier in the payment against its remaining capacity.
+const checkSlot = (fulfilment) => new Promise((resolve, reject) => {
+  FulfilmentService.checkSlot(fulfilment.method, fulfilment.slotId, (err) => (err ? reject(err) : resolve()));
+});
+
+const deliveryErrorStatus = (err) => (err.code === 'SLOT_FULL' || err.code === 'SLOT_UNAVAILABLE' ? 409 : 400);
+
+// Everything a Stripe or PayPal payment needs to become an order once it is paid.
+const pendingCheckout = (checkout, delivery, reservationRef) => CheckoutService.checkoutSnapshot({
+  orderItems: checkout.orderItems,
+  totalAmount: checkout.payableTotal,
+  promotionLines: checkout.promotionLines,
+  loyaltyPoints: checkout.loyaltyPoints,
+  refundCreditAmount: checkout.refundCreditAmount,
+  refundCreditId: checkout.refundCreditId,
+  pricing: checkout.pricing,
+  fulfilment: delivery.fulfilment,
+  contactDetails: delivery.contactDetails,
+  checkoutDetails: {
+    ...checkout.checkoutDetails,
+    discountApplied: describeDiscounts(checkout.promotionLines),
+    loyaltyApplied: checkout.loyaltyPoints ? `${checkout.loyaltyPoints} points redeemed for $${checkout.loyaltyDiscount.toFixed(2)} discount` : ''
+  },
+  reservationRef
+});
+
+const saveAttempt = (attempt) => new Promise((resolve, reject) => {
+  PaymentAttemptModel.create(attempt, (err) => (err ? reject(err) : resolve()));
+});
+
+// The customer's own payment attempt for a provider reference, or null.
+const findAttempt = (provider, reference, userId) => new Promise((resolve, reject) => {
+  PaymentAttemptModel.getByReference(provider, reference, (err, attempt) => {
+    if (err) return reject(err);
+    resolve(attempt && attempt.userId === userId ? attempt : null);
+  });
+});
+
+const isExpired = (attempt) => !!attempt.createdAt
+  && Date.now() - new Date(attempt.createdAt).getTime() > PaymentAttemptModel.PAYMENT_TTL_MINUTES * 60 * 1000;
+
+// Gives up on a payment that was never made and puts its held stock back on sale. A payment the
+// provider or customer's bank turned down is marked failed rather than released.
+// details: { note, response }
+const releaseAttempt = (attempt, details, failed = false) => {
+  const change = failed ? PaymentAttemptModel.fail : PaymentAttemptModel.release;
+  change(attempt.id, details, (err) => {
+    if (err) console.error('Error releasing payment attempt', err);
+  });
+  releaseReservation(attempt.checkout && attempt.checkout.reservationRef);
+};
 
-      const enriched = {
-        ...order,
-        transactionId: order.transactionId || transactionId || null,
-        transactionRefId: order.transactionRefId || transactionRefId || null,
-        totalAmount,
-        items: order.items.map((it) => {
-          const fromCart = orderItems.find((ci) => ci.productId === it.productId);
-          return {
-            ...it,
-            productName: it.productName || (fromCart && fromCart.productName) || '',
-            image: it.image || (fromCart && fromCart.image) || ''
-          };
-        })
-      };
-
-      finalize(enriched);
+// Answers the checkout page once the provider has the money. The webhook may be creating the
+// order at the same moment, in which case the customer is sent to their orders to find it.
+const finishPayment = (req, res, attempt, payment) => {
+  CheckoutService.completePayment(attempt, payment, (err, result) => {
+    if (CheckoutService.isCheckoutInProgress(err)) {
+      req.flash('success', 'Your payment went through and your order is being created. It will appear here shortly.');
+      return res.status(202).json({ redirectUrl: '/my-orders' });
+    }
+    if (err) {
+      console.error(`Error creating order after ${attempt.provider} payment:`, err);
+      return res.status(500).json({ error: 'Payment received but the order could not be created yet. It will be retried automatically; please contact support if it does not appear in My Orders.' });
+    }
+    if (req.session) {
+      delete req.session.loyaltyRedemption;
+      delete req.session.couponCode;
+    }
+    return res.json({
+      orderId: result.orderId,
+      redirectUrl: `/invoice/${result.orderId}`
     });
   });
 };
@@ -306,16 +200,37 @@ const CartController = {
       return res.redirect('/login');
     }
 
-    const userId = req.session.user.id;
-    CartModel.getCartByUser(userId, (err, items) => {
-      if (err) {
-        console.error('Error fetching cart:', err);
-        req.flash('error', 'Unable to load cart at the moment.');
-        return res.redirect('/shopping');
-      }
+    // Delivery is estimated for the default address; checkout reprices it for the chosen slot.
+    FulfilmentService.quoteContext(req.session.user, {}, (contextErr, deliveryContext) => {
+      if (contextErr) console.error('Error loading default address for cart', contextErr);
+      const options = { couponCode: req.session.couponCode, delivery: deliveryContext || null };
+      PricingService.priceCheckout(req.session.user.id, options, (err, priced) => {
+        if (err) {
+          console.error('Error fetching cart:', err);
+          req.flash('error', 'Unable to load cart at the moment.');
+          return res.redirect('/shopping');
+        }
 
-      const { cart, cartTotal } = mapCartItems(items);
-      res.render('cart', { cart, cartTotal, user: req.session.user });
+        // Alternatives a customer can name for the 'specific' preference, from the line's category.
+        const categories = [...new Set(priced.cart.map((item) => item.category).filter(Boolean))];
+        ProductModel.getSubstituteCandidates(categories, (candidateErr, candidates) => {
+          if (candidateErr) console.error('Error loading substitute alternatives:', candidateErr);
+          const substitutesByCategory = {};
+          (candidates || []).forEach((product) => {
+            (substitutesByCategory[product.category] = substitutesByCategory[product.category] || []).push(product);
+          });
+          res.render('cart', {
+            cart: priced.cart,
+            cartTotal: priced.pricing.subtotal,
+            promotionLines: priced.pricing.discounts,
+            promotionTotal: priced.pricing.discountTotal,
+            delivery: priced.pricing.delivery,
+            substitutionPreferences: OrderSubstitutionModel.SUBSTITUTION_PREFERENCES,
+            substitutesByCategory,
+            user: req.session.user
+          });
+        });
+      });
     });
   },
 
@@ -326,46 +241,58 @@ const CartController = {
     }
 
     const formData = req.flash('formData')[0] || {};
-    computeCheckoutState(req.session.user, formData, req.session.loyaltyRedemption, (err, checkout) => {
-      if (err) {
-        console.error('Error loading checkout:', err);
-        req.flash('error', 'Unable to load checkout right now.');
-        return res.redirect('/shopping');
-      }
-
-      MembershipModel.getByUser(req.session.user.id, (mErr, membership) => {
-        if (mErr) {
-          console.error('Error loading membership for checkout', mErr);
-          membership = null;
-        }
-        if (req.session && req.session.user) {
-          req.session.user.membership = !!membership;
+    // Price delivery for whatever the form will start with: the posted choices after an error, or the default address.
+    FulfilmentService.quoteContext(req.session.user, formData, (contextErr, deliveryContext) => {
+      if (contextErr) console.error('Error loading delivery choices for checkout', contextErr);
+      computeCheckoutState(req.session.user, formData, req.session.loyaltyRedemption, req.session.couponCode, deliveryContext, (err, checkout) => {
+        if (err) {
+          console.error('Error loading checkout:', err);
+          req.flash('error', 'Unable to load checkout right now.');
+          return res.redirect('/shopping');
         }
-        const availablePoints = membership ? Math.max(0, Math.floor(Number(membership.points) || 0)) : 0;
-        const maxPointsForTotal = Math.max(0, Math.floor(checkout.discountedTotal * 10 + Number.EPSILON) - 1);
-        const maxRedeemablePoints = Math.min(availablePoints, maxPointsForTotal);
-        const redemptionPoints = req.session.loyaltyRedemption
-          ? Math.max(0, Math.floor(Number(req.session.loyaltyRedemption.points) || 0))
-          : 0;
-
-        res.render('checkout', {
-          cart: checkout.cart,
-          cartTotal: checkout.cartTotal,
-          discountedTotal: checkout.discountedTotal,
-          discountEligible: checkout.discountPercent > 0,
-          discountPercent: checkout.discountPercent,
-          loyaltyDiscount: checkout.loyaltyDiscount,
-          loyaltyPoints: checkout.loyaltyPoints,
-          refundCreditAmount: checkout.refundCreditAmount,
-          payableTotal: checkout.payableTotal,
-          user: req.session.user,
-          formData,
-          membership,
-          availablePoints,
-          maxRedeemablePoints,
-          redemptionPoints,
-          paypalClientId: (process.env.PAYPAL_CLIENT_ID || '').trim(),
-          stripePublishableKey: (process.env.STRIPE_PUBLISHABLE_KEY || '').trim()
+
+        MembershipModel.getByUser(req.session.user.id, (mErr, membership) => {
+          if (mErr) {
+            console.error('Error loading membership for checkout', mErr);
+            membership = null;
+          }
+          if (req.session && req.session.user) {
+            req.session.user.membership = !!membership;
+          }
+          const availablePoints = membership ? Math.max(0, Math.floor(Number(membership.points) || 0)) : 0;
+          const maxRedeemablePoints = Math.min(availablePoints, PricingService.maxRedeemablePoints(checkout.discountedTotal));
+          const redemptionPoints = req.session.loyaltyRedemption
+            ? Math.max(0, Math.floor(Number(req.session.loyaltyRedemption.points) || 0))
+            : 0;
+
+          FulfilmentService.checkoutOptions(req.session.user.id, (optionsErr, options) => {
+            if (optionsErr) console.error('Error loading delivery options for checkout', optionsErr);
+            res.render('checkout', {
+              cart: checkout.cart,
+              cartTotal: checkout.cartTotal,
+              discountedTotal: checkout.discountedTotal,
+              discountAmount: checkout.discountAmount,
+              promotionLines: checkout.promotionLines,
+              coupon: checkout.coupon,
+              loyaltyDiscount: checkout.loyaltyDiscount,
+              loyaltyPoints: checkout.loyaltyPoints,
+              refundCreditAmount: checkout.refundCreditAmount,
+              tax: checkout.tax,
+              delivery: checkout.delivery,
+              payableTotal: checkout.payableTotal,
+              user: req.session.user,
+              formData,
+              membership,
+              availablePoints,
+              maxRedeemablePoints,
+              redemptionPoints,
+              fulfilmentMethods: DeliverySlotModel.FULFILMENT_METHODS,
+              slotOptions: options ? options.slots : {},
+              addresses: options ? options.addresses : [],
+              paypalClientId: (process.env.PAYPAL_CLIENT_ID || '').trim(),
+              stripePublishableKey: (process.env.STRIPE_PUBLISHABLE_KEY || '').trim()
+            });
+          });
         });
       });
     });
@@ -387,60 +314,80 @@ const CartController = {
       return res.redirect('/checkout');
     }
 
-    computeCheckoutState(req.session.user, req.body, req.session.loyaltyRedemption, (checkoutErr, checkout) => {
-      if (checkoutErr) {
-        console.error('Error building checkout state:', checkoutErr);
-        req.flash('error', 'Unable to complete checkout right now.');
-        return res.redirect('/cart');
-      }
-
-      if (!checkout.cart || checkout.cart.length === 0) {
-        req.flash('error', 'Your cart is empty.');
-        return res.redirect('/cart');
-      }
+    resolveDelivery(req.session.user, req.body)
+      .then((delivery) => new Promise((resolve, reject) => {
+        const deliveryContext = FulfilmentService.feeContext(delivery);
+        computeCheckoutState(req.session.user, req.body, req.session.loyaltyRedemption, req.session.couponCode, deliveryContext, (err, checkout) => (
+          err ? reject(err) : resolve({ delivery, checkout })
+        ));
+      }))
+      .then(({ delivery, checkout }) => {
+        if (!checkout.cart || checkout.cart.length === 0) {
+          req.flash('error', 'Your cart is empty.');
+          return res.redirect('/cart');
+        }
 
-      const loyaltySummary = checkout.loyaltyPoints
-        ? `${checkout.loyaltyPoints} points redeemed for $${checkout.loyaltyDiscount.toFixed(2)} discount`
-        : '';
+        const loyaltySummary = checkout.loyaltyPoints
+          ? `${checkout.loyaltyPoints} points redeemed for $${checkout.loyaltyDiscount.toFixed(2)} discount`
+          : '';
+        const transactionId = buildLocalTransactionId('CARD');
         const payload = {
           userId: req.session.user.id,
           totalAmount: checkout.payableTotal,
-          discountPercent: checkout.discountPercent,
           orderItems: checkout.orderItems,
           checkoutDetails: {
             ...checkout.checkoutDetails,
-            discountApplied: checkout.discountPercent > 0 ? '25% first order discount applied' : '',
+            discountApplied: describeDiscounts(checkout.promotionLines),
             loyaltyApplied: loyaltySummary
           },
           paymentMethod: 'CARD',
           refundCreditAmount: checkout.refundCreditAmount,
           refundCreditId: checkout.refundCreditId,
-          transactionId: buildLocalTransactionId('CARD'),
-          discountAmount: checkout.discountAmount,
-          loyaltyDiscount: checkout.loyaltyDiscount,
-          loyaltyPoints: checkout.loyaltyPoints
+          transactionId,
+          reservationRef: transactionId,
+          promotionLines: checkout.promotionLines,
+          loyaltyPoints: checkout.loyaltyPoints,
+          pricing: checkout.pricing,
+          fulfilment: delivery.fulfilment,
+          contactDetails: delivery.contactDetails
         };
 
-      persistOrder(payload, (orderErr, orderResult) => {
-        if (orderErr) {
-          console.error('Error creating order:', orderErr);
-          req.flash('error', 'Unable to place order.');
+        return reserveStock(transactionId, req.session.user.id, checkout.orderItems, delivery.fulfilment)
+          .then(() => CheckoutService.persistOrder(payload, (orderErr, orderResult) => {
+            if (orderErr) {
+              console.error('Error creating order:', orderErr);
+              releaseReservation(transactionId);
+              req.flash('error', 'Unable to place order.');
+              return res.redirect('/cart');
+            }
+            if (req.session) {
+              delete req.session.loyaltyRedemption;
+              delete req.session.couponCode;
+            }
+
+            res.render('invoice', {
+              order: orderResult.order,
+              orderId: orderResult.orderId,
+              checkout: orderResult.order.contactDetails || payload.contactDetails,
+              pricing: orderResult.pricing,
+              user: req.session.user
+            });
+          }));
+      })
+      .catch((checkoutErr) => {
+        if (FulfilmentService.isDeliveryError(checkoutErr)) {
+          req.flash('error', checkoutErr.message);
+          req.flash('formData', req.body);
+          return res.redirect('/checkout');
+        }
+        if (isStockError(checkoutErr)) {
+          req.flash('error', checkoutErr.message);
           return res.redirect('/cart');
         }
-        if (req.session) delete req.session.loyaltyRedemption;
-
-        res.render('invoice', {
-          order: orderResult.order,
-          orderId: orderResult.orderId,
-          checkout: payload.checkoutDetails,
-          discountAmount: orderResult.discountAmount,
-          loyaltyDiscount: orderResult.loyaltyDiscount,
-          loyaltyPoints: orderResult.loyaltyPoints,
-          refundCreditAmount: orderResult.refundCreditAmount,
-          user: req.session.user
-        });
+        console.error('Error completing checkout:', checkoutErr);
+        req.flash('error', 'Unable to place order.');
+        return res.redirect('/cart');
       });
-    });
   },
 
   async createPaypalOrder(req, res) {
@@ -453,43 +400,42 @@ const CartController = {
       return res.status(400).json({ error: contactErrors[0], errors: contactErrors });
     }
 
+    let reservationRef = null;
     try {
+      const delivery = await resolveDelivery(req.session.user, req.body);
+      const deliveryContext = FulfilmentService.feeContext(delivery);
       const checkout = await new Promise((resolve, reject) => {
-        computeCheckoutState(req.session.user, req.body, req.session.loyaltyRedemption, (err, data) => (err ? reject(err) : resolve(data)));
+        computeCheckoutState(req.session.user, req.body, req.session.loyaltyRedemption, req.session.couponCode, deliveryContext, (err, data) => (err ? reject(err) : resolve(data)));
       });
 
       if (!checkout.cart || checkout.cart.length === 0) {
         return res.status(400).json({ error: 'Your cart is empty.' });
       }
 
+      reservationRef = buildLocalTransactionId('PAYPAL');
+      await reserveStock(reservationRef, req.session.user.id, checkout.orderItems, delivery.fulfilment);
+
       const paypalOrder = await PaypalService.createOrder(checkout.payableTotal.toFixed(2));
       if (!paypalOrder || !paypalOrder.id) {
+        releaseReservation(reservationRef);
         return res.status(500).json({ error: 'Unable to create PayPal order.' });
       }
 
-      req.session.paypalCheckout = {
-        orderItems: checkout.orderItems,
-        totalAmount: checkout.payableTotal,
-        discountPercent: checkout.discountPercent,
-        discountAmount: checkout.discountAmount,
-        loyaltyDiscount: checkout.loyaltyDiscount,
-        loyaltyPoints: checkout.loyaltyPoints,
-        paymentMethod: 'PAYPAL',
-        refundCreditAmount: checkout.refundCreditAmount,
-        refundCreditId: checkout.refundCreditId,
-        checkoutDetails: {
-          ...checkout.checkoutDetails,
-          discountApplied: checkout.discountPercent > 0 ? '25% first order discount applied' : '',
-          loyaltyApplied: checkout.loyaltyPoints ? `${checkout.loyaltyPoints} points redeemed for $${checkout.loyaltyDiscount.toFixed(2)} discount` : ''
-        },
-        paypalOrderId: paypalOrder.id,
-        transactionId: paypalOrder.id,
-        createdAt: Date.now()
-      };
+      await saveAttempt({
+        provider: 'PAYPAL',
+        providerReference: paypalOrder.id,
+        userId: req.session.user.id,
+        amount: checkout.payableTotal,
+        checkout: pendingCheckout(checkout, delivery, reservationRef),
+        response: paypalOrder
+      });
 
       return res.json({ orderID: paypalOrder.id });
     } catch (err) {
+      if (FulfilmentService.isDeliveryError(err)) return res.status(deliveryErrorStatus(err)).json({ error: err.message });
+      if (isStockError(err)) return res.status(409).json({ error: err.message });
       console.error('PayPal create order error:', err);
+      releaseReservation(reservationRef);
       return res.status(500).json({ error: 'Unable to start PayPal checkout. Please try again.' });
     }
   },
@@ -500,58 +446,48 @@ const CartController = {
     }
 
     const { orderID } = req.body || {};
-    const pending = req.session.paypalCheckout;
-
     if (!orderID) return res.status(400).json({ error: 'Missing PayPal order ID.' });
-    if (!pending) return res.status(400).json({ error: 'No pending PayPal checkout found.' });
-    if (pending.paypalOrderId && pending.paypalOrderId !== orderID) {
-      return res.status(400).json({ error: 'PayPal order does not match the current session.' });
-    }
-
-    const ttlMs = 20 * 60 * 1000; // 20 minutes
-    if (pending.createdAt && Date.now() - pending.createdAt > ttlMs) {
-      delete req.session.paypalCheckout;
-      return res.status(400).json({ error: 'PayPal session expired. Please try again.' });
-    }
 
     try {
+      const attempt = await findAttempt('PAYPAL', orderID, req.session.user.id);
+      if (!attempt) return res.status(400).json({ error: 'No pending PayPal checkout found.' });
+      if (attempt.status === 'completed' || attempt.status === 'processing') return finishPayment(req, res, attempt, {});
+
+      // Nothing has been charged yet, so an expired or lost hold can still be turned away cleanly here.
+      if (attempt.status === 'released' || attempt.status === 'failed' || isExpired(attempt)) {
+        releaseAttempt(attempt, { note: 'Checkout expired before payment' });
+        return res.status(400).json({ error: 'PayPal session expired. Please try again.' });
+      }
+      const pending = attempt.checkout || {};
+      if (pending.reservationRef) {
+        try {
+          await ensureStockHeld(pending.reservationRef, req.session.user.id, pending.orderItems, pending.fulfilment);
+        } catch (holdErr) {
+          if (!isStockError(holdErr) && !FulfilmentService.isDeliveryError(holdErr)) throw holdErr;
+          releaseAttempt(attempt, { note: holdErr.message });
+          return res.status(409).json({ error: `${holdErr.message} Your PayPal account has not been charged.` });
+        }
+      }
+      if (pending.fulfilment) {
+        try {
+          await checkSlot(pending.fulfilment);
+        } catch (slotErr) {
+          if (!FulfilmentService.isDeliveryError(slotErr)) throw slotErr;
+          releaseAttempt(attempt, { note: slotErr.message });
+          return res.status(409).json({ error: `${slotErr.message} Your PayPal account has not been charged.` });
+        }
+      }
+
       const capture = await PaypalService.captureOrder(orderID);
       const captureStatus = capture?.status || capture?.purchase_units?.[0]?.payments?.captures?.[0]?.status;
 
       if (captureStatus && captureStatus !== 'COMPLETED') {
+        releaseAttempt(attempt, { note: `PayPal capture ${captureStatus}`, response: capture }, true);
         return res.status(400).json({ error: `Payment not completed (status: ${captureStatus}).` });
       }
 
       const captureId = capture?.purchase_units?.[0]?.payments?.captures?.[0]?.id;
-      const payload = {
-        userId: req.session.user.id,
-        totalAmount: pending.totalAmount,
-        discountPercent: pending.discountPercent,
-        orderItems: pending.orderItems,
-        checkoutDetails: pending.checkoutDetails,
-        transactionId: pending.transactionId || pending.paypalOrderId,
-        transactionRefId: captureId || null,
-        paymentMethod: pending.paymentMethod || 'PAYPAL',
-        discountAmount: pending.discountAmount,
-        loyaltyDiscount: pending.loyaltyDiscount,
-        loyaltyPoints: pending.loyaltyPoints,
-        refundCreditAmount: pending.refundCreditAmount,
-        refundCreditId: pending.refundCreditId
-      };
-
-      persistOrder(payload, (orderErr, orderResult) => {
-        delete req.session.paypalCheckout;
-        if (orderErr) {
-          console.error('Error creating order after PayPal capture:', orderErr);
-          return res.status(500).json({ error: 'Payment captured but order creation failed. Please contact support.' });
-        }
-        if (req.session) delete req.session.loyaltyRedemption;
-
-        return res.json({
-          orderId: orderResult.orderId,
-          redirectUrl: `/invoice/${orderResult.orderId}`
-        });
-      });
+      return finishPayment(req, res, attempt, { transactionRefId: captureId || null, note: 'PayPal capture completed', response: capture });
     } catch (err) {
       console.error('PayPal capture error:', err);
       return res.status(500).json({ error: 'Unable to complete PayPal payment. Please try again.' });
@@ -568,47 +504,47 @@ const CartController = {
       return res.status(400).json({ error: contactErrors[0], errors: contactErrors });
     }
 
+    let reservationRef = null;
     try {
+      const delivery = await resolveDelivery(req.session.user, req.body);
+      const deliveryContext = FulfilmentService.feeContext(delivery);
       const checkout = await new Promise((resolve, reject) => {
-        computeCheckoutState(req.session.user, req.body, req.session.loyaltyRedemption, (err, data) => (err ? reject(err) : resolve(data)));
+        computeCheckoutState(req.session.user, req.body, req.session.loyaltyRedemption, req.session.couponCode, deliveryContext, (err, data) => (err ? reject(err) : resolve(data)));
       });
 
       if (!checkout.cart || checkout.cart.length === 0) {
         return res.status(400).json({ error: 'Your cart is empty.' });
       }
 
+      reservationRef = buildLocalTransactionId('STRIPE');
+      await reserveStock(reservationRef, req.session.user.id, checkout.orderItems, delivery.fulfilment);
+
       const intent = await StripeService.createPaymentIntent(checkout.payableTotal, 'sgd', {
         userId: String(req.session.user.id || ''),
         cartTotal: checkout.cartTotal.toFixed(2)
       });
 
       if (!intent || !intent.client_secret) {
+        releaseReservation(reservationRef);
         return res.status(500).json({ error: 'Unable to start Stripe payment.' });
       }
 
-      req.session.stripeCheckout = {
-        orderItems: checkout.orderItems,
-        totalAmount: checkout.payableTotal,
-        discountPercent: checkout.discountPercent,
-        discountAmount: checkout.discountAmount,
-        loyaltyDiscount: checkout.loyaltyDiscount,
-        loyaltyPoints: checkout.loyaltyPoints,
-        paymentMethod: 'STRIPE',
-        refundCreditAmount: checkout.refundCreditAmount,
-        refundCreditId: checkout.refundCreditId,
-        checkoutDetails: {
-          ...checkout.checkoutDetails,
-          discountApplied: checkout.discountPercent > 0 ? '25% first order discount applied' : '',
-          loyaltyApplied: checkout.loyaltyPoints ? `${checkout.loyaltyPoints} points redeemed for $${checkout.loyaltyDiscount.toFixed(2)} discount` : ''
-        },
-        stripePaymentIntentId: intent.id,
-        transactionId: intent.id,
-        createdAt: Date.now()
-      };
-
-      return res.json({ clientSecret: intent.client_secret });
+      const { client_secret: clientSecret, ...intentResponse } = intent;
+      await saveAttempt({
+        provider: 'STRIPE',
+        providerReference: intent.id,
+        userId: req.session.user.id,
+        amount: checkout.payableTotal,
+        checkout: pendingCheckout(checkout, delivery, reservationRef),
+        response: intentResponse
+      });
+
+      return res.json({ clientSecret, paymentIntentId: intent.id });
     } catch (err) {
+      if (FulfilmentService.isDeliveryError(err)) return res.status(deliveryErrorStatus(err)).json({ error: err.message });
+      if (isStockError(err)) return res.status(409).json({ error: err.message });
       console.error('Stripe create intent error:', err);
+      releaseReservation(reservationRef);
       return res.status(500).json({ error: 'Unable to start Stripe payment. Please try again.' });
     }
   },
@@ -619,59 +555,83 @@ const CartController = {
     }
 
     const { paymentIntentId } = req.body || {};
-    const pending = req.session.stripeCheckout;
-
     if (!paymentIntentId) return res.status(400).json({ error: 'Missing Stripe payment intent.' });
-    if (!pending) return res.status(400).json({ error: 'No pending Stripe checkout found.' });
-    if (pending.stripePaymentIntentId && pending.stripePaymentIntentId !== paymentIntentId) {
-      return res.status(400).json({ error: 'Stripe payment intent does not match the current session.' });
+
+    try {
+      const attempt = await findAttempt('STRIPE', paymentIntentId, req.session.user.id);
+      if (!attempt) return res.status(400).json({ error: 'No pending Stripe checkout found.' });
+      if (attempt.status === 'completed' || attempt.status === 'processing') return finishPayment(req, res, attempt, {});
+
+      // By the time the page calls this the card has usually been charged, so the payment's own
+      // status decides, not how long the customer took.
+      const details = await StripeService.getPaymentIntentDetails(paymentIntentId);
+      if (details.status === 'succeeded') {
+        return finishPayment(req, res, attempt, { transactionRefId: details.chargeId || null, note: 'Stripe payment succeeded', response: details });
+      }
+      const note = `Stripe payment ${details.status}`;
+      if (details.status === 'requires_payment_method') releaseAttempt(attempt, { note, response: details }, true);
+      else if (details.status === 'canceled' || isExpired(attempt)) releaseAttempt(attempt, { note, response: details });
+      if (isExpired(attempt)) return res.status(400).json({ error: 'Stripe session expired. Please try again.' });
+      return res.status(400).json({ error: `Payment not completed (status: ${details.status}).` });
+    } catch (err) {
+      console.error('Stripe confirm payment error:', err);
+      return res.status(500).json({ error: 'Unable to complete Stripe payment. Please try again.' });
     }
+  },
 
-    const ttlMs = 20 * 60 * 1000; // 20 minutes
-    if (pending.createdAt && Date.now() - pending.createdAt > ttlMs) {
-      delete req.session.stripeCheckout;
-      return res.status(400).json({ error: 'Stripe session expired. Please try again.' });
+  // Called by the checkout page when a PayPal/Stripe payment is cancelled or declined,
+  // so the held stock goes back on sale straight away instead of waiting for the hold to expire.
+  // body: { provider, reference, reason, message } - reference is the PayPal order or Stripe
+  // payment intent when the page has one; reason 'declined' or 'error' marks the attempt failed.
+  releasePendingPayment(req, res) {
+    if (!req.session?.user) {
+      return res.status(401).json({ error: 'Please log in to checkout.' });
     }
+    const provider = String((req.body && req.body.provider) || '').toUpperCase();
+    if (!['PAYPAL', 'STRIPE'].includes(provider)) return res.status(400).json({ error: 'Unknown payment provider.' });
 
-    try {
-      const details = await StripeService.getPaymentIntentDetails(paymentIntentId);
-      if (details.status !== 'succeeded') {
-        return res.status(400).json({ error: `Payment not completed (status: ${details.status}).` });
+    const userId = req.session.user.id;
+    const reference = req.body.reference ? String(req.body.reference) : null;
+    const done = (err, attempt) => {
+      if (err) {
+        console.error('Error loading payment attempt to release', err);
+        return res.status(500).json({ error: 'Unable to release the payment.' });
       }
+      const releasable = !!attempt && attempt.userId === userId && attempt.status === 'pending';
+      const reason = String(req.body.reason || 'cancelled');
+      const failed = reason === 'declined' || reason === 'error';
+      const message = req.body.message ? String(req.body.message).slice(0, 300) : '';
+      const note = `${failed ? 'Payment failed at checkout' : 'Payment cancelled at checkout'}${message ? `: ${message}` : ''}`;
+      if (releasable) releaseAttempt(attempt, { note }, failed);
+      return res.json({ released: releasable });
+    };
+    if (reference) return PaymentAttemptModel.getByReference(provider, reference, done);
+    return PaymentAttemptModel.getLatestPending(userId, provider, done);
+  },
 
-      const payload = {
-        userId: req.session.user.id,
-        totalAmount: pending.totalAmount,
-        discountPercent: pending.discountPercent,
-        orderItems: pending.orderItems,
-        checkoutDetails: pending.checkoutDetails,
-        transactionId: pending.transactionId || pending.stripePaymentIntentId,
-        transactionRefId: details.chargeId || null,
-        paymentMethod: pending.paymentMethod || 'STRIPE',
-        discountAmount: pending.discountAmount,
-        loyaltyDiscount: pending.loyaltyDiscount,
-        loyaltyPoints: pending.loyaltyPoints,
-        refundCreditAmount: pending.refundCreditAmount,
-        refundCreditId: pending.refundCreditId
-      };
-
-      persistOrder(payload, (orderErr, orderResult) => {
-        delete req.session.stripeCheckout;
-        if (orderErr) {
-          console.error('Error creating order after Stripe payment:', orderErr);
-          return res.status(500).json({ error: 'Payment captured but order creation failed. Please contact support.' });
+  // Reprices the checkout summary as the customer changes method, slot or address, so the
+  // delivery line and total shown match what the payment will be for.
+  quoteCheckout(req, res) {
+    if (!req.session?.user) {
+      return res.status(401).json({ error: 'Please log in to checkout.' });
+    }
+    FulfilmentService.quoteContext(req.session.user, req.body, (contextErr, deliveryContext) => {
+      if (contextErr) {
+        console.error('Error loading delivery choices for quote', contextErr);
+        return res.status(500).json({ error: 'Unable to work out delivery right now.' });
+      }
+      computeCheckoutState(req.session.user, {}, req.session.loyaltyRedemption, req.session.couponCode, deliveryContext, (err, checkout) => {
+        if (err) {
+          console.error('Error pricing checkout quote', err);
+          return res.status(500).json({ error: 'Unable to work out delivery right now.' });
         }
-        if (req.session) delete req.session.loyaltyRedemption;
-
         return res.json({
-          orderId: orderResult.orderId,
-          redirectUrl: `/invoice/${orderResult.orderId}`
+          delivery: checkout.delivery,
+          refundCreditAmount: checkout.refundCreditAmount,
+          payableTotal: checkout.payableTotal
         });
       });
-    } catch (err) {
-      console.error('Stripe confirm payment error:', err);
-      return res.status(500).json({ error: 'Unable to complete Stripe payment. Please try again.' });
-    }
+    });
   },
 
   addItem(req, res) {
@@ -691,6 +651,7 @@ const CartController = {
       }
     }
     const productId = parsePositiveInt(req.params.id || req.params.productId);
+    const variantId = parsePositiveInt(req.body.variantId);
     const quantity = parsePositiveInt(req.body.quantity) || 1;
     if (!productId) {
       req.flash('error', 'Invalid product.');
@@ -708,36 +669,51 @@ const CartController = {
         return res.redirect(backUrl);
       }
 
-      CartModel.getCartItemByProduct(req.session.user.id, productId, (cartItemErr, cartItem) => {
-        if (cartItemErr) {
-          console.error('Error checking cart item:', cartItemErr);
-          req.flash('error', 'Unable to add item to cart.');
+      ProductVariantModel.getByProduct(productId, (variantErr, variants) => {
+        if (variantErr) {
+          console.error('Error fetching product variants:', variantErr);
+          req.flash('error', 'Unable to add item right now.');
           return res.redirect(backUrl);
         }
-        if (cartItem && cartItem.missingTable) {
-          req.flash('error', 'Cart storage is unavailable. Please ensure the cart_items table exists.');
+        const hasVariants = variants && variants.length > 0;
+        const variant = hasVariants ? variants.find((v) => v.id === variantId) : null;
+        if (hasVariants && !variant) {
+          req.flash('error', `Please choose an option for ${product.productName}.`);
           return res.redirect(backUrl);
         }
+        const availableStock = variant ? variant.quantity : product.quantity;
 
-        const currentQty = cartItem ? Number(cartItem.quantity) : 0;
-        const desiredTotal = currentQty + quantity;
-        if (desiredTotal > product.quantity) {
-          req.flash('error', `Only ${product.quantity} in stock. Please reduce quantity.`);
-          return res.redirect(backUrl);
-        }
-
-        CartModel.addOrUpdateItem(req.session.user.id, productId, quantity, (cartErr, info) => {
-          if (cartErr) {
-            console.error('Error adding to cart:', cartErr);
+        CartModel.getCartItemByProduct(req.session.user.id, productId, variant ? variant.id : null, (cartItemErr, cartItem) => {
+          if (cartItemErr) {
+            console.error('Error checking cart item:', cartItemErr);
             req.flash('error', 'Unable to add item to cart.');
             return res.redirect(backUrl);
           }
-          if (info && info.missingTable) {
+          if (cartItem && cartItem.missingTable) {
             req.flash('error', 'Cart storage is unavailable. Please ensure the cart_items table exists.');
             return res.redirect(backUrl);
           }
-          req.flash('success', 'Item added to cart.');
-          return res.redirect(backUrl);
+
+          const currentQty = cartItem ? Number(cartItem.quantity) : 0;
+          const desiredTotal = currentQty + quantity;
+          if (desiredTotal > availableStock) {
+            req.flash('error', `Only ${availableStock} in stock. Please reduce quantity.`);
+            return res.redirect(backUrl);
+          }
+
+          CartModel.addOrUpdateItem(req.session.user.id, productId, variant ? variant.id : null, quantity, (cartErr, info) => {
+            if (cartErr) {
+              console.error('Error adding to cart:', cartErr);
+              req.flash('error', 'Unable to add item to cart.');
+              return res.redirect(backUrl);
+            }
+            if (info && info.missingTable) {
+              req.flash('error', 'Cart storage is unavailable. Please ensure the cart_items table exists.');
+              return res.redirect(backUrl);
+            }
+            req.flash('success', 'Item added to cart.');
+            return res.redirect(backUrl);
+          });
         });
       });
     });
@@ -805,6 +781,53 @@ const CartController = {
     });
   },
 
+  updateSubstitution(req, res) {
+    if (!req.session?.user) {
+      req.flash('error', 'Please log in to update your cart.');
+      return res.redirect('/login');
+    }
+
+    const itemId = parsePositiveInt(req.params.id);
+    const substitution = req.body.substitution;
+    if (!itemId || !OrderSubstitutionModel.SUBSTITUTION_PREFERENCES[substitution]) {
+      req.flash('error', 'Invalid cart item or substitution preference.');
+      return res.redirect('/cart');
+    }
+    const substituteProductId = parsePositiveInt(req.body.substituteProductId);
+    if (substitution === 'specific' && !substituteProductId) {
+      req.flash('error', 'Choose the alternative you would like instead.');
+      return res.redirect('/cart');
+    }
+
+    const save = () => CartModel.updateSubstitution(req.session.user.id, itemId, substitution, substituteProductId, (err, info) => {
+      if (err) {
+        console.error('Error updating substitution preference:', err);
+        req.flash('error', 'Unable to update substitution preference.');
+        return res.redirect('/cart');
+      }
+      if (info && info.missingTable) {
+        req.flash('error', 'Cart storage is unavailable. Please ensure the cart_items table exists.');
+        return res.redirect('/cart');
+      }
+      req.flash('success', 'Substitution preference saved.');
+      return res.redirect('/cart');
+    });
+    if (substitution !== 'specific') return save();
+
+    ProductModel.getProductById(substituteProductId, (productErr, product) => {
+      if (productErr) {
+        console.error('Error loading substitute product:', productErr);
+        req.flash('error', 'Unable to update substitution preference.');
+        return res.redirect('/cart');
+      }
+      if (!product) {
+        req.flash('error', 'That alternative is no longer available.');
+        return res.redirect('/cart');
+      }
+      return save();
+    });
+  },
+
   removeItem(req, res) {
     if (!req.session?.user) {
       req.flash('error', 'Please log in to update your cart.');
@@ -828,6 +851,45 @@ const CartController = {
     });
   },
 
+  applyCoupon(req, res) {
+    if (!req.session?.user) {
+      req.flash('error', 'Please log in to use a coupon.');
+      return res.redirect('/login');
+    }
+
+    const action = (req.body && req.body.action) ? req.body.action : 'apply';
+    if (action === 'clear') {
+      delete req.session.couponCode;
+      req.flash('success', 'Coupon removed.');
+      return res.redirect('/checkout');
+    }
+
+    const code = String((req.body && req.body.couponCode) || '').trim().toUpperCase();
+    if (!code) {
+      req.flash('error', 'Enter a coupon code.');
+      return res.redirect('/checkout');
+    }
+
+    computeCheckoutState(req.session.user, {}, null, code, null, (checkoutErr, checkout) => {
+      if (checkoutErr) {
+        console.error('Error checking coupon', checkoutErr);
+        req.flash('error', 'Unable to apply the coupon right now.');
+        return res.redirect('/checkout');
+      }
+      if (!checkout.cart || checkout.cart.length === 0) {
+        req.flash('error', 'Your cart is empty.');
+        return res.redirect('/cart');
+      }
+      if (!checkout.coupon || !checkout.coupon.applied) {
+        req.flash('error', checkout.coupon ? checkout.coupon.message : 'That coupon code was not found.');
+        return res.redirect('/checkout');
+      }
+      req.session.couponCode = code;
+      req.flash('success', checkout.coupon.message);
+      return res.redirect('/checkout');
+    });
+  },
+
   redeemLoyalty(req, res) {
     if (!req.session?.user) {
       req.flash('error', 'Please log in to redeem points.');
@@ -870,7 +932,7 @@ const CartController = {
         return res.redirect('/checkout');
       }
 
-      computeCheckoutState(req.session.user, {}, null, (checkoutErr, checkout) => {
+      computeCheckoutState(req.session.user, {}, null, req.session.couponCode, null, (checkoutErr, checkout) => {
         if (checkoutErr) {
           console.error('Error loading checkout for redemption', checkoutErr);
           req.flash('error', 'Unable to redeem loyalty points right now.');
@@ -881,7 +943,7 @@ const CartController = {
           return res.redirect('/cart');
         }
 
-        const maxPointsForTotal = Math.max(0, Math.floor(checkout.discountedTotal * 10 + Number.EPSILON) - 1);
+        const maxPointsForTotal = PricingService.maxRedeemablePoints(checkout.discountedTotal);
         if (maxPointsForTotal <= 0) {
           req.flash('error', 'Unable to apply loyalty points to this total.');
           return res.redirect('/checkout');
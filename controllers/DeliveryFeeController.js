@@ -0,0 +1,106 @@
+const DeliveryFeeModel = require('../models/deliveryFee');
+const DeliverySlotModel = require('../models/deliverySlot');
+
+const parseMoney = (value) => {
+  const text = String(value == null ? '' : value).trim();
+  if (text === '') return null;
+  const amount = Number(text);
+  if (!Number.isFinite(amount) || amount < 0) return null;
+  return Number(amount.toFixed(2));
+};
+
+const DeliveryFeeController = {
+  list(req, res) {
+    DeliveryFeeModel.getSchedule((err, schedule) => {
+      if (err) {
+        console.error('Error loading delivery fees', err);
+        req.flash('error', 'Unable to load delivery fees.');
+        return res.redirect('/delivery-slots');
+      }
+      res.render('deliveryFees', {
+        zones: schedule.zones,
+        settings: schedule.settings,
+        methods: DeliverySlotModel.FULFILMENT_METHODS,
+        user: req.session.user
+      });
+    });
+  },
+
+  // Leaving the threshold blank turns free delivery over a spend off.
+  saveSettings(req, res) {
+    const thresholdText = String(req.body.freeThreshold == null ? '' : req.body.freeThreshold).trim();
+    const freeThreshold = thresholdText === '' ? null : parseMoney(thresholdText);
+    const expressSurcharge = parseMoney(req.body.expressSurcharge);
+    const errors = [];
+    if (thresholdText !== '' && freeThreshold == null) errors.push('Free delivery threshold must be an amount of $0 or more, or blank for none.');
+    if (expressSurcharge == null) errors.push('Express surcharge must be an amount of $0 or more.');
+    if (errors.length) {
+      req.flash('error', errors);
+      return res.redirect('/delivery-fees');
+    }
+
+    const settings = {
+      freeThreshold,
+      membersFree: req.body.membersFree === 'on' || req.body.membersFree === '1',
+      expressSurcharge
+    };
+    DeliveryFeeModel.saveSettings(settings, (err) => {
+      if (err) {
+        console.error('Error saving delivery fee settings', err);
+        req.flash('error', 'Unable to save the delivery fee settings.');
+        return res.redirect('/delivery-fees');
+      }
+      req.flash('success', 'Delivery fee settings saved.');
+      return res.redirect('/delivery-fees');
+    });
+  },
+
+  // A blank prefix sets the method's standard fee; otherwise postal codes starting with the prefix pay this fee.
+  saveZone(req, res) {
+    const method = DeliverySlotModel.FULFILMENT_METHODS[req.body.method] ? req.body.method : null;
+    const postalPrefix = String(req.body.postalPrefix || '').trim();
+    const fee = parseMoney(req.body.fee);
+    const errors = [];
+    if (!method) errors.push('Choose home delivery or store pickup.');
+    if (postalPrefix && !/^\d{1,6}$/.test(postalPrefix)) errors.push('Postal prefixes are 1 to 6 digits.');
+    if (fee == null) errors.push('Fee must be an amount of $0 or more.');
+    if (errors.length) {
+      req.flash('error', errors);
+      return res.redirect('/delivery-fees');
+    }
+
+    DeliveryFeeModel.saveZone(method, postalPrefix, fee, (err) => {
+      if (err) {
+        console.error('Error saving delivery fee', err);
+        req.flash('error', 'Unable to save the delivery fee.');
+        return res.redirect('/delivery-fees');
+      }
+      const where = postalPrefix ? `postal codes starting ${postalPrefix}` : 'everywhere else';
+      req.flash('success', `${DeliverySlotModel.FULFILMENT_METHODS[method]} to ${where} now costs $${fee.toFixed(2)}.`);
+      return res.redirect('/delivery-fees');
+    });
+  },
+
+  removeZone(req, res) {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+      req.flash('error', 'Invalid delivery zone.');
+      return res.redirect('/delivery-fees');
+    }
+    DeliveryFeeModel.removeZone(id, (err, result) => {
+      if (err) {
+        console.error('Error removing delivery zone', err);
+        req.flash('error', 'Unable to remove the delivery zone.');
+        return res.redirect('/delivery-fees');
+      }
+      if (!result || !result.affectedRows) {
+        req.flash('error', 'That zone cannot be removed. Standard fees can only be changed.');
+        return res.redirect('/delivery-fees');
+      }
+      req.flash('success', 'Delivery zone removed. Those postal codes now pay the standard fee.');
+      return res.redirect('/delivery-fees');
+    });
+  }
+};
+
+module.exports = DeliveryFeeController;
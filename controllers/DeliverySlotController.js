@@ -0,0 +1,157 @@
+const DeliverySlotModel = require('../models/deliverySlot');
+const OrderModel = require('../models/order');
+const FulfilmentService = require('../services/fulfilment');
+
+const MAX_REPEAT_DAYS = 28;
+
+const parseCapacity = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+
+const parseSlotId = (req) => {
+  const id = parseInt(req.params.id, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// One slot per day from the posted date, e.g. 10:00-12:00 every day for a week.
+const parseSlotForm = (body = {}) => {
+  const errors = [];
+  const method = DeliverySlotModel.FULFILMENT_METHODS[body.method] ? body.method : null;
+  if (!method) errors.push('Choose home delivery or store pickup.');
+
+  const date = String(body.date || '').trim();
+  const startTime = String(body.startTime || '').trim();
+  const endTime = String(body.endTime || '').trim();
+  const firstStart = new Date(`${date}T${startTime}`);
+  const firstEnd = new Date(`${date}T${endTime}`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{2}:\d{2}$/.test(startTime) || !/^\d{2}:\d{2}$/.test(endTime)
+    || Number.isNaN(firstStart.getTime()) || Number.isNaN(firstEnd.getTime())) {
+    errors.push('Enter a valid date, start time and end time.');
+  } else if (firstEnd <= firstStart) {
+    errors.push('The slot must end after it starts.');
+  } else if (firstStart.getTime() <= Date.now()) {
+    errors.push('Slots must start in the future.');
+  }
+
+  const capacity = parseCapacity(body.capacity);
+  if (capacity == null || capacity < 1) errors.push('Capacity must be a whole number of 1 or more.');
+
+  const repeatDays = body.repeatDays === '' || body.repeatDays == null ? 1 : parseCapacity(body.repeatDays);
+  if (!repeatDays || repeatDays > MAX_REPEAT_DAYS) errors.push(`Repeat for between 1 and ${MAX_REPEAT_DAYS} days.`);
+
+  if (errors.length) return { errors, slots: [] };
+
+  const express = body.express === 'on' || body.express === '1';
+  const slots = [];
+  for (let day = 0; day < repeatDays; day += 1) {
+    const startsAt = new Date(firstStart);
+    const endsAt = new Date(firstEnd);
+    startsAt.setDate(startsAt.getDate() + day);
+    endsAt.setDate(endsAt.getDate() + day);
+    slots.push({ method, startsAt, endsAt, capacity, express });
+  }
+  return { errors, slots };
+};
+
+const DeliverySlotController = {
+  list(req, res) {
+    FulfilmentService.listSlots(true, (err, slots) => {
+      if (err) {
+        console.error('Error loading delivery slots', err);
+        req.flash('error', 'Unable to load delivery slots.');
+        return res.redirect('/orders');
+      }
+      res.render('deliverySlots', {
+        slots,
+        methods: DeliverySlotModel.FULFILMENT_METHODS,
+        maxRepeatDays: MAX_REPEAT_DAYS,
+        user: req.session.user
+      });
+    });
+  },
+
+  create(req, res) {
+    const { errors, slots } = parseSlotForm(req.body);
+    if (errors.length) {
+      req.flash('error', errors);
+      return res.redirect('/delivery-slots');
+    }
+    DeliverySlotModel.createMany(slots, (err) => {
+      if (err) {
+        console.error('Error creating delivery slots', err);
+        req.flash('error', 'Unable to create the slots.');
+        return res.redirect('/delivery-slots');
+      }
+      req.flash('success', `${slots.length} ${DeliverySlotModel.FULFILMENT_METHODS[slots[0].method].toLowerCase()} slot${slots.length === 1 ? '' : 's'} added.`);
+      return res.redirect('/delivery-slots');
+    });
+  },
+
+  // Lowering capacity below the orders already booked keeps those orders; it only stops new ones.
+  updateCapacity(req, res) {
+    const id = parseSlotId(req);
+    const capacity = parseCapacity(req.body.capacity);
+    if (!id || capacity == null) {
+      req.flash('error', 'Capacity must be a whole number of 0 or more.');
+      return res.redirect('/delivery-slots');
+    }
+    DeliverySlotModel.updateCapacity(id, capacity, (err) => {
+      if (err) {
+        console.error('Error updating slot capacity', err);
+        req.flash('error', 'Unable to update the slot.');
+        return res.redirect('/delivery-slots');
+      }
+      req.flash('success', 'Slot capacity updated.');
+      return res.redirect('/delivery-slots');
+    });
+  },
+
+  toggle(req, res) {
+    const id = parseSlotId(req);
+    if (!id) {
+      req.flash('error', 'Invalid slot.');
+      return res.redirect('/delivery-slots');
+    }
+    DeliverySlotModel.toggleActive(id, (err) => {
+      if (err) {
+        console.error('Error toggling delivery slot', err);
+        req.flash('error', 'Unable to update the slot.');
+        return res.redirect('/delivery-slots');
+      }
+      req.flash('success', 'Slot updated.');
+      return res.redirect('/delivery-slots');
+    });
+  },
+
+  // Slots with orders booked into them can only be closed, not deleted.
+  remove(req, res) {
+    const id = parseSlotId(req);
+    if (!id) {
+      req.flash('error', 'Invalid slot.');
+      return res.redirect('/delivery-slots');
+    }
+    OrderModel.countSlotBookings([id], (countErr, counts) => {
+      if (countErr) {
+        console.error('Error checking slot bookings', countErr);
+        req.flash('error', 'Unable to delete the slot.');
+        return res.redirect('/delivery-slots');
+      }
+      if (counts[id]) {
+        req.flash('error', 'This slot has orders booked. Close it instead of deleting it.');
+        return res.redirect('/delivery-slots');
+      }
+      DeliverySlotModel.remove(id, (err) => {
+        if (err) {
+          console.error('Error deleting delivery slot', err);
+          req.flash('error', 'Unable to delete the slot.');
+          return res.redirect('/delivery-slots');
+        }
+        req.flash('success', 'Slot deleted.');
+        return res.redirect('/delivery-slots');
+      });
+    });
+  }
+};
+
+module.exports = DeliverySlotController;
@@ -0,0 +1,426 @@
+const fs = require('fs');
+const path = require('path');
+const ProductModel = require('../models/product');
+const ProductVariantModel = require('../models/productVariant');
+const { normalizePrice } = require('./ProductController');
+const { parseCsv, toCsv, sendCsv } = require('../services/csv');
+
+const IMAGES_DIR = path.join(__dirname, '..', 'public', 'images');
+const MAX_IMPORT_ROWS = 2000;
+
+// Movement types staff can record by hand from the history page; sales and refund
+// returns are written by the order and refund flows.
+const MANUAL_MOVEMENTS = {
+  restock: { label: 'Restock', sign: 1 },
+  write_off: { label: 'Write-off', sign: -1 },
+  adjustment: { label: 'Count adjustment', sign: 0 }
+};
+
+const MOVEMENT_LABELS = {
+  initial: 'Opening stock',
+  restock: 'Restock',
+  sale: 'Sale',
+  adjustment: 'Adjustment',
+  refund_return: 'Refund return',
+  write_off: 'Write-off'
+};
+
+// Order the usual reorder quantity, or more if that would still leave the line at/below its threshold.
+const suggestedOrderQuantity = (line) => {
+  const threshold = Number(line.reorderThreshold) || 0;
+  const onHand = Math.max(0, Number(line.quantity) || 0);
+  const usual = Number(line.reorderQuantity) || 0;
+  return Math.max(usual, threshold - onHand + 1);
+};
+
+const PURCHASE_ORDER_COLUMNS = [
+  { header: 'SKU', value: (line) => line.sku || `P${line.productId}` },
+  { header: 'Product', value: (line) => line.productName },
+  { header: 'Variant', value: (line) => line.variantLabel || '' },
+  { header: 'Category', value: (line) => line.category || 'Uncategorized' },
+  { header: 'On hand', value: (line) => line.quantity },
+  { header: 'Reorder threshold', value: (line) => Number(line.reorderThreshold) || 0 },
+  { header: 'Order quantity', value: (line) => line.suggestedQuantity },
+  { header: 'Current price', value: (line) => Number(line.price).toFixed(2) }
+];
+
+const CATALOG_COLUMNS = [
+  { header: 'id', value: (p) => p.id },
+  { header: 'name', value: (p) => p.productName },
+  { header: 'category', value: (p) => p.category || '' },
+  { header: 'price', value: (p) => Number(p.price).toFixed(2) },
+  { header: 'quantity', value: (p) => Number(p.quantity) || 0 },
+  { header: 'image', value: (p) => p.image || '' },
+  { header: 'reorder_threshold', value: (p) => p.reorderThreshold },
+  { header: 'reorder_quantity', value: (p) => p.reorderQuantity },
+  { header: 'variants', value: (p) => p.variantCount || 0 }
+];
+
+// Header spellings accepted by the import, so an exported catalog or a hand-made sheet both work.
+const IMPORT_HEADERS = {
+  id: 'id',
+  name: 'name',
+  product: 'name',
+  productname: 'name',
+  product_name: 'name',
+  category: 'category',
+  price: 'price',
+  quantity: 'quantity',
+  stock: 'quantity',
+  image: 'image',
+  reorder_threshold: 'reorderThreshold',
+  reorder_quantity: 'reorderQuantity'
+};
+
+// Undo the apostrophe the export adds in front of formula-like text.
+const cleanText = (value) => String(value == null ? '' : value).trim().replace(/^'(?=[=+\-@])/, '');
+
+const parseCount = (raw, label, errors) => {
+  if (raw === '') return null;
+  const num = Number(raw);
+  if (!Number.isInteger(num) || num < 0) {
+    errors.push(`${label} must be a whole number of 0 or more.`);
+    return null;
+  }
+  return num;
+};
+
+// Validate parsed CSV records against the current catalog. Every row gets an action
+// (create, update, unchanged or error) plus its messages, which is what the preview shows.
+const buildImportPreview = (records, products, variantMap) => {
+  const [headerRow = [], ...dataRows] = records;
+  const fields = headerRow.map((h) => IMPORT_HEADERS[cleanText(h).toLowerCase().replace(/\s+/g, '_')] || null);
+  const fileErrors = [];
+  if (!fields.includes('name')) fileErrors.push('The CSV needs a "name" column.');
+  if (!fields.includes('price')) fileErrors.push('The CSV needs a "price" column.');
+  if (!dataRows.length) fileErrors.push('The CSV has no product rows.');
+  if (dataRows.length > MAX_IMPORT_ROWS) fileErrors.push(`Import at most ${MAX_IMPORT_ROWS} rows at a time.`);
+  if (fileErrors.length) return { fileErrors, rows: [] };
+
+  const byId = new Map(products.map((p) => [p.id, p]));
+  const byName = new Map(products.map((p) => [String(p.productName).trim().toLowerCase(), p]));
+  const seen = new Map();
+
+  const rows = dataRows.map((cells, index) => {
+    const raw = {};
+    fields.forEach((field, col) => {
+      if (field && raw[field] == null) raw[field] = cleanText(cells[col]);
+    });
+    const line = index + 2;
+    const errors = [];
+    const warnings = [];
+
+    const productName = raw.name || '';
+    if (!productName) errors.push('Name is required.');
+    else if (productName.length > 200) errors.push('Name must be 200 characters or fewer.');
+
+    const price = normalizePrice(raw.price);
+    if (price == null) errors.push('Price must be a positive number.');
+    const quantity = parseCount(raw.quantity || '', 'Quantity', errors);
+    const reorderThreshold = parseCount(raw.reorderThreshold || '', 'Reorder threshold', errors);
+    const reorderQuantity = parseCount(raw.reorderQuantity || '', 'Reorder quantity', errors);
+
+    let image = raw.image ? path.basename(raw.image) : '';
+    if (image && !fs.existsSync(path.join(IMAGES_DIR, image))) {
+      warnings.push(`Image ${image} is not in public/images yet.`);
+    }
+
+    let existing = null;
+    if (raw.id) {
+      const id = Number(raw.id);
+      existing = Number.isInteger(id) ? byId.get(id) : null;
+      if (!existing) errors.push(`No product with id ${raw.id}.`);
+    } else if (productName) {
+      existing = byName.get(productName.toLowerCase()) || null;
+    }
+
+    const key = existing ? `id:${existing.id}` : `name:${productName.toLowerCase()}`;
+    if (productName && seen.has(key)) errors.push(`Same product as line ${seen.get(key)}.`);
+    else seen.set(key, line);
+
+    const row = {
+      line,
+      id: existing ? existing.id : null,
+      productName,
+      category: raw.category || (existing ? existing.category : null) || null,
+      price,
+      quantity: quantity == null ? (existing ? null : 0) : quantity,
+      image: image || (existing ? existing.image : null) || null,
+      reorderThreshold,
+      reorderQuantity,
+      errors,
+      warnings
+    };
+
+    // Price and stock of a product with variants come from its variants.
+    if (existing && (variantMap[existing.id] || []).length) {
+      if (price != null && price !== Number(existing.price)) errors.push('This product has variants; change prices per variant on the product page.');
+      if (quantity != null && quantity !== Number(existing.quantity)) errors.push('This product has variants; record stock changes per variant.');
+      row.price = Number(existing.price);
+      row.quantity = null;
+    }
+
+    if (errors.length) row.action = 'error';
+    else if (!existing) row.action = 'create';
+    else {
+      const same = row.productName === existing.productName
+        && (row.category || null) === (existing.category || null)
+        && row.price === Number(existing.price)
+        && (row.quantity == null || row.quantity === Number(existing.quantity))
+        && (row.image || null) === (existing.image || null)
+        && (reorderThreshold == null || reorderThreshold === Number(existing.reorderThreshold))
+        && (reorderQuantity == null || reorderQuantity === Number(existing.reorderQuantity));
+      row.action = same ? 'unchanged' : 'update';
+      if (!same && row.quantity != null && row.quantity !== Number(existing.quantity)) {
+        row.stockChange = row.quantity - Number(existing.quantity);
+      }
+    }
+    return row;
+  });
+
+  return { fileErrors: [], rows };
+};
+
+const loadCatalog = (callback) => {
+  ProductModel.getAllProducts((err, products) => {
+    if (err) return callback(err);
+    ProductVariantModel.getByProductIds((products || []).map((p) => p.id), (vErr, variantMap) => {
+      if (vErr) return callback(vErr);
+      callback(null, products || [], variantMap || {});
+    });
+  });
+};
+
+const InventoryController = {
+  // Admin inventory list with the low-stock widget; ?filter=restock narrows it to products needing a reorder.
+  viewInventory(req, res) {
+    const filter = req.query.filter === 'restock' ? 'restock' : 'all';
+    ProductModel.getAllProducts((err, products) => {
+      if (err) {
+        console.error('DB error:', err);
+        return res.status(500).send('Database error');
+      }
+      ProductModel.getLowStockLines((lowErr, lowStockLines) => {
+        if (lowErr) console.error('Error loading low stock lines', lowErr);
+        const lines = (lowStockLines || []).map((line) => ({ ...line, suggestedQuantity: suggestedOrderQuantity(line) }));
+        const lowStockIds = new Set(lines.map((line) => line.productId));
+        const list = filter === 'restock'
+          ? (products || []).filter((p) => lowStockIds.has(p.id))
+          : (products || []);
+        res.render('inventory', {
+          products: list,
+          lowStockLines: lines,
+          lowStockIds: Array.from(lowStockIds),
+          outOfStockCount: lines.filter((line) => line.quantity <= 0).length,
+          filter,
+          user: req.session.user
+        });
+      });
+    });
+  },
+
+  // Purchase-order draft for every line at or below its reorder threshold.
+  purchaseOrderCsv(req, res) {
+    ProductModel.getLowStockLines((err, lines) => {
+      if (err) {
+        console.error('Error building purchase order', err);
+        req.flash('error', 'Unable to build the purchase order right now.');
+        return res.redirect('/inventory?filter=restock');
+      }
+      const rows = (lines || []).map((line) => ({ ...line, suggestedQuantity: suggestedOrderQuantity(line) }));
+      const date = new Date().toISOString().slice(0, 10);
+      sendCsv(res, `purchase-order-draft-${date}.csv`, toCsv(rows, PURCHASE_ORDER_COLUMNS));
+    });
+  },
+
+  // Full catalog as CSV; the file doubles as a template for the import.
+  exportCsv(req, res) {
+    loadCatalog((err, products, variantMap) => {
+      if (err) {
+        console.error('Error exporting catalog', err);
+        req.flash('error', 'Unable to export the catalog right now.');
+        return res.redirect('/inventory');
+      }
+      const rows = products.map((p) => ({ ...p, variantCount: (variantMap[p.id] || []).length }));
+      const date = new Date().toISOString().slice(0, 10);
+      sendCsv(res, `catalog-${date}.csv`, toCsv(rows, CATALOG_COLUMNS));
+    });
+  },
+
+  viewImport(req, res) {
+    res.render('productImport', { preview: null, user: req.session.user });
+  },
+
+  // Dry run: parse and validate the upload, show what would change and keep the valid rows
+  // in the session until the admin confirms.
+  previewImport(req, res) {
+    delete req.session.productImport;
+    if (!req.file) {
+      req.flash('error', 'Choose a CSV file to import.');
+      return res.redirect('/inventory/import');
+    }
+
+    let records;
+    try {
+      records = parseCsv(req.file.buffer.toString('utf8'));
+    } catch (parseErr) {
+      console.error('Error reading import CSV', parseErr);
+      req.flash('error', 'That file could not be read as CSV.');
+      return res.redirect('/inventory/import');
+    }
+
+    loadCatalog((err, products, variantMap) => {
+      if (err) {
+        console.error('Error loading catalog for import', err);
+        req.flash('error', 'Unable to check the import right now.');
+        return res.redirect('/inventory/import');
+      }
+      const { fileErrors, rows } = buildImportPreview(records, products, variantMap);
+      if (fileErrors.length) {
+        req.flash('error', fileErrors);
+        return res.redirect('/inventory/import');
+      }
+
+      const count = (action) => rows.filter((row) => row.action === action).length;
+      const summary = { create: count('create'), update: count('update'), unchanged: count('unchanged'), error: count('error') };
+      if (!summary.error && (summary.create || summary.update)) {
+        req.session.productImport = {
+          fileName: req.file.originalname,
+          rows: rows
+            .filter((row) => row.action === 'create' || row.action === 'update')
+            .map(({ id, productName, category, price, quantity, image, reorderThreshold, reorderQuantity }) => ({
+              id, productName, category, price, quantity, image, reorderThreshold, reorderQuantity
+            }))
+        };
+      }
+      res.render('productImport', {
+        preview: { fileName: req.file.originalname, rows, summary },
+        user: req.session.user
+      });
+    });
+  },
+
+  commitImport(req, res) {
+    const pending = req.session.productImport;
+    if (!pending || !pending.rows || !pending.rows.length) {
+      req.flash('error', 'Nothing to import. Upload the CSV again to preview it.');
+      return res.redirect('/inventory/import');
+    }
+    ProductModel.importProducts(pending.rows, req.session.user.id, (err, result) => {
+      if (err) {
+        console.error('Error importing products', err);
+        req.flash('error', err.code === 'NOT_FOUND'
+          ? `${err.message} Nothing was imported; upload the CSV again.`
+          : 'Import failed and nothing was changed. Please try again.');
+        return res.redirect('/inventory/import');
+      }
+      delete req.session.productImport;
+      req.flash('success', `Imported ${pending.fileName}: ${result.created} created, ${result.updated} updated.`);
+      return res.redirect('/inventory');
+    });
+  },
+
+  viewHistory(req, res) {
+    const productId = parseInt(req.params.id, 10);
+    if (Number.isNaN(productId)) {
+      req.flash('error', 'Invalid product id.');
+      return res.redirect('/inventory');
+    }
+
+    ProductModel.getProductById(productId, (err, product) => {
+      if (err || !product) {
+        if (err) console.error('Error loading product for stock history', err);
+        req.flash('error', 'Product not found.');
+        return res.redirect('/inventory');
+      }
+      ProductVariantModel.getByProduct(productId, (vErr, variants) => {
+        if (vErr) console.error('Error loading variants for stock history', vErr);
+        ProductModel.getStockHistory(productId, { limit: 500 }, (hErr, movements) => {
+          if (hErr) {
+            console.error('Error loading stock history', hErr);
+            req.flash('error', 'Unable to load stock history.');
+            return res.redirect('/inventory');
+          }
+          const variantLabels = {};
+          (variants || []).forEach((v) => { variantLabels[v.id] = v.label; });
+          res.render('stockHistory', {
+            product,
+            variants: variants || [],
+            movements: (movements || []).map((m) => ({
+              ...m,
+              variantLabel: m.variantId ? (variantLabels[m.variantId] || `Variant #${m.variantId} (removed)`) : null
+            })),
+            manualMovements: MANUAL_MOVEMENTS,
+            movementLabels: MOVEMENT_LABELS,
+            user: req.session.user
+          });
+        });
+      });
+    });
+  },
+
+  recordMovement(req, res) {
+    const productId = parseInt(req.params.id, 10);
+    if (Number.isNaN(productId)) {
+      req.flash('error', 'Invalid product id.');
+      return res.redirect('/inventory');
+    }
+    const backUrl = `/inventory/${productId}/history`;
+    const { movementType, reason } = req.body;
+    const config = MANUAL_MOVEMENTS[movementType];
+    const quantity = parseInt(req.body.quantity, 10);
+    const variantId = parseInt(req.body.variantId, 10) || null;
+    const trimmedReason = String(reason || '').trim();
+
+    const errors = [];
+    if (!config) errors.push('Choose a movement type.');
+    // Adjustments take a signed quantity (e.g. -3 after a recount); others take a positive amount.
+    if (!Number.isInteger(quantity) || quantity === 0 || (config && config.sign !== 0 && quantity < 0)) {
+      errors.push(config && config.sign === 0
+        ? 'Adjustment must be a non-zero whole number (use a minus sign to reduce stock).'
+        : 'Quantity must be a positive whole number.');
+    }
+    if (movementType !== 'restock' && !trimmedReason) errors.push('Please give a reason for this change.');
+    if (errors.length) {
+      req.flash('error', errors);
+      return res.redirect(backUrl);
+    }
+
+    ProductVariantModel.getByProduct(productId, (vErr, variants) => {
+      if (vErr) {
+        console.error('Error loading variants for stock movement', vErr);
+        req.flash('error', 'Unable to record stock change.');
+        return res.redirect(backUrl);
+      }
+      if (variants && variants.length && !variantId) {
+        req.flash('error', 'This product has variants. Choose which variant the change applies to.');
+        return res.redirect(backUrl);
+      }
+
+      ProductModel.adjustStock({
+        productId,
+        variantId: variants && variants.length ? variantId : null,
+        delta: config.sign === 0 ? quantity : config.sign * quantity,
+        movementType,
+        reason: trimmedReason || null,
+        userId: req.session.user.id
+      }, (err, result) => {
+        if (err) {
+          if (err.code === 'INSUFFICIENT_STOCK') {
+            req.flash('error', `Not enough stock for that change. ${err.message}`);
+          } else if (err.code === 'NOT_FOUND') {
+            req.flash('error', 'Product or variant not found.');
+          } else {
+            console.error('Error recording stock movement', err);
+            req.flash('error', 'Unable to record stock change.');
+          }
+          return res.redirect(backUrl);
+        }
+        req.flash('success', `${config.label} recorded. New balance: ${result.balance}.`);
+        return res.redirect(backUrl);
+      });
+    });
+  }
+};
+
+module.exports = InventoryController;
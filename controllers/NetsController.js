@@ -1,62 +1,26 @@
-const CartModel = require('../models/cart');
-const OrderModel = require('../models/order');
-const ProductModel = require('../models/product');
-const MembershipModel = require('../models/membership');
+const PaymentAttemptModel = require('../models/paymentAttempt');
+const StockReservationModel = require('../models/stockReservation');
 const NetsService = require('../services/nets');
-const RefundCreditModel = require('../models/refundCredit');
+const PricingService = require('../services/pricing');
+const FulfilmentService = require('../services/fulfilment');
+const CheckoutService = require('../services/checkout');
 
-const mapCartItems = (items) => {
-  const cart = items.map((item) => {
-    const discount = Number(item.discount) || 0;
-    const quantity = Number(item.quantity) || 0;
-    const unitPrice = Number(item.price) || 0;
-    const discountedPrice = unitPrice * (1 - discount / 100);
-    const lineTotal = discountedPrice * quantity;
-    return {
-      ...item,
-      discount,
-      quantity,
-      unitPrice,
-      discountedPrice,
-      lineTotal
-    };
+const releaseReservation = (reference) => {
+  if (!reference) return;
+  StockReservationModel.release(reference, (err) => {
+    if (err) console.error('Error releasing NETS stock reservation', err);
   });
-
-  const cartTotal = cart.reduce((sum, item) => sum + item.lineTotal, 0);
-  return { cart, cartTotal };
 };
 
-const computeTotals = (userId) => new Promise((resolve, reject) => {
-  CartModel.getCartByUser(userId, (err, items) => {
-    if (err) return reject(err);
-
-    const { cart, cartTotal } = mapCartItems(items);
-
-    OrderModel.getOrdersByUser(userId, (orderErr, orders) => {
-      if (orderErr) return reject(orderErr);
-
-      const discountEligible = !orders || orders.length === 0;
-      const discountPercent = discountEligible ? 25 : 0;
-      const discountedTotal = discountPercent > 0 ? Number((cartTotal * 0.75).toFixed(2)) : cartTotal;
-
-      RefundCreditModel.getLatestAvailableByUser(userId, (creditErr, credit) => {
-        if (creditErr) console.error('Error loading refund credit', creditErr);
-        const availableCredit = credit && Number(credit.amount) ? Number(credit.amount) : 0;
-        const refundCreditAmount = Number(Math.min(discountedTotal, Math.max(0, availableCredit)).toFixed(2));
-        const payableTotal = Number((Math.max(0, discountedTotal - refundCreditAmount)).toFixed(2));
-
-        resolve({
-          cart,
-          cartTotal,
-          discountedTotal,
-          discountPercent,
-          refundCreditAmount,
-          refundCreditId: credit ? credit.id : null,
-          payableTotal
-        });
-      });
-    });
-  });
+// Same pricing as card/PayPal/Stripe checkout, including any loyalty points the customer applied
+// and the delivery fee for the chosen slot and address ({ fulfilment, contactDetails }).
+const priceCheckout = (req, delivery) => new Promise((resolve, reject) => {
+  const options = {
+    couponCode: req.session.couponCode,
+    loyaltyRedemption: req.session.loyaltyRedemption,
+    delivery: delivery && delivery.fulfilment ? FulfilmentService.feeContext(delivery) : null
+  };
+  PricingService.priceCheckout(req.session.user.id, options, (err, priced) => (err ? reject(err) : resolve(priced)));
 });
 
 const handleFail = (req, res, msg) => {
@@ -64,6 +28,31 @@ const handleFail = (req, res, msg) => {
   return res.redirect('/checkout');
 };
 
+// The customer's own NETS payment attempt for a QR code's retrieval reference, or null.
+const findAttempt = (txnRetrievalRef, userId) => new Promise((resolve, reject) => {
+  if (!txnRetrievalRef) return resolve(null);
+  PaymentAttemptModel.getByReference('NETS', String(txnRetrievalRef), (err, attempt) => {
+    if (err) return reject(err);
+    resolve(attempt && attempt.userId === userId ? attempt : null);
+  });
+});
+
+// Gives up on a QR payment and puts its held stock back on sale. details: { note, response }
+const releaseAttempt = (attempt, details, failed = false) => {
+  const change = failed ? PaymentAttemptModel.fail : PaymentAttemptModel.release;
+  change(attempt.id, details, (err) => {
+    if (err) console.error('Error releasing NETS payment attempt', err);
+  });
+  releaseReservation(attempt.checkout && attempt.checkout.reservationRef);
+};
+
+// The QR code itself is a large image; the rest of the response is kept on the attempt.
+const withoutQrImage = (response) => {
+  const data = response?.result?.data;
+  if (!data || !data.qr_code) return response;
+  return { ...response, result: { ...response.result, data: { ...data, qr_code: '[omitted]' } } };
+};
+
 const normalizeStatus = (rawStatus, responseCode) => {
   const value = rawStatus != null ? String(rawStatus).trim().toLowerCase() : '';
   const code = responseCode != null ? String(responseCode).trim() : '';
@@ -83,14 +72,24 @@ const normalizeStatus = (rawStatus, responseCode) => {
 };
 
 const NetsController = {
-  fail(req, res) {
+  // ?ref= is the QR code's retrieval reference.
+  async fail(req, res) {
     const reason = req.query?.reason;
+    try {
+      const attempt = await findAttempt(req.query?.ref, req.session?.user?.id);
+      if (attempt && attempt.status === 'pending') {
+        releaseAttempt(attempt, { note: reason === 'timeout' ? 'QR code timed out' : 'Payment failed or cancelled' }, reason !== 'timeout');
+      }
+    } catch (err) {
+      console.error('Error releasing NETS payment attempt', err);
+    }
     const msg = reason === 'timeout'
       ? 'NETS QR timed out. Please generate a new code.'
       : 'NETS payment failed or was cancelled.';
     return handleFail(req, res, msg);
   },
 
+  // body: { txnRetrievalRef } from the QR page.
   async confirmPayment(req, res) {
     const wantsJson = (req.headers.accept && req.headers.accept.includes('application/json'))
       || (req.headers['content-type'] && req.headers['content-type'].includes('application/json'))
@@ -103,19 +102,53 @@ const NetsController = {
       req.flash('error', 'Please log in.');
       return res.redirect('/login');
     }
+
+    const respondFailed = () => {
+      req.flash('error', 'Payment failed. Please try again.');
+      if (wantsJson) {
+        return res.status(500).json({ ok: false, status: 'failed', redirect: '/checkout' });
+      }
+      return res.redirect('/checkout');
+    };
+
+    // Turns the paid attempt into its order; a webhook or an earlier poll may already have.
+    const finish = (attempt, payment) => {
+      CheckoutService.completePayment(attempt, payment, (err, result) => {
+        if (CheckoutService.isCheckoutInProgress(err)) {
+          if (wantsJson) return res.json({ ok: false, status: 'pending' });
+          req.flash('success', 'Your payment went through and your order is being created. It will appear here shortly.');
+          return res.redirect('/my-orders');
+        }
+        if (err) {
+          console.error('Error creating order after NETS payment:', err);
+          return respondFailed();
+        }
+        if (req.session) {
+          delete req.session.couponCode;
+          delete req.session.loyaltyRedemption;
+        }
+        if (wantsJson) {
+          return res.json({ ok: true, orderId: result.orderId, redirect: `/invoice/${result.orderId}` });
+        }
+        return res.redirect(`/invoice/${result.orderId}`);
+      });
+    };
+
     try {
-      const txn = req.session?.netsTxn;
-      if (!txn || !txn.txnRetrievalRef) {
+      const txnRetrievalRef = req.body?.txnRetrievalRef;
+      const attempt = await findAttempt(txnRetrievalRef, userId);
+      if (!attempt || attempt.status === 'released' || attempt.status === 'failed') {
         if (wantsJson) {
           return res.json({ ok: false, status: 'pending', error: 'NETS session expired.', redirect: '/checkout' });
         }
         req.flash('error', 'NETS session expired. Please try again.');
         return res.redirect('/checkout');
       }
+      if (attempt.status === 'completed' || attempt.status === 'processing') return finish(attempt, {});
 
       let statusResp;
       try {
-        statusResp = await NetsService.getPaymentStatus(txn.txnRetrievalRef, 0);
+        statusResp = await NetsService.getPaymentStatus(attempt.providerReference, 0);
       } catch (statusErr) {
         if (wantsJson) {
           return res.json({ ok: false, status: 'pending', error: 'Unable to reach NETS status endpoint.' });
@@ -129,9 +162,11 @@ const NetsController = {
         || statusResp?.raw?.result?.data?.txn_ref_id
         || statusResp?.raw?.result?.data?.txnRefId
         || statusResp?.raw?.result?.data?.txn_ref;
-      const elapsedMs = txn.createdAt ? Date.now() - txn.createdAt : 0;
-      const optimisticAfterMs = 20000;
-      if (status !== 'success' && elapsedMs < optimisticAfterMs) {
+      // Only a payment NETS reports as successful becomes an order, however long it has taken.
+      if (status !== 'success') {
+        // The page polls every few seconds, so only a decline is worth keeping; a pending payment
+        // stays pending until NETS says either way or the attempt lapses.
+        if (status === 'failed') releaseAttempt(attempt, { note: 'NETS payment failed', response: statusResp?.raw }, true);
         if (wantsJson) {
           return res.json({ ok: false, status, redirect: '/checkout' });
         }
@@ -141,100 +176,14 @@ const NetsController = {
         return res.redirect('/checkout');
       }
 
-      const {
-        cart,
-        discountedTotal,
-        discountPercent,
-        refundCreditAmount,
-        refundCreditId,
-        payableTotal
-      } = await computeTotals(userId);
-      if (!cart || cart.length === 0) {
-        if (wantsJson) {
-          return res.status(400).json({ ok: false, status: 'failed', error: 'Your cart is empty.', redirect: '/checkout' });
-        }
-        req.flash('error', 'Your cart is empty.');
-        return res.redirect('/checkout');
-      }
-
-      const orderItems = cart.map((item) => ({
-        productId: item.productId,
-        quantity: Number(item.quantity),
-        price: item.discountedPrice,
-        productName: item.productName,
-        image: item.image
-      }));
-
-      const txnRefId = txn.txnRefId || statusTxnRefId;
-      const txnId = txn.txnId || statusResp?.txnId || statusResp?.raw?.result?.data?.txn_id;
-      const payload = {
-        userId,
-        totalAmount: payableTotal,
-        discountPercent,
-        status: 'processing',
-        transactionId: txnRefId || txn.txnRetrievalRef,
+      const paymentDetails = (attempt.checkout && attempt.checkout.paymentDetails) || {};
+      const txnRefId = paymentDetails.txnRefId || statusTxnRefId;
+      const txnId = paymentDetails.txnId || statusResp?.txnId || statusResp?.raw?.result?.data?.txn_id;
+      return finish(attempt, {
+        transactionId: txnRefId || attempt.providerReference,
         transactionRefId: txnId || null,
-        paymentMethod: 'NETS',
-        refundCreditAmount,
-        refundCreditId
-      };
-
-      OrderModel.createOrder(payload, orderItems, (orderErr, result) => {
-        if (orderErr) {
-          console.error('Error creating order after NETS payment:', orderErr);
-          req.flash('error', 'Payment failed. Please try again.');
-          if (wantsJson) {
-            return res.status(500).json({ ok: false, status: 'failed', redirect: '/checkout' });
-          }
-          return res.redirect('/checkout');
-        }
-        const orderId = result.orderId;
-        const decTasks = orderItems.map((item) => new Promise((resolve, reject) => {
-          ProductModel.decrementQuantity(item.productId, item.quantity, (decErr) => {
-            if (decErr) return reject(decErr);
-            resolve();
-          });
-        }));
-
-        const finish = () => {
-          if (wantsJson) {
-            return res.json({ ok: true, orderId, redirect: `/invoice/${orderId}` });
-          }
-          return res.redirect(`/invoice/${orderId}`);
-        };
-
-        const creditTask = new Promise((resolve) => {
-          if (!refundCreditId || !refundCreditAmount || Number(refundCreditAmount) <= 0) return resolve();
-          RefundCreditModel.markUsed(refundCreditId, orderId, (cErr) => {
-            if (cErr) console.error('Error marking refund credit used', cErr);
-            resolve();
-          });
-        });
-
-        Promise.all(decTasks.concat([creditTask]))
-          .then(() => {
-            if (req.session) delete req.session.netsTxn;
-            CartModel.clearCartByUser(userId, (clearErr) => {
-              if (clearErr) console.error('Error clearing cart after NETS payment:', clearErr);
-            });
-            const points = Math.floor((Number(payableTotal) || 0) * 10);
-            if (points <= 0) return finish();
-            MembershipModel.getByUser(userId, (mErr, membership) => {
-              if (mErr || !membership) return finish();
-              MembershipModel.addPoints(userId, points, (pErr) => {
-                if (pErr) console.error('Membership points error after NETS payment:', pErr);
-                return finish();
-              });
-            });
-          })
-          .catch((err) => {
-            console.error('Stock decrement error after NETS payment:', err);
-            req.flash('error', 'Payment failed. Please try again.');
-            if (wantsJson) {
-              return res.status(500).json({ ok: false, status: 'failed', redirect: '/checkout' });
-            }
-            return res.redirect('/checkout');
-          });
+        note: `NETS payment ${status}`,
+        response: statusResp?.raw
       });
     } catch (err) {
       console.error('NETS confirmPayment error:', err);
@@ -252,34 +201,66 @@ const NetsController = {
       return res.status(401).send('Please log in to checkout.');
     }
 
+    let reservationRef = null;
     try {
-      const { cart, payableTotal, refundCreditAmount, refundCreditId } = await computeTotals(userId);
+      // The NETS form carries the slot, address and contact details filled in on the checkout page.
+      let delivery;
+      try {
+        delivery = await new Promise((resolve, reject) => {
+          FulfilmentService.resolveDelivery(req.session.user, req.body, (err, result) => (err ? reject(err) : resolve(result)));
+        });
+      } catch (deliveryErr) {
+        if (FulfilmentService.isDeliveryError(deliveryErr)) return handleFail(req, res, deliveryErr.message);
+        throw deliveryErr;
+      }
+
+      const { cart, orderItems, pricing } = await priceCheckout(req, delivery);
+      const payableTotal = pricing.payable;
       if (!cart || cart.length === 0) {
         return handleFail(req, res, 'Your cart is empty.');
       }
 
+      reservationRef = `NETS-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+      try {
+        await new Promise((resolve, reject) => {
+          StockReservationModel.reserve(reservationRef, userId, orderItems, delivery.fulfilment.slotId, (err) => (err ? reject(err) : resolve()));
+        });
+      } catch (reserveErr) {
+        if (reserveErr.code === 'INSUFFICIENT_STOCK' || FulfilmentService.isDeliveryError(reserveErr)) return handleFail(req, res, reserveErr.message);
+        throw reserveErr;
+      }
+
       const { qrData, courseInitId, webhookUrl, fullResponse, txnId } = await NetsService.requestQrCode(payableTotal);
+      const qrIssued = qrData.response_code === '00' && qrData.txn_status === 1 && qrData.qr_code;
+      const txnRetrievalRef = qrData.txn_retrieval_ref;
+      const txnRefId = qrData.txn_ref_id || qrData.txnRefId || qrData.txn_ref;
 
-      if (
-        qrData.response_code === '00' &&
-        qrData.txn_status === 1 &&
-        qrData.qr_code
-      ) {
-        const txnRetrievalRef = qrData.txn_retrieval_ref;
-        const txnRefId = qrData.txn_ref_id || qrData.txnRefId || qrData.txn_ref;
-          if (req.session) {
-            req.session.netsTxn = {
-              txnRetrievalRef,
-              txnRefId,
-              txnId: txnId || null,
-              courseInitId,
-              total: payableTotal,
-              refundCreditAmount,
-              refundCreditId,
-              createdAt: Date.now()
-            };
-          }
+      // Payments are priced now, like Stripe and PayPal, so the order matches what the QR code charged.
+      const attempt = {
+        provider: 'NETS',
+        providerReference: txnRetrievalRef || txnId,
+        userId,
+        amount: payableTotal,
+        checkout: CheckoutService.checkoutSnapshot({
+          totalAmount: payableTotal,
+          orderItems,
+          promotionLines: pricing.discounts,
+          loyaltyPoints: pricing.loyalty.points,
+          refundCreditAmount: pricing.refundCredit.amount,
+          refundCreditId: pricing.refundCredit.id,
+          pricing,
+          fulfilment: delivery.fulfilment,
+          contactDetails: delivery.contactDetails,
+          reservationRef,
+          paymentDetails: { txnRefId: txnRefId || null, txnId: txnId || null, courseInitId: courseInitId || null }
+        }),
+        response: withoutQrImage(fullResponse)
+      };
+      const saved = await new Promise((resolve, reject) => {
+        PaymentAttemptModel.create(attempt, (err, result) => (err ? reject(err) : resolve(result)));
+      });
 
+      if (qrIssued) {
         return res.render('netsQr', {
           title: 'Scan to Pay',
           total: payableTotal.toFixed(2),
@@ -297,9 +278,11 @@ const NetsController = {
       }
 
       const errorMsg = qrData.error_message || 'An error occurred while generating the QR code.';
+      releaseAttempt({ id: saved.insertId, checkout: attempt.checkout }, { note: `QR code not issued: ${errorMsg}` }, true);
       return handleFail(req, res, errorMsg);
     } catch (error) {
       console.error('Error in generateQrCode:', error.message);
+      releaseReservation(reservationRef);
       return handleFail(req, res, 'Unable to start NETS payment. Please try again.');
     }
   }
@@ -40,6 +40,8 @@ const OrderController = {
     const orderData = { userId, totalAmount, status };
 
     OrderModel.updateOrder(id, orderData, items, (err, result) => {
+      if (err && err.code === 'INVALID_STATUS_TRANSITION') return res.status(400).json({ error: err.message });
+      if (err && err.code === 'ORDER_STATUS_CONFLICT') return res.status(409).json({ error: err.message });
       if (err) return res.status(500).json({ error: 'Database error', details: err.message });
       if (!result) return res.status(404).json({ error: 'Order not found' });
       res.json({ message: 'Order updated', id });
@@ -0,0 +1,27 @@
+const PaymentAttemptModel = require('../models/paymentAttempt');
+
+const PaymentAttemptController = {
+  // Payments that were started but never became orders. ?filter=abandoned|failed|all
+  list(req, res) {
+    const filter = PaymentAttemptModel.ATTEMPT_FILTERS[req.query.filter] ? req.query.filter : 'abandoned';
+    PaymentAttemptModel.getAttempts(filter, (err, attempts) => {
+      if (err) {
+        console.error('Error loading payment attempts', err);
+        req.flash('error', 'Unable to load payment attempts.');
+        return res.redirect('/orders');
+      }
+      PaymentAttemptModel.getEvents(attempts.map((attempt) => attempt.id), (eventErr, eventsByAttempt) => {
+        if (eventErr) console.error('Error loading payment attempt history', eventErr);
+        res.render('paymentAttempts', {
+          attempts: attempts.map((attempt) => ({ ...attempt, events: (eventsByAttempt || {})[attempt.id] || [] })),
+          filter,
+          filters: PaymentAttemptModel.ATTEMPT_FILTERS,
+          ttlMinutes: PaymentAttemptModel.PAYMENT_TTL_MINUTES,
+          user: req.session.user
+        });
+      });
+    });
+  }
+};
+
+module.exports = PaymentAttemptController;
@@ -0,0 +1,172 @@
+const PickingService = require('../services/picking');
+const OrderPickModel = require('../models/orderPick');
+const ProductModel = require('../models/product');
+
+const parseId = (value) => {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const PickingController = {
+  queue(req, res) {
+    PickingService.queue((err, groups) => {
+      if (err) {
+        console.error('Error loading picking queue', err);
+        req.flash('error', 'Unable to load the picking queue.');
+        return res.redirect('/orders');
+      }
+      res.render('picking', { groups, user: req.session.user });
+    });
+  },
+
+  viewOrder(req, res) {
+    const id = parseId(req.params.id);
+    if (!id) {
+      req.flash('error', 'Invalid order.');
+      return res.redirect('/picking');
+    }
+    PickingService.pickSheet(id, (err, order) => {
+      if (err) {
+        console.error('Error loading pick sheet', err);
+        req.flash('error', 'Unable to load the order.');
+        return res.redirect('/picking');
+      }
+      if (!order) {
+        req.flash('error', 'Order not found.');
+        return res.redirect('/picking');
+      }
+      const pickable = PickingService.PICKABLE_STATUSES.includes(order.status);
+      const categories = [...new Set(order.items.map((item) => item.category).filter(Boolean))];
+      // Substitutes are offered from the same category as the line they replace.
+      ProductModel.getSubstituteCandidates(pickable ? categories : [], (candidateErr, candidates) => {
+        if (candidateErr) console.error('Error loading substitute candidates', candidateErr);
+        const substitutesByCategory = {};
+        (candidates || []).forEach((product) => {
+          (substitutesByCategory[product.category] = substitutesByCategory[product.category] || []).push(product);
+        });
+        res.render('pickOrder', {
+          order,
+          pickStatuses: OrderPickModel.PICK_STATUSES,
+          pickable,
+          substitutesByCategory,
+          user: req.session.user
+        });
+      });
+    });
+  },
+
+  // Printable list for one order, or for every order in a slot with ?slot=<id|none>.
+  printList(req, res) {
+    const renderList = (title, orders) => res.render('pickList', {
+      title,
+      orders,
+      lines: PickingService.pickListLines(orders),
+      user: req.session.user
+    });
+
+    if (req.params.id) {
+      const id = parseId(req.params.id);
+      if (!id) {
+        req.flash('error', 'Invalid order.');
+        return res.redirect('/picking');
+      }
+      return PickingService.pickSheet(id, (err, order) => {
+        if (err || !order) {
+          if (err) console.error('Error loading pick list', err);
+          req.flash('error', err ? 'Unable to load the pick list.' : 'Order not found.');
+          return res.redirect('/picking');
+        }
+        renderList(`Order #${order.id}`, [order]);
+      });
+    }
+
+    PickingService.slotPickList(req.query.slot || 'none', (err, group) => {
+      if (err) {
+        console.error('Error loading slot pick list', err);
+        req.flash('error', 'Unable to load the pick list.');
+        return res.redirect('/picking');
+      }
+      if (!group) {
+        req.flash('error', 'No orders are waiting to be picked for that slot.');
+        return res.redirect('/picking');
+      }
+      renderList(group.methodLabel ? `${group.methodLabel} - ${group.label}` : group.label, group.orders);
+    });
+  },
+
+  markItem(req, res) {
+    const id = parseId(req.params.id);
+    const itemId = parseId(req.params.itemId);
+    if (!id || !itemId) {
+      req.flash('error', 'Invalid order line.');
+      return res.redirect('/picking');
+    }
+    const pick = {
+      status: req.body.status,
+      missingQuantity: req.body.missingQuantity,
+      note: req.body.note
+    };
+    PickingService.markLine(id, itemId, pick, req.session.user.id, (err, result) => {
+      if (err) {
+        if (!PickingService.isPickError(err)) console.error('Error marking order line', err);
+        req.flash('error', PickingService.isPickError(err) ? err.message : 'Unable to update the line.');
+        return res.redirect(`/picking/${id}`);
+      }
+      if (!result) {
+        req.flash('error', 'Order not found.');
+        return res.redirect('/picking');
+      }
+      req.flash('success', `${result.item.productName} marked ${OrderPickModel.PICK_STATUSES[pick.status].toLowerCase()}.`);
+      return res.redirect(`/picking/${id}`);
+    });
+  },
+
+  proposeSubstitute(req, res) {
+    const id = parseId(req.params.id);
+    const itemId = parseId(req.params.itemId);
+    if (!id || !itemId) {
+      req.flash('error', 'Invalid order line.');
+      return res.redirect('/picking');
+    }
+    const proposal = { productId: req.body.productId, quantity: req.body.quantity };
+    PickingService.proposeSubstitute(id, itemId, proposal, req.session.user.id, (err, result) => {
+      if (err) {
+        if (!PickingService.isPickError(err)) console.error('Error proposing substitute', err);
+        req.flash('error', PickingService.isPickError(err) ? err.message : 'Unable to offer the substitute.');
+        return res.redirect(`/picking/${id}`);
+      }
+      if (!result) {
+        req.flash('error', 'Order not found.');
+        return res.redirect('/picking');
+      }
+      req.flash('success', `${result.substitute.productName} offered to the customer for ${result.item.productName}.`);
+      return res.redirect(`/picking/${id}`);
+    });
+  },
+
+  pack(req, res) {
+    const id = parseId(req.params.id);
+    if (!id) {
+      req.flash('error', 'Invalid order.');
+      return res.redirect('/picking');
+    }
+    PickingService.packOrder(id, req.session.user.id, (err, result) => {
+      if (err) {
+        if (!PickingService.isPickError(err)) console.error('Error packing order', err);
+        req.flash('error', PickingService.isPickError(err) ? err.message : 'Unable to mark the order packed.');
+        return res.redirect(`/picking/${id}`);
+      }
+      if (!result) {
+        req.flash('error', 'Order not found.');
+        return res.redirect('/picking');
+      }
+      const credit = result.refundAmount > 0
+        ? ` $${result.refundAmount.toFixed(2)} refund credit issued for missing items.`
+        : '';
+      req.flash('success', `Order #${id} packed.${credit}`);
+      return res.redirect('/picking');
+    });
+  }
+};
+
+module.exports = PickingController;
@@ -1,12 +1,148 @@
 // ...existing code...
 const ProductModel = require('../models/product');
+const ProductVariantModel = require('../models/productVariant');
+const RoleService = require('../services/roles');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const parseMoney = (value) => {
+  if (value == null || value === '') return null;
+  const num = Number.parseFloat(value);
+  return Number.isFinite(num) && num >= 0 ? Number(num.toFixed(2)) : null;
+};
+
+// normalize price to two decimals; returns null if invalid/<=0
+const normalizePrice = (raw) => {
+  const num = Number.parseFloat(raw);
+  if (!Number.isFinite(num) || num <= 0) return null;
+  return Number(num.toFixed(2));
+};
+
+const buildSku = (productName, label) => `${productName || 'SKU'}-${label || ''}`
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 64);
+
+const toArray = (value) => {
+  if (value == null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Read variant rows from the add/update product forms. Each row posts a key in
+// `variantKeys` plus `variant_<key>_<field>` inputs and an optional `variant_<key>_image` file.
+const parseVariantForm = (body = {}, files = [], productName = '') => {
+  const errors = [];
+  const variants = [];
+  const seenSkus = new Set();
+
+  toArray(body.variantKeys).forEach((key, index) => {
+    const field = (name) => {
+      const value = body[`variant_${key}_${name}`];
+      return value != null ? String(value).trim() : '';
+    };
+    const label = field('label');
+    const rowName = label || `Variant ${index + 1}`;
+    if (!label) errors.push(`${rowName}: label is required.`);
+
+    const price = normalizePrice(field('price'));
+    if (price == null) errors.push(`${rowName}: price must be a positive number.`);
+
+    const quantity = Number.parseInt(field('quantity'), 10);
+    if (!Number.isInteger(quantity) || quantity < 0) errors.push(`${rowName}: stock must be a whole number of 0 or more.`);
+
+    const variantType = ProductVariantModel.VARIANT_TYPES.includes(field('type')) ? field('type') : 'size';
+    const sku = (field('sku') || buildSku(productName, label)).toUpperCase();
+    if (seenSkus.has(sku)) errors.push(`${rowName}: SKU ${sku} is used more than once.`);
+    seenSkus.add(sku);
+
+    const upload = (files || []).find((f) => f.fieldname === `variant_${key}_image`);
+    const id = Number.parseInt(field('id'), 10);
+    variants.push({
+      id: Number.isInteger(id) && id > 0 ? id : null,
+      label,
+      variantType,
+      sku,
+      price,
+      quantity,
+      image: upload ? upload.filename : (field('currentImage') || null)
+    });
+  });
+
+  return { variants, errors };
+};
+
+const includeDetails = process.env.NODE_ENV !== 'production';
+
+const sendDbError = (res, err) => {
+  const payload = { error: 'Database error' };
+  if (includeDetails && err) payload.details = err.message;
+  return res.status(500).json(payload);
+};
+
+// Fields the product API sends back. Inventory staff also see the reorder settings.
+const PUBLIC_PRODUCT_FIELDS = ['id', 'productName', 'quantity', 'price', 'image', 'category'];
+const STAFF_PRODUCT_FIELDS = [...PUBLIC_PRODUCT_FIELDS, 'reorderThreshold', 'reorderQuantity'];
+const VARIANT_FIELDS = ['id', 'sku', 'label', 'variantType', 'price', 'quantity', 'image'];
+
+const pick = (row, fields) => fields.reduce((picked, field) => {
+  if (row && row[field] !== undefined) picked[field] = row[field];
+  return picked;
+}, {});
+
+const toApiProduct = (product, apiUser) => {
+  const fields = RoleService.can(apiUser, 'inventory.view') ? STAFF_PRODUCT_FIELDS : PUBLIC_PRODUCT_FIELDS;
+  const picked = pick(product, fields);
+  if (Array.isArray(product.variants)) picked.variants = product.variants.map((variant) => pick(variant, VARIANT_FIELDS));
+  return picked;
+};
+
+const isTruthyFlag = (value) => ['1', 'true', 'on', 'yes'].includes(String(value || '').toLowerCase());
+
+// Normalise catalog query-string params (shared by /shopping and /api/products)
+const parseListQuery = (query = {}) => {
+  const page = parseInt(query.page, 10);
+  const limit = parseInt(query.limit, 10);
+  let minPrice = parseMoney(query.minPrice);
+  let maxPrice = parseMoney(query.maxPrice);
+  if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+    [minPrice, maxPrice] = [maxPrice, minPrice];
+  }
+  const category = String(query.category || '').trim();
+  const sort = String(query.sort || '').trim();
+
+  return {
+    search: String(query.q || query.search || '').trim(),
+    category: category && category.toLowerCase() !== 'all' ? category : '',
+    minPrice,
+    maxPrice,
+    inStock: isTruthyFlag(query.inStock),
+    noImage: isTruthyFlag(query.noImage),
+    sort: Object.prototype.hasOwnProperty.call(ProductModel.SORT_OPTIONS, sort) ? sort : 'name_asc',
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE
+  };
+};
 
 const ProductController = {
-  // List all products (JSON)
+  // List products with search, category/price/stock filters and sorting (JSON array).
+  // Pagination is opt-in with ?page= or ?limit=, so clients that expect every product keep
+  // getting them; the counts are sent in X-Total-Count / X-Page / X-Per-Page / X-Total-Pages.
   listProducts(req, res) {
-    ProductModel.getAllProducts((err, products) => {
-      if (err) return res.status(500).json({ error: 'Database error', details: err.message });
-      res.json(products);
+    const paginate = req.query.page != null || req.query.limit != null;
+    const filters = parseListQuery(req.query);
+    ProductModel.searchProducts(paginate ? filters : { ...filters, limit: null }, (err, result) => {
+      if (err) return sendDbError(res, err);
+      res.set('X-Total-Count', String(result.total));
+      if (paginate) {
+        res.set({
+          'X-Page': String(result.page),
+          'X-Per-Page': String(result.limit),
+          'X-Total-Pages': String(result.totalPages)
+        });
+      }
+      res.json(result.products.map((product) => toApiProduct(product, req.apiUser)));
     });
   },
 
@@ -16,9 +152,12 @@ const ProductController = {
     if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid product id' });
 
     ProductModel.getProductById(id, (err, product) => {
-      if (err) return res.status(500).json({ error: 'Database error', details: err.message });
+      if (err) return sendDbError(res, err);
       if (!product) return res.status(404).json({ error: 'Product not found' });
-      res.json(product);
+      ProductVariantModel.getByProduct(id, (variantErr, variants) => {
+        if (variantErr) return sendDbError(res, variantErr);
+        res.json(toApiProduct({ ...product, variants: variants || [] }, req.apiUser));
+      });
     });
   },
 
@@ -33,12 +172,13 @@ const ProductController = {
       productName,
       quantity: Number(quantity),
       price: Number(price),
-      image: req.file ? req.file.filename : (req.body.image || null)
+      image: req.file ? req.file.filename : (req.body.image || null),
+      createdBy: req.apiUser ? req.apiUser.id : null
     };
 
     ProductModel.addProduct(product, (err, result) => {
-      if (err) return res.status(500).json({ error: 'Database error', details: err.message });
-      res.status(201).json({ id: result.insertId, ...product });
+      if (err) return sendDbError(res, err);
+      res.status(201).json(toApiProduct({ id: result.insertId, ...product }, req.apiUser));
     });
   },
 
@@ -48,19 +188,22 @@ const ProductController = {
     if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid product id' });
 
     ProductModel.getProductById(id, (err, existing) => {
-      if (err) return res.status(500).json({ error: 'Database error', details: err.message });
+      if (err) return sendDbError(res, err);
       if (!existing) return res.status(404).json({ error: 'Product not found' });
 
       const { productName, quantity, price, currentImage } = req.body;
       const product = {
         productName: productName != null ? productName : existing.productName,
-        quantity: quantity != null ? Number(quantity) : existing.quantity,
+        // left undefined when not sent so the stored stock (and ledger) is untouched
+        quantity: quantity != null ? Number(quantity) : undefined,
         price: price != null ? Number(price) : existing.price,
-        image: req.file ? req.file.filename : (currentImage != null ? currentImage : existing.image)
+        image: req.file ? req.file.filename : (currentImage != null ? currentImage : existing.image),
+        updatedBy: req.apiUser ? req.apiUser.id : null,
+        stockReason: req.body.stockReason || 'Quantity set via API'
       };
 
       ProductModel.updateProduct(id, product, (err, result) => {
-        if (err) return res.status(500).json({ error: 'Database error', details: err.message });
+        if (err) return sendDbError(res, err);
         if (result.affectedRows === 0) return res.status(404).json({ error: 'Product not found' });
         res.json({ message: 'Product updated' });
       });
@@ -73,11 +216,15 @@ const ProductController = {
     if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid product id' });
 
     ProductModel.deleteProduct(id, (err, result) => {
-      if (err) return res.status(500).json({ error: 'Database error', details: err.message });
+      if (err) return sendDbError(res, err);
       if (result.affectedRows === 0) return res.status(404).json({ error: 'Product not found' });
       res.json({ message: 'Product deleted' });
     });
-  }
+  },
+
+  parseListQuery,
+  parseVariantForm,
+  normalizePrice
 };
 
 module.exports = ProductController;
@@ -0,0 +1,260 @@
+const PromotionModel = require('../models/promotion');
+const ProductModel = require('../models/product');
+const { describePromotion } = require('../services/promotions');
+const { normalizePrice } = require('./ProductController');
+
+const TYPE_LABELS = { percent: 'Percent off', fixed: 'Fixed amount off', buy_x_get_y: 'Buy X get Y free' };
+const SCOPE_LABELS = { order: 'Whole order', category: 'Category', product: 'Product' };
+
+const parsePositiveInt = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+// datetime-local inputs post "YYYY-MM-DDTHH:MM"; MySQL wants a space instead of the T.
+const parseDateTime = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return { value: null };
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return { error: true };
+  return { value: text.replace('T', ' '), time: date.getTime() };
+};
+
+// For the datetime-local inputs when editing.
+const toInputDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const parsePromotionForm = (body = {}) => {
+  const errors = [];
+  const name = String(body.name || '').trim();
+  if (!name) errors.push('Name is required.');
+  else if (name.length > 120) errors.push('Name must be 120 characters or fewer.');
+
+  const code = String(body.code || '').trim().toUpperCase();
+  if (code && !/^[A-Z0-9_-]{3,40}$/.test(code)) errors.push('Coupon codes are 3-40 letters, numbers, dashes or underscores.');
+
+  const discountType = PromotionModel.PROMOTION_TYPES.includes(body.discountType) ? body.discountType : null;
+  if (!discountType) errors.push('Choose a discount type.');
+  const scope = PromotionModel.PROMOTION_SCOPES.includes(body.scope) ? body.scope : null;
+  if (!scope) errors.push('Choose what the promotion applies to.');
+
+  let value = 0;
+  if (discountType === 'percent') {
+    value = Number(body.value);
+    if (!Number.isFinite(value) || value <= 0 || value > 100) errors.push('Percent off must be between 0 and 100.');
+  } else if (discountType === 'fixed') {
+    value = normalizePrice(body.value);
+    if (value == null) errors.push('Amount off must be a positive number.');
+  }
+
+  const buyQuantity = parsePositiveInt(body.buyQuantity);
+  const getQuantity = parsePositiveInt(body.getQuantity);
+  if (discountType === 'buy_x_get_y') {
+    if (!buyQuantity || !getQuantity) errors.push('Buy and get quantities must be whole numbers of 1 or more.');
+    if (scope === 'order') errors.push('Buy X get Y promotions must target a category or product.');
+  }
+
+  const category = String(body.category || '').trim();
+  if (scope === 'category' && !category) errors.push('Choose a category.');
+  const productId = parsePositiveInt(body.productId);
+  if (scope === 'product' && !productId) errors.push('Choose a product.');
+
+  const minSpend = body.minSpend === '' || body.minSpend == null ? 0 : Number(body.minSpend);
+  if (!Number.isFinite(minSpend) || minSpend < 0) errors.push('Minimum spend must be 0 or more.');
+
+  const startsAt = parseDateTime(body.startsAt);
+  const endsAt = parseDateTime(body.endsAt);
+  if (startsAt.error || endsAt.error) errors.push('Enter valid start and end dates.');
+  else if (startsAt.value && endsAt.value && endsAt.time <= startsAt.time) errors.push('The end date must be after the start date.');
+
+  const perUserLimit = body.perUserLimit === '' || body.perUserLimit == null ? null : parsePositiveInt(body.perUserLimit);
+  if (body.perUserLimit !== '' && body.perUserLimit != null && !perUserLimit) errors.push('Uses per customer must be a whole number of 1 or more.');
+
+  return {
+    errors,
+    promotion: {
+      name,
+      code: code || null,
+      discountType,
+      scope,
+      value,
+      category: category || null,
+      productId,
+      buyQuantity,
+      getQuantity,
+      minSpend: Number.isFinite(minSpend) ? Number(minSpend.toFixed(2)) : 0,
+      startsAt: startsAt.value || null,
+      endsAt: endsAt.value || null,
+      perUserLimit,
+      firstOrderOnly: body.firstOrderOnly === 'on' || body.firstOrderOnly === '1',
+      active: body.active === 'on' || body.active === '1'
+    }
+  };
+};
+
+const promotionStatus = (promo) => {
+  const now = Date.now();
+  if (!promo.active) return 'inactive';
+  if (promo.startsAt && new Date(promo.startsAt).getTime() > now) return 'scheduled';
+  if (promo.endsAt && new Date(promo.endsAt).getTime() <= now) return 'expired';
+  return 'live';
+};
+
+// Categories and products for the scope pickers.
+const loadFormOptions = (callback) => {
+  ProductModel.getCategories((catErr, categories) => {
+    if (catErr) console.error('Error loading categories for promotions', catErr);
+    ProductModel.getAllProducts((prodErr, products) => {
+      if (prodErr) console.error('Error loading products for promotions', prodErr);
+      callback({
+        categories: categories || [],
+        products: (products || []).map((p) => ({ id: p.id, productName: p.productName }))
+      });
+    });
+  });
+};
+
+const saveErrorMessage = (err) => (err && err.code === 'ER_DUP_ENTRY'
+  ? 'That coupon code is already used by another promotion.'
+  : 'Unable to save the promotion.');
+
+const PromotionController = {
+  list(req, res) {
+    PromotionModel.getAll((err, promotions) => {
+      if (err) {
+        console.error('Error loading promotions', err);
+        req.flash('error', 'Unable to load promotions.');
+        return res.redirect('/inventory');
+      }
+      loadFormOptions((options) => {
+        res.render('promotions', {
+          promotions: promotions.map((promo) => ({
+            ...promo,
+            summary: describePromotion(promo),
+            status: promotionStatus(promo)
+          })),
+          formData: req.flash('formData')[0] || null,
+          typeLabels: TYPE_LABELS,
+          scopeLabels: SCOPE_LABELS,
+          ...options,
+          user: req.session.user
+        });
+      });
+    });
+  },
+
+  create(req, res) {
+    const { errors, promotion } = parsePromotionForm(req.body);
+    if (errors.length) {
+      req.flash('error', errors);
+      req.flash('formData', req.body);
+      return res.redirect('/promotions');
+    }
+    PromotionModel.create(promotion, (err) => {
+      if (err) {
+        if (err.code !== 'ER_DUP_ENTRY') console.error('Error creating promotion', err);
+        req.flash('error', saveErrorMessage(err));
+        req.flash('formData', req.body);
+        return res.redirect('/promotions');
+      }
+      req.flash('success', `Promotion "${promotion.name}" created.`);
+      return res.redirect('/promotions');
+    });
+  },
+
+  edit(req, res) {
+    const id = parsePositiveInt(req.params.id);
+    if (!id) {
+      req.flash('error', 'Invalid promotion id.');
+      return res.redirect('/promotions');
+    }
+    PromotionModel.getById(id, (err, promotion) => {
+      if (err || !promotion) {
+        if (err) console.error('Error loading promotion', err);
+        req.flash('error', 'Promotion not found.');
+        return res.redirect('/promotions');
+      }
+      loadFormOptions((options) => {
+        res.render('editPromotion', {
+          promotion: {
+            ...promotion,
+            startsAt: toInputDate(promotion.startsAt),
+            endsAt: toInputDate(promotion.endsAt)
+          },
+          typeLabels: TYPE_LABELS,
+          scopeLabels: SCOPE_LABELS,
+          ...options,
+          user: req.session.user
+        });
+      });
+    });
+  },
+
+  update(req, res) {
+    const id = parsePositiveInt(req.params.id);
+    if (!id) {
+      req.flash('error', 'Invalid promotion id.');
+      return res.redirect('/promotions');
+    }
+    const { errors, promotion } = parsePromotionForm(req.body);
+    if (errors.length) {
+      req.flash('error', errors);
+      return res.redirect(`/promotions/${id}/edit`);
+    }
+    PromotionModel.update(id, promotion, (err, result) => {
+      if (err) {
+        if (err.code !== 'ER_DUP_ENTRY') console.error('Error updating promotion', err);
+        req.flash('error', saveErrorMessage(err));
+        return res.redirect(`/promotions/${id}/edit`);
+      }
+      if (!result || result.affectedRows === 0) {
+        req.flash('error', 'Promotion not found.');
+        return res.redirect('/promotions');
+      }
+      req.flash('success', `Promotion "${promotion.name}" updated.`);
+      return res.redirect('/promotions');
+    });
+  },
+
+  toggle(req, res) {
+    const id = parsePositiveInt(req.params.id);
+    const active = req.body.active === '1';
+    if (!id) {
+      req.flash('error', 'Invalid promotion id.');
+      return res.redirect('/promotions');
+    }
+    PromotionModel.setActive(id, active, (err) => {
+      if (err) {
+        console.error('Error updating promotion status', err);
+        req.flash('error', 'Unable to update the promotion.');
+      } else {
+        req.flash('success', active ? 'Promotion switched on.' : 'Promotion switched off.');
+      }
+      return res.redirect('/promotions');
+    });
+  },
+
+  remove(req, res) {
+    const id = parsePositiveInt(req.params.id);
+    if (!id) {
+      req.flash('error', 'Invalid promotion id.');
+      return res.redirect('/promotions');
+    }
+    PromotionModel.remove(id, (err) => {
+      if (err) {
+        console.error('Error deleting promotion', err);
+        req.flash('error', 'Unable to delete the promotion.');
+      } else {
+        req.flash('success', 'Promotion deleted.');
+      }
+      return res.redirect('/promotions');
+    });
+  }
+};
+
+module.exports = PromotionController;
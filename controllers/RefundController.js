@@ -1,8 +1,11 @@
 const path = require('path');
 const fs = require('fs');
 const OrderModel = require('../models/order');
+const ProductModel = require('../models/product');
 const RefundModel = require('../models/refund');
-const RefundCreditModel = require('../models/refundCredit');
+const PricingService = require('../services/pricing');
+const RefundService = require('../services/refunds');
+const RoleService = require('../services/roles');
 
 const ensureUploadsDir = () => {
   const dir = path.join(__dirname, '..', 'public', 'reports');
@@ -25,6 +28,41 @@ const validateReport = (body) => {
   return errors;
 };
 
+// Quantities posted as returnQty_<orderItemId>, capped at what was ordered.
+const collectStockReturns = (body, items) => (items || [])
+  .map((item) => {
+    const requested = parseInt(body[`returnQty_${item.id}`], 10);
+    const quantity = Number.isInteger(requested) ? Math.min(Math.max(requested, 0), Number(item.quantity) || 0) : 0;
+    return { item, quantity };
+  })
+  .filter((entry) => entry.quantity > 0);
+
+// Put returned goods back on the shelf as 'refund_return' stock movements, one line at a time.
+const returnItemsToStock = (returns, context, callback) => {
+  const queue = returns.slice();
+  const failed = [];
+  const runNext = () => {
+    if (!queue.length) return callback(failed);
+    const { item, quantity } = queue.shift();
+    ProductModel.adjustStock({
+      productId: item.productId,
+      variantId: item.variantId || null,
+      delta: quantity,
+      movementType: 'refund_return',
+      reason: `Refund request #${context.reportId}`,
+      orderId: context.orderId,
+      userId: context.userId
+    }, (err) => {
+      if (err) {
+        console.error('Error returning refunded item to stock', err);
+        failed.push(item.productName || `Product #${item.productId}`);
+      }
+      runNext();
+    });
+  };
+  runNext();
+};
+
 const RefundController = {
   ensureRequiredFields(req, res, next) {
     const errors = validateReport(req.body || []);
@@ -47,7 +85,7 @@ const RefundController = {
         req.flash('error', 'Order not found.');
         return res.redirect('/my-orders');
       }
-      if (req.session.user.role !== 'admin' && order.userId !== req.session.user.id) {
+      if (!RoleService.can(req.session.user, 'orders.manage') && order.userId !== req.session.user.id) {
         req.flash('error', 'Access denied.');
         return res.redirect('/my-orders');
       }
@@ -80,7 +118,7 @@ const RefundController = {
         req.flash('error', 'Order not found.');
         return res.redirect('/my-orders');
       }
-      if (req.session.user.role !== 'admin' && order.userId !== req.session.user.id) {
+      if (!RoleService.can(req.session.user, 'orders.manage') && order.userId !== req.session.user.id) {
         req.flash('error', 'Access denied.');
         return res.redirect('/my-orders');
       }
@@ -137,10 +175,25 @@ const RefundController = {
         req.flash('error', 'Report not found.');
         return res.redirect('/refunds');
       }
-      return res.render('refundDetail', {
-        report,
-        user: req.session.user,
-        messages: { error: req.flash('error'), success: req.flash('success') }
+      OrderModel.getOrderById(report.orderId, (orderErr, order) => {
+        if (orderErr) console.error('Error loading order for report', orderErr);
+        const pricing = order ? PricingService.orderPricing(order) : null;
+        RefundService.loadRefunds(report.orderId, (refundErr, refunds) => {
+          if (refundErr) console.error('Error loading refund records', refundErr);
+          const { records, summary } = refunds || { records: [], summary: RefundService.summarize([]) };
+          return res.render('refundDetail', {
+            report,
+            orderItems: order && order.items ? order.items : [],
+            pricing,
+            refundable: pricing ? PricingService.refundableAmount(pricing) : Number(report.orderTotal || 0),
+            refundRecords: records,
+            refundSummary: summary,
+            refundsToOriginal: RefundService.canRefundToOriginal(order),
+            originalRemaining: pricing ? Math.max(0, PricingService.roundMoney(Number(pricing.payable || 0) - summary.toOriginal)) : 0,
+            user: req.session.user,
+            messages: { error: req.flash('error'), success: req.flash('success') }
+          });
+        });
       });
     });
   },
@@ -158,7 +211,7 @@ const RefundController = {
         req.flash('error', 'Refund request not found.');
         return res.redirect('/my-orders');
       }
-      if (req.session.user.role !== 'admin' && report.userId !== req.session.user.id) {
+      if (!RoleService.can(req.session.user, 'refunds.view') && report.userId !== req.session.user.id) {
         req.flash('error', 'Access denied.');
         return res.redirect('/my-orders');
       }
@@ -204,52 +257,148 @@ const RefundController = {
         return res.redirect('/refunds');
       }
 
-      const targetAmount = status === 'approved_full' ? (report.orderTotal || amount || 0) : amount;
-      const updates = {
-        status,
-        supportType: supportType || report.supportType,
-        refundAmount: targetAmount,
-        resolutionNote: resolutionNote || ''
-      };
-
-      RefundModel.updateReport(id, updates, (updateErr) => {
-        if (updateErr) {
-          console.error('Error updating report', updateErr);
-          req.flash('error', 'Unable to update report.');
-          return res.redirect('/refunds');
+      OrderModel.getOrderById(report.orderId, (orderErr, order) => {
+        if (orderErr) console.error('Error loading order for refund', orderErr);
+        // The stored breakdown says what the customer paid, including refund credit spent on the order.
+        const refundable = order
+          ? PricingService.refundableAmount(PricingService.orderPricing(order))
+          : Number(report.orderTotal || 0);
+        const approving = status === 'approved_full' || status === 'approved_partial';
+        if (approving && order && !OrderModel.canTransition(order.status, 'refunded')) {
+          req.flash('error', `Order #${order.id} is ${order.statusLabel.toLowerCase()} and cannot be refunded.`);
+          return res.redirect(`/refunds/${id}`);
         }
-        const orderStatus = (() => {
-          if (status === 'approved_full' || status === 'approved_partial') return 'credit_refunded';
-          if (status === 'rejected') return 'refund_rejected';
-          return null;
-        })();
-        if (!orderStatus) {
-          req.flash('success', 'Report updated.');
-          return res.redirect('/refunds');
+        if (status === 'approved_partial' && amount > refundable) {
+          req.flash('error', `Refund amount cannot exceed the $${refundable.toFixed(2)} paid for this order.`);
+          return res.redirect(`/refunds/${id}`);
         }
 
-        OrderModel.updateStatus(report.orderId, orderStatus, (sErr) => {
-          if (sErr) console.error('Error updating order status for refund', sErr);
-          const approved = status === 'approved_full' || status === 'approved_partial';
-          if (!approved) {
-            req.flash('success', 'Report updated.');
-            return res.redirect('/refunds');
+        const targetAmount = status === 'approved_full' ? (refundable || amount || 0) : amount;
+        const refundTo = req.body.refundTo === 'original' ? 'original' : 'credit';
+        const refundOrder = order || { id: report.orderId, userId: report.userId };
+
+        RefundService.loadRefunds(report.orderId, (loadErr, refunds) => {
+          if (loadErr) {
+            console.error('Error loading refunds for order', loadErr);
+            req.flash('error', 'Unable to check earlier refunds on this order.');
+            return res.redirect(`/refunds/${id}`);
           }
+          const { summary } = refunds;
+          // Reports approved before refunds were recorded already had their amount credited.
+          const alreadyApproved = String(report.status || '').startsWith('approved');
+          const recordedForReport = summary.byRequest[report.id] || 0;
+          const refundedForReport = recordedForReport || (alreadyApproved ? Number(report.refundAmount || 0) : 0);
+          const refundedElsewhere = PricingService.roundMoney(summary.total - recordedForReport);
+          // Raising an approved amount refunds the difference; lowering it can't take money back.
+          const toIssue = approving ? PricingService.roundMoney(Math.max(0, targetAmount - refundedForReport)) : 0;
 
-          const creditAmount = Number(targetAmount || 0);
-          if (!Number.isFinite(creditAmount) || creditAmount <= 0) {
-            req.flash('success', 'Report updated.');
-            return res.redirect('/refunds');
+          if (approving && targetAmount > PricingService.roundMoney(refundable - refundedElsewhere)) {
+            req.flash('error', `Only $${Math.max(0, refundable - refundedElsewhere).toFixed(2)} is left to refund on this order.`);
+            return res.redirect(`/refunds/${id}`);
+          }
+          if (toIssue > 0 && refundTo === 'original') {
+            if (!order || !RefundService.canRefundToOriginal(order)) {
+              req.flash('error', 'This order was not paid in a way that can be refunded to the original payment. Refund it as store credit.');
+              return res.redirect(`/refunds/${id}`);
+            }
+            const paidByProvider = PricingService.roundMoney(Number(PricingService.orderPricing(order).payable || 0) - summary.toOriginal);
+            if (toIssue > paidByProvider) {
+              req.flash('error', `Only $${Math.max(0, paidByProvider).toFixed(2)} can go back to the original payment; refund the rest as store credit.`);
+              return res.redirect(`/refunds/${id}`);
+            }
           }
 
-          RefundCreditModel.createCredit({
-            userId: report.userId,
+          const refund = {
+            order: refundOrder,
+            amount: toIssue,
+            method: refundTo,
+            source: 'refund_request',
             refundRequestId: report.id,
-            amount: creditAmount
-          }, (cErr) => {
-            if (cErr) console.error('Error creating refund credit', cErr);
-            req.flash('warning', 'Credit Refunded');
-            return res.redirect('/refunds');
+            createdBy: req.session.user.id
+          };
+
+          // Money to the original payment moves first so a declined refund leaves the report as it was.
+          const refundOriginal = (next) => {
+            if (toIssue <= 0 || refundTo !== 'original') return next(null);
+            RefundService.issueRefund(refund, (refundErr, record) => {
+              if (RefundService.isUnconfirmedRefund(refundErr)) {
+                req.flash('error', `${refundErr.message} Check the payment with the provider before refunding this order again.`);
+                return res.redirect(`/refunds/${id}`);
+              }
+              if (refundErr) {
+                if (!RefundService.isRefundError(refundErr)) console.error('Error refunding original payment', refundErr);
+                req.flash('error', `${RefundService.isRefundError(refundErr) ? refundErr.message : 'The refund could not be made.'} Nothing was changed; try again or refund as store credit.`);
+                return res.redirect(`/refunds/${id}`);
+              }
+              next(record);
+            });
+          };
+
+          refundOriginal((originalRecord) => {
+            const updates = {
+              status,
+              supportType: supportType || report.supportType,
+              refundAmount: targetAmount,
+              resolutionNote: resolutionNote || ''
+            };
+
+            RefundModel.updateReport(id, updates, (updateErr) => {
+              if (updateErr) {
+                console.error('Error updating report', updateErr);
+                req.flash('error', originalRecord
+                  ? `$${originalRecord.amount.toFixed(2)} was refunded but the report could not be updated.`
+                  : 'Unable to update report.');
+                return res.redirect('/refunds');
+              }
+              // A rejected request leaves the order where it was in its lifecycle.
+              if (!approving) {
+                req.flash('success', 'Report updated.');
+                return res.redirect('/refunds');
+              }
+
+              // Refunded is final, so the order only moves there once everything paid has gone back;
+              // after a partial refund it stays where it was and can be refunded further.
+              const refundedInAll = PricingService.roundMoney(refundedElsewhere + targetAmount);
+              const fullyRefunded = !order || refundedInAll >= refundable;
+              const statusContext = { changedBy: req.session.user.id, note: `Refund request #${report.id} approved` };
+              const markRefunded = (next) => {
+                if (!fullyRefunded) return next(null);
+                OrderModel.updateStatus(report.orderId, 'refunded', statusContext, next);
+              };
+              markRefunded((sErr) => {
+                if (sErr) console.error('Error updating order status for refund', sErr);
+
+                const finish = () => {
+                  if (originalRecord) {
+                    req.flash('success', originalRecord.status === 'pending'
+                      ? `$${originalRecord.amount.toFixed(2)} refund to the original payment is pending with the provider.`
+                      : `$${originalRecord.amount.toFixed(2)} refunded to the original payment.`);
+                    return res.redirect('/refunds');
+                  }
+                  if (toIssue <= 0) {
+                    req.flash('success', 'Report updated.');
+                    return res.redirect('/refunds');
+                  }
+                  RefundService.issueRefund(refund, (cErr) => {
+                    if (cErr) console.error('Error creating refund credit', cErr);
+                    req.flash('warning', 'Credit Refunded');
+                    return res.redirect('/refunds');
+                  });
+                };
+
+                // Stock is only returned on the first approval so re-saving a resolved report can't double count it.
+                const returns = alreadyApproved ? [] : collectStockReturns(req.body, order && order.items);
+                if (!returns.length) return finish();
+                returnItemsToStock(returns, {
+                  reportId: report.id,
+                  orderId: report.orderId,
+                  userId: req.session.user.id
+                }, (failed) => {
+                  if (failed.length) req.flash('error', `Could not return to stock: ${failed.join(', ')}.`);
+                  finish();
+                });
+              });
+            });
           });
         });
       });
@@ -0,0 +1,79 @@
+const TaxRateModel = require('../models/taxRate');
+const ProductModel = require('../models/product');
+
+const parseRate = (value) => {
+  const text = String(value == null ? '' : value).trim();
+  if (text === '') return null;
+  const rate = Number(text);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) return null;
+  return Number(rate.toFixed(2));
+};
+
+const TaxController = {
+  // The store-wide rate, every category with its own rate, and the categories still on the default.
+  list(req, res) {
+    TaxRateModel.getAll((err, rates) => {
+      if (err) {
+        console.error('Error loading tax rates', err);
+        req.flash('error', 'Unable to load tax rates.');
+        return res.redirect('/inventory');
+      }
+      ProductModel.getCategories((catErr, categories) => {
+        if (catErr) console.error('Error loading categories for tax rates', catErr);
+        const configured = rates.filter((rate) => !rate.isDefault).map((rate) => rate.category.toLowerCase());
+        res.render('taxRates', {
+          defaultRate: rates.find((rate) => rate.isDefault) || null,
+          categoryRates: rates.filter((rate) => !rate.isDefault),
+          unconfiguredCategories: (categories || []).filter((cat) => !configured.includes(cat.toLowerCase())),
+          registrationNo: (process.env.GST_REGISTRATION_NO || '').trim(),
+          user: req.session.user
+        });
+      });
+    });
+  },
+
+  save(req, res) {
+    const isDefault = req.body.scope === 'default';
+    const category = isDefault ? TaxRateModel.DEFAULT_CATEGORY : String(req.body.category || '').trim();
+    const rate = req.body.zeroRated === 'on' ? 0 : parseRate(req.body.rate);
+    const errors = [];
+    if (!isDefault && !category) errors.push('Choose a category.');
+    if (!isDefault && category.length > 100) errors.push('Category names are 100 characters or fewer.');
+    if (rate == null) errors.push('Tax rate must be a percentage between 0 and 100.');
+    if (errors.length) {
+      req.flash('error', errors);
+      return res.redirect('/tax-rates');
+    }
+
+    const pricesIncludeTax = req.body.pricesIncludeTax === 'on' || req.body.pricesIncludeTax === '1';
+    TaxRateModel.save(category, rate, pricesIncludeTax, (err) => {
+      if (err) {
+        console.error('Error saving tax rate', err);
+        req.flash('error', 'Unable to save the tax rate.');
+        return res.redirect('/tax-rates');
+      }
+      const name = isDefault ? 'Default rate' : category;
+      req.flash('success', `${name} set to ${TaxRateModel.describeRate(rate)}, ${pricesIncludeTax ? 'included in' : 'added to'} prices.`);
+      return res.redirect('/tax-rates');
+    });
+  },
+
+  remove(req, res) {
+    const category = String(req.body.category || '').trim();
+    if (!category) {
+      req.flash('error', 'Choose a category.');
+      return res.redirect('/tax-rates');
+    }
+    TaxRateModel.remove(category, (err) => {
+      if (err) {
+        console.error('Error removing tax rate', err);
+        req.flash('error', 'Unable to remove the tax rate.');
+        return res.redirect('/tax-rates');
+      }
+      req.flash('success', `${category} now uses the default rate.`);
+      return res.redirect('/tax-rates');
+    });
+  }
+};
+
+module.exports = TaxController;
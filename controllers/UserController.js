@@ -1,7 +1,10 @@
 // ...existing code...
-const crypto = require('crypto');
 const UserModel = require('../models/user');
 const MembershipModel = require('../models/membership');
+const PasswordService = require('../services/passwords');
+const LoginAttemptModel = require('../models/loginAttempt');
+const LoginThrottleService = require('../services/loginThrottle');
+const RoleService = require('../services/roles');
 
 // Basic validation helpers
 const includeDetails = process.env.NODE_ENV !== 'production';
@@ -28,27 +31,39 @@ const validateUserBody = (body, { requirePassword } = { requirePassword: false }
   if (!body.email) errors.push('Email is required');
   if (requirePassword && !body.password) errors.push('Password is required');
   if (body.password && body.password.length < 6) errors.push('Password must be at least 6 characters');
+  if (body.role && !RoleService.isValidRole(body.role)) errors.push(`Role must be one of: ${RoleService.ROLE_KEYS.join(', ')}`);
   return errors;
 };
 
+// The only user fields the API sends back; password hashes and sign-in state stay on the server.
+const PUBLIC_USER_FIELDS = ['id', 'username', 'email', 'address', 'contact', 'role', 'emailVerifiedAt', 'membership'];
+
+const toPublicUser = (user) => PUBLIC_USER_FIELDS.reduce((picked, field) => {
+  if (user && user[field] !== undefined) picked[field] = user[field];
+  return picked;
+}, {});
+
 const UserController = {
   // List all users (JSON)
   listUsers(req, res) {
     UserModel.getAllUsers((err, users) => {
       if (err) return sendDbError(res, err);
-      res.json(users);
+      res.json((users || []).map(toPublicUser));
     });
   },
 
-  // Get single user by ID
+  // Get single user by ID (staff who can view users, or the caller's own account)
   getUser(req, res) {
     if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid user id' });
     const id = parseInt(req.params.id, 10);
+    if (!RoleService.can(req.apiUser, 'users.view') && req.apiUser.id !== id) {
+      return res.status(403).json({ error: 'You can only view your own account' });
+    }
 
     UserModel.getUserById(id, (err, user) => {
       if (err) return sendDbError(res, err);
       if (!user) return res.status(404).json({ error: 'User not found' });
-      res.json(user);
+      res.json(toPublicUser(user));
     });
   },
 
@@ -58,18 +73,22 @@ const UserController = {
     const errors = validateUserBody(req.body, { requirePassword: true });
     if (errors.length) return sendValidationError(res, errors);
 
-    const user = { username, email, password, address: address || null, contact: contact || null, role: role || 'user' };
+    const user = { username, email, address: address || null, contact: contact || null, role: role || 'user' };
 
-    UserModel.addUser(user, (err, result) => {
-      if (err) return sendDbError(res, err);
-      const userId = result.insertId;
-      if (joinMembership === 'on' || joinMembership === true) {
-        MembershipModel.createForUser(userId, () => {
-          res.status(201).json({ id: userId, ...user, membership: true });
-        });
-      } else {
-        res.status(201).json({ id: userId, ...user });
-      }
+    PasswordService.hash(password, (hashErr, hashed) => {
+      if (hashErr) return sendDbError(res, hashErr, 'Unable to create user');
+      UserModel.addUser({ ...user, password: hashed }, (err, result) => {
+        if (err && err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Email is already in use' });
+        if (err) return sendDbError(res, err);
+        const userId = result.insertId;
+        if (joinMembership === 'on' || joinMembership === true) {
+          MembershipModel.createForUser(userId, () => {
+            res.status(201).json(toPublicUser({ id: userId, ...user, membership: true }));
+          });
+        } else {
+          res.status(201).json(toPublicUser({ id: userId, ...user }));
+        }
+      });
     });
   },
 
@@ -82,12 +101,34 @@ const UserController = {
     const errors = validateUserBody(req.body, { requirePassword: false });
     if (errors.length) return sendValidationError(res, errors);
 
-    const user = { username, email, password, address, contact, role };
+    UserModel.getUserById(id, (findErr, existing) => {
+      if (findErr) return sendDbError(res, findErr);
+      if (!existing) return res.status(404).json({ error: 'User not found' });
+      const roleError = RoleService.roleChangeError(req.apiUser, existing, role || existing.role);
+      if (roleError) return res.status(403).json({ error: roleError });
 
-    UserModel.updateUser(id, user, (err, result) => {
-      if (err) return sendDbError(res, err);
-      if (result.affectedRows === 0) return res.status(404).json({ error: 'User not found' });
-      res.json({ message: 'User updated' });
+      // Fields left out keep their current values, including the password.
+      const save = (hashed) => {
+        const user = {
+          username,
+          email,
+          password: hashed,
+          address: address !== undefined ? address : existing.address,
+          contact: contact !== undefined ? contact : existing.contact,
+          role: role || existing.role
+        };
+        UserModel.updateUser(id, user, (err, result) => {
+          if (err && err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Email is already in use' });
+          if (err) return sendDbError(res, err);
+          if (result.affectedRows === 0) return res.status(404).json({ error: 'User not found' });
+          res.json({ message: 'User updated' });
+        });
+      };
+      if (!password) return save(existing.password);
+      PasswordService.hash(password, (hashErr, hashed) => {
+        if (hashErr) return sendDbError(res, hashErr, 'Unable to update user');
+        save(hashed);
+      });
     });
   },
 
@@ -96,10 +137,87 @@ const UserController = {
     if (!isValidId(req.params.id)) return res.status(400).json({ error: 'Invalid user id' });
     const id = parseInt(req.params.id, 10);
 
-    UserModel.deleteUser(id, (err, result) => {
-      if (err) return sendDbError(res, err);
-      if (result.affectedRows === 0) return res.status(404).json({ error: 'User not found' });
-      res.json({ message: 'User deleted' });
+    RoleService.checkRemoval(req.apiUser, id, (checkErr, target, removalError) => {
+      if (checkErr) return sendDbError(res, checkErr);
+      if (!target) return res.status(404).json({ error: 'User not found' });
+      if (removalError) return res.status(403).json({ error: removalError });
+      UserModel.deleteUser(id, (err, result) => {
+        if (err) return sendDbError(res, err);
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'User not found' });
+        res.json({ message: 'User deleted' });
+      });
+    });
+  },
+
+  // Accounts locked after repeated failed sign-ins (admin), with the addresses the attempts came from.
+  lockedAccounts(req, res) {
+    UserModel.getLockedUsers((err, lockedUsers) => {
+      if (err) {
+        console.error('Error loading locked accounts:', err);
+        req.flash('error', 'Unable to load locked accounts.');
+        return res.redirect('/users');
+      }
+      const ids = lockedUsers.map((u) => u.id);
+      LoginAttemptModel.getRecentFailureIps(ids, LoginThrottleService.LOCKOUT_MINUTES * 4, (ipErr, ipsByUser) => {
+        if (ipErr) console.error('Error loading failed login addresses:', ipErr);
+        res.render('lockedAccounts', {
+          lockedUsers: lockedUsers.map((u) => ({ ...u, failureIps: (ipsByUser || {})[u.id] || [] })),
+          lockoutAfter: LoginThrottleService.LOCKOUT_AFTER,
+          lockoutMinutes: LoginThrottleService.LOCKOUT_MINUTES,
+          user: req.session.user
+        });
+      });
+    });
+  },
+
+  unlockAccount(req, res) {
+    if (!isValidId(req.params.id)) {
+      req.flash('error', 'Invalid user id.');
+      return res.redirect('/users/locked');
+    }
+    const id = parseInt(req.params.id, 10);
+    UserModel.clearFailedLogins(id, (err, result) => {
+      if (err) {
+        console.error('Error unlocking account:', err);
+        req.flash('error', 'Unable to unlock the account.');
+      } else if (!result || !result.affectedRows) {
+        req.flash('error', 'User not found.');
+      } else {
+        req.flash('success', 'Account unlocked. The user can sign in again.');
+      }
+      res.redirect('/users/locked');
+    });
+  },
+
+  // Role management from the user dashboard.
+  assignRole(req, res) {
+    if (!isValidId(req.params.id)) {
+      req.flash('error', 'Invalid user id.');
+      return res.redirect('/users');
+    }
+    const id = parseInt(req.params.id, 10);
+    const role = req.body && req.body.role;
+    UserModel.getUserById(id, (findErr, existing) => {
+      if (findErr || !existing) {
+        if (findErr) console.error('DB error:', findErr);
+        req.flash('error', 'User not found.');
+        return res.redirect('/users');
+      }
+      const roleError = RoleService.roleChangeError(req.session.user, existing, role);
+      if (roleError) {
+        req.flash('error', roleError);
+        return res.redirect('/users');
+      }
+      if (existing.role === role) return res.redirect('/users');
+      UserModel.updateRole(id, role, (err) => {
+        if (err) {
+          console.error('Error changing role:', err);
+          req.flash('error', 'Unable to change the role.');
+        } else {
+          req.flash('success', `${existing.username} is now ${RoleService.roleLabel(role).toLowerCase()}.`);
+        }
+        res.redirect('/users');
+      });
     });
   },
 
@@ -122,45 +240,47 @@ const UserController = {
         req.flash('error', 'User not found.');
         return res.redirect('/profile');
       }
-      const currentHashed = crypto.createHash('sha1').update(currentPassword).digest('hex');
-      if (currentHashed !== existing.password) {
-        req.flash('error', 'Current password is incorrect.');
-        return res.redirect('/profile');
-      }
-
-    if (action === 'join') {
-      MembershipModel.createForUser(userId, (err) => {
-        if (err) {
-          console.error('Membership join error:', err);
-          req.flash('error', 'Unable to join membership.');
-        } else {
-          if (req.session && req.session.user) {
-            req.session.user.membership = true;
-          }
-          req.flash('success', 'Membership activated.');
-        }
-        return res.redirect('/profile');
-      });
-    } else if (action === 'cancel') {
-      MembershipModel.removeByUser(userId, (err) => {
-        if (req.session) {
-          delete req.session.loyaltyRedemption;
-          if (req.session.user) {
-            req.session.user.membership = false;
-          }
+      PasswordService.verify(currentPassword, existing.password, (verifyErr, check) => {
+        if (verifyErr || !check.valid) {
+          if (verifyErr) console.error('Password check error:', verifyErr);
+          req.flash('error', 'Current password is incorrect.');
+          return res.redirect('/profile');
         }
-        if (err) {
-          console.error('Membership cancel error:', err);
-          req.flash('error', 'Unable to cancel membership.');
+
+        if (action === 'join') {
+          MembershipModel.createForUser(userId, (err) => {
+            if (err) {
+              console.error('Membership join error:', err);
+              req.flash('error', 'Unable to join membership.');
+            } else {
+              if (req.session && req.session.user) {
+                req.session.user.membership = true;
+              }
+              req.flash('success', 'Membership activated.');
+            }
+            return res.redirect('/profile');
+          });
+        } else if (action === 'cancel') {
+          MembershipModel.removeByUser(userId, (err) => {
+            if (req.session) {
+              delete req.session.loyaltyRedemption;
+              if (req.session.user) {
+                req.session.user.membership = false;
+              }
+            }
+            if (err) {
+              console.error('Membership cancel error:', err);
+              req.flash('error', 'Unable to cancel membership.');
+            } else {
+              req.flash('success', 'Membership cancelled.');
+            }
+            return res.redirect('/profile');
+          });
         } else {
-          req.flash('success', 'Membership cancelled.');
+          req.flash('error', 'Invalid membership action.');
+          return res.redirect('/profile');
         }
-        return res.redirect('/profile');
       });
-    } else {
-      req.flash('error', 'Invalid membership action.');
-      return res.redirect('/profile');
-    }
     });
   }
 };
@@ -0,0 +1,164 @@
+const OrderModel = require('../models/order');
+const PaymentAttemptModel = require('../models/paymentAttempt');
+const StripeService = require('../services/stripe');
+const PaypalService = require('../services/paypal');
+const CheckoutService = require('../services/checkout');
+const RefundService = require('../services/refunds');
+
+// Payment confirmations straight from Stripe and PayPal. They don't depend on the customer's
+// browser coming back after paying, so a closed tab still ends with an order. Anything other than
+// a 2xx makes the provider deliver the event again later.
+
+// Creates the order for a paid payment attempt unless the browser already has. event is kept on
+// the attempt's history.
+const completeAttempt = (provider, reference, transactionRefId, event) => new Promise((resolve, reject) => {
+  PaymentAttemptModel.getByReference(provider, reference, (err, attempt) => {
+    if (err) return reject(err);
+    // Payments that weren't started from checkout have no order to create.
+    if (!attempt) return resolve(null);
+    const payment = { transactionRefId, note: `${event.type || event.event_type} webhook`, response: event };
+    CheckoutService.completePayment(attempt, payment, (completeErr, result) => (
+      completeErr ? reject(completeErr) : resolve(result)
+    ));
+  });
+});
+
+// A declined card can still be retried on the same payment intent, so the decline is only noted.
+const noteDeclined = (provider, reference, event, reason) => new Promise((resolve, reject) => {
+  PaymentAttemptModel.getByReference(provider, reference, (err, attempt) => {
+    if (err) return reject(err);
+    if (!attempt) return resolve();
+    PaymentAttemptModel.recordResponse(attempt.id, { note: `Declined: ${reason}`, response: event }, (recordErr) => (
+      recordErr ? reject(recordErr) : resolve()
+    ));
+  });
+});
+
+const stripeChargeRefunded = (charge) => new Promise((resolve, reject) => {
+  OrderModel.getOrderByPaymentReference('STRIPE', charge.id, (err, order) => {
+    if (err) return reject(err);
+    if (!order) return resolve();
+    StripeService.listChargeRefunds(charge.id)
+      .then((refunds) => {
+        const providerRefunds = refunds.map((refund) => ({ id: refund.id, amount: refund.amount / 100, status: refund.status }));
+        RefundService.reconcileProviderRefunds(order, 'STRIPE', providerRefunds, (reconcileErr) => (
+          reconcileErr ? reject(reconcileErr) : resolve()
+        ));
+      })
+      .catch(reject);
+  });
+});
+
+// A PayPal capture that was pending is final once denied, so the attempt is marked failed; if it
+// has already moved on, the denial is kept on its history for staff.
+const paypalCaptureDenied = (paypalOrderId, event) => new Promise((resolve, reject) => {
+  PaymentAttemptModel.getByReference('PAYPAL', paypalOrderId, (err, attempt) => {
+    if (err) return reject(err);
+    if (!attempt) return resolve();
+    const details = { note: 'PayPal capture denied', response: event };
+    PaymentAttemptModel.fail(attempt.id, details, (failErr, failed) => {
+      if (failErr) return reject(failErr);
+      if (failed) return resolve();
+      PaymentAttemptModel.recordResponse(attempt.id, details, (recordErr) => (recordErr ? reject(recordErr) : resolve()));
+    });
+  });
+});
+
+// PayPal refund events carry the refund, linked to its capture by the "up" link. A reversal
+// (a chargeback, say) may carry the capture itself, in which case all of it went back.
+const paypalRefundOf = (event) => {
+  const resource = event.resource || {};
+  const amount = Number(resource.amount && resource.amount.value) || 0;
+  if (event.resource_type === 'capture' || String(resource.status).toUpperCase() === 'REVERSED') {
+    return { captureId: resource.id, refund: { id: `${resource.id}-reversal`, amount, status: 'COMPLETED' } };
+  }
+  const up = (resource.links || []).find((link) => link.rel === 'up');
+  const match = up && String(up.href).match(/\/captures\/([^/?]+)/);
+  return { captureId: match ? match[1] : null, refund: { id: resource.id, amount, status: resource.status } };
+};
+
+// Money PayPal sent back, whether refunded from its dashboard or reversed, is recorded on the order.
+const paypalCaptureRefunded = (event) => new Promise((resolve, reject) => {
+  const { captureId, refund } = paypalRefundOf(event);
+  if (!captureId || !refund.id) return resolve();
+  OrderModel.getOrderByPaymentReference('PAYPAL', captureId, (err, order) => {
+    if (err) return reject(err);
+    if (!order) return resolve();
+    RefundService.reconcileProviderRefunds(order, 'PAYPAL', [refund], (reconcileErr) => (
+      reconcileErr ? reject(reconcileErr) : resolve()
+    ));
+  });
+});
+
+const handled = (res, provider, eventType, task) => task
+  .then(() => res.json({ received: true }))
+  .catch((err) => {
+    // The browser is creating this order right now; the retry will find it done.
+    if (CheckoutService.isCheckoutInProgress(err)) return res.status(409).json({ error: err.message });
+    console.error(`Error handling ${provider} ${eventType} webhook:`, err);
+    return res.status(500).json({ error: 'Unable to process webhook.' });
+  });
+
+const WebhookController = {
+  // Needs the raw request body for the signature check.
+  stripe(req, res) {
+    let event;
+    try {
+      event = StripeService.constructWebhookEvent(req.body, req.headers['stripe-signature']);
+    } catch (err) {
+      console.error('Rejected Stripe webhook:', err.message);
+      return res.status(400).json({ error: 'Invalid signature.' });
+    }
+
+    const object = event.data && event.data.object;
+    if (event.type === 'payment_intent.succeeded') {
+      const chargeId = typeof object.latest_charge === 'string' ? object.latest_charge : object.latest_charge?.id;
+      return handled(res, 'Stripe', event.type, completeAttempt('STRIPE', object.id, chargeId || null, event));
+    }
+    if (event.type === 'payment_intent.payment_failed') {
+      const reason = object.last_payment_error?.message || 'payment failed';
+      return handled(res, 'Stripe', event.type, noteDeclined('STRIPE', object.id, event, reason));
+    }
+    if (event.type === 'charge.refunded') {
+      return handled(res, 'Stripe', event.type, stripeChargeRefunded(object));
+    }
+    return res.json({ received: true });
+  },
+
+  // Needs the raw request body; PayPal is asked to verify the delivery against the parsed event.
+  async paypal(req, res) {
+    let event;
+    try {
+      event = JSON.parse(Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '');
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid payload.' });
+    }
+
+    try {
+      const verified = await PaypalService.verifyWebhookSignature(req.headers, event);
+      if (!verified) {
+        console.error('Rejected PayPal webhook: signature did not verify');
+        return res.status(400).json({ error: 'Invalid signature.' });
+      }
+    } catch (err) {
+      console.error('Unable to verify PayPal webhook:', err);
+      return res.status(500).json({ error: 'Unable to verify webhook.' });
+    }
+
+    if (event.event_type === 'PAYMENT.CAPTURE.COMPLETED' || event.event_type === 'PAYMENT.CAPTURE.DENIED') {
+      const capture = event.resource || {};
+      const paypalOrderId = capture.supplementary_data?.related_ids?.order_id;
+      if (!paypalOrderId) return res.json({ received: true });
+      const task = event.event_type === 'PAYMENT.CAPTURE.COMPLETED'
+        ? completeAttempt('PAYPAL', paypalOrderId, capture.id, event)
+        : paypalCaptureDenied(paypalOrderId, event);
+      return handled(res, 'PayPal', event.event_type, task);
+    }
+    if (event.event_type === 'PAYMENT.CAPTURE.REFUNDED' || event.event_type === 'PAYMENT.CAPTURE.REVERSED') {
+      return handled(res, 'PayPal', event.event_type, paypalCaptureRefunded(event));
+    }
+    return res.json({ received: true });
+  }
+};
+
+module.exports = WebhookController;
@@ -2,12 +2,14 @@ const mysql = require('mysql2');
 require('dotenv').config(); // Load variables from .env
 
 //Database connection details
-const db = mysql.createConnection({
+const config = {
     host: process.env.DB_HOST,
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     database: process.env.DB_NAME
-});
+};
+
+const db = mysql.createConnection(config);
 
 //Connecting to database
 db.connect((err) => {
@@ -18,4 +20,30 @@ db.connect((err) => {
     console.log('Connected to MySQL database');
 });
 
+// Every request shares the connection above, so a transaction started on it would take in other
+// requests' queries and never hold its row locks against them. Transactions get a pooled
+// connection of their own instead: `work(conn, done)` runs its queries on `conn` and calls
+// `done(err, result)`; the transaction is committed, or rolled back on error, before `callback`.
+const pool = mysql.createPool(config);
+
+db.transaction = (work, callback) => {
+    pool.getConnection((connErr, conn) => {
+        if (connErr) return callback(connErr);
+        const finish = (err, result) => {
+            conn.release();
+            callback(err, result);
+        };
+        conn.beginTransaction((txErr) => {
+            if (txErr) return finish(txErr);
+            work(conn, (err, result) => {
+                if (err) return conn.rollback(() => finish(err));
+                conn.commit((commitErr) => {
+                    if (commitErr) return conn.rollback(() => finish(commitErr));
+                    finish(null, result);
+                });
+            });
+        });
+    });
+};
+
 module.exports = db;
@@ -0,0 +1,184 @@
+const db = require('../db');
+
+// Singapore postal codes are six digits.
+const POSTAL_CODE_PATTERN = /^\d{6}$/;
+
+const formatAddress = (address) => {
+  if (!address) return '';
+  const lines = [address.line1, address.line2].filter((line) => line && String(line).trim());
+  if (address.postalCode) lines.push(`Singapore ${address.postalCode}`);
+  return lines.join(', ');
+};
+
+// Everyone who registered before the address book gets their profile address as a default "Home" entry.
+const migrateProfileAddresses = (cb) => {
+  const sql = `
+    INSERT INTO user_addresses (userId, label, recipientName, line1, postalCode, contact, isDefault)
+    SELECT id, 'Home', username, address, COALESCE(REGEXP_SUBSTR(address, '[0-9]{6}'), ''), contact, 1
+    FROM users WHERE address IS NOT NULL AND address <> ''
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS user_addresses (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      userId INT NOT NULL,
+      label VARCHAR(40) NOT NULL,
+      recipientName VARCHAR(120) NOT NULL,
+      line1 VARCHAR(255) NOT NULL,
+      line2 VARCHAR(255) NULL,
+      postalCode VARCHAR(10) NOT NULL DEFAULT '',
+      contact VARCHAR(20) NULL,
+      isDefault TINYINT(1) NOT NULL DEFAULT 0,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_user (userId)
+    )
+  `;
+  db.query(sql, (err, result) => {
+    if (err) return cb(err);
+    // No warning means the table did not exist before this call.
+    if (!result || result.warningStatus !== 0) return cb();
+    migrateProfileAddresses(cb);
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const normalizeRow = (row) => ({
+  ...row,
+  isDefault: !!row.isDefault,
+  formatted: formatAddress(row)
+});
+
+const ADDRESS_SELECT = 'SELECT id, userId, label, recipientName, line1, line2, postalCode, contact, isDefault, createdAt FROM user_addresses';
+
+// users.address mirrors the default entry so admin screens and older code still show something sensible.
+const syncProfileAddress = (userId, cb) => {
+  db.query(`${ADDRESS_SELECT} WHERE userId = ? AND isDefault = 1 LIMIT 1`, [userId], (err, rows) => {
+    if (err) return cb(err);
+    const address = rows && rows[0] ? formatAddress(rows[0]) : null;
+    db.query('UPDATE users SET address = ? WHERE id = ?', [address, userId], cb);
+  });
+};
+
+// Makes `id` the user's only default, then refreshes users.address.
+const markDefault = (userId, id, cb) => {
+  db.query('UPDATE user_addresses SET isDefault = (id = ?) WHERE userId = ?', [id, userId], (err) => {
+    if (err) return cb(err);
+    syncProfileAddress(userId, cb);
+  });
+};
+
+const AddressModel = {
+  POSTAL_CODE_PATTERN,
+  formatAddress,
+
+  // Default first, then newest.
+  getByUser(userId, callback) {
+    return safeRun((cb) => {
+      const sql = `${ADDRESS_SELECT} WHERE userId = ? ORDER BY isDefault DESC, createdAt DESC, id DESC`;
+      db.query(sql, [userId], (err, rows) => cb(err, (rows || []).map(normalizeRow)));
+    }, callback);
+  },
+
+  // Scoped to the owner so one customer can never read or change another's address.
+  getById(id, userId, callback) {
+    return safeRun((cb) => {
+      db.query(`${ADDRESS_SELECT} WHERE id = ? AND userId = ?`, [id, userId], (err, rows) => {
+        cb(err, rows && rows[0] ? normalizeRow(rows[0]) : null);
+      });
+    }, callback);
+  },
+
+  // The first address a user saves becomes their default.
+  create(userId, address, callback) {
+    return safeRun((cb) => {
+      db.query('SELECT COUNT(*) AS total FROM user_addresses WHERE userId = ?', [userId], (countErr, rows) => {
+        if (countErr) return cb(countErr);
+        const makeDefault = address.isDefault || !(rows && rows[0] && Number(rows[0].total));
+        const sql = `
+          INSERT INTO user_addresses (userId, label, recipientName, line1, line2, postalCode, contact, isDefault)
+          VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+        `;
+        const params = [
+          userId,
+          address.label,
+          address.recipientName,
+          address.line1,
+          address.line2 || null,
+          address.postalCode,
+          address.contact || null
+        ];
+        db.query(sql, params, (err, result) => {
+          if (err) return cb(err);
+          if (!makeDefault) return cb(null, { id: result.insertId });
+          markDefault(userId, result.insertId, (defaultErr) => cb(defaultErr, { id: result.insertId }));
+        });
+      });
+    }, callback);
+  },
+
+  update(id, userId, address, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        UPDATE user_addresses SET label = ?, recipientName = ?, line1 = ?, line2 = ?, postalCode = ?, contact = ?
+        WHERE id = ? AND userId = ?
+      `;
+      const params = [
+        address.label,
+        address.recipientName,
+        address.line1,
+        address.line2 || null,
+        address.postalCode,
+        address.contact || null,
+        id,
+        userId
+      ];
+      db.query(sql, params, (err, result) => {
+        if (err) return cb(err);
+        if (!result.affectedRows) return cb(null, result);
+        if (address.isDefault) return markDefault(userId, id, (defaultErr) => cb(defaultErr, result));
+        syncProfileAddress(userId, (syncErr) => cb(syncErr, result));
+      });
+    }, callback);
+  },
+
+  setDefault(id, userId, callback) {
+    return safeRun((cb) => {
+      db.query('SELECT id FROM user_addresses WHERE id = ? AND userId = ?', [id, userId], (err, rows) => {
+        if (err) return cb(err);
+        if (!rows || !rows[0]) return cb(null, { affectedRows: 0 });
+        markDefault(userId, id, (defaultErr) => cb(defaultErr, { affectedRows: 1 }));
+      });
+    }, callback);
+  },
+
+  // Removing the default hands it to the newest remaining address.
+  remove(id, userId, callback) {
+    return safeRun((cb) => {
+      db.query('SELECT isDefault FROM user_addresses WHERE id = ? AND userId = ?', [id, userId], (findErr, rows) => {
+        if (findErr) return cb(findErr);
+        if (!rows || !rows[0]) return cb(null, { affectedRows: 0 });
+        const wasDefault = !!rows[0].isDefault;
+        db.query('DELETE FROM user_addresses WHERE id = ? AND userId = ?', [id, userId], (err, result) => {
+          if (err || !wasDefault) return cb(err, result);
+          db.query('SELECT id FROM user_addresses WHERE userId = ? ORDER BY createdAt DESC, id DESC LIMIT 1', [userId], (nextErr, next) => {
+            if (nextErr) return cb(nextErr);
+            if (!next || !next[0]) return syncProfileAddress(userId, (syncErr) => cb(syncErr, result));
+            markDefault(userId, next[0].id, (defaultErr) => cb(defaultErr, result));
+          });
+        });
+      });
+    }, callback);
+  }
+};
+
+module.exports = AddressModel;
@@ -0,0 +1,79 @@
+const db = require('../db');
+
+// Personal tokens for calling the /api routes without a browser session. Only a SHA-256 hash of
+// each token is stored; the token itself is shown once when it is created.
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      userId INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      tokenHash CHAR(64) NOT NULL,
+      lastUsedAt DATETIME NULL,
+      revokedAt DATETIME NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_token (tokenHash),
+      INDEX idx_user (userId)
+    )
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const ApiTokenModel = {
+  create(token, callback) {
+    return safeRun((cb) => {
+      const sql = 'INSERT INTO api_tokens (userId, name, tokenHash) VALUES (?, ?, ?)';
+      db.query(sql, [token.userId, String(token.name).slice(0, 100), token.tokenHash], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // The user a live token belongs to ({ id, username, email, role, tokenId }), or null.
+  getUserByHash(tokenHash, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT u.id, u.username, u.email, u.role, t.id AS tokenId
+        FROM api_tokens t
+        JOIN users u ON u.id = t.userId
+        WHERE t.tokenHash = ? AND t.revokedAt IS NULL
+        LIMIT 1
+      `;
+      db.query(sql, [tokenHash], (err, rows) => cb(err, (rows && rows[0]) || null));
+    }, callback);
+  },
+
+  touch(id, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE api_tokens SET lastUsedAt = NOW() WHERE id = ?', [id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // A user's live tokens, newest first, without their hashes.
+  getByUser(userId, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT id, name, lastUsedAt, createdAt
+        FROM api_tokens
+        WHERE userId = ? AND revokedAt IS NULL
+        ORDER BY createdAt DESC, id DESC
+      `;
+      db.query(sql, [userId], (err, rows) => cb(err, rows || []));
+    }, callback);
+  },
+
+  // Only revokes the user's own tokens; calls back with true when one was revoked.
+  revoke(id, userId, callback) {
+    return safeRun((cb) => {
+      const sql = 'UPDATE api_tokens SET revokedAt = NOW() WHERE id = ? AND userId = ? AND revokedAt IS NULL';
+      db.query(sql, [id, userId], (err, result) => cb(err, !!(result && result.affectedRows)));
+    }, callback);
+  }
+};
+
+module.exports = ApiTokenModel;
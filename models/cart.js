@@ -1,71 +1,131 @@
 const db = require('../db');
+const ProductVariantModel = require('./productVariant');
 
-const CartModel = {
-  getCartItemByProduct(userId, productId, callback) {
-    const sql = 'SELECT id, product_id AS productId, quantity FROM cart_items WHERE user_id = ? AND product_id = ? LIMIT 1';
-    db.query(sql, [userId, productId], (err, results) => {
-      if (err) {
-        if (err.code === 'ER_NO_SUCH_TABLE') return callback(null, { missingTable: true });
-        return callback(err);
-      }
-      callback(null, results[0] || null);
+// Columns added after the original schema (name -> definition).
+const CART_COLUMNS = {
+  variant_id: 'INT NULL AFTER product_id',
+  // Substitution preference for the line (see OrderSubstitutionModel) and the alternative picked for 'specific'
+  substitution: "VARCHAR(20) NOT NULL DEFAULT 'any'",
+  substitute_product_id: 'INT NULL'
+};
+
+const ensureColumns = (cb) => {
+  const names = Object.keys(CART_COLUMNS);
+  const columnCheck = `
+    SELECT COLUMN_NAME FROM information_schema.columns
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'cart_items' AND COLUMN_NAME IN (?)
+  `;
+  db.query(columnCheck, [names], (err, rows) => {
+    if (err) return cb(err);
+    const existing = (rows || []).map((row) => row.COLUMN_NAME);
+    const missing = names.filter((name) => !existing.includes(name));
+    if (!missing.length) return cb();
+    const alterSql = `ALTER TABLE cart_items ${missing.map((name) => `ADD COLUMN ${name} ${CART_COLUMNS[name]}`).join(', ')}`;
+    db.query(alterSql, (alterErr) => {
+      // A missing cart_items table is reported by the individual queries below.
+      if (alterErr && alterErr.code === 'ER_NO_SUCH_TABLE') return cb();
+      cb(alterErr);
     });
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ProductVariantModel.ensureSchema((variantErr) => {
+    if (variantErr) return callback(variantErr);
+    ensureColumns((colErr) => {
+      if (colErr) return callback(colErr);
+      fn(callback);
+    });
+  });
+};
+
+const CartModel = {
+  getCartItemByProduct(userId, productId, variantId, callback) {
+    return safeRun((cb) => {
+      const sql = 'SELECT id, product_id AS productId, variant_id AS variantId, quantity FROM cart_items WHERE user_id = ? AND product_id = ? AND variant_id <=> ? LIMIT 1';
+      db.query(sql, [userId, productId, variantId || null], (err, results) => {
+        if (err) {
+          if (err.code === 'ER_NO_SUCH_TABLE') return cb(null, { missingTable: true });
+          return cb(err);
+        }
+        cb(null, results[0] || null);
+      });
+    }, callback);
   },
 
   getCartItemWithProduct(userId, cartItemId, callback) {
-    const sql = `
-      SELECT ci.id, ci.product_id AS productId, ci.quantity AS cartQuantity, p.quantity AS productStock
-      FROM cart_items ci
-      JOIN products p ON p.id = ci.product_id
-      WHERE ci.id = ? AND ci.user_id = ?
-      LIMIT 1
-    `;
-    db.query(sql, [cartItemId, userId], (err, results) => {
-      if (err) {
-        if (err.code === 'ER_NO_SUCH_TABLE') return callback(null, { missingTable: true });
-        return callback(err);
-      }
-      callback(null, results[0] || null);
-    });
+    return safeRun((cb) => {
+      const sql = `
+        SELECT ci.id, ci.product_id AS productId, ci.variant_id AS variantId, ci.quantity AS cartQuantity,
+               COALESCE(v.quantity, p.quantity) AS productStock
+        FROM cart_items ci
+        JOIN products p ON p.id = ci.product_id
+        LEFT JOIN product_variants v ON v.id = ci.variant_id
+        WHERE ci.id = ? AND ci.user_id = ?
+        LIMIT 1
+      `;
+      db.query(sql, [cartItemId, userId], (err, results) => {
+        if (err) {
+          if (err.code === 'ER_NO_SUCH_TABLE') return cb(null, { missingTable: true });
+          return cb(err);
+        }
+        cb(null, results[0] || null);
+      });
+    }, callback);
   },
 
   getCartByUser(userId, callback) {
-    // Use a compact SQL string to avoid accidental duplication/formatting issues
-    const sql = 'SELECT ci.id AS cartItemId, ci.product_id AS productId, ci.quantity, 0 AS discount, p.productName, p.price, p.image FROM cart_items ci JOIN products p ON p.id = ci.product_id WHERE ci.user_id = ? ORDER BY ci.id DESC';
-    db.query(sql, [userId], (err, results) => {
-      if (err) {
-        // If the cart_items table is missing, degrade gracefully so /cart and /checkout still load.
-        if (err.code === 'ER_NO_SUCH_TABLE') {
-          return callback(null, []);
+    return safeRun((cb) => {
+      const sql = `
+        SELECT ci.id AS cartItemId, ci.product_id AS productId, ci.variant_id AS variantId, ci.quantity,
+               p.productName, p.category, COALESCE(v.price, p.price) AS price,
+               COALESCE(NULLIF(v.image, ''), p.image) AS image,
+               v.label AS variantLabel, v.sku AS variantSku,
+               ci.substitution, ci.substitute_product_id AS substituteProductId, sp.productName AS substituteName
+        FROM cart_items ci
+        JOIN products p ON p.id = ci.product_id
+        LEFT JOIN product_variants v ON v.id = ci.variant_id
+        LEFT JOIN products sp ON sp.id = ci.substitute_product_id
+        WHERE ci.user_id = ?
+        ORDER BY ci.id DESC
+      `;
+      db.query(sql, [userId], (err, results) => {
+        if (err) {
+          // If the cart_items table is missing, degrade gracefully so /cart and /checkout still load.
+          if (err.code === 'ER_NO_SUCH_TABLE') {
+            return cb(null, []);
+          }
+          return cb(err);
         }
-        return callback(err);
-      }
-      callback(null, results);
-    });
+        cb(null, results);
+      });
+    }, callback);
   },
 
-  addOrUpdateItem(userId, productId, quantity, callback) {
-    const selectSql = 'SELECT id, quantity FROM cart_items WHERE user_id = ? AND product_id = ?';
-    db.query(selectSql, [userId, productId], (err, results) => {
-      if (err) {
-        if (err.code === 'ER_NO_SUCH_TABLE') return callback(null, { missingTable: true });
-        return callback(err);
-      }
-      if (results.length > 0) {
-        const current = results[0];
-        const newQty = current.quantity + quantity;
-        const updateSql = 'UPDATE cart_items SET quantity = ? WHERE id = ? AND user_id = ?';
-        return db.query(updateSql, [newQty, current.id, userId], (updateErr) => {
-          if (updateErr && updateErr.code === 'ER_NO_SUCH_TABLE') return callback(null, { missingTable: true });
-          callback(updateErr, { updated: true });
+  addOrUpdateItem(userId, productId, variantId, quantity, callback) {
+    return safeRun((cb) => {
+      const selectSql = 'SELECT id, quantity FROM cart_items WHERE user_id = ? AND product_id = ? AND variant_id <=> ?';
+      db.query(selectSql, [userId, productId, variantId || null], (err, results) => {
+        if (err) {
+          if (err.code === 'ER_NO_SUCH_TABLE') return cb(null, { missingTable: true });
+          return cb(err);
+        }
+        if (results.length > 0) {
+          const current = results[0];
+          const newQty = current.quantity + quantity;
+          const updateSql = 'UPDATE cart_items SET quantity = ? WHERE id = ? AND user_id = ?';
+          return db.query(updateSql, [newQty, current.id, userId], (updateErr) => {
+            if (updateErr && updateErr.code === 'ER_NO_SUCH_TABLE') return cb(null, { missingTable: true });
+            cb(updateErr, { updated: true });
+          });
+        }
+        const insertSql = 'INSERT INTO cart_items (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)';
+        return db.query(insertSql, [userId, productId, variantId || null, quantity], (insertErr) => {
+          if (insertErr && insertErr.code === 'ER_NO_SUCH_TABLE') return cb(null, { missingTable: true });
+          cb(insertErr, { inserted: true });
         });
-      }
-      const insertSql = 'INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)';
-      return db.query(insertSql, [userId, productId, quantity], (insertErr) => {
-        if (insertErr && insertErr.code === 'ER_NO_SUCH_TABLE') return callback(null, { missingTable: true });
-        callback(insertErr, { inserted: true });
       });
-    });
+    }, callback);
   },
 
   updateQuantity(userId, cartItemId, quantity, callback) {
@@ -80,6 +140,22 @@ const CartModel = {
     });
   },
 
+  // substituteProductId only applies to the 'specific' preference and is cleared otherwise.
+  updateSubstitution(userId, cartItemId, substitution, substituteProductId, callback) {
+    return safeRun((cb) => {
+      const sql = 'UPDATE cart_items SET substitution = ?, substitute_product_id = ? WHERE id = ? AND user_id = ?';
+      const params = [substitution, substitution === 'specific' ? substituteProductId : null, cartItemId, userId];
+      db.query(sql, params, (err, result) => {
+        if (err) {
+          if (err.code === 'ER_NO_SUCH_TABLE') return cb(null, { missingTable: true });
+          return cb(err);
+        }
+        if (result.affectedRows === 0) return cb(new Error('Cart item not found'));
+        return cb(null, { updated: true });
+      });
+    }, callback);
+  },
+
   removeItem(userId, cartItemId, callback) {
     const sql = 'DELETE FROM cart_items WHERE id = ? AND user_id = ?';
     db.query(sql, [cartItemId, userId], (err, result) => {
@@ -101,6 +177,21 @@ const CartModel = {
       }
       return callback(null, { cleared: true });
     });
+  },
+
+  // Drop cart lines pointing at variants that no longer exist.
+  removeOrphanedVariantItems(productId, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        DELETE ci FROM cart_items ci
+        LEFT JOIN product_variants v ON v.id = ci.variant_id
+        WHERE ci.product_id = ? AND ci.variant_id IS NOT NULL AND v.id IS NULL
+      `;
+      db.query(sql, [productId], (err) => {
+        if (err && err.code === 'ER_NO_SUCH_TABLE') return cb(null, { missingTable: true });
+        cb(err, { cleaned: true });
+      });
+    }, callback);
   }
 };
 
@@ -0,0 +1,117 @@
+const db = require('../db');
+
+// Zone rows match the start of a postal code; the '' row for a method applies everywhere else.
+const DEFAULT_ZONE = '';
+
+const seedZones = (cb) => {
+  const sql = 'INSERT INTO delivery_fee_zones (method, postalPrefix, fee) VALUES (?, ?, 5.00), (?, ?, 0)';
+  db.query(sql, ['delivery', DEFAULT_ZONE, 'pickup', DEFAULT_ZONE], (err) => cb(err));
+};
+
+const seedSettings = (cb) => {
+  const sql = 'INSERT INTO delivery_fee_settings (id, freeThreshold, membersFree, expressSurcharge) VALUES (1, 60.00, 0, 3.00)';
+  db.query(sql, (err) => cb(err));
+};
+
+const ensureTables = (cb) => {
+  const zonesSql = `
+    CREATE TABLE IF NOT EXISTS delivery_fee_zones (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      method VARCHAR(20) NOT NULL,
+      postalPrefix VARCHAR(6) NOT NULL DEFAULT '',
+      fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_method_prefix (method, postalPrefix)
+    )
+  `;
+  const settingsSql = `
+    CREATE TABLE IF NOT EXISTS delivery_fee_settings (
+      id INT PRIMARY KEY,
+      freeThreshold DECIMAL(10,2) NULL,
+      membersFree TINYINT(1) NOT NULL DEFAULT 0,
+      expressSurcharge DECIMAL(10,2) NOT NULL DEFAULT 0,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `;
+  db.query(zonesSql, (zonesErr, zonesResult) => {
+    if (zonesErr) return cb(zonesErr);
+    // No warning means the table did not exist before this call.
+    const seedZonesNext = zonesResult && zonesResult.warningStatus === 0 ? seedZones : (next) => next();
+    seedZonesNext((seedErr) => {
+      if (seedErr) return cb(seedErr);
+      db.query(settingsSql, (settingsErr, settingsResult) => {
+        if (settingsErr) return cb(settingsErr);
+        if (!settingsResult || settingsResult.warningStatus !== 0) return cb();
+        seedSettings(cb);
+      });
+    });
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureTables((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const normalizeZone = (row) => ({
+  ...row,
+  fee: Number(row.fee) || 0,
+  isDefault: row.postalPrefix === DEFAULT_ZONE
+});
+
+const normalizeSettings = (row) => ({
+  freeThreshold: row && row.freeThreshold != null ? Number(row.freeThreshold) : null,
+  membersFree: !!(row && row.membersFree),
+  expressSurcharge: row ? Number(row.expressSurcharge) || 0 : 0
+});
+
+const DeliveryFeeModel = {
+  DEFAULT_ZONE,
+
+  // { zones, settings } - zones sorted by method, default zone first, then by prefix.
+  getSchedule(callback) {
+    return safeRun((cb) => {
+      const zonesSql = 'SELECT id, method, postalPrefix, fee FROM delivery_fee_zones ORDER BY method, postalPrefix = ? DESC, postalPrefix';
+      db.query(zonesSql, [DEFAULT_ZONE], (zonesErr, zones) => {
+        if (zonesErr) return cb(zonesErr);
+        db.query('SELECT freeThreshold, membersFree, expressSurcharge FROM delivery_fee_settings WHERE id = 1', (settingsErr, rows) => {
+          if (settingsErr) return cb(settingsErr);
+          cb(null, { zones: (zones || []).map(normalizeZone), settings: normalizeSettings(rows && rows[0]) });
+        });
+      });
+    }, callback);
+  },
+
+  // Insert or replace the fee for a method and postal prefix (DEFAULT_ZONE for the method's base fee).
+  saveZone(method, postalPrefix, fee, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO delivery_fee_zones (method, postalPrefix, fee) VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE fee = VALUES(fee)
+      `;
+      db.query(sql, [method, postalPrefix, fee], cb);
+    }, callback);
+  },
+
+  // A method's default zone stays; postal codes without a zone of their own fall back to it.
+  removeZone(id, callback) {
+    return safeRun((cb) => {
+      db.query('DELETE FROM delivery_fee_zones WHERE id = ? AND postalPrefix <> ?', [id, DEFAULT_ZONE], cb);
+    }, callback);
+  },
+
+  // settings: { freeThreshold (null for none), membersFree, expressSurcharge }
+  saveSettings(settings, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO delivery_fee_settings (id, freeThreshold, membersFree, expressSurcharge) VALUES (1, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE freeThreshold = VALUES(freeThreshold), membersFree = VALUES(membersFree), expressSurcharge = VALUES(expressSurcharge)
+      `;
+      db.query(sql, [settings.freeThreshold, settings.membersFree ? 1 : 0, settings.expressSurcharge], cb);
+    }, callback);
+  }
+};
+
+module.exports = DeliveryFeeModel;
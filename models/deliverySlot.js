@@ -0,0 +1,120 @@
+const db = require('../db');
+
+// How an order reaches the customer.
+const FULFILMENT_METHODS = {
+  delivery: 'Home delivery',
+  pickup: 'Store pickup'
+};
+
+// Express slots carry the surcharge from the delivery fee settings. Slots created before it existed are standard.
+const ensureExpressColumn = (cb) => {
+  const columnCheck = `
+    SELECT COLUMN_NAME FROM information_schema.columns
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'delivery_slots' AND COLUMN_NAME = 'express'
+  `;
+  db.query(columnCheck, (err, rows) => {
+    if (err) return cb(err);
+    if (rows && rows.length) return cb();
+    db.query('ALTER TABLE delivery_slots ADD COLUMN express TINYINT(1) NOT NULL DEFAULT 0', (alterErr) => cb(alterErr));
+  });
+};
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS delivery_slots (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      method VARCHAR(20) NOT NULL,
+      startsAt DATETIME NOT NULL,
+      endsAt DATETIME NOT NULL,
+      capacity INT NOT NULL DEFAULT 0,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      express TINYINT(1) NOT NULL DEFAULT 0,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_method_start (method, startsAt)
+    )
+  `;
+  db.query(sql, (err) => {
+    if (err) return cb(err);
+    ensureExpressColumn(cb);
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// e.g. "Sat 24 Oct, 10:00-12:00"
+const describeSlot = (startsAt, endsAt) => {
+  if (!startsAt) return '';
+  const start = new Date(startsAt);
+  const end = endsAt ? new Date(endsAt) : null;
+  if (Number.isNaN(start.getTime())) return '';
+  const day = start.toLocaleDateString('en-SG', { weekday: 'short', day: 'numeric', month: 'short' });
+  const from = `${pad(start.getHours())}:${pad(start.getMinutes())}`;
+  const to = end && !Number.isNaN(end.getTime()) ? `-${pad(end.getHours())}:${pad(end.getMinutes())}` : '';
+  return `${day}, ${from}${to}`;
+};
+
+const normalizeRow = (row) => ({
+  ...row,
+  capacity: Number(row.capacity) || 0,
+  active: !!row.active,
+  express: !!row.express,
+  methodLabel: FULFILMENT_METHODS[row.method] || row.method,
+  label: describeSlot(row.startsAt, row.endsAt)
+});
+
+const SLOT_SELECT = 'SELECT id, method, startsAt, endsAt, capacity, active, express, createdAt FROM delivery_slots';
+
+const DeliverySlotModel = {
+  FULFILMENT_METHODS,
+  describeSlot,
+
+  // Slots that have not started yet, soonest first. Pass includeInactive for the admin list.
+  getUpcoming(includeInactive, callback) {
+    return safeRun((cb) => {
+      const sql = `${SLOT_SELECT} WHERE startsAt > NOW() ${includeInactive ? '' : 'AND active = 1'} ORDER BY startsAt, method`;
+      db.query(sql, (err, rows) => cb(err, (rows || []).map(normalizeRow)));
+    }, callback);
+  },
+
+  getById(id, callback) {
+    return safeRun((cb) => {
+      db.query(`${SLOT_SELECT} WHERE id = ?`, [id], (err, rows) => cb(err, rows && rows[0] ? normalizeRow(rows[0]) : null));
+    }, callback);
+  },
+
+  // slots: [{ method, startsAt, endsAt, capacity, express }]
+  createMany(slots, callback) {
+    if (!slots || !slots.length) return callback(null, { affectedRows: 0 });
+    return safeRun((cb) => {
+      const values = slots.map((slot) => [slot.method, slot.startsAt, slot.endsAt, slot.capacity, 1, slot.express ? 1 : 0]);
+      db.query('INSERT INTO delivery_slots (method, startsAt, endsAt, capacity, active, express) VALUES ?', [values], cb);
+    }, callback);
+  },
+
+  updateCapacity(id, capacity, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE delivery_slots SET capacity = ? WHERE id = ?', [capacity, id], cb);
+    }, callback);
+  },
+
+  toggleActive(id, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE delivery_slots SET active = NOT active WHERE id = ?', [id], cb);
+    }, callback);
+  },
+
+  remove(id, callback) {
+    return safeRun((cb) => {
+      db.query('DELETE FROM delivery_slots WHERE id = ?', [id], cb);
+    }, callback);
+  }
+};
+
+module.exports = DeliverySlotModel;
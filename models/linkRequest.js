@@ -0,0 +1,67 @@
+const db = require('../db');
+
+// Every request to email a password reset or verification link, whether or not the email has an
+// account, so the forms can't be used to flood an inbox (see services/accountTokens.js).
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS link_requests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      ip VARCHAR(64) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      purpose VARCHAR(20) NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_ip_created (ip, createdAt),
+      INDEX idx_email_created (email, createdAt)
+    )
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const normalizeIp = (ip) => String(ip || 'unknown').slice(0, 64);
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase().slice(0, 255);
+
+const LinkRequestModel = {
+  // request: { ip, email, purpose }
+  record(request, callback) {
+    return safeRun((cb) => {
+      const sql = 'INSERT INTO link_requests (ip, email, purpose) VALUES (?, ?, ?)';
+      db.query(sql, [normalizeIp(request.ip), normalizeEmail(request.email), request.purpose], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // Calls back with { byIp, byEmail }, each { requests, secondsUntilOldestExpires } for the
+  // requests of any purpose within the last `minutes`.
+  getRecentCounts(ip, email, minutes, callback) {
+    return safeRun((cb) => {
+      const count = (column, value, next) => {
+        const sql = `
+          SELECT COUNT(*) AS requests,
+                 TIMESTAMPDIFF(SECOND, NOW() - INTERVAL ? MINUTE, MIN(createdAt)) AS secondsUntilOldestExpires
+          FROM link_requests
+          WHERE ?? = ? AND createdAt > NOW() - INTERVAL ? MINUTE
+        `;
+        db.query(sql, [minutes, column, value, minutes], (err, rows) => {
+          if (err) return next(err);
+          const row = (rows && rows[0]) || {};
+          next(null, {
+            requests: Number(row.requests) || 0,
+            secondsUntilOldestExpires: Math.max(0, Number(row.secondsUntilOldestExpires) || 0)
+          });
+        });
+      };
+      count('ip', normalizeIp(ip), (ipErr, byIp) => {
+        if (ipErr) return cb(ipErr);
+        count('email', normalizeEmail(email), (emailErr, byEmail) => (emailErr ? cb(emailErr) : cb(null, { byIp, byEmail })));
+      });
+    }, callback);
+  }
+};
+
+module.exports = LinkRequestModel;
@@ -0,0 +1,87 @@
+const db = require('../db');
+
+// Every sign-in attempt, successful or not, with where it came from. Failures are counted per IP
+// address to slow down guessing across many accounts (see services/loginThrottle.js).
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      ip VARCHAR(64) NOT NULL,
+      email VARCHAR(255) NULL,
+      userId INT NULL,
+      succeeded TINYINT(1) NOT NULL DEFAULT 0,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_ip_created (ip, createdAt),
+      INDEX idx_user_created (userId, createdAt)
+    )
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const LoginAttemptModel = {
+  // attempt: { ip, email, userId, succeeded }
+  record(attempt, callback) {
+    return safeRun((cb) => {
+      const sql = 'INSERT INTO login_attempts (ip, email, userId, succeeded) VALUES (?, ?, ?, ?)';
+      const params = [
+        String(attempt.ip || 'unknown').slice(0, 64),
+        attempt.email ? String(attempt.email).slice(0, 255) : null,
+        attempt.userId || null,
+        attempt.succeeded ? 1 : 0
+      ];
+      db.query(sql, params, (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // Calls back with { failures, secondsUntilOldestExpires } for the failed attempts from ip within
+  // the last `minutes`.
+  getRecentFailuresByIp(ip, minutes, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT COUNT(*) AS failures,
+               TIMESTAMPDIFF(SECOND, NOW() - INTERVAL ? MINUTE, MIN(createdAt)) AS secondsUntilOldestExpires
+        FROM login_attempts
+        WHERE ip = ? AND succeeded = 0 AND createdAt > NOW() - INTERVAL ? MINUTE
+      `;
+      db.query(sql, [minutes, String(ip || 'unknown').slice(0, 64), minutes], (err, rows) => {
+        if (err) return cb(err);
+        const row = (rows && rows[0]) || {};
+        cb(null, {
+          failures: Number(row.failures) || 0,
+          secondsUntilOldestExpires: Math.max(0, Number(row.secondsUntilOldestExpires) || 0)
+        });
+      });
+    }, callback);
+  },
+
+  // { userId: [ip addresses with failed attempts within the last `minutes`, most recent first] }
+  getRecentFailureIps(userIds, minutes, callback) {
+    if (!userIds || !userIds.length) return callback(null, {});
+    return safeRun((cb) => {
+      const sql = `
+        SELECT userId, ip, MAX(createdAt) AS lastAttemptAt
+        FROM login_attempts
+        WHERE userId IN (?) AND succeeded = 0 AND createdAt > NOW() - INTERVAL ? MINUTE
+        GROUP BY userId, ip
+        ORDER BY lastAttemptAt DESC
+      `;
+      db.query(sql, [userIds, minutes], (err, rows) => {
+        if (err) return cb(err);
+        const byUser = {};
+        (rows || []).forEach((row) => {
+          (byUser[row.userId] = byUser[row.userId] || []).push(row.ip);
+        });
+        cb(null, byUser);
+      });
+    }, callback);
+  }
+};
+
+module.exports = LoginAttemptModel;
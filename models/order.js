@@ -1,159 +1,573 @@
 const db = require('../db');
+const DeliverySlotModel = require('./deliverySlot');
+
+// Columns added after the original schema (name -> definition).
+const ORDER_COLUMNS = {
+  // JSON pricing breakdown from services/pricing: subtotal, discounts, loyalty, refund credit, tax, payable
+  pricing: 'TEXT NULL',
+  // GST on the order, whether it was included in the prices or added on top
+  taxAmount: 'DECIMAL(10,2) NOT NULL DEFAULT 0',
+  // Delivery charge after any free-delivery waiver, express surcharge included
+  deliveryFee: 'DECIMAL(10,2) NOT NULL DEFAULT 0',
+  // Delivery or pickup, and the booked slot. The slot times are copied so editing the slot leaves the order alone.
+  fulfilmentMethod: 'VARCHAR(20) NULL',
+  deliverySlotId: 'INT NULL',
+  slotStartsAt: 'DATETIME NULL',
+  slotEndsAt: 'DATETIME NULL',
+  // JSON copy of the name, email, contact number and address the customer checked out with
+  contactDetails: 'TEXT NULL',
+  // Store credit issued when the order was packed with lines missing or cheaper substitutes
+  pickRefundAmount: 'DECIMAL(10,2) NOT NULL DEFAULT 0',
+  pickRefundCreditId: 'INT NULL',
+  // Loyalty points the order added to and took off the customer's balance; null on orders placed
+  // before they were recorded
+  loyaltyPointsEarned: 'INT NULL',
+  loyaltyPointsRedeemed: 'INT NULL'
+};
+
+// Orders in these statuses no longer take up a place in their slot.
+const RELEASED_SLOT_STATUSES = ['cancelled', 'refunded'];
+
+const ORDER_ITEM_COLUMNS = {
+  variantId: 'INT NULL',
+  variantLabel: 'VARCHAR(100) NULL',
+  // Snapshot of the product as it was sold, so renaming or deleting it later doesn't change past orders.
+  // `price` remains the unit price charged.
+  productName: 'VARCHAR(255) NULL',
+  category: 'VARCHAR(100) NULL',
+  image: 'VARCHAR(255) NULL',
+  discount: 'DECIMAL(10,2) NOT NULL DEFAULT 0',
+  taxRate: 'DECIMAL(5,2) NULL',
+  taxAmount: 'DECIMAL(10,2) NOT NULL DEFAULT 0',
+  // The customer's substitution preference from the cart line; null on orders placed before it was asked
+  substitution: 'VARCHAR(20) NULL',
+  substituteProductId: 'INT NULL'
+};
+
+const ensureTableColumns = (table, definitions, cb) => {
+  const names = Object.keys(definitions);
+  const columnCheck = `
+    SELECT COLUMN_NAME FROM information_schema.columns
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME IN (?)
+  `;
+  db.query(columnCheck, [table, names], (err, rows) => {
+    if (err) return cb(err);
+    const existing = (rows || []).map((row) => row.COLUMN_NAME);
+    const missing = names.filter((name) => !existing.includes(name));
+    if (!missing.length) return cb();
+    const alterSql = `ALTER TABLE ${table} ${missing.map((name) => `ADD COLUMN ${name} ${definitions[name]}`).join(', ')}`;
+    db.query(alterSql, cb);
+  });
+};
+
+// Order lifecycle. Each status lists the statuses it may move to; cancelled and refunded are final.
+const ORDER_TRANSITIONS = {
+  pending_payment: ['paid', 'cancelled'],
+  paid: ['picking', 'cancelled', 'refunded'],
+  picking: ['packed', 'cancelled', 'refunded'],
+  packed: ['out_for_delivery', 'collected', 'cancelled', 'refunded'],
+  out_for_delivery: ['delivered', 'refunded'],
+  delivered: ['completed', 'refunded'],
+  collected: ['completed', 'refunded'],
+  completed: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const STATUS_LABELS = {
+  pending_payment: 'Pending payment',
+  paid: 'Paid',
+  picking: 'Picking',
+  packed: 'Packed',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  collected: 'Collected',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+// Free-text statuses written before the lifecycle existed.
+const LEGACY_STATUSES = {
+  pending: 'pending_payment',
+  processing: 'paid',
+  credit_refunded: 'refunded',
+  refund_rejected: 'completed'
+};
+
+const normalizeStatus = (status) => {
+  const value = String(status || '').trim().toLowerCase();
+  if (ORDER_TRANSITIONS[value]) return value;
+  return LEGACY_STATUSES[value] || 'pending_payment';
+};
+
+const canTransition = (from, to) => from === to || ORDER_TRANSITIONS[normalizeStatus(from)].includes(to);
+
+const invalidTransition = (from, to) => {
+  const err = new Error(`An order that is ${STATUS_LABELS[from].toLowerCase()} cannot be marked ${STATUS_LABELS[to] ? STATUS_LABELS[to].toLowerCase() : to}.`);
+  err.code = 'INVALID_STATUS_TRANSITION';
+  return err;
+};
+
+// The order's status moved on after it was read, so an edit based on the old status is refused.
+const statusConflict = (id) => {
+  const err = new Error(`Order #${id} was changed by someone else while you were editing it. Please check it and try again.`);
+  err.code = 'ORDER_STATUS_CONFLICT';
+  return err;
+};
+
+// Rewrites legacy statuses once, when the history table is first created.
+const migrateLegacyStatuses = (cb) => {
+  const sql = `
+    UPDATE orders SET status = CASE status
+      WHEN 'pending' THEN 'pending_payment'
+      WHEN 'processing' THEN 'paid'
+      WHEN 'credit_refunded' THEN 'refunded'
+      WHEN 'refund_rejected' THEN 'completed'
+      ELSE status END
+    WHERE status IN ('pending', 'processing', 'credit_refunded', 'refund_rejected')
+  `;
+  // Existing orders start their timeline at the status they already had.
+  const historySql = `
+    INSERT INTO order_status_history (orderId, fromStatus, toStatus, note)
+    SELECT id, NULL, status, 'Status before history was recorded' FROM orders
+  `;
+  db.query(sql, (err) => {
+    if (err) return cb(err);
+    db.query(historySql, (historyErr) => cb(historyErr));
+  });
+};
+
+const ensureHistoryTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS order_status_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId INT NOT NULL,
+      fromStatus VARCHAR(32) NULL,
+      toStatus VARCHAR(32) NOT NULL,
+      changedBy INT NULL,
+      note VARCHAR(255) NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_order (orderId, createdAt)
+    )
+  `;
+  db.query(sql, (err, result) => {
+    if (err) return cb(err);
+    // No warning means the table did not exist before this call.
+    if (!result || result.warningStatus !== 0) return cb();
+    migrateLegacyStatuses(cb);
+  });
+};
+
+const ensureColumns = (cb) => {
+  ensureTableColumns('orders', ORDER_COLUMNS, (orderErr) => {
+    if (orderErr) return cb(orderErr);
+    ensureTableColumns('order_items', ORDER_ITEM_COLUMNS, (itemErr) => {
+      if (itemErr) return cb(itemErr);
+      ensureHistoryTable(cb);
+    });
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureColumns((colErr) => {
+    if (colErr) return callback(colErr);
+    fn(callback);
+  });
+};
+
+const INSERT_HISTORY_SQL = 'INSERT INTO order_status_history (orderId, fromStatus, toStatus, changedBy, note) VALUES (?, ?, ?, ?, ?)';
+
+const historyParams = (orderId, from, to, context = {}) => [
+  orderId,
+  from || null,
+  to,
+  context.changedBy || null,
+  context.note ? String(context.note).slice(0, 255) : null
+];
+
+const toHistoryEntry = (row) => ({
+  ...row,
+  fromLabel: row.fromStatus ? STATUS_LABELS[normalizeStatus(row.fromStatus)] : null,
+  toLabel: STATUS_LABELS[normalizeStatus(row.toStatus)]
+});
+
+const ORDER_SELECT = `
+  SELECT id, userId, totalAmount, discountPercent, status, transactionId, transactionRefId, paymentMethod, pricing, taxAmount,
+         deliveryFee, fulfilmentMethod, deliverySlotId, slotStartsAt, slotEndsAt, contactDetails,
+         pickRefundAmount, pickRefundCreditId, loyaltyPointsEarned, loyaltyPointsRedeemed
+  FROM orders
+`;
+
+const parseJson = (value, what) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    console.error(`Unreadable ${what} on order`, err);
+    return null;
+  }
+};
+
+// Null for orders placed before checkout asked how to fulfil them.
+const toFulfilment = (row) => {
+  if (!row.fulfilmentMethod) return null;
+  return {
+    method: row.fulfilmentMethod,
+    methodLabel: DeliverySlotModel.FULFILMENT_METHODS[row.fulfilmentMethod] || row.fulfilmentMethod,
+    slotId: row.deliverySlotId,
+    startsAt: row.slotStartsAt,
+    endsAt: row.slotEndsAt,
+    slotLabel: DeliverySlotModel.describeSlot(row.slotStartsAt, row.slotEndsAt)
+  };
+};
+
+const toOrder = (row) => {
+  const status = normalizeStatus(row.status);
+  return {
+    ...row,
+    status,
+    statusLabel: STATUS_LABELS[status],
+    nextStatuses: ORDER_TRANSITIONS[status],
+    pricing: parseJson(row.pricing, 'pricing breakdown'),
+    contactDetails: parseJson(row.contactDetails, 'contact details'),
+    pickRefundAmount: Number(row.pickRefundAmount) || 0,
+    fulfilment: toFulfilment(row)
+  };
+};
+
+// Rows written before snapshots existed fall back to the live product.
+const ITEM_SELECT = `
+  SELECT oi.id, oi.orderId, oi.productId, oi.variantId, oi.variantLabel, oi.quantity, oi.price,
+         COALESCE(oi.productName, p.productName) AS productName,
+         COALESCE(oi.category, p.category) AS category,
+         COALESCE(oi.image, p.image) AS image,
+         oi.discount, oi.taxRate, oi.taxAmount,
+         oi.substitution, oi.substituteProductId, sp.productName AS substituteName
+  FROM order_items oi
+  LEFT JOIN products p ON p.id = oi.productId
+  LEFT JOIN products sp ON sp.id = oi.substituteProductId
+`;
+
+const toItemRow = (orderId, item) => [
+  orderId,
+  item.productId,
+  item.variantId || null,
+  item.variantLabel || null,
+  item.quantity,
+  item.price,
+  item.productName || null,
+  item.category || null,
+  item.image || null,
+  Number(item.discount) || 0,
+  item.taxRate != null ? item.taxRate : null,
+  Number(item.taxAmount) || 0,
+  item.substitution || null,
+  item.substitution === 'specific' ? item.substituteProductId || null : null
+];
+
+const INSERT_ITEMS_SQL = `
+  INSERT INTO order_items
+    (orderId, productId, variantId, variantLabel, quantity, price, productName, category, image, discount, taxRate, taxAmount,
+     substitution, substituteProductId)
+  VALUES ?
+`;
+
+const toItem = (row) => ({
+  ...row,
+  discount: Number(row.discount) || 0,
+  taxRate: row.taxRate != null ? Number(row.taxRate) : null,
+  taxAmount: Number(row.taxAmount) || 0
+});
+
+// Checkout passes the snapshot in; anything else (API calls, admin edits) gets it from the current product.
+const withSnapshots = (items, cb) => {
+  const missing = [...new Set(items.filter((item) => !item.productName).map((item) => item.productId))];
+  if (!missing.length) return cb(null, items);
+  db.query('SELECT id, productName, category, image FROM products WHERE id IN (?)', [missing], (err, rows) => {
+    if (err) return cb(err);
+    const byId = {};
+    (rows || []).forEach((row) => { byId[row.id] = row; });
+    cb(null, items.map((item) => {
+      const product = byId[item.productId];
+      if (item.productName || !product) return item;
+      return {
+        ...item,
+        productName: product.productName,
+        category: item.category || product.category,
+        image: item.image || product.image
+      };
+    }));
+  });
+};
+
+// Order rows to full orders, each with its items.
+const withItems = (orders, cb) => {
+  if (!orders || !orders.length) return cb(null, []);
+  const orderIds = orders.map((o) => o.id);
+  const itemsSql = `${ITEM_SELECT} WHERE oi.orderId IN (?)`;
+  db.query(itemsSql, [orderIds], (itemsErr, items) => {
+    if (itemsErr) return cb(itemsErr);
+
+    const itemsByOrder = {};
+    items.forEach((item) => {
+      if (!itemsByOrder[item.orderId]) itemsByOrder[item.orderId] = [];
+      itemsByOrder[item.orderId].push(toItem(item));
+    });
+
+    cb(null, orders.map((order) => ({
+      ...toOrder(order),
+      items: itemsByOrder[order.id] || []
+    })));
+  });
+};
 
 const OrderModel = {
+  ORDER_STATUSES,
+  STATUS_LABELS,
+  canTransition,
+
   getAllOrders(callback) {
-    const orderSql = 'SELECT id, userId, totalAmount, discountPercent, status, transactionId, transactionRefId, paymentMethod FROM orders';
-    db.query(orderSql, (orderErr, orders) => {
-      if (orderErr) return callback(orderErr);
-      if (!orders.length) return callback(null, []);
-
-      const orderIds = orders.map((o) => o.id);
-      const itemsSql = `
-        SELECT oi.id, oi.orderId, oi.productId, oi.quantity, oi.price,
-               p.productName, p.image
-        FROM order_items oi
-        LEFT JOIN products p ON p.id = oi.productId
-        WHERE oi.orderId IN (?)
+    return safeRun((cb) => {
+      db.query(ORDER_SELECT, (orderErr, orders) => {
+        if (orderErr) return cb(orderErr);
+        withItems(orders, cb);
+      });
+    }, callback);
+  },
+
+  // Moves an order along the lifecycle and records it in the history. context: { changedBy, note }.
+  // Calls back with an INVALID_STATUS_TRANSITION error when the move is not allowed; moving to the
+  // status the order already has is a no-op.
+  updateStatus(id, status, context, callback) {
+    if (!ORDER_TRANSITIONS[status]) return callback(invalidTransition('pending_payment', status));
+    return safeRun((cb) => {
+      db.query('SELECT status FROM orders WHERE id = ?', [id], (findErr, rows) => {
+        if (findErr) return cb(findErr);
+        if (!rows || !rows[0]) return cb(null, null);
+        const current = normalizeStatus(rows[0].status);
+        if (current === status) return cb(null, { id, status, changed: false });
+        if (!canTransition(current, status)) return cb(invalidTransition(current, status));
+
+        db.transaction((conn, done) => {
+          // Matching on the old status stops two staff members moving the same order at once.
+          const sql = 'UPDATE orders SET status = ? WHERE id = ? AND status = ?';
+          conn.query(sql, [status, id, rows[0].status], (updateErr, result) => {
+            if (updateErr) return done(updateErr);
+            if (!result.affectedRows) return done(invalidTransition(current, status));
+            conn.query(INSERT_HISTORY_SQL, historyParams(id, current, status, context), (historyErr) => (
+              historyErr ? done(historyErr) : done(null, { id, status, changed: true })
+            ));
+          });
+        }, cb);
+      });
+    }, callback);
+  },
+
+  getStatusHistory(orderId, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT h.id, h.orderId, h.fromStatus, h.toStatus, h.changedBy, h.note, h.createdAt, u.username AS changedByName
+        FROM order_status_history h
+        LEFT JOIN users u ON u.id = h.changedBy
+        WHERE h.orderId = ?
+        ORDER BY h.createdAt, h.id
       `;
-      db.query(itemsSql, [orderIds], (itemsErr, items) => {
-        if (itemsErr) return callback(itemsErr);
+      db.query(sql, [orderId], (err, rows) => cb(err, (rows || []).map(toHistoryEntry)));
+    }, callback);
+  },
 
-        const itemsByOrder = {};
-        items.forEach((item) => {
-          if (!itemsByOrder[item.orderId]) itemsByOrder[item.orderId] = [];
-          itemsByOrder[item.orderId].push(item);
+  // { orderId: [entries] } for the order list pages.
+  getStatusHistoryByOrderIds(orderIds, callback) {
+    if (!orderIds || !orderIds.length) return callback(null, {});
+    return safeRun((cb) => {
+      const sql = `
+        SELECT h.id, h.orderId, h.fromStatus, h.toStatus, h.changedBy, h.note, h.createdAt, u.username AS changedByName
+        FROM order_status_history h
+        LEFT JOIN users u ON u.id = h.changedBy
+        WHERE h.orderId IN (?)
+        ORDER BY h.createdAt, h.id
+      `;
+      db.query(sql, [orderIds], (err, rows) => {
+        if (err) return cb(err);
+        const byOrder = {};
+        (rows || []).forEach((row) => {
+          if (!byOrder[row.orderId]) byOrder[row.orderId] = [];
+          byOrder[row.orderId].push(toHistoryEntry(row));
         });
+        cb(null, byOrder);
+      });
+    }, callback);
+  },
 
-        const hydrated = orders.map((order) => ({
-          ...order,
-          items: itemsByOrder[order.id] || []
-        }));
-        callback(null, hydrated);
+  // Orders in any of the given statuses, soonest slot first; orders without a slot come last.
+  getOrdersByStatus(statuses, callback) {
+    if (!statuses || !statuses.length) return callback(null, []);
+    return safeRun((cb) => {
+      const sql = `${ORDER_SELECT} WHERE status IN (?) ORDER BY slotStartsAt IS NULL, slotStartsAt, id`;
+      db.query(sql, [statuses], (orderErr, orders) => {
+        if (orderErr) return cb(orderErr);
+        withItems(orders, cb);
       });
-    });
+    }, callback);
   },
 
-  updateStatus(id, status, callback) {
-    const sql = 'UPDATE orders SET status = ? WHERE id = ?';
-    db.query(sql, [status, id], (err, result) => callback(err, result));
+  // Remembers the store credit given for lines that could not be picked.
+  recordPickRefund(id, amount, creditId, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE orders SET pickRefundAmount = ?, pickRefundCreditId = ? WHERE id = ?', [amount, creditId || null, id], cb);
+    }, callback);
   },
 
-  getOrderById(id, callback) {
-    const orderSql = 'SELECT id, userId, totalAmount, discountPercent, status, transactionId, transactionRefId, paymentMethod FROM orders WHERE id = ?';
-    db.query(orderSql, [id], (orderErr, orderResults) => {
-      if (orderErr) return callback(orderErr);
-      const order = orderResults[0];
-      if (!order) return callback(null, null);
-
-      const itemsSql = `
-        SELECT oi.id, oi.orderId, oi.productId, oi.quantity, oi.price,
-               p.productName, p.image
-        FROM order_items oi
-        LEFT JOIN products p ON p.id = oi.productId
-        WHERE oi.orderId = ?
+  // The loyalty points checkout actually granted and deducted for the order.
+  recordLoyalty(id, earned, redeemed, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE orders SET loyaltyPointsEarned = ?, loyaltyPointsRedeemed = ? WHERE id = ?', [earned, redeemed, id], cb);
+    }, callback);
+  },
+
+  // { slotId: number of orders holding a place } for capacity checks.
+  countSlotBookings(slotIds, callback) {
+    if (!slotIds || !slotIds.length) return callback(null, {});
+    return safeRun((cb) => {
+      const sql = `
+        SELECT deliverySlotId, COUNT(*) AS booked FROM orders
+        WHERE deliverySlotId IN (?) AND status NOT IN (?)
+        GROUP BY deliverySlotId
       `;
-      db.query(itemsSql, [id], (itemsErr, items) => {
-        if (itemsErr) return callback(itemsErr);
-        callback(null, { ...order, items: items || [] });
+      db.query(sql, [slotIds, RELEASED_SLOT_STATUSES], (err, rows) => {
+        if (err) return cb(err);
+        const counts = {};
+        (rows || []).forEach((row) => { counts[row.deliverySlotId] = Number(row.booked) || 0; });
+        cb(null, counts);
       });
-    });
+    }, callback);
   },
 
-  getOrdersByUser(userId, callback) {
-    const orderSql = 'SELECT id, userId, totalAmount, discountPercent, status, transactionId, transactionRefId, paymentMethod FROM orders WHERE userId = ?';
-    db.query(orderSql, [userId], (orderErr, orders) => {
-      if (orderErr) return callback(orderErr);
-      if (!orders.length) return callback(null, []);
-
-      const orderIds = orders.map((o) => o.id);
-      const itemsSql = `
-        SELECT oi.id, oi.orderId, oi.productId, oi.quantity, oi.price,
-               p.productName, p.image
-        FROM order_items oi
-        LEFT JOIN products p ON p.id = oi.productId
-        WHERE oi.orderId IN (?)
-      `;
-      db.query(itemsSql, [orderIds], (itemsErr, items) => {
-        if (itemsErr) return callback(itemsErr);
+  // The same count for one slot, on a transaction's connection, for holding a place while the
+  // slot row is locked (see StockReservationModel.reserve).
+  countSlotBookingsWithin(conn, slotId, callback) {
+    const sql = 'SELECT COUNT(*) AS booked FROM orders WHERE deliverySlotId = ? AND status NOT IN (?)';
+    conn.query(sql, [slotId, RELEASED_SLOT_STATUSES], (err, rows) => (
+      err ? callback(err) : callback(null, Number(rows && rows[0] && rows[0].booked) || 0)
+    ));
+  },
 
-        const itemsByOrder = {};
-        items.forEach((item) => {
-          if (!itemsByOrder[item.orderId]) itemsByOrder[item.orderId] = [];
-          itemsByOrder[item.orderId].push(item);
+  getOrderById(id, callback) {
+    return safeRun((cb) => {
+      const orderSql = `${ORDER_SELECT} WHERE id = ?`;
+      db.query(orderSql, [id], (orderErr, orderResults) => {
+        if (orderErr) return cb(orderErr);
+        const order = orderResults[0] ? toOrder(orderResults[0]) : null;
+        if (!order) return cb(null, null);
+
+        const itemsSql = `${ITEM_SELECT} WHERE oi.orderId = ?`;
+        db.query(itemsSql, [id], (itemsErr, items) => {
+          if (itemsErr) return cb(itemsErr);
+          cb(null, { ...order, items: (items || []).map(toItem) });
         });
+      });
+    }, callback);
+  },
 
-        const hydrated = orders.map((order) => ({
-          ...order,
-          items: itemsByOrder[order.id] || []
-        }));
-        callback(null, hydrated);
+  // The order paid by a Stripe charge or PayPal capture (its transactionRefId).
+  getOrderByPaymentReference(paymentMethod, transactionRefId, callback) {
+    return safeRun((cb) => {
+      const sql = `${ORDER_SELECT} WHERE paymentMethod = ? AND transactionRefId = ? ORDER BY id DESC LIMIT 1`;
+      db.query(sql, [paymentMethod, transactionRefId], (orderErr, rows) => {
+        if (orderErr) return cb(orderErr);
+        if (!rows || !rows.length) return cb(null, null);
+        OrderModel.getOrderById(rows[0].id, cb);
       });
-    });
+    }, callback);
+  },
+
+  getOrdersByUser(userId, callback) {
+    return safeRun((cb) => {
+      const orderSql = `${ORDER_SELECT} WHERE userId = ?`;
+      db.query(orderSql, [userId], (orderErr, orders) => {
+        if (orderErr) return cb(orderErr);
+        withItems(orders, cb);
+      });
+    }, callback);
   },
 
   createOrder(orderData, items, callback) {
-    const safeItems = Array.isArray(items) ? items : [];
-
-    db.beginTransaction((txErr) => {
-      if (txErr) return callback(txErr);
-
-      const hasTransactionId = orderData.transactionId != null && orderData.transactionId !== '';
-      const hasTransactionRefId = orderData.transactionRefId != null && orderData.transactionRefId !== '';
-      const hasPaymentMethod = orderData.paymentMethod != null && orderData.paymentMethod !== '';
-      const columns = ['userId', 'totalAmount', 'discountPercent', 'status'];
-      const values = [
-        orderData.userId,
-        orderData.totalAmount,
-        orderData.discountPercent || 0,
-        orderData.status || 'pending'
-      ];
-      if (hasTransactionId) {
-        columns.push('transactionId');
-        values.push(orderData.transactionId);
-      }
-      if (hasTransactionRefId) {
-        columns.push('transactionRefId');
-        values.push(orderData.transactionRefId);
-      }
-      if (hasPaymentMethod) {
-        columns.push('paymentMethod');
-        values.push(orderData.paymentMethod);
-      }
-      const placeholders = columns.map(() => '?').join(', ');
-      const insertOrderSql = `INSERT INTO orders (${columns.join(', ')}) VALUES (${placeholders})`;
-      const orderParams = values;
+    return safeRun((cb) => {
+      const requestedItems = Array.isArray(items) ? items : [];
+      withSnapshots(requestedItems, (snapErr, safeItems) => {
+        if (snapErr) return cb(snapErr);
+
+        const initialStatus = orderData.status || 'pending_payment';
+        if (!ORDER_TRANSITIONS[initialStatus]) return cb(invalidTransition('pending_payment', initialStatus));
+
+        db.transaction((conn, done) => {
+          const hasTransactionId = orderData.transactionId != null && orderData.transactionId !== '';
+          const hasTransactionRefId = orderData.transactionRefId != null && orderData.transactionRefId !== '';
+          const hasPaymentMethod = orderData.paymentMethod != null && orderData.paymentMethod !== '';
+          const columns = ['userId', 'totalAmount', 'discountPercent', 'status'];
+          const values = [
+            orderData.userId,
+            orderData.totalAmount,
+            orderData.discountPercent || 0,
+            initialStatus
+          ];
+          if (hasTransactionId) {
+            columns.push('transactionId');
+            values.push(orderData.transactionId);
+          }
+          if (hasTransactionRefId) {
+            columns.push('transactionRefId');
+            values.push(orderData.transactionRefId);
+          }
+          if (hasPaymentMethod) {
+            columns.push('paymentMethod');
+            values.push(orderData.paymentMethod);
+          }
+          if (orderData.pricing) {
+            columns.push('pricing');
+            values.push(JSON.stringify(orderData.pricing));
+            columns.push('taxAmount');
+            values.push(orderData.pricing.tax ? orderData.pricing.tax.amount : 0);
+            columns.push('deliveryFee');
+            values.push(orderData.pricing.delivery ? orderData.pricing.delivery.fee : 0);
+          }
+          if (orderData.contactDetails) {
+            columns.push('contactDetails');
+            values.push(JSON.stringify(orderData.contactDetails));
+          }
+          if (orderData.fulfilment) {
+            // Slot times may have been through the session as strings; Dates are written in the connection's time zone.
+            const { method, slotId, startsAt, endsAt } = orderData.fulfilment;
+            columns.push('fulfilmentMethod', 'deliverySlotId', 'slotStartsAt', 'slotEndsAt');
+            values.push(method, slotId || null, startsAt ? new Date(startsAt) : null, endsAt ? new Date(endsAt) : null);
+          }
+          const placeholders = columns.map(() => '?').join(', ');
+          const insertOrderSql = `INSERT INTO orders (${columns.join(', ')}) VALUES (${placeholders})`;
+          const orderParams = values;
 
-      db.query(insertOrderSql, orderParams, (orderErr, orderResult) => {
-        if (orderErr) return db.rollback(() => callback(orderErr));
+          conn.query(insertOrderSql, orderParams, (orderErr, orderResult) => {
+            if (orderErr) return done(orderErr);
 
-        const orderId = orderResult.insertId;
+            const orderId = orderResult.insertId;
+            const historyContext = { changedBy: orderData.changedBy || null, note: orderData.statusNote || 'Order placed' };
 
-        // If no items provided, just commit the order creation.
-        if (!safeItems.length) {
-          return db.commit((commitErr) => {
-            if (commitErr) return db.rollback(() => callback(commitErr));
-            callback(null, { orderId });
-          });
-        }
-
-        const itemValues = safeItems.map((item) => [
-          orderId,
-          item.productId,
-          item.quantity,
-          item.price
-        ]);
-
-        const insertItemsSql = 'INSERT INTO order_items (orderId, productId, quantity, price) VALUES ?';
-        db.query(insertItemsSql, [itemValues], (itemsErr) => {
-          if (itemsErr) return db.rollback(() => callback(itemsErr));
-
-          db.commit((commitErr) => {
-            if (commitErr) return db.rollback(() => callback(commitErr));
-            callback(null, { orderId });
+            conn.query(INSERT_HISTORY_SQL, historyParams(orderId, null, initialStatus, historyContext), (historyErr) => {
+              if (historyErr) return done(historyErr);
+
+              // If no items provided, just commit the order creation.
+              if (!safeItems.length) return done(null, { orderId });
+
+              const itemValues = safeItems.map((item) => toItemRow(orderId, item));
+              conn.query(INSERT_ITEMS_SQL, [itemValues], (itemsErr) => (
+                itemsErr ? done(itemsErr) : done(null, { orderId })
+              ));
+            });
           });
-        });
+        }, cb);
       });
-    });
+    }, callback);
   },
 
   updateOrder(id, orderData, items, callback) {
@@ -170,89 +584,96 @@ const OrderModel = {
         transactionRefId: orderData.transactionRefId != null ? orderData.transactionRefId : existing.transactionRefId,
         paymentMethod: orderData.paymentMethod != null ? orderData.paymentMethod : existing.paymentMethod
       };
+      const statusChanged = updatedOrder.status !== existing.status;
+      if (statusChanged && (!ORDER_TRANSITIONS[updatedOrder.status] || !canTransition(existing.status, updatedOrder.status))) {
+        return callback(invalidTransition(existing.status, updatedOrder.status));
+      }
 
-      db.beginTransaction((txErr) => {
-        if (txErr) return callback(txErr);
-
-        const updateSql = 'UPDATE orders SET userId = ?, totalAmount = ?, discountPercent = ?, status = ?, transactionId = ?, transactionRefId = ?, paymentMethod = ? WHERE id = ?';
-        const params = [
-          updatedOrder.userId,
-          updatedOrder.totalAmount,
-          updatedOrder.discountPercent != null ? updatedOrder.discountPercent : 0,
-          updatedOrder.status,
-          updatedOrder.transactionId || null,
-          updatedOrder.transactionRefId || null,
-          updatedOrder.paymentMethod || null,
-          id
-        ];
-
-        db.query(updateSql, params, (updateErr) => {
-          if (updateErr) return db.rollback(() => callback(updateErr));
-
-          const hasItems = Array.isArray(items);
-          const replaceItems = hasItems && items.length >= 0;
-
-          if (!replaceItems) {
-            return db.commit((commitErr) => {
-              if (commitErr) return db.rollback(() => callback(commitErr));
-              callback(null, { id });
-            });
-          }
-
-          const deleteSql = 'DELETE FROM order_items WHERE orderId = ?';
-          db.query(deleteSql, [id], (deleteErr) => {
-            if (deleteErr) return db.rollback(() => callback(deleteErr));
+      // Lines that were already on the order keep the snapshot they were sold with.
+      const keptItems = (Array.isArray(items) ? items : []).map((item) => {
+        const sold = existing.items.find((it) => it.productId === Number(item.productId)
+          && (it.variantId || null) === (item.variantId || null));
+        if (!sold || item.productName) return item;
+        return { ...item, productName: sold.productName, category: sold.category, image: sold.image };
+      });
 
-            if (items.length === 0) {
-              return db.commit((commitErr) => {
-                if (commitErr) return db.rollback(() => callback(commitErr));
-                callback(null, { id });
-              });
-            }
-
-            const values = items.map((item) => [
-              id,
-              item.productId,
-              item.quantity,
-              item.price
-            ]);
-            const insertSql = 'INSERT INTO order_items (orderId, productId, quantity, price) VALUES ?';
-            db.query(insertSql, [values], (itemsErr) => {
-              if (itemsErr) return db.rollback(() => callback(itemsErr));
-
-              db.commit((commitErr) => {
-                if (commitErr) return db.rollback(() => callback(commitErr));
-                callback(null, { id });
+      withSnapshots(keptItems, (snapErr, snapshotItems) => {
+        if (snapErr) return callback(snapErr);
+
+        db.transaction((conn, done) => {
+          const updateSql = 'UPDATE orders SET userId = ?, totalAmount = ?, discountPercent = ?, status = ?, transactionId = ?, transactionRefId = ?, paymentMethod = ? WHERE id = ?';
+          const params = [
+            updatedOrder.userId,
+            updatedOrder.totalAmount,
+            updatedOrder.discountPercent != null ? updatedOrder.discountPercent : 0,
+            updatedOrder.status,
+            updatedOrder.transactionId || null,
+            updatedOrder.transactionRefId || null,
+            updatedOrder.paymentMethod || null,
+            id
+          ];
+
+          const recordStatus = (next) => {
+            if (!statusChanged) return next();
+            const context = { changedBy: orderData.changedBy, note: orderData.statusNote };
+            conn.query(INSERT_HISTORY_SQL, historyParams(id, existing.status, updatedOrder.status, context), next);
+          };
+
+          // The row stays locked until commit; if its status has moved on since it was read, the
+          // transition checked above no longer applies.
+          conn.query('SELECT status FROM orders WHERE id = ? FOR UPDATE', [id], (lockErr, rows) => {
+            if (lockErr) return done(lockErr);
+            if (!rows || !rows[0]) return done(null, null);
+            if (normalizeStatus(rows[0].status) !== existing.status) return done(statusConflict(id));
+            conn.query(updateSql, params, (updateErr) => {
+              if (updateErr) return done(updateErr);
+              recordStatus((historyErr) => {
+                if (historyErr) return done(historyErr);
+
+                const hasItems = Array.isArray(items);
+                const replaceItems = hasItems && items.length >= 0;
+
+                if (!replaceItems) return done(null, { id });
+
+                const deleteSql = 'DELETE FROM order_items WHERE orderId = ?';
+                conn.query(deleteSql, [id], (deleteErr) => {
+                  if (deleteErr) return done(deleteErr);
+
+                  if (items.length === 0) return done(null, { id });
+
+                  const values = snapshotItems.map((item) => toItemRow(id, item));
+                  conn.query(INSERT_ITEMS_SQL, [values], (itemsErr) => (
+                    itemsErr ? done(itemsErr) : done(null, { id })
+                  ));
+                });
               });
             });
           });
-        });
+        }, callback);
       });
     });
   },
 
   deleteOrder(id, callback) {
-    db.beginTransaction((txErr) => {
-      if (txErr) return callback(txErr);
-
-      const deleteItemsSql = 'DELETE FROM order_items WHERE orderId = ?';
-      db.query(deleteItemsSql, [id], (itemsErr) => {
-        if (itemsErr) return db.rollback(() => callback(itemsErr));
-
-        const deleteOrderSql = 'DELETE FROM orders WHERE id = ?';
-        db.query(deleteOrderSql, [id], (orderErr, result) => {
-          if (orderErr) return db.rollback(() => callback(orderErr));
-          if (result.affectedRows === 0) {
-            return db.rollback(() => callback(null, null));
-          }
-
-          db.commit((commitErr) => {
-            if (commitErr) return db.rollback(() => callback(commitErr));
-            callback(null, { id });
+    return safeRun((cb) => {
+      db.transaction((conn, done) => {
+        const deleteItemsSql = 'DELETE FROM order_items WHERE orderId = ?';
+        conn.query(deleteItemsSql, [id], (itemsErr) => {
+          if (itemsErr) return done(itemsErr);
+
+          conn.query('DELETE FROM order_status_history WHERE orderId = ?', [id], (historyErr) => {
+            if (historyErr) return done(historyErr);
+
+            const deleteOrderSql = 'DELETE FROM orders WHERE id = ?';
+            conn.query(deleteOrderSql, [id], (orderErr, result) => {
+              if (orderErr) return done(orderErr);
+              // Nothing was deleted when the order is missing, so committing changes nothing.
+              done(null, result.affectedRows === 0 ? null : { id });
+            });
           });
         });
-      });
-    });
+      }, cb);
+    }, callback);
   }
 };
 
@@ -0,0 +1,83 @@
+const db = require('../db');
+
+// How each order line turned out when staff assembled the order.
+const PICK_STATUSES = {
+  picked: 'Picked',
+  substituted: 'Substituted',
+  out_of_stock: 'Out of stock'
+};
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS order_item_picks (
+      orderItemId INT PRIMARY KEY,
+      orderId INT NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      missingQuantity INT NOT NULL DEFAULT 0,
+      note VARCHAR(255) NULL,
+      pickedBy INT NULL,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_order (orderId)
+    )
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const normalizeRow = (row) => ({
+  ...row,
+  missingQuantity: Number(row.missingQuantity) || 0,
+  statusLabel: PICK_STATUSES[row.status] || row.status
+});
+
+const OrderPickModel = {
+  PICK_STATUSES,
+
+  // { orderItemId: pick } for the given orders; lines nobody has marked yet are absent.
+  getByOrderIds(orderIds, callback) {
+    if (!orderIds || !orderIds.length) return callback(null, {});
+    return safeRun((cb) => {
+      const sql = `
+        SELECT p.orderItemId, p.orderId, p.status, p.missingQuantity, p.note, p.pickedBy, p.updatedAt, u.username AS pickedByName
+        FROM order_item_picks p
+        LEFT JOIN users u ON u.id = p.pickedBy
+        WHERE p.orderId IN (?)
+      `;
+      db.query(sql, [orderIds], (err, rows) => {
+        if (err) return cb(err);
+        const byItem = {};
+        (rows || []).forEach((row) => { byItem[row.orderItemId] = normalizeRow(row); });
+        cb(null, byItem);
+      });
+    }, callback);
+  },
+
+  // pick: { status, missingQuantity, note, pickedBy }. Marking a line again replaces the earlier mark.
+  mark(orderId, orderItemId, pick, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO order_item_picks (orderItemId, orderId, status, missingQuantity, note, pickedBy)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE status = VALUES(status), missingQuantity = VALUES(missingQuantity),
+          note = VALUES(note), pickedBy = VALUES(pickedBy)
+      `;
+      const params = [
+        orderItemId,
+        orderId,
+        pick.status,
+        pick.missingQuantity || 0,
+        pick.note ? String(pick.note).slice(0, 255) : null,
+        pick.pickedBy || null
+      ];
+      db.query(sql, params, cb);
+    }, callback);
+  }
+};
+
+module.exports = OrderPickModel;
@@ -0,0 +1,120 @@
+const db = require('../db');
+
+// What the customer wants done when a line can't be supplied. Stored on cart and order lines.
+const SUBSTITUTION_PREFERENCES = {
+  any: 'Any similar item',
+  specific: 'A specific alternative',
+  none: 'No substitute'
+};
+
+// A substitute staff offered for an order line, and the customer's answer.
+const SUBSTITUTION_STATUSES = {
+  proposed: 'Awaiting reply',
+  accepted: 'Accepted',
+  rejected: 'Rejected'
+};
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS order_substitutions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId INT NOT NULL,
+      orderItemId INT NOT NULL,
+      productId INT NOT NULL,
+      productName VARCHAR(255) NOT NULL,
+      quantity INT NOT NULL,
+      price DECIMAL(10,2) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'proposed',
+      proposedBy INT NULL,
+      respondedBy INT NULL,
+      respondedAt DATETIME NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_item (orderItemId),
+      INDEX idx_order (orderId)
+    )
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const normalizeRow = (row) => ({
+  ...row,
+  quantity: Number(row.quantity) || 0,
+  price: Number(row.price) || 0,
+  statusLabel: SUBSTITUTION_STATUSES[row.status] || row.status
+});
+
+const OrderSubstitutionModel = {
+  SUBSTITUTION_PREFERENCES,
+  SUBSTITUTION_STATUSES,
+
+  // { orderItemId: substitution } for the given orders.
+  getByOrderIds(orderIds, callback) {
+    if (!orderIds || !orderIds.length) return callback(null, {});
+    return safeRun((cb) => {
+      const sql = `
+        SELECT id, orderId, orderItemId, productId, productName, quantity, price, status,
+               proposedBy, respondedBy, respondedAt, createdAt
+        FROM order_substitutions
+        WHERE orderId IN (?)
+      `;
+      db.query(sql, [orderIds], (err, rows) => {
+        if (err) return cb(err);
+        const byItem = {};
+        (rows || []).forEach((row) => { byItem[row.orderItemId] = normalizeRow(row); });
+        cb(null, byItem);
+      });
+    }, callback);
+  },
+
+  // substitute: { productId, productName, quantity, price, proposedBy }. Proposing again for the
+  // same line replaces the earlier proposal and asks the customer afresh.
+  propose(orderId, orderItemId, substitute, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO order_substitutions (orderId, orderItemId, productId, productName, quantity, price, status, proposedBy)
+        VALUES (?, ?, ?, ?, ?, ?, 'proposed', ?)
+        ON DUPLICATE KEY UPDATE productId = VALUES(productId), productName = VALUES(productName),
+          quantity = VALUES(quantity), price = VALUES(price), status = 'proposed',
+          proposedBy = VALUES(proposedBy), respondedBy = NULL, respondedAt = NULL
+      `;
+      const params = [
+        orderId,
+        orderItemId,
+        substitute.productId,
+        substitute.productName,
+        substitute.quantity,
+        substitute.price,
+        substitute.proposedBy || null
+      ];
+      db.query(sql, params, cb);
+    }, callback);
+  },
+
+  // Records the customer's answer. Only proposals still awaiting a reply change; the callback's
+  // result has affectedRows 0 otherwise. respondedBy is null when packing accepts on their behalf.
+  respond(orderItemId, status, respondedBy, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        UPDATE order_substitutions
+        SET status = ?, respondedBy = ?, respondedAt = CURRENT_TIMESTAMP
+        WHERE orderItemId = ? AND status = 'proposed'
+      `;
+      db.query(sql, [status, respondedBy || null, orderItemId], cb);
+    }, callback);
+  },
+
+  withdraw(orderItemId, callback) {
+    return safeRun((cb) => {
+      db.query('DELETE FROM order_substitutions WHERE orderItemId = ?', [orderItemId], cb);
+    }, callback);
+  }
+};
+
+module.exports = OrderSubstitutionModel;
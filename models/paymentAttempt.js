@@ -0,0 +1,249 @@
+const db = require('../db');
+
+// A Stripe, PayPal or NETS payment that has been started, with everything needed to turn it into
+// an order. Kept in the database rather than the session so a payment confirmed by the provider's
+// webhook still becomes an order after the customer's tab or session has gone, and so payments
+// that never became orders can be looked into afterwards.
+const PAYMENT_ATTEMPT_STATUSES = {
+  pending: 'Awaiting payment',
+  processing: 'Creating order',
+  completed: 'Order created',
+  released: 'Released',
+  failed: 'Failed'
+};
+
+// How long a payment can wait for the customer, matching the stock hold. A pending attempt older
+// than this has been abandoned.
+const PAYMENT_TTL_MINUTES = 20;
+
+// Claimed attempts normally complete within seconds; one still processing after this is stuck.
+const STUCK_AFTER_MINUTES = 5;
+
+const ATTEMPT_FILTERS = {
+  abandoned: 'Abandoned',
+  failed: 'Failed',
+  all: 'All attempts'
+};
+
+const ensureTables = (cb) => {
+  const attemptsSql = `
+    CREATE TABLE IF NOT EXISTS payment_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      provider VARCHAR(20) NOT NULL,
+      providerReference VARCHAR(255) NOT NULL,
+      userId INT NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      checkout LONGTEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      orderId INT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_provider_reference (provider, providerReference),
+      INDEX idx_user_status (userId, status)
+    )
+  `;
+  // Each status change, and anything the provider said along the way, in order.
+  const eventsSql = `
+    CREATE TABLE IF NOT EXISTS payment_attempt_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      attemptId INT NOT NULL,
+      status VARCHAR(20) NULL,
+      note VARCHAR(500) NULL,
+      response LONGTEXT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_attempt (attemptId)
+    )
+  `;
+  db.query(attemptsSql, (attemptsErr) => {
+    if (attemptsErr) return cb(attemptsErr);
+    db.query(eventsSql, (eventsErr) => cb(eventsErr));
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureTables((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const parseCheckout = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    console.error('Unreadable checkout on payment attempt', err);
+    return null;
+  }
+};
+
+const isAbandoned = (row) => row.status === 'released'
+  || (row.status === 'pending' && Date.now() - new Date(row.createdAt).getTime() > PAYMENT_TTL_MINUTES * 60 * 1000);
+
+const normalizeRow = (row) => (row ? {
+  ...row,
+  amount: Number(row.amount) || 0,
+  checkout: parseCheckout(row.checkout),
+  statusLabel: PAYMENT_ATTEMPT_STATUSES[row.status] || row.status,
+  abandoned: isAbandoned(row)
+} : null);
+
+const serializeResponse = (response) => {
+  if (response == null) return null;
+  if (typeof response === 'string') return response;
+  try {
+    return JSON.stringify(response);
+  } catch (err) {
+    return String(response);
+  }
+};
+
+// details: { status, note, response } - response being whatever the provider sent back.
+const logEvent = (attemptId, details, cb) => {
+  const sql = 'INSERT INTO payment_attempt_events (attemptId, status, note, response) VALUES (?, ?, ?, ?)';
+  const params = [
+    attemptId,
+    details.status || null,
+    details.note ? String(details.note).slice(0, 500) : null,
+    serializeResponse(details.response)
+  ];
+  db.query(sql, params, (err) => {
+    if (err) console.error(`Error logging payment attempt #${attemptId} event`, err);
+    cb();
+  });
+};
+
+// Moves an attempt to `to` if it is in one of the `from` statuses and logs the change. Calls back
+// with true only when it moved, so two callers racing for the same attempt can't both win.
+const transition = (id, from, to, details, extra, callback) => safeRun((cb) => {
+  const sets = ['status = ?'];
+  const params = [to];
+  Object.keys(extra).forEach((column) => {
+    sets.push(`${column} = ?`);
+    params.push(extra[column]);
+  });
+  const sql = `UPDATE payment_attempts SET ${sets.join(', ')} WHERE id = ? AND status IN (?)`;
+  db.query(sql, [...params, id, from], (err, result) => {
+    if (err) return cb(err);
+    if (!result || !result.affectedRows) return cb(null, false);
+    logEvent(id, { ...(details || {}), status: to }, () => cb(null, true));
+  });
+}, callback);
+
+const SELECT = `
+  SELECT a.id, a.provider, a.providerReference, a.userId, a.amount, a.checkout, a.status, a.orderId,
+         a.createdAt, a.updatedAt, u.username, u.email
+  FROM payment_attempts a
+  LEFT JOIN users u ON u.id = a.userId
+`;
+
+const FILTER_WHERE = {
+  abandoned: `a.status = 'released' OR (a.status = 'pending' AND a.createdAt < NOW() - INTERVAL ${PAYMENT_TTL_MINUTES} MINUTE)`,
+  failed: `a.status = 'failed' OR (a.status = 'processing' AND a.updatedAt < NOW() - INTERVAL ${STUCK_AFTER_MINUTES} MINUTE)`,
+  all: '1 = 1'
+};
+
+const PaymentAttemptModel = {
+  PAYMENT_ATTEMPT_STATUSES,
+  PAYMENT_TTL_MINUTES,
+  ATTEMPT_FILTERS,
+
+  // attempt: { provider, providerReference, userId, amount, checkout, response }
+  create(attempt, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO payment_attempts (provider, providerReference, userId, amount, checkout)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+      const params = [
+        attempt.provider,
+        attempt.providerReference,
+        attempt.userId,
+        attempt.amount,
+        JSON.stringify(attempt.checkout || {})
+      ];
+      db.query(sql, params, (err, result) => {
+        if (err) return cb(err);
+        logEvent(result.insertId, { status: 'pending', note: 'Payment started', response: attempt.response }, () => cb(null, result));
+      });
+    }, callback);
+  },
+
+  getByReference(provider, providerReference, callback) {
+    return safeRun((cb) => {
+      const sql = `${SELECT} WHERE a.provider = ? AND a.providerReference = ? LIMIT 1`;
+      db.query(sql, [provider, providerReference], (err, rows) => cb(err, normalizeRow(rows && rows[0])));
+    }, callback);
+  },
+
+  // The customer's most recent payment with this provider that is still awaiting payment.
+  getLatestPending(userId, provider, callback) {
+    return safeRun((cb) => {
+      const sql = `${SELECT} WHERE a.userId = ? AND a.provider = ? AND a.status = 'pending' ORDER BY a.id DESC LIMIT 1`;
+      db.query(sql, [userId, provider], (err, rows) => cb(err, normalizeRow(rows && rows[0])));
+    }, callback);
+  },
+
+  // Newest first. filter: a key of ATTEMPT_FILTERS.
+  getAttempts(filter, callback) {
+    const where = FILTER_WHERE[filter] || FILTER_WHERE.all;
+    return safeRun((cb) => {
+      const sql = `${SELECT} WHERE ${where} ORDER BY a.createdAt DESC, a.id DESC LIMIT 200`;
+      db.query(sql, (err, rows) => cb(err, (rows || []).map(normalizeRow)));
+    }, callback);
+  },
+
+  // { attemptId: [events, oldest first] }
+  getEvents(attemptIds, callback) {
+    if (!attemptIds || !attemptIds.length) return callback(null, {});
+    return safeRun((cb) => {
+      const sql = `
+        SELECT id, attemptId, status, note, response, createdAt
+        FROM payment_attempt_events
+        WHERE attemptId IN (?)
+        ORDER BY createdAt, id
+      `;
+      db.query(sql, [attemptIds], (err, rows) => {
+        if (err) return cb(err);
+        const byAttempt = {};
+        (rows || []).forEach((row) => {
+          (byAttempt[row.attemptId] = byAttempt[row.attemptId] || []).push({
+            ...row,
+            statusLabel: row.status ? (PAYMENT_ATTEMPT_STATUSES[row.status] || row.status) : null
+          });
+        });
+        cb(null, byAttempt);
+      });
+    }, callback);
+  },
+
+  // Keeps something the provider said without changing the attempt's status.
+  recordResponse(id, details, callback) {
+    return safeRun((cb) => logEvent(id, { note: details.note, response: details.response }, () => cb(null)), callback);
+  },
+
+  // Takes the attempt for whichever of the browser and the webhook gets there first; calls back
+  // with true only for that one. Released and failed attempts can still be claimed because the
+  // provider saying it was paid outranks the checkout having timed out or an earlier decline.
+  claim(id, details, callback) {
+    return transition(id, ['pending', 'released', 'failed'], 'processing', details, {}, callback);
+  },
+
+  complete(id, orderId, details, callback) {
+    return transition(id, ['processing'], 'completed', details, { orderId }, callback);
+  },
+
+  // Hands a claimed attempt back when the order couldn't be created, so a retry can claim it again.
+  unclaim(id, details, callback) {
+    return transition(id, ['processing'], 'pending', details, {}, callback);
+  },
+
+  release(id, details, callback) {
+    return transition(id, ['pending'], 'released', details, {}, callback);
+  },
+
+  fail(id, details, callback) {
+    return transition(id, ['pending'], 'failed', details, {}, callback);
+  }
+};
+
+module.exports = PaymentAttemptModel;
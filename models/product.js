@@ -1,53 +1,482 @@
 // ...existing code...
 const db = require('../db');
+const ProductVariantModel = require('./productVariant');
+const StockMovementModel = require('./stockMovement');
+
+// Whitelisted ORDER BY clauses for catalog listings (keys come from the query string)
+const SORT_OPTIONS = {
+  name_asc: 'productName ASC, id ASC',
+  name_desc: 'productName DESC, id DESC',
+  price_asc: 'price ASC, id ASC',
+  price_desc: 'price DESC, id DESC',
+  stock_desc: 'quantity DESC, id ASC',
+  newest: 'id DESC'
+};
+
+const UNCATEGORIZED = 'uncategorized';
+
+// So a search for "50%" or "a_b" matches those characters instead of treating them as wildcards.
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, '\\$&');
+
+const buildSearchFilters = (options = {}) => {
+  const clauses = [];
+  const params = [];
+
+  if (options.search) {
+    clauses.push("(productName LIKE ? ESCAPE '\\\\' OR category LIKE ? ESCAPE '\\\\')");
+    const term = `%${escapeLike(options.search)}%`;
+    params.push(term, term);
+  }
+  if (options.category) {
+    if (String(options.category).toLowerCase() === UNCATEGORIZED) {
+      clauses.push("(category IS NULL OR category = '' OR LOWER(category) = 'uncategorized')");
+    } else {
+      clauses.push('category = ?');
+      params.push(options.category);
+    }
+  }
+  if (options.minPrice != null) {
+    clauses.push('price >= ?');
+    params.push(options.minPrice);
+  }
+  if (options.maxPrice != null) {
+    clauses.push('price <= ?');
+    params.push(options.maxPrice);
+  }
+  if (options.inStock) {
+    clauses.push('quantity > 0');
+  }
+  if (options.noImage) {
+    clauses.push("(image IS NULL OR image = '')");
+  }
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Reorder settings: stock at or below reorderThreshold counts as low (0 turns alerts off)
+// and reorderQuantity is the usual amount to buy when it does.
+const PRODUCT_COLUMNS = {
+  reorderThreshold: 'INT NOT NULL DEFAULT 5',
+  reorderQuantity: 'INT NOT NULL DEFAULT 20'
+};
+
+const ensureColumns = (cb) => {
+  const names = Object.keys(PRODUCT_COLUMNS);
+  const columnCheck = `
+    SELECT COLUMN_NAME FROM information_schema.columns
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'products' AND COLUMN_NAME IN (?)
+  `;
+  db.query(columnCheck, [names], (err, rows) => {
+    if (err) return cb(err);
+    const existing = new Set((rows || []).map((row) => row.COLUMN_NAME));
+    const missing = names.filter((name) => !existing.has(name));
+    if (!missing.length) return cb();
+    const alterSql = `ALTER TABLE products ${missing.map((name) => `ADD COLUMN ${name} ${PRODUCT_COLUMNS[name]}`).join(', ')}`;
+    db.query(alterSql, cb);
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureColumns((colErr) => {
+    if (colErr) return callback(colErr);
+    fn(callback);
+  });
+};
+
+const toCount = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+
+// Run `work(conn, done)` inside a transaction that also covers stock_movements rows.
+// The ledger table is created up front because DDL would commit the transaction early.
+const withStockTransaction = (work, callback) => {
+  StockMovementModel.ensureSchema((schemaErr) => {
+    if (schemaErr) return callback(schemaErr);
+    db.transaction(work, callback);
+  });
+};
+
+// Row writers shared by the single-product and bulk import paths; both expect to run
+// inside withStockTransaction so the product row and its ledger entry commit together.
+const insertProductRow = (conn, product, done) => {
+  const sql = `
+    INSERT INTO products (productName, quantity, price, image, category, reorderThreshold, reorderQuantity)
+    VALUES (?, ?, ?, ?, ?, COALESCE(?, DEFAULT(reorderThreshold)), COALESCE(?, DEFAULT(reorderQuantity)))
+  `;
+  const quantity = Number(product.quantity) || 0;
+  const params = [
+    product.productName,
+    quantity,
+    product.price,
+    product.image,
+    product.category || null,
+    toCount(product.reorderThreshold),
+    toCount(product.reorderQuantity)
+  ];
+  conn.query(sql, params, (err, result) => {
+    if (err) return done(err);
+    if (quantity === 0) return done(null, result);
+    StockMovementModel.insertWithin(conn, {
+      productId: result.insertId,
+      movementType: 'initial',
+      delta: quantity,
+      balanceAfter: quantity,
+      reason: 'Opening stock',
+      userId: product.createdBy
+    }, (moveErr) => done(moveErr, result));
+  });
+};
+
+const updateProductRow = (conn, id, product, done) => {
+  const keepQuantity = product.quantity == null;
+  conn.query('SELECT quantity FROM products WHERE id = ? FOR UPDATE', [id], (selectErr, rows) => {
+    if (selectErr) return done(selectErr);
+    if (!rows || !rows.length) return done(null, { affectedRows: 0 });
+    const previous = Number(rows[0].quantity) || 0;
+    const quantity = keepQuantity ? previous : Number(product.quantity) || 0;
+
+    // Reorder settings are only changed when supplied
+    const sql = `
+      UPDATE products
+      SET productName = ?, quantity = ?, price = ?, image = ?, category = ?,
+          reorderThreshold = COALESCE(?, reorderThreshold), reorderQuantity = COALESCE(?, reorderQuantity)
+      WHERE id = ?
+    `;
+    const params = [
+      product.productName,
+      quantity,
+      product.price,
+      product.image,
+      product.category || null,
+      toCount(product.reorderThreshold),
+      toCount(product.reorderQuantity),
+      id
+    ];
+    conn.query(sql, params, (err, result) => {
+      if (err) return done(err);
+      if (quantity === previous) return done(null, result);
+      StockMovementModel.insertWithin(conn, {
+        productId: id,
+        movementType: 'adjustment',
+        delta: quantity - previous,
+        balanceAfter: quantity,
+        reason: product.stockReason || 'Quantity edited on product form',
+        userId: product.updatedBy
+      }, (moveErr) => done(moveErr, result));
+    });
+  });
+};
+
+const stockError = (code, message, extra) => Object.assign(new Error(message), { code }, extra || {});
+
+// Adjusts every order line with adjust(item, done), each in its own transaction, so a line that
+// fails (its product was deleted, say) doesn't hold up the rest. Calls back with the results of
+// the lines that went through and, if any failed, a STOCK_LINES_FAILED error whose `failures`
+// lists { item, error } for each.
+const adjustEachLine = (items, adjust, callback) => {
+  const queue = (items || []).slice();
+  const results = [];
+  const failures = [];
+  const runNext = () => {
+    if (!queue.length) {
+      if (!failures.length) return callback(null, results);
+      const summary = failures.map(({ item, error }) => `product ${item.productId}${item.variantId ? ` variant ${item.variantId}` : ''}: ${error.message}`);
+      return callback(stockError('STOCK_LINES_FAILED', `Stock was not adjusted for ${summary.join('; ')}`, { failures }), results);
+    }
+    const item = queue.shift();
+    adjust(item, (err, result) => {
+      if (err) {
+        failures.push({ item, error: err });
+      } else {
+        results.push(result);
+      }
+      runNext();
+    });
+  };
+  runNext();
+};
 
 const ProductModel = {
+  SORT_OPTIONS,
+  MOVEMENT_TYPES: StockMovementModel.MOVEMENT_TYPES,
+
   getAllProducts(callback) {
-    const sql = 'SELECT id, productName, quantity, price, image, category FROM products';
-    db.query(sql, (err, results) => callback(err, results));
+    return safeRun((cb) => {
+      const sql = 'SELECT id, productName, quantity, price, image, category, reorderThreshold, reorderQuantity FROM products';
+      db.query(sql, (err, results) => cb(err, results));
+    }, callback);
   },
 
-  getProductById(id, callback) {
-    const sql = 'SELECT id, productName, quantity, price, image, category FROM products WHERE id = ?';
-    db.query(sql, [id], (err, results) => {
+  // Stock lines at or below their product's reorder threshold. Products with variants are
+  // checked per variant (each variant is bought separately); others at product level.
+  getLowStockLines(callback) {
+    return safeRun((cb) => ProductVariantModel.ensureSchema((schemaErr) => {
+      if (schemaErr) return cb(schemaErr);
+      const sql = `
+        SELECT p.id AS productId, NULL AS variantId, p.productName, p.category, NULL AS variantLabel, NULL AS sku,
+               p.quantity, p.price, p.reorderThreshold, p.reorderQuantity
+        FROM products p
+        WHERE p.reorderThreshold > 0 AND p.quantity <= p.reorderThreshold
+          AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.productId = p.id)
+        UNION ALL
+        SELECT p.id, v.id, p.productName, p.category, v.label, v.sku,
+               v.quantity, v.price, p.reorderThreshold, p.reorderQuantity
+        FROM product_variants v
+        JOIN products p ON p.id = v.productId
+        WHERE p.reorderThreshold > 0 AND v.quantity <= p.reorderThreshold
+        ORDER BY quantity ASC, productName ASC
+      `;
+      db.query(sql, (err, rows) => cb(err, (rows || []).map((row) => ({
+        ...row,
+        quantity: Number(row.quantity),
+        price: Number(row.price)
+      }))));
+    }), callback);
+  },
+
+  // Filtered, sorted and paginated catalog listing; a null limit returns every match on one page.
+  // Callback receives { products, total, page, limit, totalPages }.
+  searchProducts(options, callback) {
+    const opts = options || {};
+    const paginate = opts.limit !== null;
+    const page = paginate ? Math.max(1, parseInt(opts.page, 10) || 1) : 1;
+    const limit = paginate ? Math.max(1, parseInt(opts.limit, 10) || 20) : null;
+    const orderBy = SORT_OPTIONS[opts.sort] || SORT_OPTIONS.name_asc;
+    const { where, params } = buildSearchFilters(opts);
+
+    const countSql = `SELECT COUNT(*) AS total FROM products ${where}`;
+    db.query(countSql, params, (countErr, countRows) => {
+      if (countErr) return callback(countErr);
+      const total = Number(countRows[0] && countRows[0].total) || 0;
+      const totalPages = paginate ? Math.max(1, Math.ceil(total / limit)) : 1;
+      const offset = paginate ? (page - 1) * limit : 0;
+
+      const sql = `
+        SELECT id, productName, quantity, price, image, category
+        FROM products
+        ${where}
+        ORDER BY ${orderBy}
+        ${paginate ? 'LIMIT ? OFFSET ?' : ''}
+      `;
+      db.query(sql, paginate ? params.concat([limit, offset]) : params, (err, products) => {
+        if (err) return callback(err);
+        callback(null, {
+          products: products || [],
+          total,
+          page,
+          limit,
+          totalPages
+        });
+      });
+    });
+  },
+
+  // In-stock products in the given categories that can stand in for an out-of-stock line.
+  // Products with variants are left out because a substitute is offered at product level.
+  getSubstituteCandidates(categories, callback) {
+    if (!categories || !categories.length) return callback(null, []);
+    return safeRun((cb) => ProductVariantModel.ensureSchema((schemaErr) => {
+      if (schemaErr) return cb(schemaErr);
+      const sql = `
+        SELECT p.id, p.productName, p.category, p.price, p.quantity
+        FROM products p
+        WHERE p.category IN (?) AND p.quantity > 0
+          AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.productId = p.id)
+        ORDER BY p.category, p.productName
+      `;
+      db.query(sql, [categories], (err, rows) => cb(err, (rows || []).map((row) => ({
+        ...row,
+        quantity: Number(row.quantity),
+        price: Number(row.price)
+      }))));
+    }), callback);
+  },
+
+  getCategories(callback) {
+    const sql = "SELECT DISTINCT category FROM products WHERE category IS NOT NULL AND category <> '' ORDER BY category";
+    db.query(sql, (err, rows) => {
       if (err) return callback(err);
-      callback(null, results[0] || null);
+      callback(null, (rows || []).map((row) => row.category));
     });
   },
 
+  getProductById(id, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT id, productName, quantity, price, image, category, reorderThreshold, reorderQuantity
+        FROM products WHERE id = ?
+      `;
+      db.query(sql, [id], (err, results) => {
+        if (err) return cb(err);
+        cb(null, results[0] || null);
+      });
+    }, callback);
+  },
+
+  // product.createdBy (optional) is recorded on the opening stock movement.
   addProduct(product, callback) {
-    const sql = 'INSERT INTO products (productName, quantity, price, image, category) VALUES (?, ?, ?, ?, ?)';
-    const params = [
-      product.productName,
-      product.quantity,
-      product.price,
-      product.image,
-      product.category || null
-    ];
-    db.query(sql, params, (err, result) => callback(err, result));
+    return safeRun((cb) => withStockTransaction((conn, done) => insertProductRow(conn, product, done), cb), callback);
   },
 
+  // Leave product.quantity undefined to keep the current stock. When it is given and differs
+  // from the stored value, the difference is written to the ledger as an adjustment
+  // (product.updatedBy / product.stockReason describe who and why).
   updateProduct(id, product, callback) {
-    const sql = 'UPDATE products SET productName = ?, quantity = ?, price = ?, image = ?, category = ? WHERE id = ?';
-    const params = [
-      product.productName,
-      product.quantity,
-      product.price,
-      product.image,
-      product.category || null,
-      id
-    ];
-    db.query(sql, params, (err, result) => callback(err, result));
+    return safeRun((cb) => withStockTransaction((conn, done) => updateProductRow(conn, id, product, done), cb), callback);
+  },
+
+  // Bulk upsert for the CSV import: rows with an `id` update that product, the rest are
+  // created. All rows go in one transaction, so a failure part-way leaves the catalog untouched.
+  importProducts(rows, userId, callback) {
+    return safeRun((cb) => withStockTransaction((conn, done) => {
+      const queue = (rows || []).slice();
+      const summary = { created: 0, updated: 0 };
+      const runNext = () => {
+        if (!queue.length) return done(null, summary);
+        const row = queue.shift();
+        const product = { ...row, createdBy: userId, updatedBy: userId, stockReason: 'CSV import' };
+        const handle = (err, result) => {
+          if (err) return done(err);
+          if (row.id && result && result.affectedRows === 0) {
+            return done(Object.assign(new Error(`Product ${row.id} no longer exists.`), { code: 'NOT_FOUND' }));
+          }
+          summary[row.id ? 'updated' : 'created'] += 1;
+          runNext();
+        };
+        if (row.id) return updateProductRow(conn, row.id, product, handle);
+        return insertProductRow(conn, product, handle);
+      };
+      runNext();
+    }, cb), callback);
+  },
+
+  // Apply a signed stock change to a product (or one of its variants) and append it to the
+  // stock ledger with the resulting balance, all in one transaction.
+  // change: { productId, variantId?, delta, movementType, reason?, userId?, orderId?, allowShortfall? }
+  // A change that would take stock below zero fails with code INSUFFICIENT_STOCK, unless
+  // allowShortfall is set (orders that are already paid): then stock stops at zero and the
+  // shortfall is noted on the movement instead of being silently dropped.
+  adjustStock(change, callback) {
+    const delta = Number(change.delta);
+    if (!Number.isInteger(delta) || delta === 0) {
+      return callback(stockError('INVALID_QUANTITY', 'Stock change must be a non-zero whole number.'));
+    }
+    if (!StockMovementModel.MOVEMENT_TYPES.includes(change.movementType)) {
+      return callback(stockError('INVALID_MOVEMENT', `Unknown stock movement type: ${change.movementType}`));
+    }
+    const variantId = change.variantId || null;
+
+    const run = () => withStockTransaction((conn, done) => {
+      const lockSql = variantId
+        ? 'SELECT quantity FROM product_variants WHERE id = ? AND productId = ? FOR UPDATE'
+        : 'SELECT quantity FROM products WHERE id = ? FOR UPDATE';
+      const lockParams = variantId ? [variantId, change.productId] : [change.productId];
+      conn.query(lockSql, lockParams, (lockErr, rows) => {
+        if (lockErr) return done(lockErr);
+        if (!rows || !rows.length) {
+          return done(stockError('NOT_FOUND', variantId
+            ? `Variant ${variantId} of product ${change.productId} not found`
+            : `Product ${change.productId} not found`));
+        }
+
+        const previous = Number(rows[0].quantity) || 0;
+        let applied = delta;
+        let reason = change.reason || '';
+        if (previous + delta < 0) {
+          if (!change.allowShortfall) {
+            return done(stockError('INSUFFICIENT_STOCK', `Only ${previous} in stock.`, { available: previous }));
+          }
+          applied = -previous;
+          reason = `${reason ? `${reason} ` : ''}(short by ${-(previous + delta)})`;
+        }
+        const balance = previous + applied;
+
+        const updateSql = variantId
+          ? `UPDATE product_variants v
+             JOIN products p ON p.id = v.productId
+             SET v.quantity = ?, p.quantity = GREATEST(p.quantity + ?, 0)
+             WHERE v.id = ?`
+          : 'UPDATE products SET quantity = ? WHERE id = ?';
+        const updateParams = variantId ? [balance, applied, variantId] : [balance, change.productId];
+        conn.query(updateSql, updateParams, (updateErr) => {
+          if (updateErr) return done(updateErr);
+          StockMovementModel.insertWithin(conn, {
+            productId: change.productId,
+            variantId,
+            movementType: change.movementType,
+            delta: applied,
+            balanceAfter: balance,
+            reason,
+            orderId: change.orderId,
+            userId: change.userId
+          }, (moveErr) => done(moveErr, {
+            productId: change.productId,
+            variantId,
+            previous,
+            delta: applied,
+            balance,
+            shortfall: applied - delta
+          }));
+        });
+      });
+    }, callback);
+
+    if (!variantId) return run();
+    return ProductVariantModel.ensureSchema((schemaErr) => (schemaErr ? callback(schemaErr) : run()));
+  },
+
+  // Take an order line out of stock as a 'sale' movement, at variant level when the line has one.
+  // context: { orderId, userId }
+  decrementForOrderItem(item, context, callback) {
+    const ctx = context || {};
+    return this.adjustStock({
+      productId: item.productId,
+      variantId: item.variantId || null,
+      delta: -Number(item.quantity),
+      movementType: 'sale',
+      reason: ctx.orderId ? `Order #${ctx.orderId}` : 'Order',
+      orderId: ctx.orderId,
+      userId: ctx.userId,
+      allowShortfall: true
+    }, callback);
+  },
+
+  // Take every line of an order out of stock. See adjustEachLine for how failed lines are reported.
+  decrementForOrder(items, context, callback) {
+    adjustEachLine(items, (item, done) => this.decrementForOrderItem(item, context, done), callback);
+  },
+
+  // Put every line of a cancelled order back into stock, the reverse of decrementForOrder.
+  returnForOrder(items, context, callback) {
+    const ctx = context || {};
+    adjustEachLine(items, (item, done) => this.adjustStock({
+      productId: item.productId,
+      variantId: item.variantId || null,
+      delta: Number(item.quantity),
+      movementType: 'refund_return',
+      reason: ctx.orderId ? `Order #${ctx.orderId} cancelled` : 'Order cancelled',
+      orderId: ctx.orderId,
+      userId: ctx.userId
+    }, done), callback);
   },
 
-  decrementQuantity(id, amount, callback) {
-    const sql = 'UPDATE products SET quantity = GREATEST(quantity - ?, 0) WHERE id = ?';
-    db.query(sql, [amount, id], (err, result) => callback(err, result));
+  getStockHistory(productId, options, callback) {
+    return StockMovementModel.getByProduct(productId, options, callback);
   },
 
   deleteProduct(id, callback) {
     const sql = 'DELETE FROM products WHERE id = ?';
-    db.query(sql, [id], (err, result) => callback(err, result));
+    db.query(sql, [id], (err, result) => {
+      if (err) return callback(err);
+      ProductVariantModel.deleteByProduct(id, (variantErr) => {
+        if (variantErr) console.error('Error deleting product variants', variantErr);
+        callback(null, result);
+      });
+    });
   }
 };
 
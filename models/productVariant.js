@@ -0,0 +1,214 @@
+const db = require('../db');
+const StockMovementModel = require('./stockMovement');
+
+const VARIANT_TYPES = ['size', 'weight', 'pack'];
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS product_variants (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      productId INT NOT NULL,
+      sku VARCHAR(64) NOT NULL UNIQUE,
+      label VARCHAR(100) NOT NULL,
+      variantType VARCHAR(16) DEFAULT 'size',
+      price DECIMAL(10,2) NOT NULL,
+      quantity INT NOT NULL DEFAULT 0,
+      image VARCHAR(255),
+      sortOrder INT DEFAULT 0,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_product (productId)
+    )
+  `;
+  db.query(sql, cb);
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const SELECT_COLUMNS = 'id, productId, sku, label, variantType, price, quantity, image, sortOrder';
+
+const normalizeRow = (row) => ({
+  ...row,
+  price: Number(row.price),
+  quantity: Number(row.quantity)
+});
+
+// Keep products.price/quantity as aggregates (cheapest variant / total stock)
+// so catalog listings and search keep working for products with variants.
+const refreshProductAggregates = (conn, productId, cb) => {
+  const sql = `
+    UPDATE products p
+    JOIN (
+      SELECT productId, MIN(price) AS minPrice, SUM(quantity) AS totalQty
+      FROM product_variants
+      WHERE productId = ?
+      GROUP BY productId
+    ) agg ON agg.productId = p.id
+    SET p.price = agg.minPrice, p.quantity = agg.totalQty
+    WHERE p.id = ?
+  `;
+  conn.query(sql, [productId, productId], cb);
+};
+
+const ProductVariantModel = {
+  VARIANT_TYPES,
+
+  // Exposed so models that JOIN product_variants can make sure it exists first.
+  ensureSchema(callback) {
+    ensureTable((err) => callback(err));
+  },
+
+  getByProduct(productId, callback) {
+    return safeRun((cb) => {
+      const sql = `SELECT ${SELECT_COLUMNS} FROM product_variants WHERE productId = ? ORDER BY sortOrder, id`;
+      db.query(sql, [productId], (err, rows) => cb(err, rows ? rows.map(normalizeRow) : []));
+    }, callback);
+  },
+
+  // Returns { [productId]: [variants] } for the given products.
+  getByProductIds(productIds, callback) {
+    if (!productIds || !productIds.length) return callback(null, {});
+    return safeRun((cb) => {
+      const sql = `SELECT ${SELECT_COLUMNS} FROM product_variants WHERE productId IN (?) ORDER BY sortOrder, id`;
+      db.query(sql, [productIds], (err, rows) => {
+        if (err) return cb(err);
+        const map = {};
+        rows.forEach((row) => {
+          if (!map[row.productId]) map[row.productId] = [];
+          map[row.productId].push(normalizeRow(row));
+        });
+        cb(null, map);
+      });
+    }, callback);
+  },
+
+  getById(id, callback) {
+    return safeRun((cb) => {
+      const sql = `SELECT ${SELECT_COLUMNS} FROM product_variants WHERE id = ? LIMIT 1`;
+      db.query(sql, [id], (err, rows) => cb(err, rows && rows[0] ? normalizeRow(rows[0]) : null));
+    }, callback);
+  },
+
+  // Replace a product's variants with the submitted list: rows with an id are
+  // updated, rows without are inserted, and variants missing from the list are removed.
+  // Stock differences are written to the stock ledger on behalf of `changedBy` (a user id).
+  syncForProduct(productId, variants, changedBy, callback) {
+    const list = Array.isArray(variants) ? variants : [];
+    return safeRun((cb) => StockMovementModel.ensureSchema((schemaErr) => {
+      if (schemaErr) return cb(schemaErr);
+      db.transaction((conn, done) => {
+        const lockSql = 'SELECT id, label, quantity FROM product_variants WHERE productId = ? FOR UPDATE';
+        conn.query(lockSql, [productId], (lockErr, existingRows) => {
+          if (lockErr) return done(lockErr);
+          const existing = existingRows || [];
+          const keepIds = list.filter((v) => v.id).map((v) => v.id);
+          const movements = existing
+            .filter((row) => !keepIds.includes(row.id) && Number(row.quantity) > 0)
+            .map((row) => ({
+              variantId: row.id,
+              movementType: 'adjustment',
+              delta: -Number(row.quantity),
+              balanceAfter: 0,
+              reason: `Variant ${row.label} removed`
+            }));
+
+          const deleteSql = keepIds.length
+            ? 'DELETE FROM product_variants WHERE productId = ? AND id NOT IN (?)'
+            : 'DELETE FROM product_variants WHERE productId = ?';
+          const deleteParams = keepIds.length ? [productId, keepIds] : [productId];
+
+          conn.query(deleteSql, deleteParams, (deleteErr) => {
+            if (deleteErr) return done(deleteErr);
+
+            const queue = list.map((variant, index) => (next) => {
+              const params = [
+                variant.sku,
+                variant.label,
+                variant.variantType || 'size',
+                variant.price,
+                variant.quantity,
+                variant.image || null,
+                index
+              ];
+              if (variant.id) {
+                const previous = existing.find((row) => row.id === variant.id);
+                const before = previous ? Number(previous.quantity) : 0;
+                if (variant.quantity !== before) {
+                  movements.push({
+                    variantId: variant.id,
+                    movementType: 'adjustment',
+                    delta: variant.quantity - before,
+                    balanceAfter: variant.quantity,
+                    reason: 'Variant stock edited on product form'
+                  });
+                }
+                const updateSql = `
+                  UPDATE product_variants
+                  SET sku = ?, label = ?, variantType = ?, price = ?, quantity = ?, image = ?, sortOrder = ?
+                  WHERE id = ? AND productId = ?
+                `;
+                return conn.query(updateSql, params.concat([variant.id, productId]), next);
+              }
+              const insertSql = `
+                INSERT INTO product_variants (sku, label, variantType, price, quantity, image, sortOrder, productId)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+              `;
+              return conn.query(insertSql, params.concat([productId]), (insertErr, result) => {
+                if (insertErr) return next(insertErr);
+                if (variant.quantity > 0) {
+                  movements.push({
+                    variantId: result.insertId,
+                    movementType: 'initial',
+                    delta: variant.quantity,
+                    balanceAfter: variant.quantity,
+                    reason: 'Opening stock'
+                  });
+                }
+                next();
+              });
+            });
+
+            const writeMovements = (next) => {
+              if (!movements.length) return next();
+              const movement = movements.shift();
+              StockMovementModel.insertWithin(conn, { ...movement, productId, userId: changedBy }, (moveErr) => {
+                if (moveErr) return next(moveErr);
+                writeMovements(next);
+              });
+            };
+
+            const runNext = () => {
+              if (!queue.length) {
+                return writeMovements((moveErr) => {
+                  if (moveErr) return done(moveErr);
+                  refreshProductAggregates(conn, productId, (aggErr) => (
+                    aggErr ? done(aggErr) : done(null, { productId, count: list.length })
+                  ));
+                });
+              }
+              const task = queue.shift();
+              task((taskErr) => {
+                if (taskErr) return done(taskErr);
+                runNext();
+              });
+            };
+            runNext();
+          });
+        });
+      }, cb);
+    }), callback);
+  },
+
+  deleteByProduct(productId, callback) {
+    return safeRun((cb) => {
+      db.query('DELETE FROM product_variants WHERE productId = ?', [productId], (err, result) => cb(err, result));
+    }, callback);
+  }
+};
+
+module.exports = ProductVariantModel;
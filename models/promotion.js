@@ -0,0 +1,228 @@
+const db = require('../db');
+
+const PROMOTION_TYPES = ['percent', 'fixed', 'buy_x_get_y'];
+const PROMOTION_SCOPES = ['order', 'category', 'product'];
+
+const SELECT_COLUMNS = `
+  id, name, code, discountType, scope, value, category, productId, buyQuantity, getQuantity,
+  minSpend, startsAt, endsAt, perUserLimit, firstOrderOnly, active, createdAt
+`;
+
+// The 25% first-order discount used to be hard-coded at checkout; it is seeded as an
+// ordinary automatic promotion the first time the table is created so admins can edit it.
+const seedDefaults = (cb) => {
+  const sql = `
+    INSERT INTO promotions (name, code, discountType, scope, value, firstOrderOnly, active)
+    VALUES ('First order discount', NULL, 'percent', 'order', 25, 1, 1)
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const ensureTables = (cb) => {
+  const promotionsSql = `
+    CREATE TABLE IF NOT EXISTS promotions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(120) NOT NULL,
+      code VARCHAR(40) NULL,
+      discountType VARCHAR(16) NOT NULL,
+      scope VARCHAR(16) NOT NULL DEFAULT 'order',
+      value DECIMAL(10,2) NOT NULL DEFAULT 0,
+      category VARCHAR(100) NULL,
+      productId INT NULL,
+      buyQuantity INT NULL,
+      getQuantity INT NULL,
+      minSpend DECIMAL(10,2) NOT NULL DEFAULT 0,
+      startsAt DATETIME NULL,
+      endsAt DATETIME NULL,
+      perUserLimit INT NULL,
+      firstOrderOnly TINYINT(1) NOT NULL DEFAULT 0,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_code (code),
+      INDEX idx_active (active, startsAt, endsAt)
+    )
+  `;
+  const redemptionsSql = `
+    CREATE TABLE IF NOT EXISTS promotion_redemptions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      promotionId INT NOT NULL,
+      userId INT NOT NULL,
+      orderId INT NOT NULL,
+      name VARCHAR(120) NOT NULL,
+      code VARCHAR(40) NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_promotion_user (promotionId, userId),
+      INDEX idx_order (orderId)
+    )
+  `;
+  db.query(promotionsSql, (err, result) => {
+    if (err) return cb(err);
+    // No warning means the table did not exist before this call.
+    const created = result && result.warningStatus === 0;
+    db.query(redemptionsSql, (redErr) => {
+      if (redErr) return cb(redErr);
+      if (!created) return cb();
+      seedDefaults(cb);
+    });
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureTables((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const toCount = (value) => {
+  if (value == null || value === '') return null;
+  const num = Number(value);
+  return Number.isInteger(num) && num > 0 ? num : null;
+};
+
+const normalizeRow = (row) => ({
+  ...row,
+  value: Number(row.value) || 0,
+  minSpend: Number(row.minSpend) || 0,
+  firstOrderOnly: !!row.firstOrderOnly,
+  active: !!row.active
+});
+
+const toParams = (promo) => [
+  promo.name,
+  promo.code ? String(promo.code).trim().toUpperCase() : null,
+  promo.discountType,
+  promo.scope || 'order',
+  Number(promo.value) || 0,
+  promo.scope === 'category' ? promo.category : null,
+  promo.scope === 'product' ? promo.productId : null,
+  promo.discountType === 'buy_x_get_y' ? toCount(promo.buyQuantity) : null,
+  promo.discountType === 'buy_x_get_y' ? toCount(promo.getQuantity) : null,
+  Number(promo.minSpend) || 0,
+  promo.startsAt || null,
+  promo.endsAt || null,
+  toCount(promo.perUserLimit),
+  promo.firstOrderOnly ? 1 : 0,
+  promo.active === false ? 0 : 1
+];
+
+const PromotionModel = {
+  PROMOTION_TYPES,
+  PROMOTION_SCOPES,
+
+  // Every promotion with how often it has been redeemed, newest first.
+  getAll(callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT p.*, (SELECT productName FROM products WHERE id = p.productId) AS productName,
+               COUNT(r.id) AS redemptionCount, COALESCE(SUM(r.amount), 0) AS redeemedAmount
+        FROM promotions p
+        LEFT JOIN promotion_redemptions r ON r.promotionId = p.id
+        GROUP BY p.id
+        ORDER BY p.active DESC, p.createdAt DESC, p.id DESC
+      `;
+      db.query(sql, (err, rows) => cb(err, (rows || []).map(normalizeRow)));
+    }, callback);
+  },
+
+  getById(id, callback) {
+    return safeRun((cb) => {
+      const sql = `SELECT ${SELECT_COLUMNS} FROM promotions WHERE id = ? LIMIT 1`;
+      db.query(sql, [id], (err, rows) => cb(err, rows && rows[0] ? normalizeRow(rows[0]) : null));
+    }, callback);
+  },
+
+  // Looks the code up regardless of status or dates so checkout can say why a coupon does not apply.
+  getByCode(code, callback) {
+    if (!code) return callback(null, null);
+    return safeRun((cb) => {
+      const sql = `SELECT ${SELECT_COLUMNS} FROM promotions WHERE code = ? LIMIT 1`;
+      db.query(sql, [String(code).trim().toUpperCase()], (err, rows) => cb(err, rows && rows[0] ? normalizeRow(rows[0]) : null));
+    }, callback);
+  },
+
+  // Automatic promotions (no code) that are switched on and inside their validity window.
+  getLiveAutomatic(callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT ${SELECT_COLUMNS} FROM promotions
+        WHERE active = 1 AND code IS NULL
+          AND (startsAt IS NULL OR startsAt <= NOW())
+          AND (endsAt IS NULL OR endsAt > NOW())
+        ORDER BY id
+      `;
+      db.query(sql, (err, rows) => cb(err, (rows || []).map(normalizeRow)));
+    }, callback);
+  },
+
+  // { promotionId: timesUsed } for one customer.
+  getUsageByUser(userId, callback) {
+    return safeRun((cb) => {
+      const sql = 'SELECT promotionId, COUNT(*) AS uses FROM promotion_redemptions WHERE userId = ? GROUP BY promotionId';
+      db.query(sql, [userId], (err, rows) => {
+        if (err) return cb(err);
+        const usage = {};
+        (rows || []).forEach((row) => { usage[row.promotionId] = Number(row.uses) || 0; });
+        cb(null, usage);
+      });
+    }, callback);
+  },
+
+  create(promo, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO promotions (name, code, discountType, scope, value, category, productId, buyQuantity, getQuantity,
+                                minSpend, startsAt, endsAt, perUserLimit, firstOrderOnly, active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      db.query(sql, toParams(promo), (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  update(id, promo, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        UPDATE promotions
+        SET name = ?, code = ?, discountType = ?, scope = ?, value = ?, category = ?, productId = ?, buyQuantity = ?, getQuantity = ?,
+            minSpend = ?, startsAt = ?, endsAt = ?, perUserLimit = ?, firstOrderOnly = ?, active = ?
+        WHERE id = ?
+      `;
+      db.query(sql, [...toParams(promo), id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  setActive(id, active, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE promotions SET active = ? WHERE id = ?', [active ? 1 : 0, id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // Redemption rows keep their own name/code copy, so past invoices still read correctly.
+  remove(id, callback) {
+    return safeRun((cb) => {
+      db.query('DELETE FROM promotions WHERE id = ?', [id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // lines: the discount lines applied to the order ({ promotionId, name, code, amount }).
+  recordRedemptions(orderId, userId, lines, callback) {
+    const rows = (lines || []).filter((line) => line.promotionId && Number(line.amount) > 0);
+    if (!rows.length) return callback(null, { inserted: 0 });
+    return safeRun((cb) => {
+      const sql = 'INSERT INTO promotion_redemptions (promotionId, userId, orderId, name, code, amount) VALUES ?';
+      const values = rows.map((line) => [line.promotionId, userId, orderId, line.name, line.code || null, line.amount]);
+      db.query(sql, [values], (err) => cb(err, { inserted: rows.length }));
+    }, callback);
+  },
+
+  getRedemptionsByOrder(orderId, callback) {
+    return safeRun((cb) => {
+      const sql = 'SELECT promotionId, name, code, amount FROM promotion_redemptions WHERE orderId = ? ORDER BY id';
+      db.query(sql, [orderId], (err, rows) => cb(err, (rows || []).map((row) => ({ ...row, amount: Number(row.amount) || 0 }))));
+    }, callback);
+  }
+};
+
+module.exports = PromotionModel;
@@ -32,6 +32,16 @@ const RefundCreditModel = {
       WHERE id = ? AND status = 'available'
     `;
     db.query(sql, [orderId || null, id], (err, result) => callback(err, result));
+  },
+
+  // Puts credit spent on an order back in the customer's hands, e.g. when the order is cancelled.
+  restore(id, orderId, callback) {
+    const sql = `
+      UPDATE refund_credits
+      SET status = 'available', usedOrderId = NULL, usedAt = NULL
+      WHERE id = ? AND usedOrderId = ? AND status = 'used'
+    `;
+    db.query(sql, [id, orderId], (err, result) => callback(err, result));
   }
 };
 
@@ -0,0 +1,130 @@
+const db = require('../db');
+
+// Every refund given on an order, whichever way it went: store credit or back to the original payment.
+const REFUND_METHODS = {
+  credit: 'Store credit',
+  original: 'Original payment'
+};
+
+// Where the refund came from.
+const REFUND_SOURCES = {
+  refund_request: 'Refund request',
+  cancellation: 'Cancellation',
+  picking: 'Missing items',
+  provider: 'Refunded at provider'
+};
+
+// Provider refunds may still be settling (pending) or be turned down (failed). Failed
+// refunds are kept for the record but never count towards what has been refunded. Unconfirmed
+// refunds got no clear answer from the provider and need checking against its dashboard.
+const REFUND_STATUSES = {
+  succeeded: 'Succeeded',
+  pending: 'Pending',
+  unconfirmed: 'Needs reconciliation',
+  failed: 'Failed'
+};
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS refund_records (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      orderId INT NOT NULL,
+      userId INT NOT NULL,
+      refundRequestId INT NULL,
+      source VARCHAR(20) NOT NULL,
+      method VARCHAR(20) NOT NULL,
+      provider VARCHAR(20) NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      providerReference VARCHAR(255) NULL,
+      refundCreditId INT NULL,
+      failureReason VARCHAR(500) NULL,
+      createdBy INT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_order (orderId),
+      INDEX idx_request (refundRequestId),
+      INDEX idx_provider_ref (provider, providerReference)
+    )
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const normalizeRow = (row) => ({
+  ...row,
+  amount: Number(row.amount) || 0,
+  methodLabel: REFUND_METHODS[row.method] || row.method,
+  sourceLabel: REFUND_SOURCES[row.source] || row.source,
+  statusLabel: REFUND_STATUSES[row.status] || row.status
+});
+
+const RefundRecordModel = {
+  REFUND_METHODS,
+  REFUND_SOURCES,
+  REFUND_STATUSES,
+
+  // record: { orderId, userId, refundRequestId, source, method, provider, amount, status,
+  // providerReference, refundCreditId, failureReason, createdBy }
+  create(record, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO refund_records
+          (orderId, userId, refundRequestId, source, method, provider, amount, status,
+           providerReference, refundCreditId, failureReason, createdBy)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        record.orderId,
+        record.userId,
+        record.refundRequestId || null,
+        record.source,
+        record.method,
+        record.provider || null,
+        record.amount,
+        record.status,
+        record.providerReference || null,
+        record.refundCreditId || null,
+        record.failureReason ? String(record.failureReason).slice(0, 500) : null,
+        record.createdBy || null
+      ];
+      db.query(sql, params, cb);
+    }, callback);
+  },
+
+  getByProviderReference(provider, providerReference, callback) {
+    return safeRun((cb) => {
+      const sql = 'SELECT * FROM refund_records WHERE provider = ? AND providerReference = ? ORDER BY id LIMIT 1';
+      db.query(sql, [provider, providerReference], (err, rows) => cb(err, rows && rows[0] ? normalizeRow(rows[0]) : null));
+    }, callback);
+  },
+
+  updateStatus(id, status, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE refund_records SET status = ? WHERE id = ?', [status, id], cb);
+    }, callback);
+  },
+
+  // Newest first.
+  getByOrder(orderId, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT r.id, r.orderId, r.userId, r.refundRequestId, r.source, r.method, r.provider, r.amount, r.status,
+               r.providerReference, r.refundCreditId, r.failureReason, r.createdBy, r.createdAt,
+               u.username AS createdByName
+        FROM refund_records r
+        LEFT JOIN users u ON u.id = r.createdBy
+        WHERE r.orderId = ?
+        ORDER BY r.createdAt DESC, r.id DESC
+      `;
+      db.query(sql, [orderId], (err, rows) => cb(err, (rows || []).map(normalizeRow)));
+    }, callback);
+  }
+};
+
+module.exports = RefundRecordModel;
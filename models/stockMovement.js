@@ -0,0 +1,88 @@
+const db = require('../db');
+
+// Append-only ledger: rows are only ever inserted, never updated or deleted.
+const MOVEMENT_TYPES = ['initial', 'restock', 'sale', 'adjustment', 'refund_return', 'write_off'];
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      productId INT NOT NULL,
+      variantId INT NULL,
+      movementType VARCHAR(32) NOT NULL,
+      delta INT NOT NULL,
+      balanceAfter INT NOT NULL,
+      reason VARCHAR(255),
+      orderId INT NULL,
+      userId INT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_product (productId, createdAt),
+      INDEX idx_order (orderId)
+    )
+  `;
+  db.query(sql, cb);
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const insertMovement = (conn, movement, cb) => {
+  const sql = `
+    INSERT INTO stock_movements (productId, variantId, movementType, delta, balanceAfter, reason, orderId, userId)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  const params = [
+    movement.productId,
+    movement.variantId || null,
+    movement.movementType,
+    movement.delta,
+    movement.balanceAfter,
+    movement.reason ? String(movement.reason).slice(0, 255) : null,
+    movement.orderId || null,
+    movement.userId || null
+  ];
+  conn.query(sql, params, (err, result) => cb(err, result));
+};
+
+const StockMovementModel = {
+  MOVEMENT_TYPES,
+
+  // CREATE TABLE implicitly commits in MySQL, so callers that write movements
+  // inside a transaction must ensure the schema before BEGIN and use insertWithin
+  // with the transaction's connection (see db.transaction).
+  ensureSchema(callback) {
+    ensureTable((err) => callback(err));
+  },
+
+  insertWithin(conn, movement, callback) {
+    insertMovement(conn, movement, callback);
+  },
+
+  record(movement, callback) {
+    return safeRun((cb) => insertMovement(db, movement, cb), callback);
+  },
+
+  // Newest first, with the acting user's name for display.
+  getByProduct(productId, options, callback) {
+    const opts = options || {};
+    const limit = Math.max(1, parseInt(opts.limit, 10) || 200);
+    return safeRun((cb) => {
+      const sql = `
+        SELECT m.id, m.productId, m.variantId, m.movementType, m.delta, m.balanceAfter, m.reason,
+               m.orderId, m.userId, m.createdAt, u.username
+        FROM stock_movements m
+        LEFT JOIN users u ON u.id = m.userId
+        WHERE m.productId = ?
+        ORDER BY m.createdAt DESC, m.id DESC
+        LIMIT ?
+      `;
+      db.query(sql, [productId, limit], (err, rows) => cb(err, rows || []));
+    }, callback);
+  }
+};
+
+module.exports = StockMovementModel;
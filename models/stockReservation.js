@@ -0,0 +1,233 @@
+const db = require('../db');
+const ProductVariantModel = require('./productVariant');
+const OrderModel = require('./order');
+
+// How long stock stays held for a payment that has been started but not captured.
+const RESERVATION_TTL_MINUTES = 20;
+
+// A place in the delivery or pickup slot, held under the same reference as the stock so it is
+// committed, released and lapses along with it.
+const ensureSlotTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS slot_reservations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      reference VARCHAR(100) NOT NULL,
+      userId INT NOT NULL,
+      slotId INT NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'active',
+      orderId INT NULL,
+      expiresAt DATETIME NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_reference (reference),
+      INDEX idx_slot (slotId, status, expiresAt),
+      INDEX idx_user (userId, status)
+    )
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS stock_reservations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      reference VARCHAR(100) NOT NULL,
+      userId INT NOT NULL,
+      productId INT NOT NULL,
+      variantId INT NULL,
+      quantity INT NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'active',
+      orderId INT NULL,
+      expiresAt DATETIME NOT NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_reference (reference),
+      INDEX idx_stock (productId, variantId, status, expiresAt),
+      INDEX idx_user (userId, status)
+    )
+  `;
+  db.query(sql, (err) => {
+    if (err) return cb(err);
+    ensureSlotTable(cb);
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    // reserve() locks product_variants rows, so make sure that table exists before any transaction starts
+    ProductVariantModel.ensureSchema((variantErr) => {
+      if (variantErr) return callback(variantErr);
+      fn(callback);
+    });
+  });
+};
+
+const ACTIVE = "status = 'active' AND expiresAt > NOW()";
+
+const itemName = (item) => {
+  const name = item.productName || `product #${item.productId}`;
+  return item.variantLabel ? `${name} (${item.variantLabel})` : name;
+};
+
+// Lock the stock row for one line and check what is left once other shoppers' live holds are taken out.
+// Runs on the reserving transaction's connection so the lock holds until it commits.
+const checkAvailability = (conn, item, cb) => {
+  const lockSql = item.variantId
+    ? 'SELECT quantity FROM product_variants WHERE id = ? AND productId = ? FOR UPDATE'
+    : 'SELECT quantity FROM products WHERE id = ? FOR UPDATE';
+  const lockParams = item.variantId ? [item.variantId, item.productId] : [item.productId];
+  conn.query(lockSql, lockParams, (lockErr, rows) => {
+    if (lockErr) return cb(lockErr);
+    if (!rows || !rows.length) {
+      return cb(Object.assign(new Error(`${itemName(item)} is no longer available.`), {
+        code: 'INSUFFICIENT_STOCK',
+        productId: item.productId,
+        variantId: item.variantId || null,
+        available: 0
+      }));
+    }
+    const heldSql = `
+      SELECT COALESCE(SUM(quantity), 0) AS held
+      FROM stock_reservations
+      WHERE productId = ? AND variantId <=> ? AND ${ACTIVE}
+    `;
+    conn.query(heldSql, [item.productId, item.variantId || null], (heldErr, heldRows) => {
+      if (heldErr) return cb(heldErr);
+      const available = Math.max(0, (Number(rows[0].quantity) || 0) - (Number(heldRows[0].held) || 0));
+      if (available < Number(item.quantity)) {
+        const message = available > 0
+          ? `Only ${available} of ${itemName(item)} left. Please update your cart.`
+          : `${itemName(item)} is out of stock. Please update your cart.`;
+        return cb(Object.assign(new Error(message), {
+          code: 'INSUFFICIENT_STOCK',
+          productId: item.productId,
+          variantId: item.variantId || null,
+          available
+        }));
+      }
+      cb(null, available);
+    });
+  });
+};
+
+const slotError = (message, code) => Object.assign(new Error(message), { code });
+
+// Lock the slot row and hold a place in it if one is left once the orders booked into it and
+// other checkouts' live holds are counted. The codes match services/fulfilment.js.
+const holdSlotPlace = (conn, reference, userId, slotId, cb) => {
+  conn.query('SELECT capacity, active FROM delivery_slots WHERE id = ? FOR UPDATE', [slotId], (lockErr, rows) => {
+    if (lockErr) return cb(lockErr);
+    const slot = rows && rows[0];
+    if (!slot || !slot.active) {
+      return cb(slotError('That time slot is no longer available. Please choose another.', 'SLOT_UNAVAILABLE'));
+    }
+    OrderModel.countSlotBookingsWithin(conn, slotId, (countErr, booked) => {
+      if (countErr) return cb(countErr);
+      const heldSql = `SELECT COUNT(*) AS held FROM slot_reservations WHERE slotId = ? AND ${ACTIVE}`;
+      conn.query(heldSql, [slotId], (heldErr, heldRows) => {
+        if (heldErr) return cb(heldErr);
+        const held = Number(heldRows && heldRows[0] && heldRows[0].held) || 0;
+        if (booked + held >= (Number(slot.capacity) || 0)) {
+          return cb(slotError('That time slot has just filled up. Please choose another.', 'SLOT_FULL'));
+        }
+        const insertSql = `
+          INSERT INTO slot_reservations (reference, userId, slotId, status, expiresAt)
+          VALUES (?, ?, ?, 'active', DATE_ADD(NOW(), INTERVAL ? MINUTE))
+        `;
+        conn.query(insertSql, [reference, userId, slotId, RESERVATION_TTL_MINUTES], (insertErr) => cb(insertErr));
+      });
+    });
+  });
+};
+
+const StockReservationModel = {
+  RESERVATION_TTL_MINUTES,
+
+  // Hold stock for every line of a checkout under `reference` (one payment attempt), and a place
+  // in slotId when the order is booked into a delivery or pickup slot.
+  // Earlier holds of the same user, including a lapsed hold under the same reference,
+  // are released first since starting or resuming a payment supersedes them.
+  // Fails with code INSUFFICIENT_STOCK, SLOT_FULL or SLOT_UNAVAILABLE and a customer-facing
+  // message when something cannot be held; nothing is held in that case.
+  reserve(reference, userId, items, slotId, callback) {
+    const lines = (items || []).filter((item) => Number(item.quantity) > 0);
+    return safeRun((cb) => db.transaction((conn, done) => {
+      // Expired holds are closed off here too, so the tables double as an audit of what lapsed.
+      const cleanupSql = (table) => `
+        UPDATE ${table} SET status = 'released'
+        WHERE status = 'active' AND (expiresAt <= NOW() OR userId = ?)
+      `;
+      conn.query(cleanupSql('stock_reservations'), [userId], (cleanupErr) => {
+        if (cleanupErr) return done(cleanupErr);
+        conn.query(cleanupSql('slot_reservations'), [userId], (slotCleanupErr) => {
+          if (slotCleanupErr) return done(slotCleanupErr);
+
+          const queue = lines.slice();
+          const runNext = () => {
+            if (!queue.length) {
+              const result = { reference, lines: lines.length, ttlMinutes: RESERVATION_TTL_MINUTES };
+              if (!slotId) return done(null, result);
+              return holdSlotPlace(conn, reference, userId, slotId, (slotErr) => (slotErr ? done(slotErr) : done(null, result)));
+            }
+            const item = queue.shift();
+            checkAvailability(conn, item, (checkErr) => {
+              if (checkErr) return done(checkErr);
+              const insertSql = `
+                INSERT INTO stock_reservations (reference, userId, productId, variantId, quantity, status, expiresAt)
+                VALUES (?, ?, ?, ?, ?, 'active', DATE_ADD(NOW(), INTERVAL ? MINUTE))
+              `;
+              const params = [reference, userId, item.productId, item.variantId || null, Number(item.quantity), RESERVATION_TTL_MINUTES];
+              conn.query(insertSql, params, (insertErr) => {
+                if (insertErr) return done(insertErr);
+                runNext();
+              });
+            });
+          };
+          runNext();
+        });
+      });
+    }, cb), callback);
+  },
+
+  // True while every line held under `reference` is still active and unexpired.
+  isHeld(reference, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT COUNT(*) AS total, SUM(CASE WHEN ${ACTIVE} THEN 1 ELSE 0 END) AS live
+        FROM stock_reservations
+        WHERE reference = ? AND status <> 'released'
+      `;
+      db.query(sql, [reference], (err, rows) => {
+        if (err) return cb(err);
+        const row = rows && rows[0] ? rows[0] : {};
+        const total = Number(row.total) || 0;
+        cb(null, total > 0 && Number(row.live) === total);
+      });
+    }, callback);
+  },
+
+  // The order now owns the stock (its sale movements have been written) and its slot place, so
+  // the holds are done.
+  commit(reference, orderId, callback) {
+    return safeRun((cb) => {
+      const sql = (table) => `UPDATE ${table} SET status = 'committed', orderId = ? WHERE reference = ? AND status = 'active'`;
+      db.query(sql('stock_reservations'), [orderId || null, reference], (err, result) => {
+        if (err) return cb(err);
+        db.query(sql('slot_reservations'), [orderId || null, reference], (slotErr) => cb(slotErr, result));
+      });
+    }, callback);
+  },
+
+  release(reference, callback) {
+    return safeRun((cb) => {
+      const sql = (table) => `UPDATE ${table} SET status = 'released' WHERE reference = ? AND status = 'active'`;
+      db.query(sql('stock_reservations'), [reference], (err, result) => {
+        if (err) return cb(err);
+        db.query(sql('slot_reservations'), [reference], (slotErr) => cb(slotErr, result));
+      });
+    }, callback);
+  }
+};
+
+module.exports = StockReservationModel;
@@ -0,0 +1,100 @@
+const db = require('../db');
+
+// Row that applies to every category without a rate of its own.
+const DEFAULT_CATEGORY = '';
+
+// Singapore GST; prices on the shelf already include it.
+const seedDefaults = (cb) => {
+  const sql = 'INSERT INTO tax_rates (category, rate, pricesIncludeTax) VALUES (?, 9, 1)';
+  db.query(sql, [DEFAULT_CATEGORY], (err) => cb(err));
+};
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS tax_rates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      category VARCHAR(100) NOT NULL,
+      rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+      pricesIncludeTax TINYINT(1) NOT NULL DEFAULT 1,
+      updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_category (category)
+    )
+  `;
+  db.query(sql, (err, result) => {
+    if (err) return cb(err);
+    // No warning means the table did not exist before this call.
+    if (!result || result.warningStatus !== 0) return cb();
+    seedDefaults(cb);
+  });
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const describeRate = (rate) => (rate > 0 ? `GST ${rate}%` : 'Zero-rated');
+
+const normalizeRow = (row) => {
+  const rate = Number(row.rate) || 0;
+  return {
+    ...row,
+    rate,
+    pricesIncludeTax: !!row.pricesIncludeTax,
+    isDefault: row.category === DEFAULT_CATEGORY,
+    label: describeRate(rate)
+  };
+};
+
+const TaxRateModel = {
+  DEFAULT_CATEGORY,
+  describeRate,
+
+  // Default row first, then categories alphabetically.
+  getAll(callback) {
+    return safeRun((cb) => {
+      const sql = 'SELECT id, category, rate, pricesIncludeTax, updatedAt FROM tax_rates ORDER BY category = ? DESC, category';
+      db.query(sql, [DEFAULT_CATEGORY], (err, rows) => cb(err, (rows || []).map(normalizeRow)));
+    }, callback);
+  },
+
+  // { fallback, byCategory } where byCategory is keyed by lower-cased category name.
+  getRateTable(callback) {
+    this.getAll((err, rows) => {
+      if (err) return callback(err);
+      const byCategory = {};
+      let fallback = null;
+      rows.forEach((row) => {
+        if (row.isDefault) fallback = row;
+        else byCategory[row.category.toLowerCase()] = row;
+      });
+      callback(null, {
+        fallback: fallback || normalizeRow({ category: DEFAULT_CATEGORY, rate: 0, pricesIncludeTax: 1 }),
+        byCategory
+      });
+    });
+  },
+
+  // Insert or replace the rate for a category (DEFAULT_CATEGORY for the store-wide rate).
+  save(category, rate, pricesIncludeTax, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO tax_rates (category, rate, pricesIncludeTax) VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE rate = VALUES(rate), pricesIncludeTax = VALUES(pricesIncludeTax)
+      `;
+      db.query(sql, [category, rate, pricesIncludeTax ? 1 : 0], cb);
+    }, callback);
+  },
+
+  // The default row cannot be removed; categories without a row fall back to it.
+  remove(category, callback) {
+    if (category === DEFAULT_CATEGORY) return callback(null, { affectedRows: 0 });
+    return safeRun((cb) => {
+      db.query('DELETE FROM tax_rates WHERE category = ?', [category], cb);
+    }, callback);
+  }
+};
+
+module.exports = TaxRateModel;
@@ -1,5 +1,132 @@
 const db = require('../db');
 
+// Passwords used to be 40-character SHA-1 digests; scrypt hashes (see services/passwords.js) are
+// longer, so older databases get the column widened before anything is written to it.
+const PASSWORD_COLUMN_LENGTH = 255;
+
+const ensurePasswordColumn = (cb) => {
+  const columnCheck = `
+    SELECT CHARACTER_MAXIMUM_LENGTH AS length, IS_NULLABLE AS nullable FROM information_schema.columns
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'password'
+  `;
+  db.query(columnCheck, (err, rows) => {
+    if (err) return cb(err);
+    const column = rows && rows[0];
+    if (!column || !column.length || Number(column.length) >= PASSWORD_COLUMN_LENGTH) return cb();
+    const nullability = column.nullable === 'YES' ? 'NULL' : 'NOT NULL';
+    db.query(`ALTER TABLE users MODIFY password VARCHAR(${PASSWORD_COLUMN_LENGTH}) ${nullability}`, (alterErr) => cb(alterErr));
+  });
+};
+
+// Sign-in failures on the account itself, for the lockout in services/loginThrottle.js, and
+// when the email address was confirmed (services/accountTokens.js).
+const ACCOUNT_COLUMNS = {
+  failedLogins: 'INT NOT NULL DEFAULT 0',
+  lastFailedLoginAt: 'DATETIME NULL',
+  lockedUntil: 'DATETIME NULL',
+  emailVerifiedAt: 'DATETIME NULL'
+};
+
+const ensureAccountColumns = (cb) => {
+  const names = Object.keys(ACCOUNT_COLUMNS);
+  const columnCheck = `
+    SELECT COLUMN_NAME FROM information_schema.columns
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME IN (?)
+  `;
+  db.query(columnCheck, [names], (err, rows) => {
+    if (err) return cb(err);
+    const existing = (rows || []).map((row) => row.COLUMN_NAME);
+    const missing = names.filter((name) => !existing.includes(name));
+    if (!missing.length) return cb();
+    db.query(`ALTER TABLE users ${missing.map((name) => `ADD COLUMN ${name} ${ACCOUNT_COLUMNS[name]}`).join(', ')}`, (alterErr) => {
+      if (alterErr || !missing.includes('emailVerifiedAt')) return cb(alterErr);
+      // Accounts from before verification existed count as verified, so requiring verification
+      // doesn't shut them out.
+      db.query('UPDATE users SET emailVerifiedAt = NOW() WHERE emailVerifiedAt IS NULL', (backfillErr) => cb(backfillErr));
+    });
+  });
+};
+
+// Sign-in looks accounts up by email, so emails are unique. A database that already holds the
+// same email twice keeps working without the index until the duplicates are merged.
+const ensureEmailIndex = (cb) => {
+  const indexCheck = `
+    SELECT INDEX_NAME FROM information_schema.statistics
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'email' AND NON_UNIQUE = 0
+    LIMIT 1
+  `;
+  db.query(indexCheck, (err, rows) => {
+    if (err) return cb(err);
+    if (rows && rows.length) return cb();
+    db.query('SELECT email FROM users GROUP BY email HAVING COUNT(*) > 1 LIMIT 1', (dupErr, dupes) => {
+      if (dupErr) return cb(dupErr);
+      if (dupes && dupes.length) {
+        console.warn(`users.email is not unique (e.g. ${dupes[0].email}); sign-in uses the oldest account for a shared email.`);
+        return cb();
+      }
+      db.query('ALTER TABLE users ADD UNIQUE INDEX uniq_email (email)', (alterErr) => cb(alterErr));
+    });
+  });
+};
+
+// Roles are keys of services/roles.js; older databases may hold role as ENUM('user','admin') or a
+// short string, so it becomes a VARCHAR long enough for every role.
+const ROLE_COLUMN_LENGTH = 30;
+
+const ensureRoleColumn = (cb) => {
+  const columnCheck = `
+    SELECT DATA_TYPE AS type, CHARACTER_MAXIMUM_LENGTH AS length FROM information_schema.columns
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'role'
+  `;
+  db.query(columnCheck, (err, rows) => {
+    if (err) return cb(err);
+    const column = rows && rows[0];
+    if (!column || (column.type === 'varchar' && Number(column.length) >= ROLE_COLUMN_LENGTH)) return cb();
+    db.query(`ALTER TABLE users MODIFY role VARCHAR(${ROLE_COLUMN_LENGTH}) NOT NULL DEFAULT 'user'`, (alterErr) => cb(alterErr));
+  });
+};
+
+const ensureSchema = (cb) => {
+  ensurePasswordColumn((columnErr) => {
+    if (columnErr) return cb(columnErr);
+    ensureAccountColumns((accountErr) => {
+      if (accountErr) return cb(accountErr);
+      ensureEmailIndex((indexErr) => {
+        if (indexErr) return cb(indexErr);
+        ensureRoleColumn(cb);
+      });
+    });
+  });
+};
+
+// The schema checks run once per process; every sign-in goes through here. A failed setup is
+// forgotten so the next call tries again.
+let schemaReady = null;
+
+const safeRun = (fn, callback) => {
+  if (!schemaReady) {
+    schemaReady = new Promise((resolve, reject) => ensureSchema((err) => (err ? reject(err) : resolve())));
+    schemaReady.catch(() => { schemaReady = null; });
+  }
+  schemaReady.then(() => fn(callback), (err) => callback(err));
+};
+
+// The sign-in state of an account. Times are worked out by the database so they agree with the
+// NOW() used when the lock was set.
+const LOGIN_SELECT = `
+  failedLogins, lastFailedLoginAt, lockedUntil,
+  GREATEST(TIMESTAMPDIFF(SECOND, NOW(), lockedUntil), 0) AS lockSecondsLeft,
+  TIMESTAMPDIFF(SECOND, lastFailedLoginAt, NOW()) AS secondsSinceFailure
+`;
+
+const loginState = (row) => ({
+  failedLogins: Number(row.failedLogins) || 0,
+  lastFailedLoginAt: row.lastFailedLoginAt || null,
+  lockedUntil: row.lockedUntil || null,
+  lockSecondsLeft: Number(row.lockSecondsLeft) || 0,
+  secondsSinceFailure: row.secondsSinceFailure == null ? null : Number(row.secondsSinceFailure)
+});
+
 const UserModel = {
   getAllUsers(callback) {
     const sql = 'SELECT id, username, email, password, address, contact, role FROM users';
@@ -7,38 +134,145 @@ const UserModel = {
   },
 
   getUserById(id, callback) {
-    const sql = 'SELECT id, username, email, password, address, contact, role FROM users WHERE id = ?';
-    db.query(sql, [id], (err, results) => {
-      if (err) return callback(err);
-      callback(null, results[0] || null);
-    });
+    return safeRun((cb) => {
+      const sql = 'SELECT id, username, email, password, address, contact, role, emailVerifiedAt FROM users WHERE id = ?';
+      db.query(sql, [id], (err, results) => {
+        if (err) return cb(err);
+        cb(null, results[0] || null);
+      });
+    }, callback);
+  },
+
+  // Calls back with the account (the same fields as getUserById) plus `login`, its sign-in state.
+  getUserByEmail(email, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT id, username, email, password, address, contact, role, emailVerifiedAt, ${LOGIN_SELECT}
+        FROM users WHERE email = ? ORDER BY id LIMIT 1
+      `;
+      db.query(sql, [email], (err, rows) => {
+        if (err) return cb(err);
+        const row = rows && rows[0];
+        if (!row) return cb(null, null);
+        const { failedLogins, lastFailedLoginAt, lockedUntil, lockSecondsLeft, secondsSinceFailure, ...user } = row;
+        cb(null, { ...user, login: loginState(row) });
+      });
+    }, callback);
   },
 
   addUser(user, callback) {
-    const sql = 'INSERT INTO users (username, email, password, address, contact, role) VALUES (?, ?, ?, ?, ?, ?)';
-    const params = [
-      user.username,
-      user.email,
-      user.password,
-      user.address || null,
-      user.contact || null,
-      user.role || 'user'
-    ];
-    db.query(sql, params, (err, result) => callback(err, result));
+    return safeRun((cb) => {
+      const sql = 'INSERT INTO users (username, email, password, address, contact, role) VALUES (?, ?, ?, ?, ?, ?)';
+      const params = [
+        user.username,
+        user.email,
+        user.password,
+        user.address || null,
+        user.contact || null,
+        user.role || 'user'
+      ];
+      db.query(sql, params, (err, result) => cb(err, result));
+    }, callback);
   },
 
   updateUser(id, user, callback) {
-    const sql = 'UPDATE users SET username = ?, email = ?, password = ?, address = ?, contact = ?, role = ? WHERE id = ?';
-    const params = [
-      user.username,
-      user.email,
-      user.password,
-      user.address || null,
-      user.contact || null,
-      user.role || 'user',
-      id
-    ];
-    db.query(sql, params, (err, result) => callback(err, result));
+    return safeRun((cb) => {
+      const sql = 'UPDATE users SET username = ?, email = ?, password = ?, address = ?, contact = ?, role = ? WHERE id = ?';
+      const params = [
+        user.username,
+        user.email,
+        user.password,
+        user.address || null,
+        user.contact || null,
+        user.role || 'user',
+        id
+      ];
+      db.query(sql, params, (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // role: a key of RoleService.ROLES.
+  updateRole(id, role, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE users SET role = ? WHERE id = ?', [role, id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // passwordHash: from PasswordService.hash, never the plain password.
+  updatePassword(id, passwordHash, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE users SET password = ? WHERE id = ?', [passwordHash, id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // Counts a failed sign-in and locks the account for lockMinutes once it reaches lockAfter
+  // failures in a row. A lock that has run out starts the count again, so the first failure
+  // after it doesn't lock the account straight back. MySQL applies SET assignments in order, so
+  // failedLogins is worked out against the old lockedUntil and the lock against the new count.
+  recordFailedLogin(id, lockAfter, lockMinutes, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        UPDATE users
+        SET failedLogins = IF(lockedUntil IS NOT NULL AND lockedUntil <= NOW(), 1, failedLogins + 1),
+            lockedUntil = IF(failedLogins >= ?, NOW() + INTERVAL ? MINUTE, IF(lockedUntil <= NOW(), NULL, lockedUntil)),
+            lastFailedLoginAt = NOW()
+        WHERE id = ?
+      `;
+      db.query(sql, [lockAfter, lockMinutes, id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // After a successful sign-in, or an admin unlocking the account.
+  clearFailedLogins(id, callback) {
+    return safeRun((cb) => {
+      const sql = 'UPDATE users SET failedLogins = 0, lastFailedLoginAt = NULL, lockedUntil = NULL WHERE id = ?';
+      db.query(sql, [id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // Only confirms the address the link was sent to; a link for an email the user has since
+  // changed away from does nothing. Calls back with true when the account was updated.
+  markEmailVerified(id, email, callback) {
+    return safeRun((cb) => {
+      const sql = 'UPDATE users SET emailVerifiedAt = COALESCE(emailVerifiedAt, NOW()) WHERE id = ? AND email = ?';
+      db.query(sql, [id, email], (err, result) => cb(err, !!(result && result.affectedRows)));
+    }, callback);
+  },
+
+  // A new email address needs confirming again.
+  clearEmailVerified(id, callback) {
+    return safeRun((cb) => {
+      db.query('UPDATE users SET emailVerifiedAt = NULL WHERE id = ?', [id], (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // Accounts that are locked right now, most recently locked first, each with `login`.
+  getLockedUsers(callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT id, username, email, role, ${LOGIN_SELECT}
+        FROM users WHERE lockedUntil > NOW()
+        ORDER BY lockedUntil DESC
+      `;
+      db.query(sql, (err, rows) => {
+        if (err) return cb(err);
+        cb(null, (rows || []).map((row) => ({
+          id: row.id,
+          username: row.username,
+          email: row.email,
+          role: row.role,
+          login: loginState(row)
+        })));
+      });
+    }, callback);
+  },
+
+  countByRole(role, callback) {
+    return safeRun((cb) => {
+      db.query('SELECT COUNT(*) AS total FROM users WHERE role = ?', [role], (err, rows) => (
+        err ? cb(err) : cb(null, Number(rows && rows[0] && rows[0].total) || 0)
+      ));
+    }, callback);
   },
 
   deleteUser(id, callback) {
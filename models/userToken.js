@@ -0,0 +1,81 @@
+const db = require('../db');
+
+// Single-use links emailed to a user. Only a SHA-256 hash of each token is stored, so the
+// table alone can't be used to reset anyone's password.
+const TOKEN_PURPOSES = {
+  password_reset: 'Password reset',
+  verify_email: 'Email verification'
+};
+
+const ensureTable = (cb) => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      userId INT NOT NULL,
+      purpose VARCHAR(20) NOT NULL,
+      tokenHash CHAR(64) NOT NULL,
+      email VARCHAR(255) NULL,
+      expiresAt DATETIME NOT NULL,
+      usedAt DATETIME NULL,
+      createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_token (tokenHash),
+      INDEX idx_user_purpose (userId, purpose)
+    )
+  `;
+  db.query(sql, (err) => cb(err));
+};
+
+const safeRun = (fn, callback) => {
+  ensureTable((tableErr) => {
+    if (tableErr) return callback(tableErr);
+    fn(callback);
+  });
+};
+
+const UserTokenModel = {
+  TOKEN_PURPOSES,
+
+  // token: { userId, purpose, tokenHash, email, ttlMinutes }. email is the address the link was
+  // sent to, so a verification link stops counting once the user changes their email.
+  create(token, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        INSERT INTO user_tokens (userId, purpose, tokenHash, email, expiresAt)
+        VALUES (?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)
+      `;
+      const params = [token.userId, token.purpose, token.tokenHash, token.email || null, token.ttlMinutes];
+      db.query(sql, params, (err, result) => cb(err, result));
+    }, callback);
+  },
+
+  // An unused, unexpired token, or null.
+  findValid(purpose, tokenHash, callback) {
+    return safeRun((cb) => {
+      const sql = `
+        SELECT id, userId, purpose, email, expiresAt, createdAt
+        FROM user_tokens
+        WHERE purpose = ? AND tokenHash = ? AND usedAt IS NULL AND expiresAt > NOW()
+        LIMIT 1
+      `;
+      db.query(sql, [purpose, tokenHash], (err, rows) => cb(err, (rows && rows[0]) || null));
+    }, callback);
+  },
+
+  // Calls back with true only for the request that used it, so a link can't be used twice.
+  markUsed(id, callback) {
+    return safeRun((cb) => {
+      const sql = 'UPDATE user_tokens SET usedAt = NOW() WHERE id = ? AND usedAt IS NULL AND expiresAt > NOW()';
+      db.query(sql, [id], (err, result) => cb(err, !!(result && result.affectedRows)));
+    }, callback);
+  },
+
+  // Retires every outstanding token of this purpose, e.g. older reset links once a new one is sent.
+  invalidateForUser(userId, purpose, callback) {
+    return safeRun((cb) => {
+      const sql = 'UPDATE user_tokens SET usedAt = NOW() WHERE userId = ? AND purpose = ? AND usedAt IS NULL';
+      db.query(sql, [userId, purpose], (err, result) => cb(err, result));
+    }, callback);
+  }
+};
+
+module.exports = UserTokenModel;
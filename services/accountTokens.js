@@ -0,0 +1,210 @@
+// Emailed links for resetting a forgotten password and confirming an email address. Each link
+// carries a random token that expires and works once. With REQUIRE_EMAIL_VERIFICATION set,
+// accounts can't sign in until their email is confirmed.
+const crypto = require('crypto');
+const UserModel = require('../models/user');
+const UserTokenModel = require('../models/userToken');
+const LinkRequestModel = require('../models/linkRequest');
+const MailService = require('./mail');
+const PasswordService = require('./passwords');
+
+const RESET_TTL_MINUTES = 60;
+const VERIFY_TTL_MINUTES = 48 * 60;
+
+const REQUIRE_EMAIL_VERIFICATION = ['1', 'true', 'yes', 'on'].includes(
+  (process.env.REQUIRE_EMAIL_VERIFICATION || '').trim().toLowerCase()
+);
+
+const tokenError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token || '')).digest('hex');
+
+// Replaces any earlier links of the same kind and calls back with the new token.
+const issueToken = (user, purpose, ttlMinutes, callback) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  UserTokenModel.invalidateForUser(user.id, purpose, (invalidateErr) => {
+    if (invalidateErr) return callback(invalidateErr);
+    UserTokenModel.create({ userId: user.id, purpose, tokenHash: hashToken(token), email: user.email, ttlMinutes }, (err) => (
+      err ? callback(err) : callback(null, token)
+    ));
+  });
+};
+
+const describeTtl = (minutes) => {
+  if (minutes % 60 !== 0) return `${minutes} minutes`;
+  return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+};
+
+// Where links in emails point. It comes from APP_BASE_URL rather than the request's Host header,
+// which the sender controls and could use to point reset links at their own site. Outside
+// production it defaults to this server on localhost; in production no links are sent without it.
+const LINK_BASE_URL = ((process.env.APP_BASE_URL || '').trim()
+  || (process.env.NODE_ENV === 'production' ? '' : `http://localhost:${process.env.PORT || 3000}`)).replace(/\/+$/, '');
+
+if (!LINK_BASE_URL) console.warn('APP_BASE_URL is not set; password reset and verification emails are disabled.');
+
+const noBaseUrl = () => tokenError('APP_BASE_URL is not set, so no link can be sent.', 'NO_BASE_URL');
+
+// Limits on emailing links, counted over every request whether or not the email has an account.
+const LINK_WINDOW_MINUTES = 15;
+const LINK_MAX_PER_IP = 10;
+const LINK_MAX_PER_EMAIL = 3;
+
+const describeWait = (seconds) => {
+  const minutes = Math.max(1, Math.ceil(seconds / 60));
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+// Records a request to email a link (purpose: a key of UserTokenModel.TOKEN_PURPOSES) and calls
+// back with a LINK_THROTTLED error, carrying retryAfterSeconds, when the IP address or the email
+// has asked too often.
+const throttleLinkRequest = (ip, email, purpose, callback) => {
+  LinkRequestModel.getRecentCounts(ip, email, LINK_WINDOW_MINUTES, (err, recent) => {
+    if (err) return callback(err);
+    const over = [
+      recent.byIp.requests >= LINK_MAX_PER_IP && recent.byIp,
+      recent.byEmail.requests >= LINK_MAX_PER_EMAIL && recent.byEmail
+    ].filter(Boolean);
+    if (over.length) {
+      const wait = Math.max(1, ...over.map((limit) => limit.secondsUntilOldestExpires));
+      const throttled = tokenError(`Too many link requests. Please try again in ${describeWait(wait)}.`, 'LINK_THROTTLED');
+      throttled.retryAfterSeconds = wait;
+      return callback(throttled);
+    }
+    LinkRequestModel.record({ ip, email, purpose }, (recordErr) => callback(recordErr || null));
+  });
+};
+
+const sendPasswordReset = (user, callback) => {
+  if (!LINK_BASE_URL) return callback(noBaseUrl());
+  issueToken(user, 'password_reset', RESET_TTL_MINUTES, (err, token) => {
+    if (err) return callback(err);
+    const link = `${LINK_BASE_URL}/reset-password/${token}`;
+    MailService.send({
+      to: user.email,
+      subject: 'Reset your Supermarket App password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'We received a request to reset your password. Open this link to choose a new one:',
+        link,
+        '',
+        `The link works once and expires in ${describeTtl(RESET_TTL_MINUTES)}. If you didn't ask for this, you can ignore this email.`
+      ].join('\n')
+    }, callback);
+  });
+};
+
+const sendVerification = (user, callback) => {
+  if (!LINK_BASE_URL) return callback(noBaseUrl());
+  issueToken(user, 'verify_email', VERIFY_TTL_MINUTES, (err, token) => {
+    if (err) return callback(err);
+    const link = `${LINK_BASE_URL}/verify-email/${token}`;
+    MailService.send({
+      to: user.email,
+      subject: 'Confirm your Supermarket App email',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm this is your email address by opening this link:',
+        link,
+        '',
+        `The link expires in ${describeTtl(VERIFY_TTL_MINUTES)}.`
+      ].join('\n')
+    }, callback);
+  });
+};
+
+const invalidLink = () => tokenError('This link is invalid or has expired. Please request a new one.', 'INVALID_TOKEN');
+
+// Calls back with the token record if a reset link can still be used, without using it up.
+const checkResetToken = (token, callback) => {
+  UserTokenModel.findValid('password_reset', hashToken(token), (err, record) => {
+    if (err) return callback(err);
+    if (!record) return callback(invalidLink());
+    callback(null, record);
+  });
+};
+
+// Uses up a token; only one request can win it.
+const consumeToken = (purpose, token, callback) => {
+  UserTokenModel.findValid(purpose, hashToken(token), (err, record) => {
+    if (err) return callback(err);
+    if (!record) return callback(invalidLink());
+    UserTokenModel.markUsed(record.id, (markErr, used) => {
+      if (markErr) return callback(markErr);
+      if (!used) return callback(invalidLink());
+      callback(null, record);
+    });
+  });
+};
+
+// Sets a new password from a reset link and calls back with the user id. Resetting also lifts a
+// sign-in lockout, since the user has just proved they own the email.
+const resetPassword = (token, newPassword, callback) => {
+  consumeToken('password_reset', token, (err, record) => {
+    if (err) return callback(err);
+    PasswordService.hash(newPassword, (hashErr, hashed) => {
+      if (hashErr) return callback(hashErr);
+      UserModel.updatePassword(record.userId, hashed, (updateErr) => {
+        if (updateErr) return callback(updateErr);
+        UserModel.clearFailedLogins(record.userId, (clearErr) => {
+          if (clearErr) console.error(`Error clearing failed logins for user #${record.userId}`, clearErr);
+          // Receiving the reset link proves the email just as a verification link would.
+          UserModel.markEmailVerified(record.userId, record.email, (verifyErr) => {
+            if (verifyErr) console.error(`Error marking email verified for user #${record.userId}`, verifyErr);
+            callback(null, record.userId);
+          });
+        });
+      });
+    });
+  });
+};
+
+// Confirms the email from a verification link and calls back with the user id.
+const verifyEmail = (token, callback) => {
+  consumeToken('verify_email', token, (err, record) => {
+    if (err) return callback(err);
+    UserModel.markEmailVerified(record.userId, record.email, (markErr, verified) => {
+      if (markErr) return callback(markErr);
+      if (!verified) return callback(invalidLink());
+      callback(null, record.userId);
+    });
+  });
+};
+
+// After a user changes their email: the new address needs confirming, and reset links sent to
+// the old one stop working.
+const emailChanged = (user, callback) => {
+  UserModel.clearEmailVerified(user.id, (clearErr) => {
+    if (clearErr) return callback(clearErr);
+    UserTokenModel.invalidateForUser(user.id, 'password_reset', (invalidateErr) => {
+      if (invalidateErr) return callback(invalidateErr);
+      sendVerification(user, callback);
+    });
+  });
+};
+
+const needsVerification = (user) => REQUIRE_EMAIL_VERIFICATION && !!user && !user.emailVerifiedAt;
+
+const isTokenError = (err) => !!err && err.code === 'INVALID_TOKEN';
+
+const isLinkThrottled = (err) => !!err && err.code === 'LINK_THROTTLED';
+
+module.exports = {
+  REQUIRE_EMAIL_VERIFICATION,
+  throttleLinkRequest,
+  sendPasswordReset,
+  sendVerification,
+  checkResetToken,
+  resetPassword,
+  verifyEmail,
+  emailChanged,
+  needsVerification,
+  isTokenError,
+  isLinkThrottled
+};
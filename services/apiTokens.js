@@ -0,0 +1,53 @@
+// Issuing and checking the bearer tokens accepted by the /api routes alongside a signed-in session.
+const crypto = require('crypto');
+const ApiTokenModel = require('../models/apiToken');
+
+// Makes tokens easy to spot if one is pasted somewhere it shouldn't be.
+const TOKEN_PREFIX = 'sma_';
+const MAX_TOKENS_PER_USER = 10;
+
+const tokenError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token || '')).digest('hex');
+
+// Calls back with the new token; it can't be recovered later.
+const createToken = (userId, name, callback) => {
+  const label = String(name || '').trim();
+  if (!label) return callback(tokenError('Give the token a name so you can recognise it later.', 'INVALID_API_TOKEN'));
+  ApiTokenModel.getByUser(userId, (listErr, existing) => {
+    if (listErr) return callback(listErr);
+    if (existing.length >= MAX_TOKENS_PER_USER) {
+      return callback(tokenError(`You can have up to ${MAX_TOKENS_PER_USER} API tokens. Revoke one you no longer use first.`, 'INVALID_API_TOKEN'));
+    }
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    ApiTokenModel.create({ userId, name: label, tokenHash: hashToken(token) }, (err) => (
+      err ? callback(err) : callback(null, token)
+    ));
+  });
+};
+
+// Calls back with the user ({ id, username, email, role }) a token belongs to, or null.
+const authenticate = (token, callback) => {
+  if (!token || !String(token).startsWith(TOKEN_PREFIX)) return callback(null, null);
+  ApiTokenModel.getUserByHash(hashToken(token), (err, row) => {
+    if (err) return callback(err);
+    if (!row) return callback(null, null);
+    ApiTokenModel.touch(row.tokenId, (touchErr) => {
+      if (touchErr) console.error(`Error recording use of API token #${row.tokenId}`, touchErr);
+    });
+    const { tokenId, ...user } = row;
+    callback(null, user);
+  });
+};
+
+const isApiTokenError = (err) => !!err && err.code === 'INVALID_API_TOKEN';
+
+module.exports = {
+  createToken,
+  authenticate,
+  isApiTokenError
+};
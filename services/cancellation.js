@@ -0,0 +1,163 @@
+// Customers cancelling their own order before staff start picking it. Cancelling puts the stock
+// back, undoes the loyalty points the order earned and spent, returns any store credit it used,
+// and refunds what was paid either as store credit or to the original payment. An order that has
+// already had a refund is left to staff.
+const OrderModel = require('../models/order');
+const ProductModel = require('../models/product');
+const MembershipModel = require('../models/membership');
+const RefundCreditModel = require('../models/refundCredit');
+const PricingService = require('./pricing');
+const RefundService = require('./refunds');
+
+// Once an order moves to picking, staff are already assembling it.
+const CANCELLABLE_STATUSES = ['pending_payment', 'paid'];
+
+const REFUND_TARGETS = ['credit', 'original'];
+
+const cancelError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const isCancellable = (order) => !!order && CANCELLABLE_STATUSES.includes(order.status);
+
+// Takes back the points the order earned and returns the points redeemed on it, as recorded at
+// checkout, without taking the balance below zero. Orders placed before points were recorded on
+// the order only return the points their pricing says were redeemed.
+const reverseLoyalty = (order, pricing, callback) => {
+  const recorded = order.loyaltyPointsEarned != null;
+  const earned = recorded ? Math.max(0, Number(order.loyaltyPointsEarned) || 0) : 0;
+  const redeemed = recorded
+    ? Math.max(0, Number(order.loyaltyPointsRedeemed) || 0)
+    : Math.max(0, Math.floor(Number(pricing.loyalty && pricing.loyalty.points) || 0));
+  if (!earned && !redeemed) return callback();
+  MembershipModel.getByUser(order.userId, (err, membership) => {
+    if (err || !membership) return callback(err);
+    const change = Math.max(redeemed - earned, -(Number(membership.points) || 0));
+    if (!change) return callback();
+    MembershipModel.addPoints(order.userId, change, callback);
+  });
+};
+
+// Store credit spent on the order becomes available again; orders that only recorded the amount
+// get a fresh credit for it.
+const returnCreditUsed = (order, pricing, callback) => {
+  const credit = pricing.refundCredit || {};
+  const amount = Number(credit.amount) || 0;
+  if (amount <= 0) return callback();
+  const reissue = () => RefundCreditModel.createCredit({ userId: order.userId, amount }, callback);
+  if (!credit.id) return reissue();
+  RefundCreditModel.restore(credit.id, order.id, (err, result) => {
+    if (err) return callback(err);
+    if (!result || !result.affectedRows) return reissue();
+    callback();
+  });
+};
+
+// Calls back with { amount, refundedTo: 'credit' | 'original' | null, fallback, unconfirmed, reference }.
+// A refund the payment provider declines is issued as store credit instead so the customer is
+// never left out of pocket. One whose outcome is unknown (a timeout, say) may still have gone
+// through, so it is left recorded for staff to reconcile rather than paid again as credit.
+const refundPayment = (order, pricing, refundTo, customerId, callback) => {
+  const amount = order.status === 'paid' ? PricingService.roundMoney(Number(pricing.payable) || 0) : 0;
+  if (amount <= 0) return callback(null, { amount: 0, refundedTo: null, fallback: false });
+
+  const refund = { order, amount, source: 'cancellation', createdBy: customerId };
+  const asCredit = (fallback) => {
+    RefundService.issueRefund({ ...refund, method: 'credit' }, (err) => {
+      if (err) return callback(err);
+      callback(null, { amount, refundedTo: 'credit', fallback });
+    });
+  };
+  if (refundTo !== 'original' || !RefundService.canRefundToOriginal(order)) return asCredit(refundTo === 'original');
+
+  RefundService.issueRefund({ ...refund, method: 'original' }, (err, record) => {
+    if (RefundService.isUnconfirmedRefund(err)) {
+      return callback(null, { amount, refundedTo: 'original', fallback: false, unconfirmed: true });
+    }
+    if (err) {
+      if (!RefundService.isRefundError(err)) console.error(`Error refunding cancelled order #${order.id}`, err);
+      return asCredit(true);
+    }
+    callback(null, { amount, refundedTo: 'original', fallback: false, reference: record.providerReference });
+  });
+};
+
+// Runs each clean-up step in turn; a step that fails is logged and the rest still run.
+const runSteps = (steps, callback) => {
+  const remaining = steps.slice();
+  const next = () => {
+    if (!remaining.length) return callback();
+    const [what, step] = remaining.shift();
+    step((err) => {
+      if (err) console.error(`Error ${what} for cancelled order`, err);
+      next();
+    });
+  };
+  next();
+};
+
+// Cancels an order nothing has been refunded on yet: the status first, so only one request
+// can do it, then the stock, points, credit and payment.
+const cancelUnrefunded = (order, customerId, refundTo, callback) => {
+  const context = { changedBy: customerId, note: 'Cancelled by customer' };
+  OrderModel.updateStatus(order.id, 'cancelled', context, (statusErr, result) => {
+    if (statusErr) {
+      if (statusErr.code === 'INVALID_STATUS_TRANSITION') {
+        return callback(cancelError(`Order #${order.id} can no longer be cancelled.`, 'ORDER_NOT_CANCELLABLE'));
+      }
+      return callback(statusErr);
+    }
+    if (!result || !result.changed) {
+      return callback(cancelError(`Order #${order.id} is already cancelled.`, 'ORDER_NOT_CANCELLABLE'));
+    }
+
+    const pricing = PricingService.orderPricing(order);
+    const stockContext = { orderId: order.id, userId: customerId };
+    runSteps([
+      ['returning stock', (done) => ProductModel.returnForOrder(order.items, stockContext, done)],
+      ['reversing loyalty points', (done) => reverseLoyalty(order, pricing, done)],
+      ['returning refund credit', (done) => returnCreditUsed(order, pricing, done)]
+    ], () => {
+      refundPayment(order, pricing, refundTo, customerId, (refundErr, refund) => {
+        if (refundErr) return callback(refundErr);
+        callback(null, { order, refund });
+      });
+    });
+  });
+};
+
+// Cancels a customer's own order. refundTo: 'credit' or 'original'. Calls back with
+// { order, refund } (see refundPayment), or null when the order isn't theirs.
+const cancelOrder = (orderId, customerId, refundTo, callback) => {
+  if (!REFUND_TARGETS.includes(refundTo)) {
+    return callback(cancelError('Choose how you would like to be refunded.', 'INVALID_REFUND_TARGET'));
+  }
+  OrderModel.getOrderById(orderId, (err, order) => {
+    if (err) return callback(err);
+    if (!order || order.userId !== customerId) return callback(null, null);
+    if (!isCancellable(order)) {
+      return callback(cancelError(`Order #${order.id} is ${order.statusLabel.toLowerCase()} and can no longer be cancelled.`, 'ORDER_NOT_CANCELLABLE'));
+    }
+
+    // Cancelling refunds the whole order and returns all of its stock, which would pay out and
+    // restock again whatever an earlier refund already covered.
+    RefundService.loadRefunds(order.id, (refundsErr, refunds) => {
+      if (refundsErr) return callback(refundsErr);
+      if (refunds.summary.total > 0) {
+        return callback(cancelError(`Order #${order.id} has already been partly refunded, so it can't be cancelled online. Please contact us.`, 'ORDER_NOT_CANCELLABLE'));
+      }
+      cancelUnrefunded(order, customerId, refundTo, callback);
+    });
+  });
+};
+
+const isCancelError = (err) => !!err && ['INVALID_REFUND_TARGET', 'ORDER_NOT_CANCELLABLE'].includes(err.code);
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  isCancellable,
+  cancelOrder,
+  isCancelError
+};
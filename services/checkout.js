@@ -0,0 +1,277 @@
+// Turning a paid checkout into an order: writing the order, taking the stock, settling loyalty
+// points, store credit and promotions, and emptying the cart. Stripe, PayPal and NETS payments
+// are completed from their payment attempt by whichever of the customer's browser and the
+// provider's webhook reports the payment first.
+const CartModel = require('../models/cart');
+const ProductModel = require('../models/product');
+const OrderModel = require('../models/order');
+const MembershipModel = require('../models/membership');
+const RefundCreditModel = require('../models/refundCredit');
+const StockReservationModel = require('../models/stockReservation');
+const PromotionModel = require('../models/promotion');
+const PaymentAttemptModel = require('../models/paymentAttempt');
+const PricingService = require('./pricing');
+
+const checkoutError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const decrementStockForOrder = (orderItems, context) => {
+  if (!orderItems || !orderItems.length) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    ProductModel.decrementForOrder(orderItems, context, (decErr, results) => {
+      (results || []).filter((r) => r.shortfall > 0).forEach((r) => {
+        console.error(`Stock shortfall of ${r.shortfall} for product ${r.productId}${r.variantId ? ` variant ${r.variantId}` : ''} (order ${context && context.orderId})`);
+      });
+      if (decErr) {
+        console.error('Error decrementing stock', decErr);
+        return reject(decErr);
+      }
+      resolve(results);
+    });
+  });
+};
+
+const persistOrder = (orderPayload, callback) => {
+  const {
+    userId,
+    totalAmount,
+    orderItems,
+    checkoutDetails,
+    promotionLines,
+    loyaltyPoints,
+    transactionId,
+    transactionRefId,
+    paymentMethod,
+    refundCreditAmount,
+    refundCreditId,
+    reservationRef,
+    pricing,
+    fulfilment,
+    contactDetails
+  } = orderPayload;
+  const payload = {
+    userId,
+    totalAmount,
+    status: 'paid',
+    changedBy: userId,
+    pricing,
+    fulfilment,
+    contactDetails
+  };
+  if (transactionId) {
+    payload.transactionId = transactionId;
+  }
+  if (transactionRefId) {
+    payload.transactionRefId = transactionRefId;
+  }
+  if (paymentMethod) {
+    payload.paymentMethod = paymentMethod;
+  }
+
+  OrderModel.createOrder(payload, orderItems, (orderErr, result) => {
+    if (orderErr) return callback(orderErr);
+    const orderId = result.orderId;
+
+    const finalize = (orderData) => {
+      const pointsToGrant = Math.floor((Number(totalAmount) || 0) * 10);
+      const pointsToDeduct = Math.max(0, Math.floor(Number(loyaltyPoints) || 0));
+      // The points that actually moved are kept on the order so cancelling it reverses exactly
+      // those; customers without a membership earn and redeem nothing.
+      const loyaltyApplied = { earned: 0, redeemed: 0 };
+      const membershipTask = new Promise((resolve) => {
+        if (!pointsToGrant && !pointsToDeduct) return resolve(true);
+        MembershipModel.getByUser(userId, (mErr, membership) => {
+          if (mErr) {
+            console.error('Error checking membership', mErr);
+            return resolve(false);
+          }
+          if (!membership) return resolve(true);
+          const operations = [];
+          if (pointsToDeduct > 0) {
+            const deductionPoints = Math.min(membership.points, pointsToDeduct);
+            if (deductionPoints > 0) {
+              operations.push((cb) => {
+                MembershipModel.addPoints(userId, -deductionPoints, (deductErr) => {
+                  if (deductErr) console.error('Error deducting membership points', deductErr);
+                  else loyaltyApplied.redeemed = deductionPoints;
+                  cb();
+                });
+              });
+            }
+          }
+          if (pointsToGrant > 0) {
+            operations.push((cb) => {
+              MembershipModel.addPoints(userId, pointsToGrant, (addErr) => {
+                if (addErr) console.error('Error adding membership points', addErr);
+                else loyaltyApplied.earned = pointsToGrant;
+                cb();
+              });
+            });
+          }
+          const runOperations = () => {
+            if (!operations.length) return resolve(true);
+            const nextOp = operations.shift();
+            nextOp(runOperations);
+          };
+          runOperations();
+        });
+      }).then((known) => new Promise((resolve) => {
+        if (!known) return resolve();
+        OrderModel.recordLoyalty(orderId, loyaltyApplied.earned, loyaltyApplied.redeemed, (lErr) => {
+          if (lErr) console.error('Error recording loyalty points on order', lErr);
+          resolve();
+        });
+      }));
+
+      const creditTask = new Promise((resolve) => {
+        if (!refundCreditId || !refundCreditAmount || Number(refundCreditAmount) <= 0) return resolve();
+        RefundCreditModel.markUsed(refundCreditId, orderId, (cErr) => {
+          if (cErr) console.error('Error marking refund credit used', cErr);
+          resolve();
+        });
+      });
+
+      const promotionTask = new Promise((resolve) => {
+        PromotionModel.recordRedemptions(orderId, userId, promotionLines, (pErr) => {
+          if (pErr) console.error('Error recording promotion redemptions', pErr);
+          resolve();
+        });
+      });
+
+      const stockTask = decrementStockForOrder(orderItems, { orderId, userId })
+        .then(() => new Promise((resolve) => {
+          if (!reservationRef) return resolve();
+          StockReservationModel.commit(reservationRef, orderId, (rErr) => {
+            if (rErr) console.error('Error committing stock reservation', rErr);
+            resolve();
+          });
+        }));
+
+      Promise.all([stockTask, membershipTask, creditTask, promotionTask])
+        .catch((err) => console.error('Post-order error:', err))
+        .finally(() => {
+          CartModel.clearCartByUser(userId, (clearErr) => {
+            if (clearErr) console.error('Error clearing cart after checkout:', clearErr);
+          });
+          callback(null, {
+            order: orderData,
+            orderId,
+            checkoutDetails,
+            pricing: PricingService.orderPricing(orderData)
+          });
+      });
+    };
+
+    OrderModel.getOrderById(orderId, (fetchErr, order) => {
+      if (fetchErr || !order) {
+        const fallbackOrder = {
+          id: orderId,
+          userId,
+          totalAmount,
+          status: 'paid',
+          transactionId: transactionId || null,
+          transactionRefId: transactionRefId || null,
+          pricing: pricing || null,
+          contactDetails: contactDetails || null,
+          items: orderItems
+        };
+        return finalize(fallbackOrder);
+      }
+
+      const enriched = {
+        ...order,
+        transactionId: order.transactionId || transactionId || null,
+        transactionRefId: order.transactionRefId || transactionRefId || null,
+        totalAmount,
+        items: order.items.map((it) => {
+          const fromCart = orderItems.find((ci) => ci.productId === it.productId
+            && (ci.variantId || null) === (it.variantId || null));
+          return {
+            ...it,
+            productName: it.productName || (fromCart && fromCart.productName) || '',
+            image: it.image || (fromCart && fromCart.image) || ''
+          };
+        })
+      };
+
+      finalize(enriched);
+    });
+  });
+};
+
+// The order details a payment attempt keeps until the payment is confirmed; see persistOrder.
+// paymentDetails holds provider references only known when the payment started (NETS txn ids).
+const CHECKOUT_FIELDS = [
+  'totalAmount',
+  'orderItems',
+  'checkoutDetails',
+  'promotionLines',
+  'loyaltyPoints',
+  'refundCreditAmount',
+  'refundCreditId',
+  'reservationRef',
+  'pricing',
+  'fulfilment',
+  'contactDetails',
+  'paymentDetails'
+];
+
+const checkoutSnapshot = (checkout) => CHECKOUT_FIELDS.reduce((snapshot, field) => {
+  snapshot[field] = checkout[field] === undefined ? null : checkout[field];
+  return snapshot;
+}, {});
+
+// Creates the order for a paid payment attempt exactly once. payment: { transactionId,
+// transactionRefId, note, response } - transactionId defaults to the attempt's provider reference,
+// transactionRefId is the Stripe charge or PayPal capture, and note/response are kept on the
+// attempt's history. Calls back with { orderId, created }, created being false when an earlier
+// call already made the order, or a CHECKOUT_IN_PROGRESS error while another call is still making it.
+const completePayment = (attempt, payment, callback) => {
+  if (attempt.status === 'completed' && attempt.orderId) {
+    return callback(null, { orderId: attempt.orderId, created: false });
+  }
+  const details = payment || {};
+  PaymentAttemptModel.claim(attempt.id, { note: details.note || 'Payment confirmed', response: details.response }, (claimErr, claimed) => {
+    if (claimErr) return callback(claimErr);
+    if (!claimed) {
+      return PaymentAttemptModel.getByReference(attempt.provider, attempt.providerReference, (err, current) => {
+        if (err) return callback(err);
+        if (current && current.status === 'completed') return callback(null, { orderId: current.orderId, created: false });
+        callback(checkoutError('This payment is already being turned into an order.', 'CHECKOUT_IN_PROGRESS'));
+      });
+    }
+
+    const payload = {
+      ...(attempt.checkout || {}),
+      userId: attempt.userId,
+      transactionId: details.transactionId || attempt.providerReference,
+      transactionRefId: details.transactionRefId || null,
+      paymentMethod: attempt.provider
+    };
+    persistOrder(payload, (orderErr, orderResult) => {
+      if (orderErr) {
+        PaymentAttemptModel.unclaim(attempt.id, { note: `Order could not be created: ${orderErr.message}` }, (unclaimErr) => {
+          if (unclaimErr) console.error('Error reopening payment attempt', unclaimErr);
+        });
+        return callback(orderErr);
+      }
+      PaymentAttemptModel.complete(attempt.id, orderResult.orderId, { note: `Order #${orderResult.orderId} created` }, (completeErr) => {
+        if (completeErr) console.error('Error marking payment attempt completed', completeErr);
+        callback(null, { ...orderResult, created: true });
+      });
+    });
+  });
+};
+
+const isCheckoutInProgress = (err) => !!err && err.code === 'CHECKOUT_IN_PROGRESS';
+
+module.exports = {
+  persistOrder,
+  checkoutSnapshot,
+  completePayment,
+  isCheckoutInProgress
+};
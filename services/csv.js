@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV reader/writer used for admin imports and downloads.
+
+// Spreadsheet apps run cells that start with these characters as formulas, so text
+// values beginning with one are prefixed with an apostrophe.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => any }]
+const toCsv = (rows, columns) => {
+  const lines = [columns.map((col) => escapeCell(col.header)).join(',')];
+  (rows || []).forEach((row) => {
+    lines.push(columns.map((col) => escapeCell(col.value(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted fields with
+// embedded commas, quotes and newlines, CRLF or LF line endings and a leading BOM.
+// Blank lines are skipped.
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) endRow();
+  return rows;
+};
+
+// Send CSV as a download; the BOM makes Excel read UTF-8 product names correctly.
+const sendCsv = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(`\uFEFF${csv}`);
+};
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  sendCsv
+};
@@ -0,0 +1,183 @@
+// Delivery and pickup slots as checkout sees them: what is still bookable, and whether the slot a
+// customer picked can take one more order. Places are counted from the orders booked into each slot;
+// the place itself is held with the checkout's stock (models/stockReservation.js) so two checkouts
+// can't both take the last one.
+// Also resolves the saved address and contact details that are copied onto the order, and what
+// the delivery fee is worked out from.
+const DeliverySlotModel = require('../models/deliverySlot');
+const OrderModel = require('../models/order');
+const AddressModel = require('../models/address');
+
+const slotError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const withAvailability = (slots, counts) => slots.map((slot) => {
+  const booked = counts[slot.id] || 0;
+  return {
+    ...slot,
+    booked,
+    remaining: Math.max(0, slot.capacity - booked),
+    full: booked >= slot.capacity
+  };
+});
+
+// Upcoming slots with booked/remaining counts. Pass includeInactive for the admin list.
+const listSlots = (includeInactive, callback) => {
+  DeliverySlotModel.getUpcoming(includeInactive, (err, slots) => {
+    if (err) return callback(err);
+    OrderModel.countSlotBookings(slots.map((slot) => slot.id), (countErr, counts) => {
+      if (countErr) return callback(countErr);
+      callback(null, withAvailability(slots, counts));
+    });
+  });
+};
+
+// Active slots for checkout, grouped by method: { delivery: [...], pickup: [...] }.
+const slotOptions = (callback) => {
+  listSlots(false, (err, slots) => {
+    if (err) return callback(err);
+    const options = {};
+    Object.keys(DeliverySlotModel.FULFILMENT_METHODS).forEach((method) => {
+      options[method] = slots.filter((slot) => slot.method === method);
+    });
+    callback(null, options);
+  });
+};
+
+// What the checkout form offers: { slots: slotOptions(), addresses: the user's address book }.
+const checkoutOptions = (userId, callback) => {
+  slotOptions((slotErr, slots) => {
+    if (slotErr) return callback(slotErr);
+    AddressModel.getByUser(userId, (addressErr, addresses) => {
+      if (addressErr) return callback(addressErr);
+      callback(null, { slots, addresses });
+    });
+  });
+};
+
+// Checks the method and slot posted from checkout. Calls back with the fulfilment to store on the
+// order ({ method, slotId, startsAt, endsAt, express, methodLabel, slotLabel }) or an error coded
+// INVALID_FULFILMENT, SLOT_UNAVAILABLE or SLOT_FULL.
+const checkSlot = (method, slotId, callback) => {
+  if (!DeliverySlotModel.FULFILMENT_METHODS[method]) {
+    return callback(slotError('Choose home delivery or store pickup.', 'INVALID_FULFILMENT'));
+  }
+  const id = parseInt(slotId, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return callback(slotError('Choose a time slot.', 'INVALID_FULFILMENT'));
+  }
+
+  DeliverySlotModel.getById(id, (err, slot) => {
+    if (err) return callback(err);
+    if (!slot || !slot.active || slot.method !== method || new Date(slot.startsAt).getTime() <= Date.now()) {
+      return callback(slotError('That time slot is no longer available. Please choose another.', 'SLOT_UNAVAILABLE'));
+    }
+    OrderModel.countSlotBookings([slot.id], (countErr, counts) => {
+      if (countErr) return callback(countErr);
+      if ((counts[slot.id] || 0) >= slot.capacity) {
+        return callback(slotError(`${slot.methodLabel} on ${slot.label} is full. Please choose another slot.`, 'SLOT_FULL'));
+      }
+      callback(null, {
+        method,
+        slotId: slot.id,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        express: slot.express,
+        methodLabel: slot.methodLabel,
+        slotLabel: slot.label
+      });
+    });
+  });
+};
+
+// The snapshot stored as orders.contactDetails. Pickup orders only need an address if one was picked.
+const contactDetails = (user, body, address) => ({
+  fullName: String(body.fullName || user.username || '').trim(),
+  email: String(body.email || user.email || '').trim(),
+  contact: String(body.contact || user.contact || '').trim(),
+  addressId: address ? address.id : null,
+  addressLabel: address ? address.label : null,
+  recipientName: address ? address.recipientName : null,
+  address: address ? address.formatted : '',
+  postalCode: address ? address.postalCode : null
+});
+
+const loadAddress = (user, method, addressId, callback) => {
+  const id = parseInt(addressId, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    if (method === 'pickup') return callback(null, null);
+    return callback(slotError('Choose a delivery address.', 'ADDRESS_REQUIRED'));
+  }
+  AddressModel.getById(id, user.id, (err, address) => {
+    if (err) return callback(err);
+    if (!address) return callback(slotError('That address is no longer in your address book.', 'ADDRESS_REQUIRED'));
+    if (method === 'delivery' && !AddressModel.POSTAL_CODE_PATTERN.test(address.postalCode || '')) {
+      return callback(slotError(`Add a postal code to your ${address.label} address before using it for delivery.`, 'ADDRESS_REQUIRED'));
+    }
+    callback(null, address);
+  });
+};
+
+// Everything checkout needs to know about getting the order to the customer, from the posted form
+// (fulfilmentMethod, deliverySlotId, addressId, fullName, email, contact). Calls back with
+// { fulfilment, contactDetails }.
+const resolveDelivery = (user, body = {}, callback) => {
+  checkSlot(body.fulfilmentMethod, body.deliverySlotId, (slotErr, fulfilment) => {
+    if (slotErr) return callback(slotErr);
+    loadAddress(user, fulfilment.method, body.addressId, (addressErr, address) => {
+      if (addressErr) return callback(addressErr);
+      callback(null, { fulfilment, contactDetails: contactDetails(user, body, address) });
+    });
+  });
+};
+
+// What services/pricing needs to charge for delivery: { method, postalCode, express }.
+const feeContext = ({ fulfilment, contactDetails }) => ({
+  method: fulfilment.method,
+  postalCode: contactDetails ? contactDetails.postalCode : null,
+  express: !!fulfilment.express
+});
+
+// The same context for a checkout form that may be half filled in, so the page can show the
+// delivery line as the customer changes their choices. With no address picked yet the default
+// one is used, as the form preselects it. Anything missing or not theirs is ignored rather than
+// reported; resolveDelivery does the checking when they pay.
+const quoteContext = (user, body = {}, callback) => {
+  const method = DeliverySlotModel.FULFILMENT_METHODS[body.fulfilmentMethod] ? body.fulfilmentMethod : 'delivery';
+  const slotId = parseInt(body.deliverySlotId, 10);
+  const addressId = parseInt(body.addressId, 10);
+
+  const loadSlot = (cb) => (Number.isInteger(slotId) && slotId > 0 ? DeliverySlotModel.getById(slotId, cb) : cb(null, null));
+  const loadQuoteAddress = (cb) => {
+    if (Number.isInteger(addressId) && addressId > 0) return AddressModel.getById(addressId, user.id, cb);
+    AddressModel.getByUser(user.id, (err, addresses) => cb(err, addresses && addresses[0]));
+  };
+
+  loadSlot((slotErr, slot) => {
+    if (slotErr) return callback(slotErr);
+    loadQuoteAddress((addressErr, address) => {
+      if (addressErr) return callback(addressErr);
+      callback(null, {
+        method,
+        postalCode: address ? address.postalCode : null,
+        express: !!(slot && slot.method === method && slot.express)
+      });
+    });
+  });
+};
+
+const isDeliveryError = (err) => !!err && ['INVALID_FULFILMENT', 'SLOT_UNAVAILABLE', 'SLOT_FULL', 'ADDRESS_REQUIRED'].includes(err.code);
+
+module.exports = {
+  listSlots,
+  slotOptions,
+  checkoutOptions,
+  checkSlot,
+  resolveDelivery,
+  feeContext,
+  quoteContext,
+  isDeliveryError
+};
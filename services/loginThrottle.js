@@ -0,0 +1,108 @@
+// Limits on password guessing at sign-in. Three layers:
+// - an IP address with too many failures across any accounts is refused for a while;
+// - an account that has just failed a few times in a row must wait between attempts;
+// - an account that keeps failing is locked for a while, or until an admin unlocks it.
+// Unknown emails only count against the IP, so the responses don't reveal which emails exist
+// beyond what a locked account says about itself.
+const UserModel = require('../models/user');
+const LoginAttemptModel = require('../models/loginAttempt');
+
+const IP_WINDOW_MINUTES = 15;
+const IP_MAX_FAILURES = 20;
+
+const ACCOUNT_DELAY_AFTER = 3;
+const ACCOUNT_DELAY_SECONDS = 30;
+
+const LOCKOUT_AFTER = 5;
+const LOCKOUT_MINUTES = 15;
+
+const throttleError = (message, code, retryAfterSeconds) => {
+  const err = new Error(message);
+  err.code = code;
+  err.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterSeconds));
+  return err;
+};
+
+const describeWait = (seconds) => {
+  if (seconds < 60) return `${Math.max(1, Math.ceil(seconds))} seconds`;
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+const lockedError = (seconds) => throttleError(
+  `This account is locked after too many failed sign-in attempts. Try again in ${describeWait(seconds)} or contact us to unlock it.`,
+  'ACCOUNT_LOCKED',
+  seconds
+);
+
+// Calls back with a LOGIN_THROTTLED error when the IP address has used up its failures.
+const checkIp = (ip, callback) => {
+  LoginAttemptModel.getRecentFailuresByIp(ip, IP_WINDOW_MINUTES, (err, recent) => {
+    if (err) return callback(err);
+    if (recent.failures < IP_MAX_FAILURES) return callback(null);
+    callback(throttleError(
+      `Too many failed sign-in attempts from your network. Try again in ${describeWait(recent.secondsUntilOldestExpires)}.`,
+      'LOGIN_THROTTLED',
+      recent.secondsUntilOldestExpires
+    ));
+  });
+};
+
+// Returns an ACCOUNT_LOCKED or LOGIN_THROTTLED error if the account can't be tried right now.
+// user: from UserModel.getUserByEmail.
+const checkAccount = (user) => {
+  const login = (user && user.login) || {};
+  if (login.lockSecondsLeft > 0) return lockedError(login.lockSecondsLeft);
+  if (login.failedLogins >= ACCOUNT_DELAY_AFTER && login.secondsSinceFailure != null
+    && login.secondsSinceFailure < ACCOUNT_DELAY_SECONDS) {
+    const wait = ACCOUNT_DELAY_SECONDS - login.secondsSinceFailure;
+    return throttleError(`Too many failed attempts for this account. Wait ${describeWait(wait)} before trying again.`, 'LOGIN_THROTTLED', wait);
+  }
+  return null;
+};
+
+const logAttempt = (ip, email, user, succeeded) => {
+  LoginAttemptModel.record({ ip, email, userId: user && user.id, succeeded }, (err) => {
+    if (err) console.error('Error recording login attempt', err);
+  });
+};
+
+// Records a failed attempt. countAgainstAccount is false when the account was refused without
+// checking the password (it is already locked or throttled), so waiting it out still works.
+// Calls back with an ACCOUNT_LOCKED error if this failure locked the account.
+const recordFailure = (ip, email, user, countAgainstAccount, callback) => {
+  logAttempt(ip, email, user, false);
+  if (!user || !countAgainstAccount) return callback(null);
+  UserModel.recordFailedLogin(user.id, LOCKOUT_AFTER, LOCKOUT_MINUTES, (err) => {
+    if (err) {
+      console.error(`Error recording failed login for user #${user.id}`, err);
+      return callback(null);
+    }
+    // As in UserModel.recordFailedLogin, a lock that has run out starts the count again.
+    const login = user.login || {};
+    const lockExpired = !!login.lockedUntil && !login.lockSecondsLeft;
+    const failures = (lockExpired ? 0 : login.failedLogins || 0) + 1;
+    callback(failures >= LOCKOUT_AFTER ? lockedError(LOCKOUT_MINUTES * 60) : null);
+  });
+};
+
+const recordSuccess = (ip, email, user) => {
+  logAttempt(ip, email, user, true);
+  if (!user.login || !user.login.failedLogins) return;
+  UserModel.clearFailedLogins(user.id, (err) => {
+    if (err) console.error(`Error clearing failed logins for user #${user.id}`, err);
+  });
+};
+
+const isThrottleError = (err) => !!err && ['LOGIN_THROTTLED', 'ACCOUNT_LOCKED'].includes(err.code);
+
+module.exports = {
+  IP_WINDOW_MINUTES,
+  LOCKOUT_AFTER,
+  LOCKOUT_MINUTES,
+  checkIp,
+  checkAccount,
+  recordFailure,
+  recordSuccess,
+  isThrottleError
+};
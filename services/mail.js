@@ -0,0 +1,62 @@
+// Outgoing email. Messages go through a transport chosen with MAIL_TRANSPORT:
+// - console (default): prints each message, for local development;
+// - file: writes each message as JSON into MAIL_OUTBOX_DIR (default ./outbox), so tests and
+//   developers can open the links in it.
+// A real provider can be added with registerTransport(name, transport) and selected the same way.
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+const MAIL_FROM = (process.env.MAIL_FROM || 'Supermarket App <no-reply@supermarket.local>').trim();
+const MAIL_OUTBOX_DIR = (process.env.MAIL_OUTBOX_DIR || '').trim() || path.join(__dirname, '..', 'outbox');
+
+// A transport is { send(message, callback) }; message: { from, to, subject, text, html }.
+const consoleTransport = {
+  send(message, callback) {
+    console.log([
+      '--- outgoing email ---',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '----------------------'
+    ].join('\n'));
+    callback(null, { transport: 'console' });
+  }
+};
+
+const fileTransport = {
+  send(message, callback) {
+    fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true }, (dirErr) => {
+      if (dirErr) return callback(dirErr);
+      const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(MAIL_OUTBOX_DIR, `${Date.now()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}-${safeTo}.json`);
+      const body = JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2);
+      fs.writeFile(file, body, (err) => callback(err, { transport: 'file', file }));
+    });
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') throw new Error('A mail transport needs a send(message, callback) function.');
+  transports[String(name).toLowerCase()] = transport;
+};
+
+// message: { to, subject, text, html }. Calls back with whatever the transport reports.
+const send = (message, callback) => {
+  const transport = transports[MAIL_TRANSPORT];
+  if (!transport) return callback(new Error(`Unknown mail transport "${MAIL_TRANSPORT}". Set MAIL_TRANSPORT to one of: ${Object.keys(transports).join(', ')}.`));
+  if (!message || !message.to || !message.subject) return callback(new Error('Email needs a recipient and a subject.'));
+  transport.send({ from: MAIL_FROM, ...message }, callback);
+};
+
+module.exports = {
+  registerTransport,
+  send
+};
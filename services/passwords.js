@@ -0,0 +1,66 @@
+// Password hashing for every account. Passwords are hashed with scrypt and a random salt, stored
+// as "scrypt$N$r$p$salt$key" (salt and key in base64) so the cost can be raised later without
+// invalidating existing hashes. Accounts created before this still hold an unsalted SHA-1 hex
+// digest; those are accepted once more and flagged so the caller can store a new hash.
+const crypto = require('crypto');
+
+const SCHEME = 'scrypt';
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const LEGACY_SHA1 = /^[a-f0-9]{40}$/i;
+
+// scrypt needs 128 * N * r bytes; leave headroom over Node's 32MB default for raised costs.
+const maxmemFor = ({ N, r }) => Math.max(32 * 1024 * 1024, 256 * N * r);
+
+const derive = (password, salt, cost, keyLength, callback) => {
+  crypto.scrypt(String(password), salt, keyLength, { ...cost, maxmem: maxmemFor(cost) }, callback);
+};
+
+const parse = (stored) => {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== SCHEME) return null;
+  const [, N, r, p, salt, key] = parts;
+  const cost = { N: Number(N), r: Number(r), p: Number(p) };
+  if (!Object.values(cost).every((value) => Number.isInteger(value) && value > 0)) return null;
+  return { cost, salt: Buffer.from(salt, 'base64'), key: Buffer.from(key, 'base64') };
+};
+
+const sameBytes = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+// Calls back with the encoded hash to store for a password.
+const hash = (password, callback) => {
+  crypto.randomBytes(SALT_BYTES, (saltErr, salt) => {
+    if (saltErr) return callback(saltErr);
+    derive(password, salt, COST, KEY_LENGTH, (err, key) => {
+      if (err) return callback(err);
+      callback(null, [SCHEME, COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$'));
+    });
+  });
+};
+
+// Calls back with { valid, needsRehash }. needsRehash is set for a correct password whose stored
+// hash is the old SHA-1 digest or uses a lower cost than new hashes do.
+const verify = (password, stored, callback) => {
+  if (!password || !stored) return callback(null, { valid: false, needsRehash: false });
+
+  if (LEGACY_SHA1.test(stored)) {
+    const digest = crypto.createHash('sha1').update(String(password)).digest();
+    const valid = sameBytes(digest, Buffer.from(stored, 'hex'));
+    return callback(null, { valid, needsRehash: valid });
+  }
+
+  const parsed = parse(stored);
+  if (!parsed) return callback(null, { valid: false, needsRehash: false });
+  derive(password, parsed.salt, parsed.cost, parsed.key.length, (err, key) => {
+    if (err) return callback(err);
+    const valid = sameBytes(key, parsed.key);
+    const outdated = parsed.cost.N < COST.N || parsed.cost.r < COST.r || parsed.cost.p < COST.p;
+    callback(null, { valid, needsRehash: valid && outdated });
+  });
+};
+
+module.exports = {
+  hash,
+  verify
+};
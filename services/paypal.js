@@ -10,6 +10,8 @@ const DEFAULT_PAYPAL_API = IS_LIVE_ENV
   ? 'https://api-m.paypal.com'
   : 'https://api-m.sandbox.paypal.com';
 const PAYPAL_API = (process.env.PAYPAL_API || '').trim() || DEFAULT_PAYPAL_API;
+// ID of the webhook set up in the PayPal developer dashboard for /webhooks/paypal.
+const PAYPAL_WEBHOOK_ID = (process.env.PAYPAL_WEBHOOK_ID || '').trim();
 
 const ensureConfig = () => {
   if (!PAYPAL_CLIENT || !PAYPAL_SECRET || !PAYPAL_API) {
@@ -80,7 +82,66 @@ async function captureOrder(orderId) {
   return response.json();
 }
 
+// Refunds part or all of a captured payment. amount is a string with two decimals, like createOrder's.
+async function refundCapture(captureId, amount) {
+  ensureConfig();
+  const accessToken = await getAccessToken();
+  const response = await fetch(`${PAYPAL_API}/v2/payments/captures/${captureId}/refund`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`
+    },
+    body: JSON.stringify({
+      amount: {
+        currency_code: 'SGD',
+        value: amount
+      }
+    })
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    // The status tells a refused refund (4xx) apart from one that may have gone through (5xx)
+    throw Object.assign(new Error(`PayPal refundCapture failed: ${response.status} ${text}`), { statusCode: response.status });
+  }
+  return response.json();
+}
+
+// Asks PayPal whether a webhook delivery really came from it, using the transmission headers it
+// was sent with. event is the parsed request body.
+async function verifyWebhookSignature(headers, event) {
+  ensureConfig();
+  if (!PAYPAL_WEBHOOK_ID) {
+    throw new Error('Missing PayPal configuration. Please set PAYPAL_WEBHOOK_ID.');
+  }
+  const accessToken = await getAccessToken();
+  const response = await fetch(`${PAYPAL_API}/v1/notifications/verify-webhook-signature`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`
+    },
+    body: JSON.stringify({
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: PAYPAL_WEBHOOK_ID,
+      webhook_event: event
+    })
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`PayPal verifyWebhookSignature failed: ${response.status} ${text}`);
+  }
+  const data = await response.json();
+  return data.verification_status === 'SUCCESS';
+}
+
 module.exports = {
   createOrder,
-  captureOrder
+  captureOrder,
+  refundCapture,
+  verifyWebhookSignature
 };
@@ -0,0 +1,353 @@
+// Store staff assembling paid orders: the queue grouped by delivery/pickup slot, pick lists in
+// aisle (category) order, marking each line, proposing substitutes, and packing. Lines that could
+// not be supplied, and the saving on cheaper substitutes, are credited back to the customer as
+// refund credit when the order is packed.
+const OrderModel = require('../models/order');
+const OrderPickModel = require('../models/orderPick');
+const OrderSubstitutionModel = require('../models/orderSubstitution');
+const ProductModel = require('../models/product');
+const PricingService = require('./pricing');
+const RefundService = require('./refunds');
+
+// Orders staff can still work on. Marking the first line moves a paid order to picking.
+const PICKABLE_STATUSES = ['paid', 'picking'];
+
+const pickError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const byAisle = (a, b) => String(a.category || '').localeCompare(String(b.category || ''))
+  || String(a.productName || '').localeCompare(String(b.productName || ''));
+
+// Orders placed before customers were asked are treated as happy with any similar item.
+const preferenceOf = (item) => (OrderSubstitutionModel.SUBSTITUTION_PREFERENCES[item.substitution] ? item.substitution : 'any');
+
+// Each item with its substitute (null unless one was proposed) and what it would be worth to the
+// customer: difference > 0 is credited back, a dearer substitute costs them nothing extra.
+const withSubstitutes = (order, substitutes) => ({
+  ...order,
+  items: order.items.map((item) => {
+    const substitute = substitutes[item.id];
+    return {
+      ...item,
+      substitution: preferenceOf(item),
+      substitutionLabel: OrderSubstitutionModel.SUBSTITUTION_PREFERENCES[preferenceOf(item)],
+      substitute: substitute
+        ? { ...substitute, difference: PricingService.substituteDifference(order, item, substitute) }
+        : null
+    };
+  })
+});
+
+const loadSubstitutes = (orders, callback) => {
+  OrderSubstitutionModel.getByOrderIds(orders.map((order) => order.id), (err, substitutes) => {
+    if (err) return callback(err);
+    callback(null, orders.map((order) => withSubstitutes(order, substitutes)));
+  });
+};
+
+// The order with each item's pick (null until marked), items in category order, and progress counts.
+const withPicks = (order, picks) => {
+  const items = order.items
+    .map((item) => ({ ...item, pick: picks[item.id] || null }))
+    .sort(byAisle);
+  const marked = items.filter((item) => item.pick).length;
+  return {
+    ...order,
+    items,
+    progress: {
+      marked,
+      total: items.length,
+      complete: items.length > 0 && marked === items.length,
+      short: items.filter((item) => item.pick && item.pick.status === 'out_of_stock').length
+    }
+  };
+};
+
+const loadPicks = (orders, callback) => {
+  OrderPickModel.getByOrderIds(orders.map((order) => order.id), (err, picks) => {
+    if (err) return callback(err);
+    loadSubstitutes(orders, (subErr, withSubs) => {
+      if (subErr) return callback(subErr);
+      callback(null, withSubs.map((order) => withPicks(order, picks)));
+    });
+  });
+};
+
+// Paid and picking orders grouped by slot, soonest first:
+// [{ key, label, methodLabel, orders }]. Orders placed without a slot are grouped last.
+const queue = (callback) => {
+  OrderModel.getOrdersByStatus(PICKABLE_STATUSES, (err, orders) => {
+    if (err) return callback(err);
+    loadPicks(orders, (pickErr, picked) => {
+      if (pickErr) return callback(pickErr);
+      const groups = [];
+      const byKey = {};
+      picked.forEach((order) => {
+        const fulfilment = order.fulfilment;
+        const key = fulfilment && fulfilment.slotId ? String(fulfilment.slotId) : 'none';
+        if (!byKey[key]) {
+          byKey[key] = {
+            key,
+            label: fulfilment && fulfilment.slotLabel ? fulfilment.slotLabel : 'No slot booked',
+            methodLabel: fulfilment ? fulfilment.methodLabel : null,
+            orders: []
+          };
+          groups.push(byKey[key]);
+        }
+        byKey[key].orders.push(order);
+      });
+      callback(null, groups);
+    });
+  });
+};
+
+// One order with its picks, whatever its status, for the pick sheet.
+const pickSheet = (orderId, callback) => {
+  OrderModel.getOrderById(orderId, (err, order) => {
+    if (err) return callback(err);
+    if (!order) return callback(null, null);
+    loadPicks([order], (pickErr, picked) => callback(pickErr, picked && picked[0]));
+  });
+};
+
+// Every line of the given orders in one walk of the store: [{ ...item, orderId }] by category.
+const pickListLines = (orders) => orders
+  .reduce((lines, order) => lines.concat(order.items.map((item) => ({ ...item, orderId: order.id }))), [])
+  .sort((a, b) => byAisle(a, b) || a.orderId - b.orderId);
+
+// The orders to print for a slot key from the queue ('none' for orders without a slot).
+const slotPickList = (slotKey, callback) => {
+  queue((err, groups) => {
+    if (err) return callback(err);
+    callback(null, groups.find((group) => group.key === String(slotKey)) || null);
+  });
+};
+
+// Moves a paid order to picking the first time anything is done to it.
+const startPicking = (order, staffId, callback) => {
+  if (order.status === 'picking') return callback();
+  OrderModel.updateStatus(order.id, 'picking', { changedBy: staffId, note: 'Picking started' }, (err) => callback(err));
+};
+
+// The order and line staff are working on, or an error when the order can't be picked any more.
+const loadPickableLine = (orderId, orderItemId, callback) => {
+  pickSheet(orderId, (err, order) => {
+    if (err) return callback(err);
+    if (!order) return callback(null, null);
+    if (!PICKABLE_STATUSES.includes(order.status)) {
+      return callback(pickError(`Order #${order.id} is ${order.statusLabel.toLowerCase()} and can no longer be picked.`, 'ORDER_NOT_PICKABLE'));
+    }
+    const item = order.items.find((it) => it.id === orderItemId);
+    if (!item) return callback(pickError('That line is not on this order.', 'INVALID_PICK'));
+    callback(null, { order, item });
+  });
+};
+
+// pick: { status, missingQuantity, note }. Out of stock lines say how many could not be supplied
+// (all of them unless given); substitutions need a note saying what went in instead. Marking a
+// line picked or out of stock withdraws any substitute offered for it.
+const markLine = (orderId, orderItemId, pick, staffId, callback) => {
+  if (!OrderPickModel.PICK_STATUSES[pick.status]) {
+    return callback(pickError('Mark the line as picked, substituted or out of stock.', 'INVALID_PICK'));
+  }
+  loadPickableLine(orderId, orderItemId, (err, found) => {
+    if (err || !found) return callback(err, null);
+    const { order, item } = found;
+
+    const note = String(pick.note || '').trim();
+    let missingQuantity = 0;
+    if (pick.status === 'out_of_stock') {
+      const requested = parseInt(pick.missingQuantity, 10);
+      missingQuantity = Number.isInteger(requested) ? requested : item.quantity;
+      if (missingQuantity < 1 || missingQuantity > item.quantity) {
+        return callback(pickError(`Missing quantity must be between 1 and ${item.quantity}.`, 'INVALID_PICK'));
+      }
+    }
+    if (pick.status === 'substituted' && item.substitution === 'none') {
+      return callback(pickError('The customer asked for no substitute on this line.', 'INVALID_PICK'));
+    }
+    if (pick.status === 'substituted' && !note) {
+      return callback(pickError('Say what was substituted.', 'INVALID_PICK'));
+    }
+
+    startPicking(order, staffId, (statusErr) => {
+      if (statusErr) return callback(statusErr);
+      OrderPickModel.mark(order.id, item.id, { status: pick.status, missingQuantity, note, pickedBy: staffId }, (markErr) => {
+        if (markErr) return callback(markErr);
+        if (pick.status === 'substituted' || !item.substitute) return callback(null, { order, item });
+        OrderSubstitutionModel.withdraw(item.id, (withdrawErr) => callback(withdrawErr, { order, item }));
+      });
+    });
+  });
+};
+
+// Offers the customer a substitute for a line: { productId, quantity } (the line's quantity unless
+// given). The line is marked substituted while the customer decides. Calls back with { order, item, substitute }.
+const proposeSubstitute = (orderId, orderItemId, proposal, staffId, callback) => {
+  loadPickableLine(orderId, orderItemId, (err, found) => {
+    if (err || !found) return callback(err, null);
+    const { order, item } = found;
+    if (item.substitution === 'none') {
+      return callback(pickError('The customer asked for no substitute on this line.', 'INVALID_PICK'));
+    }
+    const requested = parseInt(proposal.quantity, 10);
+    const quantity = Number.isInteger(requested) ? requested : item.quantity;
+    if (quantity < 1) return callback(pickError('Substitute quantity must be at least 1.', 'INVALID_PICK'));
+
+    ProductModel.getProductById(parseInt(proposal.productId, 10), (productErr, product) => {
+      if (productErr) return callback(productErr);
+      if (!product || product.id === item.productId) {
+        return callback(pickError('Choose a different product as the substitute.', 'INVALID_PICK'));
+      }
+      if (Number(product.quantity) < quantity) {
+        return callback(pickError(`Only ${product.quantity} ${product.productName} in stock.`, 'INVALID_PICK'));
+      }
+
+      const substitute = {
+        productId: product.id,
+        productName: product.productName,
+        quantity,
+        price: Number(product.price) || 0,
+        proposedBy: staffId
+      };
+      startPicking(order, staffId, (statusErr) => {
+        if (statusErr) return callback(statusErr);
+        OrderSubstitutionModel.propose(order.id, item.id, substitute, (proposeErr) => {
+          if (proposeErr) return callback(proposeErr);
+          const note = `Offered ${quantity} x ${product.productName}`;
+          OrderPickModel.mark(order.id, item.id, { status: 'substituted', missingQuantity: 0, note, pickedBy: staffId }, (markErr) => {
+            if (markErr) return callback(markErr);
+            callback(null, { order, item, substitute });
+          });
+        });
+      });
+    });
+  });
+};
+
+// The customer's answer to a substitute on their own order. A rejected substitute leaves the line
+// out of stock, so it is credited in full when the order is packed. Calls back with null when the
+// order or line isn't theirs.
+const respondToSubstitute = (orderId, orderItemId, accept, customerId, callback) => {
+  pickSheet(orderId, (err, order) => {
+    if (err) return callback(err);
+    if (!order || order.userId !== customerId) return callback(null, null);
+    const item = order.items.find((it) => it.id === orderItemId);
+    if (!item) return callback(null, null);
+    if (!item.substitute || item.substitute.status !== 'proposed' || !PICKABLE_STATUSES.includes(order.status)) {
+      return callback(pickError('That substitute is no longer waiting for your answer.', 'SUBSTITUTE_CLOSED'));
+    }
+
+    OrderSubstitutionModel.respond(item.id, accept ? 'accepted' : 'rejected', customerId, (respondErr, result) => {
+      if (respondErr) return callback(respondErr);
+      if (!result || !result.affectedRows) {
+        return callback(pickError('That substitute is no longer waiting for your answer.', 'SUBSTITUTE_CLOSED'));
+      }
+      if (accept) return callback(null, { order, item });
+      const pick = {
+        status: 'out_of_stock',
+        missingQuantity: item.quantity,
+        note: `Customer declined ${item.substitute.productName}`,
+        pickedBy: item.pick ? item.pick.pickedBy : null
+      };
+      OrderPickModel.mark(order.id, item.id, pick, (markErr) => callback(markErr, { order, item }));
+    });
+  });
+};
+
+// Runs work(entry, done) for each entry in turn; failures are logged and the rest still run.
+const eachInTurn = (entries, work, what, callback) => {
+  const remaining = entries.slice();
+  const next = () => {
+    if (!remaining.length) return callback();
+    work(remaining.shift(), (err) => {
+      if (err) console.error(`Error ${what}`, err);
+      next();
+    });
+  };
+  next();
+};
+
+// After packing: substitutes still awaiting a reply are accepted (the customer allowed
+// substitutes on those lines), and substitute products come out of stock.
+const settleSubstitutes = (order, substituted, staffId, callback) => {
+  const pending = substituted.filter((item) => item.substitute.status === 'proposed');
+  eachInTurn(pending, (item, done) => OrderSubstitutionModel.respond(item.id, 'accepted', null, done), 'accepting substitute', () => {
+    eachInTurn(substituted, (item, done) => ProductModel.adjustStock({
+      productId: item.substitute.productId,
+      delta: -item.substitute.quantity,
+      movementType: 'sale',
+      reason: `Substitute on order #${order.id}`,
+      orderId: order.id,
+      userId: staffId,
+      allowShortfall: true
+    }, done), 'taking substitute out of stock', callback);
+  });
+};
+
+// Confirms an order is packed. Every line must be marked first. Calls back with
+// { order, refundAmount, creditId }; the credit is only issued the first time the order is packed.
+const packOrder = (orderId, staffId, callback) => {
+  pickSheet(orderId, (err, order) => {
+    if (err) return callback(err);
+    if (!order) return callback(null, null);
+    if (!PICKABLE_STATUSES.includes(order.status)) {
+      return callback(pickError(`Order #${order.id} is ${order.statusLabel.toLowerCase()} and cannot be packed.`, 'ORDER_NOT_PICKABLE'));
+    }
+    if (!order.progress.complete) {
+      const left = order.progress.total - order.progress.marked;
+      return callback(pickError(`Mark the remaining ${left} line${left === 1 ? '' : 's'} before packing.`, 'PICK_INCOMPLETE'));
+    }
+
+    const missing = order.items
+      .filter((item) => item.pick.status === 'out_of_stock')
+      .map((item) => ({ item, quantity: item.pick.missingQuantity }));
+    const substituted = order.items.filter((item) => item.pick.status === 'substituted'
+      && item.substitute && item.substitute.status !== 'rejected');
+    const substituteSaving = substituted.reduce((sum, item) => sum + Math.max(0, item.substitute.difference), 0);
+    const refundAmount = order.pickRefundCreditId
+      ? 0
+      : PricingService.roundMoney(PricingService.shortfallRefund(order, missing) + substituteSaving);
+    const notes = [];
+    if (missing.length) notes.push(`${missing.length} line${missing.length === 1 ? '' : 's'} out of stock`);
+    if (substituted.length) notes.push(`${substituted.length} substitute${substituted.length === 1 ? '' : 's'}`);
+    const note = notes.length ? `Packed with ${notes.join(' and ')}` : 'Packed';
+
+    OrderModel.updateStatus(order.id, 'packed', { changedBy: staffId, note }, (statusErr, result) => {
+      if (statusErr) return callback(statusErr);
+      if (!result || !result.changed) return callback(null, { order, refundAmount: 0, creditId: null });
+
+      settleSubstitutes(order, substituted, staffId, () => {
+        if (refundAmount <= 0) return callback(null, { order, refundAmount: 0, creditId: null });
+        const refund = { order, amount: refundAmount, method: 'credit', source: 'picking', createdBy: staffId };
+        RefundService.issueRefund(refund, (creditErr, record) => {
+          if (creditErr) return callback(creditErr);
+          const creditId = record.refundCreditId;
+          OrderModel.recordPickRefund(order.id, refundAmount, creditId, (recordErr) => {
+            if (recordErr) console.error('Error recording pick refund on order', recordErr);
+            callback(null, { order, refundAmount, creditId });
+          });
+        });
+      });
+    });
+  });
+};
+
+const isPickError = (err) => !!err && ['INVALID_PICK', 'ORDER_NOT_PICKABLE', 'PICK_INCOMPLETE', 'SUBSTITUTE_CLOSED', 'INVALID_STATUS_TRANSITION'].includes(err.code);
+
+module.exports = {
+  PICKABLE_STATUSES,
+  queue,
+  pickSheet,
+  pickListLines,
+  slotPickList,
+  loadSubstitutes,
+  markLine,
+  proposeSubstitute,
+  respondToSubstitute,
+  packOrder,
+  isPickError
+};
@@ -0,0 +1,306 @@
+// Single source of checkout totals. Cart, checkout, every payment provider and NETS price
+// through priceCheckout; the resulting breakdown is stored on the order (orders.pricing) so
+// invoices and refunds read what the customer was actually charged.
+const CartModel = require('../models/cart');
+const RefundCreditModel = require('../models/refundCredit');
+const TaxRateModel = require('../models/taxRate');
+const DeliveryFeeModel = require('../models/deliveryFee');
+const DeliverySlotModel = require('../models/deliverySlot');
+const MembershipModel = require('../models/membership');
+const PromotionService = require('./promotions');
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+const mapCartItems = (items) => {
+  const cart = (items || []).map((item) => {
+    const quantity = Number(item.quantity) || 0;
+    const unitPrice = Number(item.price) || 0;
+    return {
+      ...item,
+      quantity,
+      unitPrice,
+      lineTotal: roundMoney(unitPrice * quantity)
+    };
+  });
+
+  const cartTotal = roundMoney(cart.reduce((sum, item) => sum + item.lineTotal, 0));
+  return { cart, cartTotal };
+};
+
+// Points are worth 10 cents each and can never bring the total to zero.
+const maxRedeemablePoints = (total) => Math.max(0, Math.floor(Number(total) * 10 + Number.EPSILON) - 1);
+
+const computeLoyaltyUsage = (loyaltyRedemption, total) => {
+  if (!loyaltyRedemption || !Number.isFinite(total) || total <= 0) {
+    return { points: 0, amount: 0 };
+  }
+  const requestedPoints = Math.floor(Number(loyaltyRedemption.points) || 0);
+  const points = Math.min(Math.max(0, requestedPoints), maxRedeemablePoints(total));
+  return { points, amount: roundMoney(points / 10) };
+};
+
+const toOrderItems = (cart) => cart.map((item) => ({
+  productId: item.productId,
+  variantId: item.variantId || null,
+  variantLabel: item.variantLabel || null,
+  quantity: Number(item.quantity),
+  price: item.unitPrice,
+  productName: item.productName,
+  category: item.category || null,
+  image: item.image,
+  discount: item.promotionDiscount || 0,
+  taxRate: item.taxRate != null ? item.taxRate : null,
+  taxAmount: item.taxAmount || 0,
+  substitution: item.substitution || 'any',
+  substituteProductId: item.substituteProductId || null
+}));
+
+const rateForCategory = (rateTable, category) => {
+  const key = String(category || '').trim().toLowerCase();
+  return (key && rateTable.byCategory[key]) || rateTable.fallback;
+};
+
+// Discounts and loyalty points lower the value GST is charged on. Line discounts stay on their
+// line; order-wide discounts and points are spread over the lines in proportion to their value.
+// Returns the tax summary and the same cart with each line's taxRate and taxAmount.
+const computeTax = (cart, rateTable, { discountTotal, loyaltyAmount }) => {
+  const nets = cart.map((item) => Math.max(0, item.lineTotal - (item.promotionDiscount || 0)));
+  const netTotal = nets.reduce((sum, value) => sum + value, 0);
+  const lineDiscountTotal = cart.reduce((sum, item) => sum + (item.promotionDiscount || 0), 0);
+  const spread = Math.max(0, discountTotal - lineDiscountTotal) + loyaltyAmount;
+
+  const groups = {};
+  const taxedCart = cart.map((item, index) => {
+    const rate = rateForCategory(rateTable, item.category);
+    const gross = netTotal > 0 ? Math.max(0, nets[index] - (spread * nets[index]) / netTotal) : 0;
+    const tax = rate.pricesIncludeTax ? (gross * rate.rate) / (100 + rate.rate) : (gross * rate.rate) / 100;
+    const key = `${rate.rate}:${rate.pricesIncludeTax ? 'inc' : 'exc'}`;
+    if (!groups[key]) groups[key] = { label: rate.label, rate: rate.rate, inclusive: rate.pricesIncludeTax, gross: 0, tax: 0 };
+    groups[key].gross += gross;
+    groups[key].tax += tax;
+    return { ...item, taxRate: rate.rate, taxInclusive: rate.pricesIncludeTax, taxAmount: roundMoney(tax) };
+  });
+
+  const lines = Object.values(groups)
+    .sort((a, b) => b.rate - a.rate)
+    .map((group) => {
+      const amount = roundMoney(group.tax);
+      return {
+        label: group.label,
+        rate: group.rate,
+        inclusive: group.inclusive,
+        taxableAmount: roundMoney(group.inclusive ? group.gross - amount : group.gross),
+        amount
+      };
+    });
+  const inclusiveAmount = roundMoney(lines.filter((line) => line.inclusive).reduce((sum, line) => sum + line.amount, 0));
+  const exclusiveAmount = roundMoney(lines.filter((line) => !line.inclusive).reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    cart: taxedCart,
+    tax: {
+      amount: roundMoney(inclusiveAmount + exclusiveAmount),
+      inclusiveAmount,
+      exclusiveAmount,
+      registrationNo: (process.env.GST_REGISTRATION_NO || '').trim() || null,
+      lines
+    }
+  };
+};
+
+// The zone with the longest postal prefix matching the address wins; a method's '' zone is its
+// fallback. Without a postal code (cart estimate, pickup) only the fallback applies.
+const zoneFor = (zones, method, postalCode) => {
+  const code = String(postalCode || '');
+  return zones
+    .filter((zone) => zone.method === method && code.startsWith(zone.postalPrefix))
+    .sort((a, b) => b.postalPrefix.length - a.postalPrefix.length)[0] || null;
+};
+
+// delivery: { method, postalCode, express }. The free-delivery threshold is measured against the
+// subtotal after discounts and waives the zone fee only; an express slot is always charged for.
+const computeDelivery = (schedule, delivery, { discountedSubtotal, isMember }) => {
+  const { zones, settings } = schedule;
+  const zone = zoneFor(zones, delivery.method, delivery.postalCode);
+  const zoneFee = zone ? zone.fee : 0;
+
+  let waivedReason = null;
+  if (zoneFee > 0 && settings.freeThreshold != null && discountedSubtotal >= settings.freeThreshold) {
+    waivedReason = `Free delivery on orders of $${settings.freeThreshold.toFixed(2)} or more`;
+  } else if (zoneFee > 0 && settings.membersFree && isMember) {
+    waivedReason = 'Free delivery for members';
+  }
+  const baseFee = waivedReason ? 0 : roundMoney(zoneFee);
+  const expressSurcharge = delivery.express ? roundMoney(settings.expressSurcharge) : 0;
+
+  return {
+    method: delivery.method,
+    label: DeliverySlotModel.FULFILMENT_METHODS[delivery.method] || delivery.method,
+    zone: zone && zone.postalPrefix ? zone.postalPrefix : null,
+    estimate: !delivery.postalCode && delivery.method === 'delivery',
+    zoneFee: roundMoney(zoneFee),
+    baseFee,
+    waivedReason,
+    expressSurcharge,
+    freeThreshold: settings.freeThreshold,
+    fee: roundMoney(baseFee + expressSurcharge)
+  };
+};
+
+// An empty cart is not charged for delivery.
+const NO_FEES = { zones: [], settings: { freeThreshold: null, membersFree: false, expressSurcharge: 0 } };
+
+// Member status is only looked up when the settings give members free delivery.
+const loadDelivery = (userId, delivery, { itemCount, discountedSubtotal }, callback) => {
+  if (!itemCount) return callback(null, computeDelivery(NO_FEES, delivery, { discountedSubtotal, isMember: false }));
+  DeliveryFeeModel.getSchedule((err, schedule) => {
+    if (err) return callback(err);
+    const price = (isMember) => callback(null, computeDelivery(schedule, delivery, { discountedSubtotal, isMember }));
+    if (!schedule.settings.membersFree) return price(false);
+    MembershipModel.getByUser(userId, (mErr, membership) => {
+      if (mErr) console.error('Error checking membership for delivery fee', mErr);
+      price(!!membership);
+    });
+  });
+};
+
+// subtotal - discounts - loyalty + tax charged on top + delivery - refund credit = payable
+// (tax already included in shelf prices is reported but not added again).
+const buildPricing = ({ subtotal, promotions, loyaltyRedemption, credit, tax, delivery }) => {
+  const discounts = (promotions.lines || []).map((line) => ({
+    promotionId: line.promotionId,
+    name: line.name,
+    code: line.code || null,
+    description: line.description,
+    amount: line.amount
+  }));
+  const discountTotal = roundMoney(Math.min(subtotal, promotions.total || 0));
+  const discountedSubtotal = roundMoney(subtotal - discountTotal);
+  const loyalty = computeLoyaltyUsage(loyaltyRedemption, discountedSubtotal);
+  const beforeCredit = roundMoney(Math.max(0, discountedSubtotal - loyalty.amount) + tax.exclusiveAmount + delivery.fee);
+  const availableCredit = credit && Number(credit.amount) ? Number(credit.amount) : 0;
+  const creditAmount = roundMoney(Math.min(beforeCredit, Math.max(0, availableCredit)));
+
+  return {
+    subtotal,
+    discounts,
+    discountTotal,
+    discountedSubtotal,
+    loyalty,
+    refundCredit: { id: credit && creditAmount > 0 ? credit.id : null, amount: creditAmount },
+    tax,
+    delivery,
+    payable: roundMoney(Math.max(0, beforeCredit - creditAmount))
+  };
+};
+
+// Price the user's current cart. options: { couponCode, loyaltyRedemption, delivery }, where
+// delivery is { method, postalCode, express } and defaults to an estimate for home delivery.
+// Calls back with { cart, orderItems, pricing, coupon }; cart lines carry promotionDiscount and tax.
+const priceCheckout = (userId, options, callback) => {
+  const { couponCode, loyaltyRedemption } = options || {};
+  const delivery = (options && options.delivery) || { method: 'delivery', postalCode: null, express: false };
+  CartModel.getCartByUser(userId, (err, items) => {
+    if (err) return callback(err);
+    const { cart: baseCart, cartTotal } = mapCartItems(items);
+
+    PromotionService.priceCart(userId, baseCart, couponCode, (promoErr, promotions) => {
+      if (promoErr) return callback(promoErr);
+      const discountedCart = baseCart.map((item) => ({
+        ...item,
+        promotionDiscount: promotions.lineDiscounts[item.cartItemId] || 0
+      }));
+
+      TaxRateModel.getRateTable((taxErr, rateTable) => {
+        if (taxErr) return callback(taxErr);
+        // Loyalty is capped against the discounted subtotal, so work that out before tax.
+        const discountTotal = roundMoney(Math.min(cartTotal, promotions.total || 0));
+        const loyalty = computeLoyaltyUsage(loyaltyRedemption, roundMoney(cartTotal - discountTotal));
+        const { cart, tax } = computeTax(discountedCart, rateTable, { discountTotal, loyaltyAmount: loyalty.amount });
+
+        const deliveryBasis = { itemCount: baseCart.length, discountedSubtotal: roundMoney(cartTotal - discountTotal) };
+        loadDelivery(userId, delivery, deliveryBasis, (deliveryErr, deliveryFee) => {
+          if (deliveryErr) return callback(deliveryErr);
+          RefundCreditModel.getLatestAvailableByUser(userId, (creditErr, credit) => {
+            if (creditErr) console.error('Error loading refund credit', creditErr);
+            callback(null, {
+              cart,
+              orderItems: toOrderItems(cart),
+              pricing: buildPricing({ subtotal: cartTotal, promotions, loyaltyRedemption, credit, tax, delivery: deliveryFee }),
+              coupon: promotions.coupon
+            });
+          });
+        });
+      });
+    });
+  });
+};
+
+// Orders placed before breakdowns were stored only have line prices, a total and the old
+// first-order percentage, so rebuild what we can from those.
+const legacyPricing = (order) => {
+  const subtotal = roundMoney((order.items || []).reduce((sum, item) => sum + Number(item.price || 0) * Number(item.quantity || 0), 0));
+  const payable = roundMoney(order.totalAmount);
+  const percent = Number(order.discountPercent) || 0;
+  const discountTotal = percent > 0
+    ? roundMoney(subtotal * percent / 100)
+    : roundMoney(Math.max(0, subtotal - payable));
+  return {
+    legacy: true,
+    subtotal,
+    discounts: discountTotal > 0 ? [{ name: percent > 0 ? `${percent}% first-order discount` : 'Discount', amount: discountTotal }] : [],
+    discountTotal,
+    discountedSubtotal: roundMoney(subtotal - discountTotal),
+    loyalty: { points: 0, amount: 0 },
+    refundCredit: { id: null, amount: 0 },
+    tax: { amount: 0, inclusiveAmount: 0, exclusiveAmount: 0, registrationNo: null, lines: [] },
+    delivery: null,
+    payable
+  };
+};
+
+const orderPricing = (order) => (order && order.pricing ? order.pricing : legacyPricing(order || {}));
+
+// What the customer handed over for the order: money charged plus any store credit spent.
+const refundableAmount = (pricing) => roundMoney(Number(pricing.payable || 0) + Number((pricing.refundCredit && pricing.refundCredit.amount) || 0));
+
+// What the customer paid for `quantity` units of an order line. Each line's share of what was paid
+// for goods follows its value after line discounts, so order-wide discounts, points, credit and tax
+// are returned in proportion; delivery is not refunded.
+const paidShare = (order) => {
+  const pricing = orderPricing(order);
+  const weight = (item) => Math.max(0, Number(item.price || 0) * Number(item.quantity || 0) - Number(item.discount || 0));
+  const totalWeight = (order.items || []).reduce((sum, item) => sum + weight(item), 0);
+  const deliveryFee = pricing.delivery ? Number(pricing.delivery.fee) || 0 : 0;
+  const goodsPaid = Math.max(0, refundableAmount(pricing) - deliveryFee);
+  const share = (item, quantity) => {
+    const ordered = Number(item.quantity) || 0;
+    if (!ordered || totalWeight <= 0) return 0;
+    return (goodsPaid * weight(item) * Math.min(ordered, Number(quantity) || 0)) / (ordered * totalWeight);
+  };
+  return { goodsPaid, share };
+};
+
+// Credit owed for lines that could not be supplied. missing: [{ item, quantity }] using the order's items.
+const shortfallRefund = (order, missing) => {
+  const { goodsPaid, share } = paidShare(order);
+  const owed = (missing || []).reduce((sum, line) => sum + share(line.item, line.quantity), 0);
+  return roundMoney(Math.min(goodsPaid, owed));
+};
+
+// What the customer paid for a whole line less what its substitute ({ price, quantity }) costs.
+// Positive when the substitute is cheaper; customers are never charged more for a substitute.
+const substituteDifference = (order, item, substitute) => roundMoney(
+  paidShare(order).share(item, item.quantity) - Number(substitute.price || 0) * Number(substitute.quantity || 0)
+);
+
+module.exports = {
+  roundMoney,
+  mapCartItems,
+  maxRedeemablePoints,
+  priceCheckout,
+  orderPricing,
+  refundableAmount,
+  shortfallRefund,
+  substituteDifference
+};
@@ -0,0 +1,181 @@
+// Promotion engine: given the priced cart lines and the promotions that could apply,
+// work out every discount line for the order. Every checkout path prices through priceCart.
+const PromotionModel = require('../models/promotion');
+const OrderModel = require('../models/order');
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+const describePromotion = (promo) => {
+  let target = 'your order';
+  if (promo.scope === 'category') target = promo.category || 'a category';
+  if (promo.scope === 'product') target = promo.productName || `product #${promo.productId}`;
+  if (promo.discountType === 'buy_x_get_y') {
+    return `Buy ${promo.buyQuantity} get ${promo.getQuantity} free on ${target}`;
+  }
+  const amount = promo.discountType === 'percent' ? `${Number(promo.value)}%` : `$${Number(promo.value).toFixed(2)}`;
+  return `${amount} off ${target}`;
+};
+
+const appliesToLine = (promo, line) => {
+  if (promo.scope === 'product') return Number(line.productId) === Number(promo.productId);
+  if (promo.scope === 'category') {
+    return String(line.category || '').trim().toLowerCase() === String(promo.category || '').trim().toLowerCase();
+  }
+  return true;
+};
+
+// Returns null when the promotion may be used, otherwise the reason it may not.
+const ineligibleReason = (promo, context, subtotal) => {
+  const now = context.now || new Date();
+  if (!promo.active) return 'This coupon is no longer active.';
+  if (promo.startsAt && new Date(promo.startsAt) > now) return 'This coupon is not valid yet.';
+  if (promo.endsAt && new Date(promo.endsAt) <= now) return 'This coupon has expired.';
+  if (promo.firstOrderOnly && context.orderCount > 0) return 'This coupon is only valid on your first order.';
+  const used = (context.usage && context.usage[promo.id]) || 0;
+  if (promo.perUserLimit && used >= promo.perUserLimit) {
+    return promo.perUserLimit === 1
+      ? 'You have already used this coupon.'
+      : `This coupon can only be used ${promo.perUserLimit} times per customer.`;
+  }
+  if (promo.minSpend > 0 && subtotal < promo.minSpend) {
+    return `Spend at least $${promo.minSpend.toFixed(2)} to use this coupon.`;
+  }
+  return null;
+};
+
+// Spread a discount over the given lines without taking any line below zero.
+const allocate = (amount, lines, remaining) => {
+  let left = amount;
+  const applied = {};
+  lines.forEach((line) => {
+    if (left <= 0) return;
+    const take = roundMoney(Math.min(left, remaining[line.cartItemId]));
+    if (take <= 0) return;
+    applied[line.cartItemId] = take;
+    remaining[line.cartItemId] = roundMoney(remaining[line.cartItemId] - take);
+    left = roundMoney(left - take);
+  });
+  return applied;
+};
+
+const discountFor = (promo, lines, remaining) => {
+  const eligibleTotal = lines.reduce((sum, line) => sum + remaining[line.cartItemId], 0);
+  if (eligibleTotal <= 0) return 0;
+  if (promo.discountType === 'percent') {
+    return roundMoney(eligibleTotal * Math.min(100, promo.value) / 100);
+  }
+  if (promo.discountType === 'fixed') {
+    return roundMoney(Math.min(promo.value, eligibleTotal));
+  }
+  // Buy X get Y: with the units sorted dearest first and split into groups of X + Y, the last
+  // (cheapest) Y of every full group are free. Counted per line rather than per unit so a
+  // large quantity doesn't mean a large array.
+  const buy = Number(promo.buyQuantity) || 0;
+  const get = Number(promo.getQuantity) || 0;
+  if (buy <= 0 || get <= 0) return 0;
+  const group = buy + get;
+  const sorted = lines
+    .map((line) => ({ price: Number(line.unitPrice) || 0, quantity: Math.max(0, Math.floor(Number(line.quantity) || 0)) }))
+    .sort((a, b) => b.price - a.price);
+  const fullUnits = Math.floor(sorted.reduce((sum, line) => sum + line.quantity, 0) / group) * group;
+  // Free units among the first n positions of the sorted list.
+  const freeBefore = (n) => {
+    const capped = Math.min(n, fullUnits);
+    return Math.floor(capped / group) * get + Math.max(0, (capped % group) - buy);
+  };
+  let position = 0;
+  let free = 0;
+  sorted.forEach((line) => {
+    free += (freeBefore(position + line.quantity) - freeBefore(position)) * line.price;
+    position += line.quantity;
+  });
+  return roundMoney(Math.min(free, eligibleTotal));
+};
+
+// cart: lines with cartItemId, productId, category, unitPrice, quantity, lineTotal.
+// promotions: live automatic promotions plus the coupon's promotion, if one was entered.
+// context: { couponCode, usage: { promotionId: uses }, orderCount, now }
+// Each promotion applies at most once per order. Product and category promotions are
+// taken first, then order-wide ones on whatever is left, so discounts never stack past zero.
+const evaluatePromotions = (cart, promotions, context = {}) => {
+  const subtotal = roundMoney((cart || []).reduce((sum, line) => sum + Number(line.lineTotal || 0), 0));
+  const remaining = {};
+  (cart || []).forEach((line) => { remaining[line.cartItemId] = roundMoney(line.lineTotal); });
+
+  const couponCode = context.couponCode ? String(context.couponCode).trim().toUpperCase() : '';
+  const coupon = couponCode ? { code: couponCode, applied: false, message: 'That coupon code was not found.' } : null;
+
+  const ordered = (promotions || []).slice().sort((a, b) => {
+    const rank = (p) => (p.scope === 'order' ? 1 : 0);
+    return rank(a) - rank(b) || a.id - b.id;
+  });
+
+  const lines = [];
+  const lineDiscounts = {};
+  ordered.forEach((promo) => {
+    const isCoupon = !!promo.code;
+    if (isCoupon && promo.code !== couponCode) return;
+    const reason = ineligibleReason(promo, context, subtotal);
+    const eligible = (cart || []).filter((line) => appliesToLine(promo, line));
+    const amount = reason ? 0 : discountFor(promo, eligible, { ...remaining });
+
+    if (isCoupon) {
+      coupon.promotionId = promo.id;
+      if (reason) coupon.message = reason;
+      else if (!eligible.length) coupon.message = 'No items in your cart qualify for this coupon.';
+      else if (amount <= 0) coupon.message = 'This coupon does not reduce your current cart.';
+    }
+    if (amount <= 0) return;
+
+    const applied = allocate(amount, eligible, remaining);
+    // Order-wide discounts are shown as order lines only, not against individual cart lines.
+    if (promo.scope !== 'order') {
+      Object.keys(applied).forEach((id) => {
+        lineDiscounts[id] = roundMoney((lineDiscounts[id] || 0) + applied[id]);
+      });
+    }
+    lines.push({
+      promotionId: promo.id,
+      name: promo.name,
+      code: promo.code || null,
+      description: describePromotion(promo),
+      scope: promo.scope,
+      amount
+    });
+    if (isCoupon) {
+      coupon.applied = true;
+      coupon.message = `Coupon ${promo.code} applied.`;
+    }
+  });
+
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  return { subtotal, lines, lineDiscounts, total, coupon };
+};
+
+// Load what a customer is entitled to and evaluate it against their cart.
+const priceCart = (userId, cart, couponCode, callback) => {
+  PromotionModel.getLiveAutomatic((err, automatic) => {
+    if (err) return callback(err);
+    PromotionModel.getByCode(couponCode, (codeErr, couponPromo) => {
+      if (codeErr) return callback(codeErr);
+      PromotionModel.getUsageByUser(userId, (usageErr, usage) => {
+        if (usageErr) return callback(usageErr);
+        OrderModel.getOrdersByUser(userId, (orderErr, orders) => {
+          if (orderErr) return callback(orderErr);
+          const promotions = couponPromo ? [...automatic, couponPromo] : automatic;
+          callback(null, evaluatePromotions(cart, promotions, {
+            couponCode,
+            usage,
+            orderCount: orders ? orders.length : 0
+          }));
+        });
+      });
+    });
+  });
+};
+
+module.exports = {
+  describePromotion,
+  evaluatePromotions,
+  priceCart
+};
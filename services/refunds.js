@@ -0,0 +1,181 @@
+// Money going back to customers, as store credit or through the provider they paid with, and the
+// refund records kept for both. Card (test) and NETS payments have no refund API here, so those
+// orders can only be refunded as store credit.
+const StripeService = require('./stripe');
+const PaypalService = require('./paypal');
+const RefundCreditModel = require('../models/refundCredit');
+const RefundRecordModel = require('../models/refundRecord');
+const PricingService = require('./pricing');
+
+// Payment methods that can be refunded to the original payment, and the reference they need:
+// the Stripe charge or the PayPal capture, both stored as the order's transactionRefId.
+const ORIGINAL_METHODS = {
+  STRIPE: 'card (Stripe)',
+  PAYPAL: 'PayPal'
+};
+
+const methodOf = (order) => String((order && order.paymentMethod) || '').toUpperCase();
+
+const canRefundToOriginal = (order) => !!ORIGINAL_METHODS[methodOf(order)] && !!(order && order.transactionRefId);
+
+// Stripe says succeeded/pending/requires_action/failed/canceled; PayPal COMPLETED/PENDING/FAILED/CANCELLED.
+const toRecordStatus = (providerStatus) => {
+  const status = String(providerStatus || '').toLowerCase();
+  if (status === 'succeeded' || status === 'completed') return 'succeeded';
+  if (status === 'pending' || status === 'requires_action') return 'pending';
+  return 'failed';
+};
+
+const refundError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// A definite no: the refund was rejected before it was sent, or the provider answered with a 4xx.
+// Timeouts, dropped connections and 5xx responses leave it unknown whether the money moved.
+const isDeclined = (err) => {
+  if (err && err.code === 'INVALID_REFUND') return true;
+  const status = Number(err && err.statusCode);
+  return status >= 400 && status < 500 && status !== 408;
+};
+
+// Resolves with { provider, reference, status } for the refund the provider created, status being
+// one of RefundRecordModel.REFUND_STATUSES.
+const refundToOriginal = async (order, amount) => {
+  if (!canRefundToOriginal(order)) {
+    throw refundError(`Order #${order && order.id} cannot be refunded to its original payment.`, 'INVALID_REFUND');
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) throw refundError('Invalid refund amount.', 'INVALID_REFUND');
+
+  if (methodOf(order) === 'STRIPE') {
+    const refund = await StripeService.refundCharge(order.transactionRefId, value, { orderId: String(order.id) });
+    return { provider: 'STRIPE', reference: refund.id, status: toRecordStatus(refund.status) };
+  }
+  const refund = await PaypalService.refundCapture(order.transactionRefId, value.toFixed(2));
+  return { provider: 'PAYPAL', reference: refund.id, status: toRecordStatus(refund.status) };
+};
+
+// What has gone back to the customer on an order so far, from its refund records:
+// { total, toOriginal, byRequest: { refundRequestId: amount } }. Failed refunds don't count;
+// unconfirmed ones do, so nobody refunds the same money again before they are reconciled.
+const summarize = (records) => (records || [])
+  .filter((record) => record.status !== 'failed')
+  .reduce((summary, record) => {
+    const amount = Number(record.amount) || 0;
+    summary.total = PricingService.roundMoney(summary.total + amount);
+    if (record.method === 'original') summary.toOriginal = PricingService.roundMoney(summary.toOriginal + amount);
+    if (record.refundRequestId) {
+      summary.byRequest[record.refundRequestId] = PricingService.roundMoney((summary.byRequest[record.refundRequestId] || 0) + amount);
+    }
+    return summary;
+  }, { total: 0, toOriginal: 0, byRequest: {} });
+
+// Calls back with { records, summary } for an order.
+const loadRefunds = (orderId, callback) => {
+  RefundRecordModel.getByOrder(orderId, (err, records) => {
+    if (err) return callback(err);
+    callback(null, { records, summary: summarize(records) });
+  });
+};
+
+// Refunds an order and records it. refund: { order, amount, method ('credit' | 'original'),
+// source, refundRequestId, createdBy }. Calls back with the record written. A refund the provider
+// turns down is recorded as failed and calls back with a REFUND_FAILED error, so the caller can
+// leave things as they were or offer store credit instead. When the provider gave no clear answer
+// the refund may still have been made: it is recorded as unconfirmed and calls back with a
+// REFUND_UNCONFIRMED error, and must not be paid out again another way.
+const issueRefund = (refund, callback) => {
+  const { order, method } = refund;
+  const amount = PricingService.roundMoney(Number(refund.amount) || 0);
+  if (amount <= 0) return callback(refundError('Refund amount must be more than zero.', 'INVALID_REFUND'));
+  const record = {
+    orderId: order.id,
+    userId: order.userId,
+    refundRequestId: refund.refundRequestId || null,
+    source: refund.source,
+    method,
+    amount,
+    createdBy: refund.createdBy || null
+  };
+  const save = (fields, done) => {
+    const full = { ...record, ...fields };
+    RefundRecordModel.create(full, (err, result) => {
+      if (err) console.error(`Error recording refund on order #${order.id}`, err);
+      done({ ...full, id: result && result.insertId });
+    });
+  };
+
+  if (method === 'credit') {
+    return RefundCreditModel.createCredit({ userId: order.userId, refundRequestId: record.refundRequestId, amount }, (err, result) => {
+      if (err) return callback(err);
+      save({ status: 'succeeded', refundCreditId: result && result.insertId }, (saved) => callback(null, saved));
+    });
+  }
+  if (method !== 'original') return callback(refundError('Unknown refund method.', 'INVALID_REFUND'));
+
+  refundToOriginal(order, amount)
+    .then((result) => {
+      const fields = { provider: result.provider, providerReference: result.reference, status: result.status };
+      save(fields, (saved) => {
+        if (saved.status !== 'failed') return callback(null, saved);
+        callback(refundError(`${ORIGINAL_METHODS[result.provider]} declined the refund.`, 'REFUND_FAILED'), saved);
+      });
+    })
+    .catch((err) => {
+      console.error(`Refund to original payment failed for order #${order.id}`, err);
+      const target = ORIGINAL_METHODS[methodOf(order)] || 'the original payment';
+      const declined = isDeclined(err);
+      save({ provider: methodOf(order) || null, status: declined ? 'failed' : 'unconfirmed', failureReason: err.message }, (saved) => {
+        if (declined) return callback(refundError(`The refund to ${target} failed.`, 'REFUND_FAILED'), saved);
+        callback(refundError(`The refund to ${target} could not be confirmed and has been recorded for staff to check with the provider.`, 'REFUND_UNCONFIRMED'), saved);
+      });
+    });
+};
+
+// Brings an order's refund records in line with the refunds its payment provider reports:
+// refunds started here move on from pending, and refunds made directly with the provider (from
+// the Stripe dashboard, say) are recorded. providerRefunds: [{ id, amount (dollars), status }].
+const reconcileProviderRefunds = (order, provider, providerRefunds, callback) => {
+  const remaining = (providerRefunds || []).filter((refund) => refund && refund.id);
+  const next = () => {
+    if (!remaining.length) return callback(null);
+    const refund = remaining.shift();
+    const status = toRecordStatus(refund.status);
+    RefundRecordModel.getByProviderReference(provider, refund.id, (err, record) => {
+      if (err) return callback(err);
+      if (record) {
+        if (record.status === status) return next();
+        return RefundRecordModel.updateStatus(record.id, status, (updateErr) => (updateErr ? callback(updateErr) : next()));
+      }
+      RefundRecordModel.create({
+        orderId: order.id,
+        userId: order.userId,
+        source: 'provider',
+        method: 'original',
+        provider,
+        amount: PricingService.roundMoney(Number(refund.amount) || 0),
+        status,
+        providerReference: refund.id
+      }, (createErr) => (createErr ? callback(createErr) : next()));
+    });
+  };
+  next();
+};
+
+const isRefundError = (err) => !!err && ['INVALID_REFUND', 'REFUND_FAILED', 'REFUND_UNCONFIRMED'].includes(err.code);
+
+const isUnconfirmedRefund = (err) => !!err && err.code === 'REFUND_UNCONFIRMED';
+
+module.exports = {
+  ORIGINAL_METHODS,
+  canRefundToOriginal,
+  refundToOriginal,
+  summarize,
+  loadRefunds,
+  issueRefund,
+  reconcileProviderRefunds,
+  isRefundError,
+  isUnconfirmedRefund
+};
@@ -0,0 +1,148 @@
+// Staff roles and what each may do. A user's role is the `role` column on users; routes check a
+// permission rather than a role, so a role can be widened or narrowed here without touching them.
+// Customers have the 'user' role and no permissions. Admins have every permission.
+const UserModel = require('../models/user');
+
+const PERMISSIONS = {
+  'inventory.view': 'View inventory and stock history',
+  'inventory.manage': 'Add, edit, import and adjust products',
+  picking: 'Pick and pack orders',
+  'orders.view': 'View all orders and invoices',
+  'orders.manage': 'Edit and delete orders',
+  'refunds.view': 'View refund requests',
+  'refunds.resolve': 'Approve, reject and issue refunds',
+  'payments.view': 'View payment attempts',
+  'promotions.manage': 'Manage promotions and coupons',
+  'pricing.manage': 'Manage tax rates and delivery fees',
+  'delivery.manage': 'Manage delivery slots',
+  'users.view': 'View user accounts',
+  'accounts.unlock': 'Unlock locked accounts',
+  'users.manage': 'Edit and delete users and assign roles'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const ROLES = {
+  user: {
+    label: 'Customer',
+    permissions: []
+  },
+  store_manager: {
+    label: 'Store manager',
+    permissions: ALL_PERMISSIONS.filter((permission) => permission !== 'users.manage')
+  },
+  inventory_clerk: {
+    label: 'Inventory clerk',
+    permissions: ['inventory.view', 'inventory.manage']
+  },
+  picker: {
+    label: 'Picker',
+    permissions: ['picking', 'inventory.view']
+  },
+  customer_service: {
+    label: 'Customer-service agent',
+    permissions: ['orders.view', 'orders.manage', 'refunds.view', 'users.view', 'accounts.unlock']
+  },
+  finance: {
+    label: 'Finance',
+    permissions: ['orders.view', 'refunds.view', 'refunds.resolve', 'payments.view', 'pricing.manage']
+  },
+  admin: {
+    label: 'Admin',
+    permissions: ALL_PERMISSIONS
+  }
+};
+
+const ROLE_KEYS = Object.keys(ROLES);
+
+// Staff areas in the order they appear in the menu, with the permission each needs.
+const STAFF_MENU = [
+  { href: '/inventory', label: 'Inventory', permission: 'inventory.view' },
+  { href: '/picking', label: 'Picking', permission: 'picking' },
+  { href: '/orders', label: 'Orders', permission: 'orders.view' },
+  { href: '/refunds', label: 'Refunds', permission: 'refunds.view' },
+  { href: '/payments/attempts', label: 'Payment attempts', permission: 'payments.view' },
+  { href: '/promotions', label: 'Promotions', permission: 'promotions.manage' },
+  { href: '/tax-rates', label: 'Tax rates', permission: 'pricing.manage' },
+  { href: '/delivery-fees', label: 'Delivery fees', permission: 'pricing.manage' },
+  { href: '/delivery-slots', label: 'Delivery slots', permission: 'delivery.manage' },
+  { href: '/users', label: 'Users', permission: 'users.view' },
+  { href: '/addProduct', label: 'Add product', permission: 'inventory.manage', hidden: true }
+];
+
+const isValidRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+const permissionsOf = (user) => {
+  const role = user && isValidRole(user.role) ? ROLES[user.role] : null;
+  return role ? role.permissions : [];
+};
+
+const can = (user, permission) => permissionsOf(user).includes(permission);
+
+const isStaff = (user) => permissionsOf(user).length > 0;
+
+const roleLabel = (role) => (isValidRole(role) ? ROLES[role].label : role);
+
+// The staff areas a user can open, for building menus.
+const menuFor = (user) => STAFF_MENU.filter((entry) => !entry.hidden && can(user, entry.permission))
+  .map(({ href, label }) => ({ href, label }));
+
+// Whether a link should be shown to the user: staff areas need their permission, anything
+// else is left to the route.
+const canVisit = (user, href) => {
+  const path = String(href || '').split('?')[0];
+  const entry = STAFF_MENU.find((item) => path === item.href || path.startsWith(`${item.href}/`));
+  return !entry || can(user, entry.permission);
+};
+
+// Why actor can't give target the role, or null if they can. Nobody changes their own role, so
+// an admin can't lock themselves out by accident.
+const roleChangeError = (actor, target, role) => {
+  if (!isValidRole(role)) return 'Choose one of the listed roles.';
+  if (target.role === role) return null;
+  if (actor && target && actor.id === target.id) return 'You cannot change your own role.';
+  return null;
+};
+
+// Why actor can't delete target, or null if they can. adminCount is how many admins there are
+// now. Between this and roleChangeError there is always an admin left to manage users.
+const removalError = (actor, target, adminCount) => {
+  if (actor && target && actor.id === target.id) return 'You cannot delete your own account.';
+  if (target && target.role === 'admin' && adminCount <= 1) return 'This is the only admin. Make someone else an admin first.';
+  return null;
+};
+
+// Looks up the account to delete and calls back with (err, target, message), message being why
+// actor can't delete it. target is null if there is no such account.
+const checkRemoval = (actor, targetId, callback) => {
+  UserModel.getUserById(targetId, (findErr, target) => {
+    if (findErr) return callback(findErr);
+    if (!target) return callback(null, null, null);
+    UserModel.countByRole('admin', (countErr, adminCount) => {
+      if (countErr) return callback(countErr);
+      callback(null, target, removalError(actor, target, adminCount));
+    });
+  });
+};
+
+// Where a user lands after signing in: their first staff area, or the shop for customers.
+const homeFor = (user) => {
+  const menu = menuFor(user);
+  return menu.length ? menu[0].href : '/shopping';
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_KEYS,
+  isValidRole,
+  can,
+  isStaff,
+  roleLabel,
+  menuFor,
+  canVisit,
+  roleChangeError,
+  removalError,
+  checkRemoval,
+  homeFor
+};
@@ -1,6 +1,8 @@
 const Stripe = require('stripe');
 
 const STRIPE_SECRET_KEY = (process.env.STRIPE_SECRET_KEY || '').trim();
+// Signing secret of the webhook endpoint set up in the Stripe dashboard for /webhooks/stripe.
+const STRIPE_WEBHOOK_SECRET = (process.env.STRIPE_WEBHOOK_SECRET || '').trim();
 
 const getClient = () => {
   if (!STRIPE_SECRET_KEY) {
@@ -43,8 +45,41 @@ const getPaymentIntentDetails = async (paymentIntentId) => {
   };
 };
 
+// Refunds part or all of a charge. amount is in dollars.
+const refundCharge = async (chargeId, amount, metadata = {}) => {
+  const client = getClient();
+  const amountInCents = Math.round(Number(amount) * 100);
+  if (!Number.isFinite(amountInCents) || amountInCents <= 0) {
+    throw new Error('Invalid Stripe refund amount.');
+  }
+  return client.refunds.create({
+    charge: chargeId,
+    amount: amountInCents,
+    metadata
+  });
+};
+
+// Every refund made against a charge, including ones made from the Stripe dashboard.
+const listChargeRefunds = async (chargeId) => {
+  const client = getClient();
+  const list = await client.refunds.list({ charge: chargeId, limit: 100 });
+  return list?.data || [];
+};
+
+// Checks a webhook delivery's Stripe-Signature header against the raw request body and returns
+// the event. Throws when the signature doesn't match.
+const constructWebhookEvent = (rawBody, signature) => {
+  if (!STRIPE_WEBHOOK_SECRET) {
+    throw new Error('Missing Stripe configuration. Please set STRIPE_WEBHOOK_SECRET.');
+  }
+  return getClient().webhooks.constructEvent(rawBody, signature, STRIPE_WEBHOOK_SECRET);
+};
+
 module.exports = {
   createPaymentIntent,
   getPaymentStatus,
-  getPaymentIntentDetails
+  getPaymentIntentDetails,
+  refundCharge,
+  listChargeRefunds,
+  constructWebhookEvent
 };